@@ -1,19 +1,28 @@
 // --- 模組導入 ---
 const path = require('path');
+const fs = require('fs');
 // 確保在所有其他程式碼之前載入環境變數
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const express = require('express');
 const cookieParser = require('cookie-parser');
-// node-fetch v3 是 ESM 模組，需要使用動態 import
-const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const sendResetEmail = require('./sendResetEmail.js'); // 導入模擬的郵件模組
-const bookingLocks = new Map();
+const crypto = require('crypto');
+const { sendNotification } = require('./notifier.js'); // 預約與帳號相關通知
+const { createFhirClient, FhirError } = require('./fhirClient.js');
+const { createMemoryCache, parseCacheTtls } = require('./fhirCache.js');
+const { createMemorySessionStore, isActive } = require('./sessionStore.js');
+const { createMemoryRateLimitStore, createRateLimiter, createLoginLockout, sendTooManyRequests } = require('./rateLimiter.js');
+const { createMemoryWebhookStore, createWebhookDispatcher, isPrivateHost } = require('./webhooks.js');
+const { validateQuestionnaire, validateAnswers, listQuestions, readResponseAnswers } = require('./questionnaire.js');
 
 // --- 應用程式初始化 ---
 const app = express();
+// 部署在反向代理後面時設定 TRUST_PROXY (例如 1 或 loopback)，req.ip 才會是使用者的 IP (頻率限制依此計算)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 app.use(express.json({ type: ['application/json', 'application/fhir+json'] }));
 app.use(cookieParser());
 
@@ -23,10 +32,117 @@ const JWT_SECRET = process.env.JWT_SECRET;
 const FHIR_BASE = process.env.FHIR_SERVER_BASE || 'http://203.64.84.177:8080/fhir';
 const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
 const PORT = process.env.PORT || 3000;
+// 各路由的請求頻率限制 (每個時間窗內每個 IP / 每個帳號的上限，0 = 不限)；
+// 可用 RATE_LIMITS (JSON) 覆寫個別欄位，例如 {"login":{"perIp":100},"book":{"perAccount":20}}
+const DEFAULT_RATE_LIMITS = {
+  login:        { windowMs: 15 * 60000, perIp: 50, perAccount: 20 },
+  register:     { windowMs: 60 * 60000, perIp: 10, perAccount: 3 },
+  requestReset: { windowMs: 60 * 60000, perIp: 10, perAccount: 3 },
+  unlock:       { windowMs: 15 * 60000, perIp: 10 },
+  resendVerification: { windowMs: 60 * 60000, perIp: 10, perAccount: 3 },
+  changeCredentials:  { windowMs: 15 * 60000, perIp: 20, perAccount: 10 },
+  book:         { windowMs: 60000, perIp: 30, perAccount: 10 }
+};
+const RATE_LIMIT_OVERRIDES = JSON.parse(process.env.RATE_LIMITS || '{}');
+const RATE_LIMITS = Object.fromEntries(Object.entries(DEFAULT_RATE_LIMITS)
+  .map(([name, rule]) => [name, { ...rule, ...RATE_LIMIT_OVERRIDES[name] }]));
+// 登入失敗鎖定：每累積 LOGIN_LOCK_THRESHOLD 次失敗鎖定一次，鎖定時間由 LOGIN_LOCK_MINUTES 起每次加倍
+const LOGIN_LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD || 5);
+const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES || 1);
+const LOGIN_LOCK_MAX_MINUTES = Number(process.env.LOGIN_LOCK_MAX_MINUTES || 60);
+// 預約、加入組織與候補前是否必須完成 Email 驗證，以及驗證連結的有效小時數
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+const EMAIL_VERIFY_HOURS = Number(process.env.EMAIL_VERIFY_HOURS || 24);
+// 登入權杖 (access token) 的有效分鐘數，以及 refresh token / session 的有效天數
+const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES || 15);
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+// 各組織的公開、自行註冊與預約規則設定檔
+const ORGANIZATION_CONFIG_FILE = process.env.ORGANIZATION_CONFIG_FILE || path.join(__dirname, 'organizations.json');
+// 活動開始前幾小時內不可取消預約 (0 = 不限制)；組織設定的 booking.cancelCutoffHours 可覆寫
+const CANCEL_CUTOFF_HOURS = Number(process.env.CANCEL_CUTOFF_HOURS || 0);
+// 一律具有 admin 角色的 Person ID (以逗號分隔)，用於新部署建立第一位管理員；
+// 該使用者登入後即可用 /api/admin/persons/:id/roles 指派其他管理員與 staff
+const ADMIN_PERSON_IDS = (process.env.ADMIN_PERSON_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+// 批次產生 Slot 時使用的時區與單次上限
+const SLOT_TIMEZONE_OFFSET = process.env.SLOT_TIMEZONE_OFFSET || '+08:00';
+const MAX_GENERATED_SLOTS = Number(process.env.MAX_GENERATED_SLOTS || 2000);
+// 報名時可選的參加方式與用餐偏好 (以逗號分隔，可由環境變數覆寫)
+const SERVICE_TYPES = (process.env.SERVICE_TYPES || 'in-person,online').split(',').map(s => s.trim()).filter(Boolean);
+const MEAL_PREFERENCES = (process.env.MEAL_PREFERENCES || '葷食,素食,不用餐').split(',').map(s => s.trim()).filter(Boolean);
+// 活動前幾小時寄出提醒，以及檢查待寄提醒的間隔 (毫秒)
+const REMINDER_HOURS_BEFORE = Number(process.env.REMINDER_HOURS_BEFORE || 24);
+const REMINDER_POLL_MS = Number(process.env.REMINDER_POLL_MS || 60000);
+// 自動標記未出席 (組織設定 attendance.autoNoShow) 的檢查頻率
+const NOSHOW_POLL_MS = Number(process.env.NOSHOW_POLL_MS || 600000);
+
+// 對外 Webhook：投遞失敗時第一次重試前等待 WEBHOOK_RETRY_BASE_SECONDS 秒，之後每次加倍，共 WEBHOOK_MAX_ATTEMPTS 次
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30);
+const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS || 15000);
+// 允許 Webhook 投遞到 localhost 與內部網路位址 (僅限本機開發，正式環境請勿開啟)
+const WEBHOOK_ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+// 設定後才接受 FHIR Subscription (rest-hook) 通知，FHIR 伺服器需帶 Authorization: Bearer <token>
+const FHIR_SUBSCRIPTION_TOKEN = process.env.FHIR_SUBSCRIPTION_TOKEN;
+// /api/schedules 每頁預設筆數
+const SCHEDULE_PAGE_SIZE = Number(process.env.SCHEDULE_PAGE_SIZE || 20);
+// 名單匯出的時間以此時區顯示
+const EXPORT_TIMEZONE = process.env.EXPORT_TIMEZONE || 'Asia/Taipei';
+// FHIR 伺服器連線設定：逾時、重試次數，受保護的伺服器可設定 FHIR_AUTH_TOKEN (Bearer)
+const FHIR_TIMEOUT_MS = Number(process.env.FHIR_TIMEOUT_MS || 10000);
+const FHIR_RETRIES = Number(process.env.FHIR_RETRIES || 2);
+const FHIR_AUTH_TOKEN = process.env.FHIR_AUTH_TOKEN;
+// 讀取快取的 TTL (秒)，格式 "類型=秒,..."；設為空字串即停用快取。
+// Slot、Appointment、Person 預設不快取：預約與登入需要最新資料
+const FHIR_CACHE_TTLS = parseCacheTtls(process.env.FHIR_CACHE_TTLS ?? 'Organization=300,PractitionerRole=300,Schedule=60,Patient=60,ActivityDefinition=300,Questionnaire=300');
+const FHIR_CACHE_MAX_ENTRIES = Number(process.env.FHIR_CACHE_MAX_ENTRIES || 5000);
+
+// Slot 在讀取後被搶先預約 (狀態非 free 或版本衝突) 時回傳的訊息
+const SLOT_TAKEN_MESSAGE = '此時段剛被其他人預約，請重新選擇時段';
 
 // FHIR Identifier System URL
+const PERSON_SYSTEM = 'http://example.org/fhir/person';
 const EMAIL_SYSTEM = 'http://example.org/fhir/email';
 const PASSWORD_SYSTEM = 'http://example.org/fhir/password';
+// 已驗證的 Email 地址；與目前的 Email 不同 (例如改過 Email) 即視為未驗證
+const EMAIL_VERIFIED_SYSTEM = 'http://example.org/fhir/email-verified';
+// 家屬在各組織的 Patient 以此 identifier 記錄家屬主 Patient 的 ID (dependentId)
+const DEPENDENT_SYSTEM = 'http://example.org/fhir/dependent';
+// RelatedPerson.relationship：使用者相對於家屬的關係
+const RELATIONSHIP_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-RoleCode';
+const DEPENDENT_RELATIONSHIPS = { PRN: '父母', GRPRN: '祖父母', SPS: '配偶', CHILD: '子女', SIB: '兄弟姊妹', FAMMEMB: '其他家人' };
+const SLOT_KEY_SYSTEM = 'http://example.org/fhir/slot-key';
+// 角色記錄在 Person.identifier：value 為 admin 或 staff，staff 以 assigner 指向所屬 Organization
+const ROLE_SYSTEM = 'http://example.org/fhir/role';
+const ROLES = ['patient', 'staff', 'admin'];
+// Appointment.serviceType (參加方式) 與 Appointment.extension (用餐偏好)
+const SERVICE_TYPE_SYSTEM = 'http://example.org/fhir/service-type';
+const MEAL_PREFERENCE_EXT = 'http://example.org/fhir/StructureDefinition/meal-preference';
+const CHECKED_IN_AT_EXT = 'http://example.org/fhir/StructureDefinition/checked-in-at';
+
+// 活動目錄：Schedule 以 ACTIVITY_DEFINITION_EXT 連到 ActivityDefinition；
+// ActivityDefinition 沒有 managingOrganization 欄位，主辦組織記錄在 identifier，可直接以 identifier=<system>|<組織 id> 查詢
+const ACTIVITY_DEFINITION_EXT = 'http://example.org/fhir/StructureDefinition/activity-definition';
+const MANAGING_ORGANIZATION_SYSTEM = 'http://example.org/fhir/managing-organization';
+const ACTIVITY_COST_EXT = 'http://example.org/fhir/StructureDefinition/activity-cost';
+const USAGE_CONTEXT_SYSTEM = 'http://terminology.hl7.org/CodeSystem/usage-context-type';
+const ACTIVITY_CURRENCY = process.env.ACTIVITY_CURRENCY || 'TWD';
+const GENDER_LABELS = { male: '男性', female: '女性', other: '其他性別', unknown: '未知性別' };
+// 報名問卷：Schedule 以 QUESTIONNAIRE_EXT 連到 Questionnaire，Questionnaire 與活動一樣以 MANAGING_ORGANIZATION_SYSTEM identifier 記錄所屬組織；
+// 報名時的回答存為 QuestionnaireResponse，放在 Appointment.supportingInformation (第一筆仍為 Schedule)
+const QUESTIONNAIRE_EXT = 'http://example.org/fhir/StructureDefinition/registration-questionnaire';
+// 行事曆訂閱網址的秘密代碼，記錄在 Person.identifier
+const CALENDAR_FEED_SYSTEM = 'http://example.org/fhir/calendar-feed';
+// 提醒以 CommunicationRequest 存在 FHIR 伺服器上，伺服器重啟後仍會寄出
+const NOTIFICATION_CATEGORY_SYSTEM = 'http://example.org/fhir/notification-category';
+// 稽核紀錄：AuditEvent.subtype 記錄本系統的動作代碼，source.observer 標示紀錄來源
+const AUDIT_ACTION_SYSTEM = 'http://example.org/fhir/audit-action';
+const AUDIT_SOURCE_NAME = process.env.AUDIT_SOURCE_NAME || 'appointment-portal';
+
+// Webhook 網址登記為 FHIR Endpoint：payloadType 為訂閱的事件，secret 存在 identifier
+const WEBHOOK_CONNECTION_TYPE = { system: 'http://example.org/fhir/endpoint-connection-type', code: 'webhook' };
+const WEBHOOK_EVENT_SYSTEM = 'http://example.org/fhir/webhook-event';
+const WEBHOOK_SECRET_SYSTEM = 'http://example.org/fhir/webhook-secret';
+const WEBHOOK_EVENTS = ['booked', 'rebooked', 'cancelled', 'checked-in'];
 
 // 檢查 JWT_SECRET 是否已設定，若無則中止程式，避免安全風險
 if (!JWT_SECRET) {
@@ -35,6 +151,40 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
+// 所有 FHIR 呼叫共用的用戶端
+const fhir = createFhirClient({
+  baseUrl: FHIR_BASE,
+  timeoutMs: FHIR_TIMEOUT_MS,
+  retries: FHIR_RETRIES,
+  authorization: FHIR_AUTH_TOKEN ? `Bearer ${FHIR_AUTH_TOKEN}` : undefined,
+  cache: Object.keys(FHIR_CACHE_TTLS).length ? createMemoryCache({ maxEntries: FHIR_CACHE_MAX_ENTRIES }) : undefined,
+  cacheTtls: FHIR_CACHE_TTLS
+});
+
+// 登入工作階段與一次性權杖的儲存 (介面見 sessionStore.js)
+const sessionStore = createMemorySessionStore();
+
+// 對外 Webhook 的投遞紀錄 (介面見 webhooks.js)；網址設定存在 FHIR Endpoint
+const webhooks = createWebhookDispatcher({
+  store: createMemoryWebhookStore(),
+  resolveEndpoints: findWebhookEndpoints,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  baseDelayMs: WEBHOOK_RETRY_BASE_SECONDS * 1000,
+  allowPrivateNetworks: WEBHOOK_ALLOW_PRIVATE_NETWORKS
+});
+
+// 頻率限制與登入鎖定共用的計數儲存 (介面見 rateLimiter.js)
+const rateLimitStore = createMemoryRateLimitStore();
+const rateLimiter = createRateLimiter({ store: rateLimitStore, rules: RATE_LIMITS });
+const loginLockout = createLoginLockout({
+  store: rateLimitStore,
+  threshold: LOGIN_LOCK_THRESHOLD,
+  windowMs: 24 * 3600000,
+  baseLockMs: LOGIN_LOCK_MINUTES * 60000,
+  maxLockMs: LOGIN_LOCK_MAX_MINUTES * 60000
+});
+const emailAccount = req => req.body?.email;
+
 // --- 全域 Debug Middleware ---
 app.use((req, res, next) => {
   console.log(`\n[${new Date().toISOString()}] ${req.method} ${req.url}`);
@@ -52,9 +202,858 @@ app.use('/locales', express.static(path.join(__dirname, 'locales')));
 // 根目錄重導向到登入頁面
 app.get('/', (req, res) => res.redirect('/login.html'));
 
+// --- 共用輔助函式 ---
+
+// 統一的錯誤回應：FHIR 伺服器錯誤依 FhirError.apiStatus 回傳 (404 / 409 / 502 / 504)，其他錯誤回傳 500
+function sendError(res, err, tag, message) {
+  console.error(`[${tag}] error:`, err);
+  const body = message ? { error: message, detail: err.message } : { error: err.message };
+  if (err instanceof FhirError) {
+    return res.status(err.apiStatus).json({ ...body, issues: err.issues });
+  }
+  res.status(500).json(body);
+}
+
+// 以讀取時的 versionId 作為 If-Match；期間若被其他人修改，FHIR 伺服器回 412，不會覆蓋對方的變更。
+// 要寫回的資源須以 { noCache: true } 讀取，避免拿到快取中的舊版本而必定衝突
+const ifMatchOf = resource => (resource.meta?.versionId ? `W/"${resource.meta.versionId}"` : undefined);
+const isVersionConflict = err => err instanceof FhirError && (err.status === 409 || err.status === 412);
+
+// --- 組織設定 ---
+// organizations.json 的 default 為所有組織的預設值，organizations 以 Organization id 覆寫個別組織：
+//   visible         是否出現在 /api/organizations
+//   selfEnrollment  使用者可否自行透過 POST /api/patient 加入
+//   booking         預約規則：cancelCutoffHours (null 沿用 CANCEL_CUTOFF_HOURS)、
+//                   minNoticeHours (活動開始前幾小時內不可報名)、maxActiveBookings (同時有效的預約上限，0 = 不限)
+const DEFAULT_BOOKING_RULES = { cancelCutoffHours: null, minNoticeHours: 0, maxActiveBookings: 0 };
+// 報到與出席：開始前 checkInOpensMinutes 分鐘起可報到；結束後 noShowGraceMinutes 分鐘仍未報到視為 noshow；
+// noShowWindowDays 天內 noshow 達 maxNoShows 次 (0 為不限制) 暫停報名；createEncounter 為報到時是否建立 Encounter。
+// autoNoShow 開啟時背景自動標記 noshow，只處理 autoNoShowLookbackHours 小時內才超過寬限時間的預約，
+// 開啟前的歷史預約不受影響；未開啟時只能由 staff 以 attendance/close 手動結算。
+const DEFAULT_ATTENDANCE_RULES = {
+  checkInOpensMinutes: 120, noShowGraceMinutes: 30, maxNoShows: 0, noShowWindowDays: 90, createEncounter: false,
+  autoNoShow: false, autoNoShowLookbackHours: 24
+};
+
+function loadOrganizationConfig() {
+  if (!fs.existsSync(ORGANIZATION_CONFIG_FILE)) return {};
+  return JSON.parse(fs.readFileSync(ORGANIZATION_CONFIG_FILE, 'utf8'));
+}
+const organizationConfig = loadOrganizationConfig();
+
+function organizationSettings(organizationId) {
+  const base = organizationConfig.default || {};
+  const own = organizationConfig.organizations?.[organizationId] || {};
+  const settings = {
+    visible: true,
+    selfEnrollment: true,
+    ...base,
+    ...own,
+    booking: { ...DEFAULT_BOOKING_RULES, ...base.booking, ...own.booking },
+    attendance: { ...DEFAULT_ATTENDANCE_RULES, ...base.attendance, ...own.attendance }
+  };
+  if (settings.booking.cancelCutoffHours == null) settings.booking.cancelCutoffHours = CANCEL_CUTOFF_HOURS;
+  return settings;
+}
+
+// Organization.active = false 的組織一律不公開
+const isOrganizationVisible = org => org.active !== false && organizationSettings(org.id).visible;
+
+// 設定檔中個別組織的 visible 轉成搜尋條件，讓 FHIR 伺服器分頁：
+// default.visible 為 false 時只搜尋明確設為公開的 id (listedIds)；否則回傳要排除的不公開 id (hiddenIds)
+function organizationVisibilityFilter() {
+  const own = Object.entries(organizationConfig.organizations || {});
+  if (organizationConfig.default?.visible === false) {
+    return { listedIds: own.filter(([, c]) => c.visible === true).map(([id]) => id), hiddenIds: [] };
+  }
+  return { listedIds: null, hiddenIds: own.filter(([, c]) => c.visible === false).map(([id]) => id) };
+}
+
+// 由 Appointment 的 supportingInformation (Schedule) 找出所屬組織
+async function resolveAppointmentOrganizationId(appointment) {
+  const scheduleRef = (appointment.supportingInformation || [])
+    .map(s => s.reference).find(ref => ref?.startsWith('Schedule/'));
+  if (!scheduleRef) return null;
+  const schedule = await fhir.readRefOrNull(scheduleRef);
+  return schedule ? resolveScheduleOrganizationId(schedule) : null;
+}
+
+// 依 Person ID 搜尋 Patient；可限定組織，options 同 fhir.searchAll (例如 { noCache: true })
+function searchPersonPatients(personId, organizationId, options) {
+  return fhir.searchAll('Patient', {
+    identifier: `${PERSON_SYSTEM}|${personId}`,
+    organization: organizationId ? `Organization/${organizationId}` : undefined
+  }, options);
+}
+
+// --- 家屬 (代為預約) ---
+// 每位家屬有一筆不屬於任何組織的主 Patient (姓名、性別、生日)，以 RelatedPerson 連到使用者：
+// RelatedPerson.patient 為主 Patient，identifier 為使用者的 Person ID。
+// 家屬加入組織時另建組織專屬的 Patient，以 DEPENDENT_SYSTEM 記錄主 Patient 的 ID。
+function searchDependentLinks(personId) {
+  return fhir.searchAll('RelatedPerson', { identifier: `${PERSON_SYSTEM}|${personId}` });
+}
+
+const dependentIdOf = link => link.patient?.reference?.split('/')[1];
+
+// 確認 dependentId 是此使用者的家屬，回傳 RelatedPerson 或 null
+async function findDependentLink(personId, dependentId, options) {
+  const links = await fhir.searchAll('RelatedPerson', {
+    identifier: `${PERSON_SYSTEM}|${personId}`,
+    patient: `Patient/${dependentId}`
+  }, options);
+  return links[0] || null;
+}
+
+// 依 dependentId 搜尋家屬在各組織的 Patient；可限定組織，options 同 fhir.searchAll
+function searchDependentPatients(dependentIds, organizationId, options) {
+  if (!dependentIds.length) return Promise.resolve([]);
+  return fhir.searchAll('Patient', {
+    identifier: dependentIds.map(id => `${DEPENDENT_SYSTEM}|${id}`).join(','),
+    organization: organizationId ? `Organization/${organizationId}` : undefined
+  }, options);
+}
+
+// 使用者本人與其家屬在各組織的所有 Patient
+async function searchManagedPatients(personId) {
+  const dependentIds = (await searchDependentLinks(personId)).map(dependentIdOf).filter(Boolean);
+  const [own, dependents] = await Promise.all([
+    searchPersonPatients(personId),
+    searchDependentPatients(dependentIds)
+  ]);
+  return [...own, ...dependents];
+}
+
+// 預約 / 候補用的 Patient：未指定 dependentId 時為使用者本人，否則為其家屬
+async function searchBookingPatients(personId, organizationId, dependentId) {
+  if (!dependentId) return searchPersonPatients(personId, organizationId);
+  if (!(await findDependentLink(personId, dependentId))) return [];
+  return searchDependentPatients([dependentId], organizationId);
+}
+
+// 由 Schedule.actor (Practitioner 或 PractitionerRole) 找出所屬 Organization ID
+async function resolveActorOrganizationId(actorRef) {
+  if (actorRef.startsWith('Organization/')) {
+    return actorRef.split('/')[1];
+  }
+  if (actorRef.startsWith('PractitionerRole/')) {
+    const role = await fhir.readRef(actorRef);
+    const orgRef = role.organization?.reference;
+    if (!orgRef) throw new Error(`${actorRef} does not have an organization reference.`);
+    return orgRef.split('/')[1];
+  }
+  if (!actorRef.startsWith('Practitioner/')) {
+    throw new Error(`Schedule actor is not a Practitioner as expected: ${actorRef}`);
+  }
+  console.log('  → Finding PractitionerRole for', actorRef);
+  const prRoleBundle = await fhir.search('PractitionerRole', { practitioner: actorRef });
+  if (!prRoleBundle.entry?.length) throw new Error(`Cannot find PractitionerRole for actor ${actorRef}`);
+
+  const orgRef = prRoleBundle.entry[0].resource.organization?.reference;
+  if (!orgRef) throw new Error(`PractitionerRole for ${actorRef} does not have an organization reference.`);
+  return orgRef.split('/')[1];
+}
+
+// 找出組織的所有 Schedule：actor 為此 Organization，或為其 PractitionerRole / Practitioner
+async function searchOrganizationSchedules(organizationId) {
+  const roles = await fhir.searchAll('PractitionerRole', { organization: `Organization/${organizationId}` });
+  const actorRefs = [
+    `Organization/${organizationId}`,
+    ...roles.flatMap(r => [r.practitioner?.reference, `PractitionerRole/${r.id}`]).filter(Boolean)
+  ];
+  return fhir.searchAll('Schedule', { actor: actorRefs.join(',') });
+}
+
+// 找出 Schedule 所屬的 Organization ID：優先使用 actor 中的 Organization，否則由第一個 actor 推得
+async function resolveScheduleOrganizationId(schedule) {
+  const actors = (schedule.actor || []).map(a => a.reference).filter(Boolean);
+  const orgActor = actors.find(ref => ref.startsWith('Organization/'));
+  if (orgActor) return orgActor.split('/')[1];
+  if (!actors.length) throw new Error(`Schedule/${schedule.id} 沒有 actor`);
+  return resolveActorOrganizationId(actors[0]);
+}
+
+// 取得此 Person 與其家屬在各組織的所有 Patient reference，例如 ['Patient/123', 'Patient/456']
+async function getPersonPatientRefs(personId) {
+  return (await searchManagedPatients(personId)).map(p => `Patient/${p.id}`);
+}
+
+// 檢查參加方式與用餐偏好是否在設定的選項內，回傳錯誤訊息字串或 null
+function validateAppointmentChoices({ serviceType, mealPreference }) {
+  if (serviceType !== undefined && !SERVICE_TYPES.includes(serviceType)) {
+    return `參加方式必須是 ${SERVICE_TYPES.join('、')} 其中之一`;
+  }
+  if (mealPreference !== undefined && !MEAL_PREFERENCES.includes(mealPreference)) {
+    return `用餐偏好必須是 ${MEAL_PREFERENCES.join('、')} 其中之一`;
+  }
+  return null;
+}
+
+// 從 Appointment 讀出參加方式與用餐偏好
+function readAppointmentChoices(appt) {
+  return {
+    serviceType: appt.serviceType?.[0]?.coding?.find(c => c.system === SERVICE_TYPE_SYSTEM)?.code || null,
+    mealPreference: appt.extension?.find(x => x.url === MEAL_PREFERENCE_EXT)?.valueString || null
+  };
+}
+
+// 把參加方式與用餐偏好寫進 Appointment (未提供的欄位保持不變)
+function applyAppointmentChoices(appt, { serviceType, mealPreference }) {
+  if (serviceType) {
+    appt.serviceType = [{ coding: [{ system: SERVICE_TYPE_SYSTEM, code: serviceType }], text: serviceType }];
+  }
+  if (mealPreference) {
+    appt.extension = [
+      ...(appt.extension || []).filter(x => x.url !== MEAL_PREFERENCE_EXT),
+      { url: MEAL_PREFERENCE_EXT, valueString: mealPreference }
+    ];
+  }
+  return appt;
+}
+
+// 取得 Appointment 中的 Patient reference
+function appointmentPatientRef(appt) {
+  return (appt.participant || []).map(p => p.actor?.reference).find(ref => ref?.startsWith('Patient/')) || null;
+}
+
+// 取得某排程的候補名單，依加入時間 (Appointment.created) 先後排序
+async function getWaitlist(scheduleRef) {
+  const waitlist = await fhir.searchAll('Appointment', { 'supporting-information': scheduleRef, status: 'waitlist' }, { noCache: true });
+  return waitlist
+    .sort((a, b) => (a.created || '').localeCompare(b.created || '') || a.id.localeCompare(b.id));
+}
+
+// 組織設定 maxNoShows 時，近 noShowWindowDays 天內未出席達上限的 Patient 暫停報名；回傳錯誤訊息字串或 null
+async function checkNoShowPolicy(patientRef, organizationId) {
+  const { maxNoShows, noShowWindowDays } = organizationSettings(organizationId).attendance;
+  if (!(maxNoShows > 0)) return null;
+  const since = new Date(Date.now() - noShowWindowDays * 86400000).toISOString();
+  const noShows = await fhir.searchAll('Appointment', { patient: patientRef, status: 'noshow', date: `ge${since}` });
+  return noShows.length >= maxNoShows
+    ? `近 ${noShowWindowDays} 天內已有 ${noShows.length} 次報名未出席，暫時無法報名`
+    : null;
+}
+
+// --- 活動 (ActivityDefinition) ---
+// ActivityDefinition 記錄標題、說明、地點 (location.display)、參加資格 (useContext：age 為以歲為單位的 valueRange，
+// gender 為 valueCodeableConcept)、費用 (extension valueMoney) 與圖片 (relatedArtifact.document，contentType 為 image/*)。
+const scheduleActivityRef = sch => (sch.extension || []).find(x => x.url === ACTIVITY_DEFINITION_EXT)?.valueReference?.reference || null;
+
+const activityOrganizationId = def =>
+  (def.identifier || []).find(i => i.system === MANAGING_ORGANIZATION_SYSTEM)?.value || null;
+
+function readEligibility(def) {
+  const context = code => (def.useContext || []).find(u => u.code?.system === USAGE_CONTEXT_SYSTEM && u.code?.code === code);
+  const age = context('age')?.valueRange;
+  return {
+    minAge: age?.low?.value ?? null,
+    maxAge: age?.high?.value ?? null,
+    gender: context('gender')?.valueCodeableConcept?.coding?.[0]?.code || null
+  };
+}
+
+function toActivitySummary(def) {
+  const cost = (def.extension || []).find(x => x.url === ACTIVITY_COST_EXT)?.valueMoney;
+  return {
+    activityId: def.id,
+    organizationId: activityOrganizationId(def),
+    title: def.title || def.name || '（未命名活動）',
+    description: def.description || '',
+    location: def.location?.display || null,
+    eligibility: readEligibility(def),
+    cost: cost ? { amount: cost.value, currency: cost.currency || ACTIVITY_CURRENCY } : null,
+    images: (def.relatedArtifact || [])
+      .filter(a => a.document?.url && String(a.document.contentType || '').startsWith('image/'))
+      .map(a => ({ url: a.document.url, title: a.document.title || '' })),
+    active: def.status === 'active'
+  };
+}
+
+// 依 ActivityDefinition reference 批次讀取，回傳 Map(reference → ActivityDefinition)
+async function loadActivities(refs) {
+  const ids = [...new Set(refs.filter(Boolean).map(ref => ref.split('/')[1]))];
+  if (!ids.length) return new Map();
+  const defs = await fhir.searchAll('ActivityDefinition', { _id: ids.join(',') });
+  return new Map(defs.map(def => [`ActivityDefinition/${def.id}`, def]));
+}
+
+// 在 date (YYYY-MM-DD 開頭的日期字串，取其當地日期) 當天的足歲；FHIR 的 birthDate 可能只有年或年月
+function ageOn(birthDate, date) {
+  const [by, bm = 1, bd = 1] = birthDate.split('-').map(Number);
+  const [y, m, d] = String(date).slice(0, 10).split('-').map(Number);
+  return y - by - (m < bm || (m === bm && d < bd) ? 1 : 0);
+}
+
+// 依活動的年齡 (以活動當天計算) 與性別限制檢查 Patient，回傳錯誤訊息字串或 null
+function checkEligibility(def, patient, onDate) {
+  const { minAge, maxAge, gender } = readEligibility(def);
+  if (gender) {
+    if (!patient.gender) return '此活動有性別限制，請先於個人資料填寫性別';
+    if (patient.gender !== gender) return `此活動僅限${GENDER_LABELS[gender] || gender}參加`;
+  }
+  if (minAge == null && maxAge == null) return null;
+  if (!patient.birthDate) return '此活動有年齡限制，請先於個人資料填寫生日';
+  const age = ageOn(patient.birthDate, onDate);
+  if (minAge != null && age < minAge) return `此活動限 ${minAge} 歲以上參加`;
+  if (maxAge != null && age > maxAge) return `此活動限 ${maxAge} 歲以下參加`;
+  return null;
+}
+
+// 報名 / 候補前檢查排程所屬活動：已下架或 Patient 不符資格時回傳錯誤訊息字串，沒有連結活動時不限制
+async function checkScheduleEligibility(schedule, patient, onDate) {
+  const activityRef = scheduleActivityRef(schedule);
+  const def = activityRef ? await fhir.readRefOrNull(activityRef) : null;
+  if (!def) return null;
+  if (def.status !== 'active') return '此活動已停止報名';
+  return checkEligibility(def, patient, onDate || new Date().toISOString());
+}
+
+// --- 報名問卷 (Questionnaire) ---
+const scheduleQuestionnaireRef = sch => (sch.extension || []).find(x => x.url === QUESTIONNAIRE_EXT)?.valueReference?.reference || null;
+
+const questionnaireOrganizationId = q =>
+  (q.identifier || []).find(i => i.system === MANAGING_ORGANIZATION_SYSTEM)?.value || null;
+
+// Appointment 的報名問卷回答 (supportingInformation 中的 QuestionnaireResponse)
+const appointmentResponseRef = appointment => (appointment.supportingInformation || [])
+  .map(s => s.reference).find(ref => ref?.startsWith('QuestionnaireResponse/')) || null;
+
+// 排程連結的問卷；未連結或已停用 (status 不是 active) 時為 null
+async function loadScheduleQuestionnaire(schedule) {
+  const ref = scheduleQuestionnaireRef(schedule);
+  const questionnaire = ref && await fhir.readRefOrNull(ref);
+  return questionnaire?.status === 'active' ? questionnaire : null;
+}
+
+/**
+ * 依排程的問卷驗證報名回答，回傳 { error } 或 { entry, responseRef }：
+ * entry 為要加入交易 Bundle 的 QuestionnaireResponse (沒有問卷或沿用原本的回答時為 null)，responseRef 為要放進 Appointment 的參照。
+ * 改約時若未帶 answers，沿用原預約中同一份問卷的回答。
+ */
+async function prepareQuestionnaireResponse(schedule, patientRef, answers, previousAppointment) {
+  const questionnaire = await loadScheduleQuestionnaire(schedule);
+  if (!questionnaire) return { entry: null, responseRef: null };
+  const questionnaireRef = `Questionnaire/${questionnaire.id}`;
+
+  const previousRef = answers === undefined && previousAppointment && appointmentResponseRef(previousAppointment);
+  if (previousRef) {
+    const previous = await fhir.readRefOrNull(previousRef);
+    if (previous?.questionnaire === questionnaireRef) return { entry: null, responseRef: previousRef };
+  }
+
+  const validated = validateAnswers(questionnaire, answers ?? {});
+  if (validated.error) return { error: validated.error };
+  const fullUrl = `urn:uuid:${crypto.randomUUID()}`;
+  return {
+    responseRef: fullUrl,
+    entry: {
+      fullUrl,
+      resource: {
+        resourceType: 'QuestionnaireResponse',
+        questionnaire: questionnaireRef,
+        status: 'completed',
+        subject: { reference: patientRef },
+        authored: new Date().toISOString(),
+        item: validated.items
+      },
+      request: { method: 'POST', url: 'QuestionnaireResponse' }
+    }
+  };
+}
+
+// 樂觀鎖：transaction 中的 PUT / DELETE 帶上讀取時的 meta.versionId (request.ifMatch)，
+// 資源在讀取後被其他人 (或其他 Node 實例、FHIR 上的直接修改) 更新過時，FHIR 伺服器會以 409 / 412 拒絕整筆交易
+function versionedRequest(resource, method = 'PUT') {
+  const request = { method, url: `${resource.resourceType}/${resource.id}` };
+  const ifMatch = ifMatchOf(resource);
+  if (ifMatch) request.ifMatch = ifMatch;
+  return request;
+}
+
+// 時段釋出時要放進 transaction Bundle 的 entry：
+// 若此排程有人候補，第一位直接遞補為 booked 並佔用此 Slot (Slot 維持 busy)；否則把 Slot 改回 free
+async function buildSlotReleaseEntries(slot, { excludePatientRef } = {}) {
+  const slotRef = `Slot/${slot.id}`;
+  const scheduleRef = slot.schedule?.reference;
+  const queue = scheduleRef
+    ? (await getWaitlist(scheduleRef)).filter(a => appointmentPatientRef(a) !== excludePatientRef)
+    : [];
+  const next = queue[0];
+  if (!next) {
+    return {
+      promotedAppointmentId: null,
+      entries: [{ resource: { ...slot, status: 'free' }, request: versionedRequest(slot) }]
+    };
+  }
+  console.log(`  → 候補遞補：Appointment/${next.id} 取得 ${slotRef}`);
+  return {
+    promotedAppointmentId: next.id,
+    entries: [
+      {
+        resource: { ...next, status: 'booked', slot: [{ reference: slotRef }], start: slot.start, end: slot.end },
+        request: versionedRequest(next)
+      },
+      { resource: { ...slot, status: 'busy' }, request: versionedRequest(slot) }
+    ]
+  };
+}
+
+// 由 Person.identifier 取出角色與 staff 所屬組織；所有使用者都具有 patient 角色，ADMIN_PERSON_IDS 中的使用者另具有 admin
+function rolesFromPerson(person) {
+  const roleIds = (person.identifier || []).filter(i => i.system === ROLE_SYSTEM);
+  const values = roleIds.map(i => i.value).concat(ADMIN_PERSON_IDS.includes(person.id) ? ['admin'] : []);
+  const roles = ['patient', ...new Set(values.filter(r => r !== 'patient' && ROLES.includes(r)))];
+  const orgs = [...new Set(roleIds
+    .filter(i => i.value === 'staff')
+    .map(i => i.assigner?.reference?.split('/')[1])
+    .filter(Boolean))];
+  return { roles, orgs };
+}
+
+// --- 登入工作階段 ---
+// 登入後有兩個 cookie：token 為短效 JWT (含角色與 session id)，refreshToken 為 "<session id>.<隨機字串>"，
+// 只有隨機字串的雜湊存在 session 中，每次 /api/refresh 都會換發新的 (rotation)。
+const COOKIE_OPTIONS = { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'lax' };
+const REFRESH_COOKIE_OPTIONS = { ...COOKIE_OPTIONS, path: '/api' };
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function issueAccessCookie(res, sessionId, personId, { roles, orgs }) {
+  const accessToken = jwt.sign({ id: personId, roles, orgs, sid: sessionId }, JWT_SECRET, { expiresIn: `${ACCESS_TOKEN_MINUTES}m` });
+  res.cookie('token', accessToken, { ...COOKIE_OPTIONS, maxAge: ACCESS_TOKEN_MINUTES * 60000 });
+}
+
+// 寫入新的 refresh cookie，回傳要存進 session 的雜湊
+function issueRefreshCookie(res, sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  res.cookie('refreshToken', `${sessionId}.${secret}`, { ...REFRESH_COOKIE_OPTIONS, maxAge: REFRESH_TOKEN_DAYS * 86400000 });
+  return hashToken(secret);
+}
+
+function parseRefreshCookie(req) {
+  const [sessionId, secret] = String(req.cookies.refreshToken || '').split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie('token', COOKIE_OPTIONS);
+  res.clearCookie('refreshToken', REFRESH_COOKIE_OPTIONS);
+}
+
+// 登入成功：建立 session 並簽發 access / refresh 兩個 cookie
+async function startSession(req, res, personId, { roles, orgs } = { roles: ['patient'], orgs: [] }) {
+  const sessionId = crypto.randomUUID();
+  const now = Date.now();
+  await sessionStore.create({
+    id: sessionId,
+    personId,
+    refreshHash: issueRefreshCookie(res, sessionId),
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: now + REFRESH_TOKEN_DAYS * 86400000,
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip
+  });
+  issueAccessCookie(res, sessionId, personId, { roles, orgs });
+  return sessionId;
+}
+
+// 註冊後權杖、重設密碼權杖只能使用一次：以 jti 記錄，重複使用時回傳 false
+function consumeSingleUseToken(payload) {
+  if (!payload.jti) return Promise.resolve(false);
+  const ttlMs = Math.max(payload.exp * 1000 - Date.now(), 0) + 60000;
+  return sessionStore.consumeOnce(`jti:${payload.jti}`, ttlMs);
+}
+
+// 驗證登入 cookie，通過後在 req.user 放入 { id, roles, orgs, sessionId }
+async function authenticate(req, res, next) {
+  const token = req.cookies.token;
+  if (!token) return res.status(401).json({ error: '未登入' });
+  let payload;
+  try { payload = jwt.verify(token, JWT_SECRET); }
+  catch { return res.status(401).json({ error: 'Token 驗證失敗' }); }
+  // 註冊後權杖、重設密碼權杖不可當作登入權杖使用
+  if (payload.purpose) return res.status(401).json({ error: '權杖用途不符' });
+  // 已登出或被撤銷 (例如改密碼) 的 session，尚未過期的權杖也立即失效
+  try {
+    if (!payload.sid || !isActive(await sessionStore.get(payload.sid))) {
+      return res.status(401).json({ error: '登入已失效，請重新登入' });
+    }
+  } catch (err) {
+    return sendError(res, err, 'authenticate');
+  }
+  req.user = { id: payload.id, roles: payload.roles || ['patient'], orgs: payload.orgs || [], sessionId: payload.sid };
+  next();
+}
+
+// 限定角色，例如 requireRole('admin', 'staff')；需接在 authenticate 之後
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.some(r => req.user.roles.includes(r))) {
+      return res.status(403).json({ error: '權限不足' });
+    }
+    next();
+  };
+}
+
+// admin 可管理所有組織，staff 只能管理自己所屬的組織
+function canManageOrganization(user, organizationId) {
+  return user.roles.includes('admin')
+    || (user.roles.includes('staff') && user.orgs.includes(organizationId));
+}
+
+// --- Email 驗證 ---
+const personEmail = person => (person.identifier || []).find(i => i.system === EMAIL_SYSTEM)?.value;
+
+function isEmailVerified(person) {
+  const email = personEmail(person);
+  return Boolean(email) && (person.identifier || []).some(i => i.system === EMAIL_VERIFIED_SYSTEM && i.value === email);
+}
+
+function setEmailVerified(person, verified) {
+  person.identifier = (person.identifier || []).filter(i => i.system !== EMAIL_VERIFIED_SYSTEM);
+  if (verified) person.identifier.push({ system: EMAIL_VERIFIED_SYSTEM, value: personEmail(person) });
+}
+
+// 寄出驗證連結；權杖綁定當時的 Email，改過 Email 後舊連結即失效
+async function sendVerificationEmail(person) {
+  const email = personEmail(person);
+  const token = jwt.sign({ id: person.id, email, purpose: 'email-verify' }, JWT_SECRET, { expiresIn: `${EMAIL_VERIFY_HOURS}h` });
+  await sendNotification('verifyEmail', {
+    to: email,
+    locale: person.language,
+    data: {
+      name: person.name?.[0]?.text || '',
+      hours: EMAIL_VERIFY_HOURS,
+      verifyLink: `${APP_BASE_URL}/api/verify-email?token=${token}`
+    }
+  });
+}
+
+// 尚未驗證 Email 的使用者不可預約或加入組織；需接在 authenticate 之後
+async function requireVerifiedEmail(req, res, next) {
+  if (!REQUIRE_EMAIL_VERIFICATION) return next();
+  try {
+    const person = await fhir.readOrNull('Person', req.user.id);
+    if (!person) return res.status(404).json({ error: '找不到對應的使用者' });
+    if (!isEmailVerified(person)) {
+      return res.status(403).json({ error: '請先完成 Email 驗證 (可透過 /api/resend-verification 重新寄送驗證信)', code: 'EMAIL_NOT_VERIFIED' });
+    }
+    next();
+  } catch (err) {
+    sendError(res, err, 'requireVerifiedEmail');
+  }
+}
+
+// --- 預約通知與提醒 ---
+
+// 由 Patient 找出收件人：Email、姓名與偏好語系 (Person.language)；
+// 家屬的 Patient 寄給代為管理的使用者，attendee 為家屬姓名
+async function resolveRecipient(patientRef) {
+  const patient = await fhir.readRef(patientRef);
+  let personId = (patient.identifier || []).find(i => i.system === PERSON_SYSTEM)?.value;
+  const dependentId = (patient.identifier || []).find(i => i.system === DEPENDENT_SYSTEM)?.value;
+  if (!personId && dependentId) {
+    const [link] = await fhir.searchAll('RelatedPerson', { patient: `Patient/${dependentId}` });
+    personId = (link?.identifier || []).find(i => i.system === PERSON_SYSTEM)?.value;
+  }
+  const person = personId ? await fhir.readOrNull('Person', personId) : null;
+  return {
+    email: person?.telecom?.find(t => t.system === 'email')?.value
+      || (patient.identifier || []).find(i => i.system === EMAIL_SYSTEM)?.value,
+    name: person?.name?.[0]?.text || '',
+    locale: person?.language,
+    attendee: dependentId ? patient.name?.[0]?.text || '' : null
+  };
+}
+
+// 寄出預約事件通知 (booked、rebooked、cancelled、waitlistPromoted、reminder)；新的預約同時排定活動前提醒
+async function notifyAppointmentEvent(type, appointmentId) {
+  const appointment = await fhir.read('Appointment', appointmentId);
+  const patientRef = appointmentPatientRef(appointment);
+  if (!patientRef) return;
+
+  const recipient = await resolveRecipient(patientRef);
+  if (!recipient.email) {
+    console.log(`  [notify] ${patientRef} 沒有 Email，略過 ${type} 通知`);
+    return;
+  }
+  let activity = '';
+  const scheduleRef = appointment.supportingInformation?.[0]?.reference;
+  if (scheduleRef) {
+    activity = (await fhir.readRefOrNull(scheduleRef))?.comment || '';
+  }
+  if (recipient.attendee) activity = `${activity} (${recipient.attendee})`;
+
+  await sendNotification(type, {
+    to: recipient.email,
+    locale: recipient.locale,
+    data: { name: recipient.name, activity, start: appointment.start, end: appointment.end }
+  });
+
+  if (['booked', 'rebooked', 'waitlistPromoted'].includes(type)) {
+    await scheduleReminder(appointment, patientRef);
+  }
+}
+
+// 背景寄送通知，失敗只記錄不影響 API 回應
+function notifyInBackground(type, appointmentId) {
+  notifyAppointmentEvent(type, appointmentId)
+    .catch(err => console.error(`  [notify] ${type} 通知寄送失敗 (Appointment/${appointmentId}):`, err.message));
+}
+
+// --- 對外 Webhook ---
+const webhookEventsOf = endpoint => (endpoint.payloadType || [])
+  .flatMap(pt => pt.coding || [])
+  .filter(c => c.system === WEBHOOK_EVENT_SYSTEM)
+  .map(c => c.code);
+
+const webhookSecretOf = endpoint => (endpoint.identifier || []).find(i => i.system === WEBHOOK_SECRET_SYSTEM)?.value;
+
+// 組織中啟用且訂閱此事件的 Webhook (供 webhooks.js 投遞時查詢)
+async function findWebhookEndpoints(organizationId, event) {
+  const endpoints = await fhir.searchAll('Endpoint', { organization: `Organization/${organizationId}`, status: 'active' });
+  return endpoints
+    .filter(e => e.connectionType?.system === WEBHOOK_CONNECTION_TYPE.system && e.connectionType?.code === WEBHOOK_CONNECTION_TYPE.code)
+    .filter(e => webhookEventsOf(e).includes(event) && webhookSecretOf(e))
+    .map(e => ({ id: e.id, url: e.address, secret: webhookSecretOf(e) }));
+}
+
+// 送出預約事件；同一個 Appointment 版本只送一次，
+// 避免本程式的異動又經由 FHIR Subscription 通知 (見 /api/fhir-subscription) 重複送出
+async function publishAppointmentEvent(event, appointmentId, extra = {}) {
+  const appointment = await fhir.read('Appointment', appointmentId);
+  const versionKey = `webhook:Appointment/${appointment.id}/${appointment.meta?.versionId || appointment.meta?.lastUpdated}`;
+  if (!(await sessionStore.consumeOnce(versionKey, 86400000))) return;
+  const organizationId = await resolveAppointmentOrganizationId(appointment);
+  if (!organizationId) return;
+
+  const ids = await webhooks.enqueue(organizationId, event, {
+    appointmentId: appointment.id,
+    status: appointment.status,
+    scheduleId: appointment.supportingInformation?.[0]?.reference?.split('/')[1] || null,
+    slotId: appointment.slot?.[0]?.reference?.split('/')[1] || null,
+    patientId: appointmentPatientRef(appointment)?.split('/')[1] || null,
+    start: appointment.start,
+    end: appointment.end,
+    ...readAppointmentChoices(appointment),
+    ...extra
+  });
+  if (ids.length) webhooks.processDue();
+}
+
+// 背景送出 Webhook，失敗只記錄不影響 API 回應
+function publishInBackground(event, appointmentId, extra) {
+  publishAppointmentEvent(event, appointmentId, extra)
+    .catch(err => console.error(`  [webhook] ${event} 事件建立失敗 (Appointment/${appointmentId}):`, err.message));
+}
+
+// 建立活動前提醒 (CommunicationRequest)；提醒時間已過則不建立
+async function scheduleReminder(appointment, patientRef) {
+  if (!appointment.start || REMINDER_HOURS_BEFORE <= 0) return;
+  const remindAt = new Date(new Date(appointment.start).getTime() - REMINDER_HOURS_BEFORE * 3600000);
+  if (remindAt.getTime() <= Date.now()) return;
+  const reminder = {
+    resourceType: 'CommunicationRequest',
+    status: 'active',
+    category: [{ coding: [{ system: NOTIFICATION_CATEGORY_SYSTEM, code: 'appointment-reminder' }] }],
+    about: [{ reference: `Appointment/${appointment.id}` }],
+    recipient: [{ reference: patientRef }],
+    occurrenceDateTime: remindAt.toISOString()
+  };
+  await fhir.create(reminder);
+  console.log(`  [notify] 已排定 Appointment/${appointment.id} 的提醒於 ${reminder.occurrenceDateTime}`);
+}
+
+// 找出到期的提醒並寄出；預約已取消或已被取代時改為 revoked 不寄
+let reminderRunning = false;
+async function processDueReminders() {
+  if (reminderRunning) return;
+  reminderRunning = true;
+  try {
+    const dueReminders = await fhir.searchAll('CommunicationRequest', {
+      status: 'active',
+      category: `${NOTIFICATION_CATEGORY_SYSTEM}|appointment-reminder`,
+      occurrence: `le${new Date().toISOString()}`
+    }, { noCache: true });
+
+    for (const reminder of dueReminders) {
+      const apptRef = reminder.about?.[0]?.reference;
+      let status = 'revoked';
+      try {
+        const appointment = apptRef ? await fhir.readRefOrNull(apptRef) : null;
+        if (appointment?.status === 'booked') {
+          await notifyAppointmentEvent('reminder', appointment.id);
+          status = 'completed';
+        }
+      } catch (err) {
+        // 寄送失敗保持 active，下一輪再試
+        console.error(`  [notify] 提醒寄送失敗 (CommunicationRequest/${reminder.id}):`, err.message);
+        continue;
+      }
+      await fhir.update({ ...reminder, status });
+    }
+  } catch (err) {
+    console.error('  [notify] 處理提醒時發生錯誤:', err.message);
+  } finally {
+    reminderRunning = false;
+  }
+}
+
+// --- 出席：活動結束 noShowGraceMinutes 分鐘後仍為 booked 的預約改為 noshow ---
+
+// 把已結束且未報到的預約標為 noshow，回傳標記的 Appointment ID；版本衝突 (剛好被報到) 的略過。
+// appointments 須以 noCache 查詢，If-Match 才會是最新版本。
+// automatic 為背景自動標記：只處理開啟 autoNoShow 的組織，且寬限時間過後不超過 autoNoShowLookbackHours 小時的預約
+async function markNoShows(appointments, { automatic = false } = {}) {
+  const marked = [];
+  for (const appt of appointments) {
+    const organizationId = await resolveAppointmentOrganizationId(appt);
+    const { noShowGraceMinutes, autoNoShow, autoNoShowLookbackHours } = organizationSettings(organizationId).attendance;
+    const overdueAt = new Date(appt.end || appt.start).getTime() + noShowGraceMinutes * 60000;
+    if (appt.status !== 'booked' || !(overdueAt <= Date.now())) continue;
+    if (automatic && !(autoNoShow && Date.now() - overdueAt <= autoNoShowLookbackHours * 3600000)) continue;
+    try {
+      await fhir.update({ ...appt, status: 'noshow' }, { ifMatch: ifMatchOf(appt) });
+    } catch (err) {
+      if (isVersionConflict(err)) continue;
+      throw err;
+    }
+    marked.push(appt.id);
+    recordAudit('noshow', { patientRef: appointmentPatientRef(appt), organizationId, entities: [`Appointment/${appt.id}`] });
+  }
+  return marked;
+}
+
+// 開啟 autoNoShow 的組織 (含 default 設定) 中最長的回溯小時數；都未開啟時為 null
+function autoNoShowLookbackHours() {
+  const hours = [null, ...Object.keys(organizationConfig.organizations || {})]
+    .map(id => organizationSettings(id).attendance)
+    .filter(rules => rules.autoNoShow)
+    .map(rules => rules.noShowGraceMinutes / 60 + rules.autoNoShowLookbackHours);
+  return hours.length ? Math.max(...hours) : null;
+}
+
+let noShowRunning = false;
+async function processNoShows() {
+  const lookbackHours = autoNoShowLookbackHours();
+  if (noShowRunning || lookbackHours == null) return;
+  noShowRunning = true;
+  try {
+    // date 比對的是開始時間；多取一天讓跨時較長的活動也能找到，是否在回溯範圍內由 markNoShows 依結束時間判斷
+    const since = new Date(Date.now() - (lookbackHours + 24) * 3600000).toISOString();
+    const ended = await fhir.searchAll('Appointment', {
+      status: 'booked', date: [`ge${since}`, `le${new Date().toISOString()}`]
+    }, { noCache: true });
+    const marked = await markNoShows(ended, { automatic: true });
+    if (marked.length) console.log(`  [attendance] 已將 ${marked.length} 筆未報到的預約標為 noshow`);
+  } catch (err) {
+    console.error('  [attendance] 處理未出席時發生錯誤:', err.message);
+  } finally {
+    noShowRunning = false;
+  }
+}
+
+
+// --- 稽核紀錄 (AuditEvent / Provenance) ---
+
+const AUDIT_TYPE_REST = { system: 'http://terminology.hl7.org/CodeSystem/audit-event-type', code: 'rest', display: 'RESTful Operation' };
+const AUDIT_TYPE_AUTH = { system: 'http://dicom.nema.org/resources/ontology/DCM', code: '110114', display: 'User Authentication' };
+
+// 動作代碼 → AuditEvent.type、AuditEvent.action (C/R/U/D/E) 與說明
+const AUDIT_ACTIONS = {
+  'register':               { type: AUDIT_TYPE_REST, action: 'C', display: '註冊帳號' },
+  'login':                  { type: AUDIT_TYPE_AUTH, action: 'E', display: '登入' },
+  'password-reset-request': { type: AUDIT_TYPE_AUTH, action: 'E', display: '請求重設密碼' },
+  'password-reset':         { type: AUDIT_TYPE_AUTH, action: 'U', display: '重設密碼' },
+  'logout':                 { type: AUDIT_TYPE_AUTH, action: 'E', display: '登出' },
+  'session-revoke':         { type: AUDIT_TYPE_AUTH, action: 'D', display: '撤銷登入工作階段' },
+  'account-lock':           { type: AUDIT_TYPE_AUTH, action: 'E', display: '帳號暫時鎖定' },
+  'account-unlock':         { type: AUDIT_TYPE_AUTH, action: 'E', display: '帳號解鎖' },
+  'email-verify':           { type: AUDIT_TYPE_REST, action: 'U', display: 'Email 驗證' },
+  'profile-update':         { type: AUDIT_TYPE_REST, action: 'U', display: '更新個人資料' },
+  'password-change':        { type: AUDIT_TYPE_AUTH, action: 'U', display: '變更密碼' },
+  'email-change':           { type: AUDIT_TYPE_AUTH, action: 'U', display: '變更 Email' },
+  'patient-create':         { type: AUDIT_TYPE_REST, action: 'C', display: '建立 Patient' },
+  'dependent-create':       { type: AUDIT_TYPE_REST, action: 'C', display: '新增家屬' },
+  'dependent-update':       { type: AUDIT_TYPE_REST, action: 'U', display: '更新家屬資料' },
+  'book':                   { type: AUDIT_TYPE_REST, action: 'C', display: '預約' },
+  'rebook':                 { type: AUDIT_TYPE_REST, action: 'U', display: '改約' },
+  'cancel':                 { type: AUDIT_TYPE_REST, action: 'U', display: '取消預約' },
+  'role-change':            { type: AUDIT_TYPE_REST, action: 'U', display: '變更使用者角色' },
+  'check-in':               { type: AUDIT_TYPE_REST, action: 'U', display: '報到' },
+  'noshow':                 { type: AUDIT_TYPE_REST, action: 'U', display: '未出席' },
+  'roster-export':          { type: AUDIT_TYPE_REST, action: 'R', display: '匯出報名名單' },
+  'webhook-create':         { type: AUDIT_TYPE_REST, action: 'C', display: '新增 Webhook' },
+  'webhook-update':         { type: AUDIT_TYPE_REST, action: 'U', display: '修改 Webhook' },
+  'webhook-delete':         { type: AUDIT_TYPE_REST, action: 'D', display: '刪除 Webhook' }
+};
+
+/**
+ * 寫入一筆 AuditEvent (背景執行，失敗只記錄 log，不影響原本的請求)
+ * @param {string} action AUDIT_ACTIONS 的代碼
+ * @param {object} options
+ * @param {object} options.req 用來記錄來源 IP
+ * @param {string} [options.personId] 執行者的 Person ID (AuditEvent.agent.altId)
+ * @param {string} [options.patientRef] 執行者在該組織的 Patient (AuditEvent.agent.who)
+ * @param {string} [options.email] 無法辨識 Person 時 (例如登入失敗) 記錄嘗試的 Email
+ * @param {string} [options.organizationId]
+ * @param {string[]} [options.entities] 受影響資源的 reference
+ * @param {boolean} [options.success=true]
+ * @param {string} [options.detail] 失敗原因等說明 (AuditEvent.outcomeDesc)
+ */
+function recordAudit(action, { req, personId, patientRef, email, organizationId, entities = [], success = true, detail } = {}) {
+  const def = AUDIT_ACTIONS[action];
+  const event = {
+    resourceType: 'AuditEvent',
+    type: def.type,
+    subtype: [{ system: AUDIT_ACTION_SYSTEM, code: action, display: def.display }],
+    action: def.action,
+    recorded: new Date().toISOString(),
+    outcome: success ? '0' : '4',
+    outcomeDesc: detail,
+    agent: [{
+      who: patientRef ? { reference: patientRef } : undefined,
+      altId: personId,
+      name: email,
+      requestor: true,
+      network: req?.ip ? { address: req.ip, type: '2' } : undefined
+    }],
+    source: { observer: { display: AUDIT_SOURCE_NAME } },
+    entity: [
+      ...entities.filter(Boolean).map(reference => ({ what: { reference } })),
+      ...(organizationId ? [{ what: { reference: `Organization/${organizationId}` } }] : [])
+    ]
+  };
+  fhir.create(event)
+    .catch(err => console.error(`  [audit] ${action} 紀錄寫入失敗:`, err.message));
+}
+
+// 交易 Bundle 中對 Appointment / Slot 的異動加上一筆 Provenance，與異動本身同時成功或失敗。
+// 新建立的資源需帶 fullUrl (urn:uuid)，由 FHIR 伺服器在交易中換成實際 id。
+function addProvenanceEntry(bundle, { patientRef, personId, activity, reason }) {
+  const target = bundle.entry
+    .filter(e => /^(Appointment|Slot)(\/|$)/.test(e.request.url))
+    .map(e => ({ reference: e.request.method === 'POST' ? e.fullUrl : e.request.url }))
+    .filter(t => t.reference);
+  if (!target.length) return;
+  bundle.entry.push({
+    resource: {
+      resourceType: 'Provenance',
+      target,
+      recorded: new Date().toISOString(),
+      activity: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-DataOperation', code: activity }] },
+      reason: reason ? [{ text: reason }] : undefined,
+      agent: [{
+        type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type', code: 'author' }] },
+        who: { reference: patientRef, identifier: { system: PERSON_SYSTEM, value: personId } }
+      }]
+    },
+    request: { method: 'POST', url: 'Provenance' }
+  });
+}
 
 // ── 1) Person 註冊 /api/register ────────────────────────────────
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', rateLimiter.limit('register', { account: emailAccount }), async (req, res) => {
   console.log('** 執行 [api/register] **');
   const { name, email, password } = req.body;
   if (!name || !email || !password) {
@@ -63,10 +1062,8 @@ app.post('/api/register', async (req, res) => {
 
   try {
     // 步驟 1: 檢查 email 是否已存在
-    const checkUrl = `${FHIR_BASE}/Person?identifier=${encodeURIComponent(EMAIL_SYSTEM)}|${encodeURIComponent(email)}`;
-    const checkRes = await fetch(checkUrl);
-    const checkData = await checkRes.json();
-    if (checkData.total > 0) {
+    const checkData = await fhir.search('Person', { identifier: `${EMAIL_SYSTEM}|${email}` });
+    if (checkData.entry?.length > 0) {
       return res.status(409).json({ error: '此 Email 已被註冊' });
     }
 
@@ -82,42 +1079,56 @@ app.post('/api/register', async (req, res) => {
       telecom: [{ system: 'email', value: email, use: 'home' }]
     };
 
-    const createRes = await fetch(`${FHIR_BASE}/Person`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/fhir+json' },
-      body: JSON.stringify(person)
-    });
-
-    if (!createRes.ok) {
-      const errorText = await createRes.text();
-      throw new Error(`FHIR Server 錯誤: ${createRes.status} ${errorText}`);
-    }
-    const newPerson = await createRes.json();
+    const newPerson = await fhir.create(person);
+    recordAudit('register', { req, personId: newPerson.id, entities: [`Person/${newPerson.id}`] });
+    sendVerificationEmail(newPerson)
+      .catch(err => console.error('  [notify] 驗證信寄送失敗:', err.message));
 
     // 步驟 3: 產生一個短效、一次性的 "註冊後權杖" (Post-Registration Token)
     // 這是為了處理 FHIR 伺服器搜尋索引可能存在的延遲問題
     const postRegistrationToken = jwt.sign(
       { id: newPerson.id, purpose: 'post-registration' },
       JWT_SECRET,
-      { expiresIn: '5m' } // 5 分鐘內有效
+      { expiresIn: '5m', jwtid: crypto.randomUUID() } // 5 分鐘內有效，且只能使用一次
     );
     console.log('  → 產生註冊後權杖，用於即時登入');
 
     // 步驟 4: 回傳成功訊息和權杖給前端
     res.status(201).json({
-      message: '註冊成功',
+      message: '註冊成功，請至信箱完成 Email 驗證',
       personId: newPerson.id,
+      emailVerified: false,
       postRegistrationToken: postRegistrationToken
     });
 
   } catch (err) {
-    console.error('  [api/register] 發生錯誤:', err);
-    res.status(500).json({ error: '註冊過程中發生內部錯誤', detail: err.message });
+    sendError(res, err, 'api/register', '註冊過程中發生內部錯誤');
   }
 });
 
 // ── 2) Person 登入 /api/login (修正版) ───────────────────────────
-app.post('/api/login', async (req, res) => {
+// 登入失敗：累計次數，達門檻時鎖定帳號，並寄出一次性的解鎖連結給帳號本人
+async function registerLoginFailure(req, email, person) {
+  const { lockedNow, lockMs } = await loginLockout.recordFailure(email);
+  if (!lockedNow) return;
+  const minutes = Math.ceil(lockMs / 60000);
+  console.warn(`  → ${email} 登入失敗次數過多，鎖定 ${minutes} 分鐘`);
+  recordAudit('account-lock', { req, personId: person?.id, email, detail: `鎖定 ${minutes} 分鐘` });
+  if (!person) return;
+
+  const unlockToken = jwt.sign({ id: person.id, email, purpose: 'unlock' }, JWT_SECRET, { expiresIn: '1h', jwtid: crypto.randomUUID() });
+  sendNotification('accountLocked', {
+    to: email,
+    locale: person.language,
+    data: {
+      name: person.name?.[0]?.text || '',
+      minutes,
+      unlockLink: `${APP_BASE_URL}/api/unlock?token=${unlockToken}`
+    }
+  }).catch(err => console.error('  [notify] 解鎖通知寄送失敗:', err.message));
+}
+
+app.post('/api/login', rateLimiter.limit('login', { account: emailAccount }), async (req, res) => {
   console.log('** 執行 [api/login] **');
   const { email, password, postRegistrationToken } = req.body;
 
@@ -125,21 +1136,24 @@ app.post('/api/login', async (req, res) => {
     // 【路徑 A: 使用註冊後權杖登入】
     if (postRegistrationToken) {
       console.log('  → 偵測到 postRegistrationToken，執行即時登入');
+      let payload;
       try {
-        const payload = jwt.verify(postRegistrationToken, JWT_SECRET);
-        // 驗證權杖用途是否正確，防止誤用
-        if (payload.purpose !== 'post-registration') {
-          return res.status(401).json({ error: '權杖用途不符' });
-        }
-        
-        // 驗證通過，直接簽發正式的登入權杖，無需再驗證密碼
-        const loginToken = jwt.sign({ id: payload.id }, JWT_SECRET, { expiresIn: '1h' });
-        res.cookie('token', loginToken, { httpOnly: true, secure: process.env.NODE_ENV === 'production', maxAge: 3600000 });
-        return res.json({ message: '註冊後自動登入成功' });
-
+        payload = jwt.verify(postRegistrationToken, JWT_SECRET);
       } catch (jwtError) {
         return res.status(401).json({ error: '註冊後權杖無效或已過期', detail: jwtError.message });
       }
+      // 驗證權杖用途是否正確，防止誤用
+      if (payload.purpose !== 'post-registration') {
+        return res.status(401).json({ error: '權杖用途不符' });
+      }
+      if (!(await consumeSingleUseToken(payload))) {
+        return res.status(401).json({ error: '註冊後權杖已使用過' });
+      }
+
+      // 驗證通過，直接建立登入 session，無需再驗證密碼 (新註冊的使用者只有 patient 角色)
+      await startSession(req, res, payload.id);
+      recordAudit('login', { req, personId: payload.id, detail: '註冊後自動登入' });
+      return res.json({ message: '註冊後自動登入成功' });
     }
 
     // 【路徑 B: 使用 Email 和密碼傳統登入】
@@ -148,12 +1162,18 @@ app.post('/api/login', async (req, res) => {
     }
     console.log('  → 執行傳統 Email/Password 登入');
 
-    const searchUrl = `${FHIR_BASE}/Person?identifier=${encodeURIComponent(EMAIL_SYSTEM)}|${encodeURIComponent(email)}`;
-    console.log(searchUrl);
-    const searchRes = await fetch(searchUrl);
-    const searchData = await searchRes.json();
+    // 連續登入失敗而被鎖定的帳號，鎖定期間一律拒絕 (不論密碼是否正確)
+    const lock = await loginLockout.check(email);
+    if (lock.locked) {
+      recordAudit('login', { req, email, success: false, detail: '帳號暫時鎖定' });
+      return sendTooManyRequests(res, lock.expiresAt, '登入失敗次數過多，帳號暫時鎖定，請稍後再試或使用 Email 中的解鎖連結');
+    }
+
+    const searchData = await fhir.search('Person', { identifier: `${EMAIL_SYSTEM}|${email}` });
 
-    if (searchData.total === 0) {
+    if (!searchData.entry?.length) {
+      recordAudit('login', { req, email, success: false, detail: '找不到帳號' });
+      await registerLoginFailure(req, email, null);
       return res.status(401).json({ error: 'Email 或密碼錯誤' });
     }
 
@@ -165,57 +1185,225 @@ app.post('/api/login', async (req, res) => {
 
     const isPasswordCorrect = await bcrypt.compare(password, hashEntry.value);
     if (!isPasswordCorrect) {
+      recordAudit('login', { req, personId: person.id, email, success: false, detail: '密碼錯誤' });
+      await registerLoginFailure(req, email, person);
       return res.status(401).json({ error: 'Email 或密碼錯誤' });
     }
 
-    // 密碼正確，簽發正式登入權杖
-    const loginToken = jwt.sign({ id: person.id }, JWT_SECRET, { expiresIn: '1h' });
-    res.cookie('token', loginToken, { httpOnly: true, secure: process.env.NODE_ENV === 'production', maxAge: 3600000 });
-    res.json({ message: '登入成功' });
+    // 密碼正確，清除失敗紀錄並簽發正式登入權杖 (含角色)
+    await loginLockout.reset(email);
+    const { roles, orgs } = rolesFromPerson(person);
+    await startSession(req, res, person.id, { roles, orgs });
+    recordAudit('login', { req, personId: person.id });
+    res.json({ message: '登入成功', roles, emailVerified: isEmailVerified(person) });
 
   } catch (err) {
-    console.error('  [api/login] 發生錯誤:', err);
-    res.status(500).json({ error: '登入過程中發生內部錯誤', detail: err.message });
+    sendError(res, err, 'api/login', '登入過程中發生內部錯誤');
   }
 });
 
 
-// ── 3) 請求重設密碼 /api/request-reset ──────────────────────────
-// (已移除重複的 /api/forgot 路由)
-app.post('/api/request-reset', async (req, res) => {
-  console.log('** 執行 [api/request-reset] **');
-  const { email } = req.body;
-  if (!email) {
-    return res.status(400).json({ error: '請輸入 Email' });
+// ── 2-0) 以 Email 中的解鎖連結解除登入鎖定 /api/unlock ─────────────────
+// 連結由 registerLoginFailure 寄出，權杖只能使用一次；完成後導回登入頁
+app.get('/api/unlock', rateLimiter.limit('unlock'), async (req, res) => {
+  console.log('** 執行 [api/unlock] **');
+  let payload;
+  try {
+    payload = jwt.verify(String(req.query.token || ''), JWT_SECRET);
+  } catch {
+    return res.redirect('/login.html?unlock=invalid');
   }
   try {
-    // 1. 根據 Email 找出對應的 Person
-    const searchUrl = `${FHIR_BASE}/Person?identifier=${encodeURIComponent(EMAIL_SYSTEM)}|${encodeURIComponent(email)}`;
-    const searchRes = await fetch(searchUrl);
-    const searchData = await searchRes.json();
-
-    // 即使找不到使用者，也回傳成功訊息，避免攻擊者用來探測哪些 Email 已被註冊
-    if (searchData.total === 0) {
-      console.log(`  → 找不到 Email: ${email}，但仍回傳成功訊息以策安全`);
-      return res.json({ message: '若此 Email 已註冊，您將會收到一封重設密碼的郵件' });
+    if (payload.purpose !== 'unlock' || !(await consumeSingleUseToken(payload))) {
+      return res.redirect('/login.html?unlock=invalid');
     }
-
-    // 2. 產生有時效性的重設密碼 Token
-    const personId = searchData.entry[0].resource.id;
-    const resetToken = jwt.sign({ id: personId, purpose: 'password-reset' }, JWT_SECRET, { expiresIn: '15m' });
-    const resetLink = `https://myfhirbaser5.ddns.net/reset.html?token=${resetToken}`;
-
-    // 3. 寄出重設連結
-    await sendResetEmail(email, resetLink);
-    console.log(`  → 已為 ${email} 產生重設連結並模擬寄出`);
-    res.json({ message: '若此 Email 已註冊，您將會收到一封重設密碼的郵件' });
+    await loginLockout.reset(payload.email);
+    recordAudit('account-unlock', { req, personId: payload.id, email: payload.email });
+    res.redirect('/login.html?unlock=ok');
   } catch (err) {
-    console.error('  [api/request-reset] 發生錯誤:', err);
-    res.status(500).json({ error: '請求重設密碼失敗', detail: err.message });
+    sendError(res, err, 'api/unlock');
   }
 });
 
-// ── 4) 執行密碼重設 /api/reset-password ─────────────────────────
+// ── 2-1) Email 驗證 /api/verify-email、/api/resend-verification ──────────────
+// 驗證連結可重複點選 (郵件掃描程式可能先開過)，只要 Email 未變更就會成功；完成後導回登入頁
+app.get('/api/verify-email', async (req, res) => {
+  console.log('** 執行 [api/verify-email] **');
+  let payload;
+  try {
+    payload = jwt.verify(String(req.query.token || ''), JWT_SECRET);
+  } catch {
+    return res.redirect('/login.html?verified=invalid');
+  }
+  if (payload.purpose !== 'email-verify') return res.redirect('/login.html?verified=invalid');
+  try {
+    const person = await fhir.readOrNull('Person', payload.id, { noCache: true });
+    if (!person || personEmail(person) !== payload.email) return res.redirect('/login.html?verified=invalid');
+    if (!isEmailVerified(person)) {
+      setEmailVerified(person, true);
+      await fhir.update(person, { ifMatch: ifMatchOf(person) });
+      recordAudit('email-verify', { req, personId: person.id, entities: [`Person/${person.id}`] });
+      console.log(`  → Person/${person.id} 已完成 Email 驗證`);
+    }
+    res.redirect('/login.html?verified=ok');
+  } catch (err) {
+    // 帳號資料剛被其他操作更新；連結仍然有效，請使用者再點一次
+    if (isVersionConflict(err)) return res.redirect('/login.html?verified=retry');
+    sendError(res, err, 'api/verify-email');
+  }
+});
+
+app.post('/api/resend-verification', authenticate, rateLimiter.limit('resendVerification', { account: req => req.user.id }), async (req, res) => {
+  console.log('** 執行 [api/resend-verification] **');
+  try {
+    const person = await fhir.readOrNull('Person', req.user.id);
+    if (!person) return res.status(404).json({ error: '找不到對應的使用者' });
+    if (isEmailVerified(person)) return res.status(409).json({ error: 'Email 已完成驗證' });
+    await sendVerificationEmail(person);
+    res.json({ message: '驗證信已重新寄出' });
+  } catch (err) {
+    sendError(res, err, 'api/resend-verification');
+  }
+});
+
+// ── 2-2) 登入工作階段：換發、登出、列出與撤銷 ─────────────────────────
+// 以 refresh cookie 換發新的登入權杖與 refresh token；舊的 refresh token 被再次使用時視為外洩，撤銷整個 session
+app.post('/api/refresh', async (req, res) => {
+  console.log('** 執行 [api/refresh] **');
+  const parsed = parseRefreshCookie(req);
+  if (!parsed) return res.status(401).json({ error: '未登入' });
+  try {
+    const session = await sessionStore.get(parsed.sessionId);
+    if (!isActive(session)) {
+      clearSessionCookies(res);
+      return res.status(401).json({ error: '登入已失效，請重新登入' });
+    }
+    if (hashToken(parsed.secret) !== session.refreshHash) {
+      await sessionStore.revoke(session.id);
+      recordAudit('session-revoke', { req, personId: session.personId, success: false, detail: 'refresh token 重複使用' });
+      clearSessionCookies(res);
+      return res.status(401).json({ error: '登入已失效，請重新登入' });
+    }
+
+    // 重新讀取 Person，角色異動在下次換發時生效
+    const person = await fhir.readOrNull('Person', session.personId);
+    if (!person) {
+      await sessionStore.revoke(session.id);
+      clearSessionCookies(res);
+      return res.status(401).json({ error: '找不到對應的使用者' });
+    }
+    const { roles, orgs } = rolesFromPerson(person);
+    await sessionStore.update(session.id, { refreshHash: issueRefreshCookie(res, session.id), lastUsedAt: Date.now() });
+    issueAccessCookie(res, session.id, person.id, { roles, orgs });
+    res.json({ message: '已更新登入狀態', roles });
+  } catch (err) {
+    sendError(res, err, 'api/refresh');
+  }
+});
+
+// 登出：撤銷目前的 session 並清除 cookie。登入權杖過期後也能登出，所以不經過 authenticate
+app.post('/api/logout', async (req, res) => {
+  console.log('** 執行 [api/logout] **');
+  try {
+    let session = null;
+    const parsed = parseRefreshCookie(req);
+    if (parsed) {
+      const candidate = await sessionStore.get(parsed.sessionId);
+      if (candidate && hashToken(parsed.secret) === candidate.refreshHash) session = candidate;
+    }
+    if (!session && req.cookies.token) {
+      try {
+        const { sid } = jwt.verify(req.cookies.token, JWT_SECRET, { ignoreExpiration: true });
+        if (sid) session = await sessionStore.get(sid);
+      } catch { /* 權杖無效時只清除 cookie */ }
+    }
+    if (session) {
+      await sessionStore.revoke(session.id);
+      recordAudit('logout', { req, personId: session.personId });
+    }
+    clearSessionCookies(res);
+    res.json({ message: '已登出' });
+  } catch (err) {
+    sendError(res, err, 'api/logout');
+  }
+});
+
+app.get('/api/sessions', authenticate, async (req, res) => {
+  console.log('** [api/sessions] **');
+  try {
+    const sessions = (await sessionStore.listByPerson(req.user.id))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map(s => ({
+        id: s.id,
+        createdAt: new Date(s.createdAt).toISOString(),
+        lastUsedAt: new Date(s.lastUsedAt).toISOString(),
+        expiresAt: new Date(s.expiresAt).toISOString(),
+        userAgent: s.userAgent,
+        ip: s.ip,
+        current: s.id === req.user.sessionId
+      }));
+    res.json({ sessions });
+  } catch (err) {
+    sendError(res, err, 'api/sessions');
+  }
+});
+
+app.delete('/api/sessions/:id', authenticate, async (req, res) => {
+  console.log('** [api/sessions DELETE] id:', req.params.id);
+  try {
+    const session = await sessionStore.get(req.params.id);
+    if (!session || session.personId !== req.user.id) {
+      return res.status(404).json({ error: '找不到此登入 session' });
+    }
+    await sessionStore.revoke(session.id);
+    recordAudit('session-revoke', { req, personId: req.user.id });
+    if (session.id === req.user.sessionId) clearSessionCookies(res);
+    res.json({ message: '已撤銷此登入 session', sessionId: session.id });
+  } catch (err) {
+    sendError(res, err, 'api/sessions DELETE');
+  }
+});
+
+// ── 3) 請求重設密碼 /api/request-reset ──────────────────────────
+// (已移除重複的 /api/forgot 路由)
+app.post('/api/request-reset', rateLimiter.limit('requestReset', { account: emailAccount }), async (req, res) => {
+  console.log('** 執行 [api/request-reset] **');
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ error: '請輸入 Email' });
+  }
+  try {
+    // 1. 根據 Email 找出對應的 Person
+    const searchData = await fhir.search('Person', { identifier: `${EMAIL_SYSTEM}|${email}` });
+
+    // 即使找不到使用者，也回傳成功訊息，避免攻擊者用來探測哪些 Email 已被註冊
+    if (!searchData.entry?.length) {
+      console.log(`  → 找不到 Email: ${email}，但仍回傳成功訊息以策安全`);
+      recordAudit('password-reset-request', { req, email, success: false, detail: '找不到帳號' });
+      return res.json({ message: '若此 Email 已註冊，您將會收到一封重設密碼的郵件' });
+    }
+
+    // 2. 產生有時效性的重設密碼 Token
+    const person = searchData.entry[0].resource;
+    const personId = person.id;
+    const resetToken = jwt.sign({ id: personId, purpose: 'password-reset' }, JWT_SECRET, { expiresIn: '15m', jwtid: crypto.randomUUID() });
+    const resetLink = `https://myfhirbaser5.ddns.net/reset.html?token=${resetToken}`;
+
+    // 3. 寄出重設連結
+    await sendNotification('passwordReset', {
+      to: email,
+      locale: person.language,
+      data: { name: person.name?.[0]?.text || '', resetLink }
+    });
+    recordAudit('password-reset-request', { req, personId, email });
+    console.log(`  → 已為 ${email} 產生重設連結並寄出`);
+    res.json({ message: '若此 Email 已註冊，您將會收到一封重設密碼的郵件' });
+  } catch (err) {
+    sendError(res, err, 'api/request-reset', '請求重設密碼失敗');
+  }
+});
+
+// ── 4) 執行密碼重設 /api/reset-password ─────────────────────────
 app.post('/api/reset-password', async (req, res) => {
   console.log('** 執行 [api/reset-password] **');
   const { token, password } = req.body;
@@ -230,14 +1418,16 @@ app.post('/api/reset-password', async (req, res) => {
     }
     const personId = payload.id;
     console.log(`  → Token 驗證成功，Person ID: ${personId}`);
+    if (!(await consumeSingleUseToken(payload))) {
+      recordAudit('password-reset', { req, personId, success: false, detail: '重設連結重複使用' });
+      return res.status(401).json({ error: '重設連結已使用過' });
+    }
 
     // 2. 取得目前的 Person 資源
-    const getUrl = `${FHIR_BASE}/Person/${personId}`;
-    const getRes = await fetch(getUrl);
-    if (!getRes.ok) {
+    const person = await fhir.readOrNull('Person', personId, { noCache: true });
+    if (!person) {
       return res.status(404).json({ error: '找不到對應的使用者' });
     }
-    const person = await getRes.json();
 
     // 3. 更新密碼
     // 先移除舊的密碼 entry
@@ -248,49 +1438,166 @@ app.post('/api/reset-password', async (req, res) => {
       value: await bcrypt.hash(password, 10)
     });
 
-    // 4. 將更新後的 Person 資源存回 FHIR 伺服器
-    const putUrl = `${FHIR_BASE}/Person/${personId}`;
-    const updateRes = await fetch(putUrl, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/fhir+json' },
-      body: JSON.stringify(person)
-    });
+    // 能收到重設信即代表擁有此信箱，同時視為完成 Email 驗證
+    setEmailVerified(person, true);
 
-    if (!updateRes.ok) {
-      const errorText = await updateRes.text();
-      throw new Error(`FHIR Server 更新失敗: ${updateRes.status} ${errorText}`);
-    }
+    // 4. 將更新後的 Person 資源存回 FHIR 伺服器
+    await fhir.update(person);
     console.log('  → 密碼更新成功');
+    // 5. 密碼變更後撤銷所有既有的登入 session
+    const revoked = await sessionStore.revokeAllForPerson(personId);
+    console.log(`  → 已撤銷 ${revoked} 個登入 session`);
+    recordAudit('password-reset', { req, personId, entities: [`Person/${personId}`] });
     res.json({ message: '密碼已成功更新' });
   } catch (err) {
-    console.error('  [api/reset-password] 發生錯誤:', err);
     if (err instanceof jwt.JsonWebTokenError || err instanceof jwt.TokenExpiredError) {
+      recordAudit('password-reset', { req, success: false, detail: err.message });
       return res.status(401).json({ error: '重設連結無效或已過期', detail: err.message });
     }
-    res.status(500).json({ error: '重設密碼失敗', detail: err.message });
+    sendError(res, err, 'api/reset-password', '重設密碼失敗');
   }
 });
 
 
 // ── 5) 取得 Organization 列表 /api/organizations ──────────────────────────
+// 查詢參數：name (名稱開頭)、address (地址任一部分)、city、type (Organization.type 代碼)、offset、limit。
+// 只列出公開的組織；回應本體維持陣列，總筆數放在 X-Total-Count，下一頁網址放在 Link (rel="next")。
+function toOrganizationSummary(org) {
+  const address = org.address?.[0];
+  const type = org.type?.[0];
+  const settings = organizationSettings(org.id);
+  return {
+    id:   org.id,
+    name: org.name || '未命名機構',
+    type: type?.text || type?.coding?.[0]?.display || type?.coding?.[0]?.code || null,
+    city: address?.city || null,
+    address: address?.text
+      || [address?.postalCode, address?.city, address?.district, ...(address?.line || [])].filter(Boolean).join('')
+      || null,
+    selfEnrollment: settings.selfEnrollment,
+    booking: settings.booking
+  };
+}
+
 app.get('/api/organizations', async (req, res) => {
-  console.log('** [api/organizations] **');
-  try {
-    // 永遠只抓 name=慈濟大學
-    const url = `${FHIR_BASE}/Organization?name=${encodeURIComponent('慈濟大學')}`;
-    console.log('  → fetch (hardcoded)', url);
-    const r = await fetch(url);
-    const b = await r.json();
-    // Bundle 內的 entry
-    const list = (b.entry||[]).map(e => ({
-      id:   e.resource.id,
-      name: e.resource.name || '未命名機構'
-    }));
-    console.log('  org count=', list.length);
-    res.json(list);
+  console.log('** [api/organizations] query:', req.query);
+  const { name, address, city, type } = req.query;
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const { listedIds, hiddenIds } = organizationVisibilityFilter();
+  if (listedIds?.length === 0) {
+    res.set('X-Total-Count', '0');
+    return res.json([]);
+  }
+  const params = {
+    name, address, 'address-city': city, type,
+    'active:not': 'false',
+    _id: listedIds?.join(','),
+    _sort: 'name'
+  };
+  try {
+    // 由 FHIR 伺服器每次取回 limit 筆，略過 offset 之前與不公開的組織；湊滿一頁後再遇到一筆就表示還有下一頁
+    const page = [];
+    let skipped = 0;
+    let matched;
+    let hasNext = false;
+    for await (const { resources, total } of fhir.searchPages('Organization', { ...params, _count: limit })) {
+      matched ??= total;
+      for (const org of resources.filter(o => !hiddenIds.includes(o.id))) {
+        if (skipped < offset) skipped++;
+        else if (page.length < limit) page.push(org);
+        else hasNext = true;
+      }
+      if (hasNext) break;
+    }
+
+    // 總筆數 = 伺服器回報的符合筆數扣掉其中不公開的組織
+    if (matched !== undefined) {
+      const hidden = hiddenIds.length
+        ? (await fhir.search('Organization', { ...params, _id: hiddenIds.join(','), _summary: 'count' })).total
+        : 0;
+      console.log('  org count=', matched - hidden);
+      res.set('X-Total-Count', String(matched - hidden));
+    }
+    if (hasNext) {
+      const next = new URLSearchParams({ ...req.query, offset: String(offset + limit), limit: String(limit) });
+      res.links({ next: `${req.path}?${next}` });
+    }
+    res.json(page.map(toOrganizationSummary));
+  } catch (err) {
+    sendError(res, err, 'api/organizations');
+  }
+});
+
+// ── 5-1) 活動目錄 /api/activities ─────────────────────────────────────────
+// 跨組織瀏覽與搜尋上架中的活動，只列出公開組織的活動。
+// 查詢參數：q (標題或說明包含)、organizationId、age / gender (只列出此年齡、性別可參加的活動)、offset、limit；
+// 分頁方式與 /api/organizations 相同 (X-Total-Count、Link)。
+app.get('/api/activities', async (req, res) => {
+  console.log('** [api/activities] query:', req.query);
+  const { q, organizationId, gender } = req.query;
+  const age = req.query.age !== undefined ? Number(req.query.age) : undefined;
+  if (age !== undefined && !(age >= 0)) return res.status(400).json({ error: 'age 須為非負數' });
+  if (gender && !GENDER_LABELS[gender]) return res.status(400).json({ error: `gender 須為 ${Object.keys(GENDER_LABELS).join('、')} 之一` });
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+  try {
+    const defs = (await fhir.searchAll('ActivityDefinition', {
+      status: 'active',
+      ...(organizationId && { identifier: `${MANAGING_ORGANIZATION_SYSTEM}|${organizationId}` })
+    })).filter(activityOrganizationId);
+    const orgIds = [...new Set(defs.map(activityOrganizationId))];
+    const orgs = orgIds.length ? await fhir.searchAll('Organization', { _id: orgIds.join(',') }) : [];
+    const visibleOrgs = new Map(orgs.filter(isOrganizationVisible).map(org => [org.id, org]));
+
+    const keyword = String(q || '').trim().toLowerCase();
+    const matches = defs
+      .filter(def => visibleOrgs.has(activityOrganizationId(def)))
+      .map(toActivitySummary)
+      .filter(a => !keyword || `${a.title}\n${a.description}`.toLowerCase().includes(keyword))
+      .filter(a => !gender || !a.eligibility.gender || a.eligibility.gender === gender)
+      .filter(a => age === undefined
+        || ((a.eligibility.minAge == null || age >= a.eligibility.minAge) && (a.eligibility.maxAge == null || age <= a.eligibility.maxAge)))
+      .sort((a, b) => a.title.localeCompare(b.title));
+    const page = matches.slice(offset, offset + limit);
+
+    res.set('X-Total-Count', String(matches.length));
+    if (offset + limit < matches.length) {
+      const next = new URLSearchParams({ ...req.query, offset: String(offset + limit), limit: String(limit) });
+      res.links({ next: `${req.path}?${next}` });
+    }
+    res.json(page.map(a => ({ ...a, organizationName: visibleOrgs.get(a.organizationId)?.name || '未命名機構' })));
+  } catch (err) {
+    sendError(res, err, 'api/activities');
+  }
+});
+
+// 單一活動的詳細資料與開放中的排程
+app.get('/api/activities/:id', async (req, res) => {
+  console.log('** [api/activities/:id] id:', req.params.id);
+  try {
+    const def = await fhir.readOrNull('ActivityDefinition', req.params.id);
+    const organizationId = def && activityOrganizationId(def);
+    const organization = organizationId && await fhir.readOrNull('Organization', organizationId);
+    if (!def || def.status !== 'active' || !organization || !isOrganizationVisible(organization)) {
+      return res.status(404).json({ error: '找不到指定的活動' });
+    }
+    const activityRef = `ActivityDefinition/${def.id}`;
+    const schedules = (await searchOrganizationSchedules(organizationId))
+      .filter(sch => sch.active !== false && scheduleActivityRef(sch) === activityRef)
+      .sort((a, b) => compareScheduleKeys(scheduleSortKey(a), scheduleSortKey(b)));
+    res.json({
+      ...toActivitySummary(def),
+      organizationName: organization.name || '未命名機構',
+      schedules: schedules.map(sch => ({
+        scheduleId: sch.id,
+        comment: sch.comment || '（無描述）',
+        planningHorizon: sch.planningHorizon || null
+      }))
+    });
   } catch (err) {
-    console.error('  [api/organizations] error:', err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err, 'api/activities/:id');
   }
 });
 
@@ -298,53 +1605,31 @@ app.get('/api/organizations', async (req, res) => {
 
 // ── 6) 讀取當前使用者的 Patient (/api/patient) ────────────────
 // ── 6) 讀取當前使用者的 Patient (/api/patient) ────────────────
-app.get('/api/patient', async (req, res) => {
+app.get('/api/patient', authenticate, async (req, res) => {
   console.log('** [api/patient] entry **');
-  const token = req.cookies.token;
-  if (!token) return res.status(401).json({ error: '未登入' });
-
-  let payload;
-  try { payload = jwt.verify(token, JWT_SECRET); }
-  catch { return res.status(401).json({ error: 'Token 驗證失敗' }); }
-  const personId = payload.id;
+  const personId = req.user.id;
 
   // 支援 ?organizationId=xxx 或 ?managingOrganization=xxx
   const organizationId =
     req.query.organizationId
     || req.query.managingOrganization;
 
-  let url = 
-    `${FHIR_BASE}/Patient?identifier=http://example.org/fhir/person|${encodeURIComponent(personId)}`;
-  if (organizationId) {
-    // ← use `organization` here, not managingOrganization
-    url += `&organization=Organization/${encodeURIComponent(organizationId)}`;
-    console.log('  → fetching Patient in org:', organizationId);
-  } else {
-    console.log('  → fetching Patient in any org');
-  }
+  // ← searchPersonPatients 使用 `organization` 搜尋參數，不是 managingOrganization
+  console.log(organizationId ? `  → fetching Patient in org: ${organizationId}` : '  → fetching Patient in any org');
 
-  let fhirRes;
-  try { fhirRes = await fetch(url); }
-  catch (err) {
-    console.error('  → fetch error:', err.message);
-    return res.status(502).json({ error:'FHIR 伺服器無法連線' });
-  }
-  const body = await fhirRes.text();
-  if (!fhirRes.ok) {
-    console.error('  → FHIR error:', fhirRes.status, body);
-    return res.status(502).json({ error: `FHIR 錯誤 ${fhirRes.status}` });
-  }
+  let patients;
+  try { patients = await searchPersonPatients(personId, organizationId); }
+  catch (err) { return sendError(res, err, 'api/patient'); }
 
-  const bundle = JSON.parse(body);
-  console.log('  bundle.total =', bundle.total);
-  if (!bundle.total) {
+  console.log('  patients =', patients.length);
+  if (!patients.length) {
     const msg = organizationId
       ? '此組織尚未註冊 Patient'
       : '尚未建立任何 Patient';
     return res.status(404).json({ error: msg });
   }
 
-  const patient = bundle.entry[0].resource;
+  const patient = patients[0];
   console.log('  found Patient.id =', patient.id);
   return res.json({
     patientId: patient.id,
@@ -354,46 +1639,447 @@ app.get('/api/patient', async (req, res) => {
 
 
 // ── 7) 新增 Patient (/api/patient) ─────────────────────────────
-app.post('/api/patient', async (req, res) => {
+app.post('/api/patient', authenticate, requireVerifiedEmail, async (req, res) => {
   console.log('** [api/patient POST] body:', req.body);
-  const token = req.cookies.token;
-  if (!token) return res.status(401).json({ error:'未登入' });
-  let pid;
-  try { pid = jwt.verify(token, JWT_SECRET).id; }
-  catch { return res.status(401).json({ error:'Token 驗證失敗' }); }
+  const pid = req.user.id;
 
+  // email 為舊版前端相容用，Patient 的 Email 以 Person 上已驗證的為準
   const { organizationId, email } = req.body;
-  if (!organizationId||!email) return res.status(400).json({ error:'缺少參數' });
-
-  // 防重複
-  const chkUrl = `${FHIR_BASE}/Patient?identifier=http://example.org/fhir/person|${encodeURIComponent(pid)}`+
-                 `&organization=Organization/${encodeURIComponent(organizationId)}`;
-  const chk = await (await fetch(chkUrl)).json();
-  if (chk.total>0) return res.status(409).json({ error:'已在此組織註冊' });
-
-  // 建 Patient
-  const patient = {
-    resourceType:'Patient',
-    identifier:[
-      { system:'http://example.org/fhir/person', value:pid },
-      { system:EMAIL_SYSTEM,            value:email }
-    ],
-    managingOrganization:{ reference:`Organization/${organizationId}` }
+  if (!organizationId) return res.status(400).json({ error:'缺少參數' });
+
+  try {
+    // 只能加入公開且開放自行註冊的組織
+    const organization = await fhir.readOrNull('Organization', organizationId);
+    if (!organization) return res.status(404).json({ error: '找不到指定的組織' });
+    if (!isOrganizationVisible(organization) || !organizationSettings(organizationId).selfEnrollment) {
+      return res.status(403).json({ error: '此組織不開放自行註冊' });
+    }
+
+    // 防重複
+    const existing = await searchPersonPatients(pid, organizationId);
+    if (existing.length>0) return res.status(409).json({ error:'已在此組織註冊' });
+
+    // 建 Patient，姓名、性別、生日與聯絡方式由 Person 帶入
+    const person = await fhir.read('Person', pid);
+    const patient = applyPersonDemographics({
+      resourceType:'Patient',
+      identifier:[
+        { system:PERSON_SYSTEM, value:pid },
+        { system:EMAIL_SYSTEM,  value:personEmail(person) || email }
+      ],
+      managingOrganization:{ reference:`Organization/${organizationId}` }
+    }, person);
+    const np = await fhir.create(patient);
+    recordAudit('patient-create', { req, personId: pid, patientRef: `Patient/${np.id}`, organizationId, entities: [`Patient/${np.id}`] });
+    res.json({ patientId: np.id });
+  } catch (err) {
+    sendError(res, err, 'api/patient POST');
+  }
+});
+
+// ── 7-1) 個人資料 /api/me ─────────────────────────────────────────
+// Person 記錄姓名、電話、偏好語系 (Person.language)、性別與生日；
+// 人口學資料變更時同步到此使用者在各組織的 Patient。
+const GENDERS = ['male', 'female', 'other', 'unknown'];
+
+const personPhone = person => (person.telecom || []).find(t => t.system === 'phone')?.value || null;
+
+function toProfile(person) {
+  return {
+    personId: person.id,
+    name: person.name?.[0]?.text || '',
+    email: personEmail(person) || null,
+    emailVerified: isEmailVerified(person),
+    phone: personPhone(person),
+    language: person.language || null,
+    gender: person.gender || null,
+    birthDate: person.birthDate || null
   };
-  const r2 = await fetch(`${FHIR_BASE}/Patient`, {
-    method:'POST',
-    headers:{ 'Content-Type':'application/fhir+json' },
-    body: JSON.stringify(patient)
+}
+
+// 檢查 PUT /api/me 的欄位，回傳錯誤訊息字串或 null；未提供的欄位不變更，null / '' 代表清除
+function validateProfileInput({ name, phone, language, gender, birthDate }) {
+  if (name !== undefined && !String(name || '').trim()) return '姓名不可為空白';
+  if (phone && !/^[0-9+\-() ]{6,20}$/.test(phone)) return '電話格式錯誤';
+  if (language && !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(language)) return 'language 須為語系代碼，例如 zh-TW、en';
+  if (gender && !GENDERS.includes(gender)) return `gender 須為 ${GENDERS.join('、')} 之一`;
+  if (birthDate && (!/^\d{4}-\d{2}-\d{2}$/.test(birthDate) || isNaN(Date.parse(birthDate)) || new Date(birthDate) > new Date())) {
+    return 'birthDate 須為 YYYY-MM-DD 格式且不可晚於今天';
+  }
+  return null;
+}
+
+// 依 Person 設定 Patient 的姓名、性別、生日、電話與 Email (Patient 其餘欄位保留)
+function applyPersonDemographics(patient, person) {
+  const phone = personPhone(person);
+  const email = personEmail(person);
+  patient.name = person.name?.[0]?.text ? [{ text: person.name[0].text }] : patient.name;
+  patient.gender = person.gender;
+  patient.birthDate = person.birthDate;
+  patient.telecom = [
+    ...(patient.telecom || []).filter(t => t.system !== 'phone' && t.system !== 'email'),
+    ...(phone ? [{ system: 'phone', value: phone, use: 'mobile' }] : []),
+    ...(email ? [{ system: 'email', value: email, use: 'home' }] : [])
+  ];
+  if (email) {
+    patient.identifier = [
+      ...(patient.identifier || []).filter(i => i.system !== EMAIL_SYSTEM),
+      { system: EMAIL_SYSTEM, value: email }
+    ];
+  }
+  return patient;
+}
+
+// 以一個 transaction 更新 Person 與此使用者所有的 Patient；任一筆在讀取後被修改過即整筆失敗 (409)。
+// person 須以 noCache 讀取，Patient 也直接向 FHIR 伺服器查詢，確保 If-Match 是最新版本
+async function savePersonAndPatients(person) {
+  const patients = await searchPersonPatients(person.id, undefined, { noCache: true });
+  await fhir.transaction({
+    resourceType: 'Bundle',
+    type: 'transaction',
+    entry: [
+      { resource: person, request: versionedRequest(person) },
+      ...patients.map(p => ({ resource: applyPersonDemographics({ ...p }, person), request: versionedRequest(p) }))
+    ]
   });
-  const text2 = await r2.text();
-  if (!r2.ok) return res.status(r2.status).json({ error:text2 });
-  const np = JSON.parse(text2);
-  res.json({ patientId: np.id });
+  return patients.length;
+}
+
+app.get('/api/me', authenticate, async (req, res) => {
+  console.log('** [api/me] **');
+  try {
+    const person = await fhir.readOrNull('Person', req.user.id);
+    if (!person) return res.status(404).json({ error: '找不到對應的使用者' });
+    const patients = await searchPersonPatients(person.id);
+    res.json({
+      ...toProfile(person),
+      roles: req.user.roles,
+      organizations: patients.map(p => p.managingOrganization?.reference?.split('/')[1]).filter(Boolean)
+    });
+  } catch (err) {
+    sendError(res, err, 'api/me');
+  }
+});
+
+app.put('/api/me', authenticate, async (req, res) => {
+  console.log('** [api/me PUT] body:', req.body);
+  const input = req.body || {};
+  const invalid = validateProfileInput(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const person = await fhir.readOrNull('Person', req.user.id, { noCache: true });
+    if (!person) return res.status(404).json({ error: '找不到對應的使用者' });
+
+    if (input.name !== undefined) person.name = [{ text: String(input.name).trim() }];
+    if (input.phone !== undefined) {
+      person.telecom = (person.telecom || []).filter(t => t.system !== 'phone');
+      if (input.phone) person.telecom.push({ system: 'phone', value: input.phone, use: 'mobile' });
+    }
+    // 未提供的欄位維持原值，null / '' 代表清除
+    ['language', 'gender', 'birthDate'].forEach(field => {
+      if (input[field] !== undefined) person[field] = input[field] || undefined;
+    });
+
+    const synced = await savePersonAndPatients(person);
+    console.log(`  → 已更新 Person/${person.id} 與 ${synced} 個 Patient`);
+    recordAudit('profile-update', { req, personId: person.id, entities: [`Person/${person.id}`] });
+    res.json(toProfile(person));
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '個人資料剛被更新，請重新整理後再試' });
+    sendError(res, err, 'api/me PUT');
+  }
+});
+
+// 變更密碼：需提供目前密碼；完成後撤銷所有登入 session，並為目前的裝置重新建立一個
+app.post('/api/me/password', authenticate, rateLimiter.limit('changeCredentials', { account: req => req.user.id }), async (req, res) => {
+  console.log('** [api/me/password] **');
+  const { currentPassword, newPassword } = req.body || {};
+  if (!currentPassword || !newPassword) return res.status(400).json({ error: '請提供目前密碼與新密碼' });
+
+  try {
+    const person = await fhir.readOrNull('Person', req.user.id, { noCache: true });
+    if (!person) return res.status(404).json({ error: '找不到對應的使用者' });
+    const hashEntry = (person.identifier || []).find(i => i.system === PASSWORD_SYSTEM);
+    if (!hashEntry || !(await bcrypt.compare(currentPassword, hashEntry.value))) {
+      recordAudit('password-change', { req, personId: person.id, success: false, detail: '目前密碼錯誤' });
+      return res.status(401).json({ error: '目前密碼錯誤' });
+    }
+
+    person.identifier = person.identifier.filter(i => i.system !== PASSWORD_SYSTEM);
+    person.identifier.push({ system: PASSWORD_SYSTEM, value: await bcrypt.hash(newPassword, 10) });
+    await fhir.update(person, { ifMatch: ifMatchOf(person) });
+
+    await sessionStore.revokeAllForPerson(person.id);
+    await startSession(req, res, person.id, rolesFromPerson(person));
+    recordAudit('password-change', { req, personId: person.id, entities: [`Person/${person.id}`] });
+    res.json({ message: '密碼已變更，其他裝置需重新登入' });
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '帳號資料剛被更新，請再試一次' });
+    sendError(res, err, 'api/me/password');
+  }
+});
+
+// 變更 Email：需提供目前密碼；Email 變更後需重新驗證 (驗證信寄到新地址)，並同步到所有 Patient
+app.post('/api/me/email', authenticate, rateLimiter.limit('changeCredentials', { account: req => req.user.id }), async (req, res) => {
+  console.log('** [api/me/email] body.newEmail:', req.body?.newEmail);
+  const { newEmail, currentPassword } = req.body || {};
+  if (!newEmail || !currentPassword) return res.status(400).json({ error: '請提供新的 Email 與目前密碼' });
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) return res.status(400).json({ error: 'Email 格式錯誤' });
+
+  try {
+    const person = await fhir.readOrNull('Person', req.user.id, { noCache: true });
+    if (!person) return res.status(404).json({ error: '找不到對應的使用者' });
+    const hashEntry = (person.identifier || []).find(i => i.system === PASSWORD_SYSTEM);
+    if (!hashEntry || !(await bcrypt.compare(currentPassword, hashEntry.value))) {
+      recordAudit('email-change', { req, personId: person.id, success: false, detail: '目前密碼錯誤' });
+      return res.status(401).json({ error: '目前密碼錯誤' });
+    }
+    const oldEmail = personEmail(person);
+    if (oldEmail === newEmail) return res.status(409).json({ error: '新的 Email 與目前相同' });
+
+    const taken = await fhir.search('Person', { identifier: `${EMAIL_SYSTEM}|${newEmail}` });
+    if (taken.entry?.length > 0) return res.status(409).json({ error: '此 Email 已被註冊' });
+
+    person.identifier = [
+      ...person.identifier.filter(i => i.system !== EMAIL_SYSTEM),
+      { system: EMAIL_SYSTEM, value: newEmail }
+    ];
+    person.telecom = [
+      ...(person.telecom || []).filter(t => t.system !== 'email'),
+      { system: 'email', value: newEmail, use: 'home' }
+    ];
+    setEmailVerified(person, false);
+
+    await savePersonAndPatients(person);
+    recordAudit('email-change', { req, personId: person.id, email: oldEmail, entities: [`Person/${person.id}`], detail: `改為 ${newEmail}` });
+    sendVerificationEmail(person)
+      .catch(err => console.error('  [notify] 驗證信寄送失敗:', err.message));
+    res.json({ message: 'Email 已變更，請至新信箱完成驗證', ...toProfile(person) });
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '帳號資料剛被更新，請再試一次' });
+    sendError(res, err, 'api/me/email');
+  }
+});
+
+// ── 7-2) 家屬 /api/dependents ──────────────────────────────────────
+// 使用者可新增家屬 (例如子女、年長的父母)、讓家屬加入組織，並在 /api/book 帶 dependentId 代為預約。
+function validateDependentInput({ name, gender, birthDate, relationship }) {
+  if (relationship !== undefined && !DEPENDENT_RELATIONSHIPS[relationship]) {
+    return `relationship 須為 ${Object.keys(DEPENDENT_RELATIONSHIPS).join('、')} 之一`;
+  }
+  return validateProfileInput({ name, gender, birthDate });
+}
+
+const relationshipCoding = code => [{ coding: [{ system: RELATIONSHIP_SYSTEM, code, display: DEPENDENT_RELATIONSHIPS[code] }] }];
+
+function toDependentSummary(link, patient, orgPatients) {
+  return {
+    dependentId: patient.id,
+    name: patient.name?.[0]?.text || '',
+    gender: patient.gender || null,
+    birthDate: patient.birthDate || null,
+    relationship: link.relationship?.[0]?.coding?.find(c => c.system === RELATIONSHIP_SYSTEM)?.code || null,
+    organizations: orgPatients
+      .filter(p => (p.identifier || []).some(i => i.system === DEPENDENT_SYSTEM && i.value === patient.id))
+      .map(p => ({ organizationId: p.managingOrganization?.reference?.split('/')[1] || null, patientId: p.id }))
+  };
+}
+
+app.get('/api/dependents', authenticate, async (req, res) => {
+  console.log('** [api/dependents] **');
+  try {
+    const links = await searchDependentLinks(req.user.id);
+    const ids = links.map(dependentIdOf).filter(Boolean);
+    if (!ids.length) return res.json([]);
+    const [patients, orgPatients] = await Promise.all([
+      fhir.searchAll('Patient', { _id: ids.join(',') }),
+      searchDependentPatients(ids)
+    ]);
+    const byId = new Map(patients.map(p => [p.id, p]));
+    res.json(links
+      .filter(link => byId.has(dependentIdOf(link)))
+      .map(link => toDependentSummary(link, byId.get(dependentIdOf(link)), orgPatients)));
+  } catch (err) {
+    sendError(res, err, 'api/dependents');
+  }
+});
+
+// 新增家屬：主 Patient 與 RelatedPerson 在同一個 transaction 建立
+app.post('/api/dependents', authenticate, async (req, res) => {
+  console.log('** [api/dependents POST] body:', req.body);
+  const { name, gender, birthDate, relationship } = req.body || {};
+  if (!name || !relationship) return res.status(400).json({ error: '姓名與關係皆為必填' });
+  const invalid = validateDependentInput({ name, gender, birthDate, relationship });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const person = await fhir.read('Person', req.user.id);
+    const patientUrl = `urn:uuid:${crypto.randomUUID()}`;
+    const txResult = await fhir.transaction({
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [
+        {
+          fullUrl: patientUrl,
+          resource: { resourceType: 'Patient', name: [{ text: String(name).trim() }], gender, birthDate },
+          request: { method: 'POST', url: 'Patient' }
+        },
+        {
+          resource: {
+            resourceType: 'RelatedPerson',
+            identifier: [{ system: PERSON_SYSTEM, value: person.id }],
+            patient: { reference: patientUrl },
+            relationship: relationshipCoding(relationship),
+            name: person.name,
+            telecom: (person.telecom || []).filter(t => t.system === 'email' || t.system === 'phone')
+          },
+          request: { method: 'POST', url: 'RelatedPerson' }
+        }
+      ]
+    });
+    const location = txResult.entry?.[0]?.response?.location;
+    if (!location) throw new Error('交易成功，但無法在回應中找到新建立的 Patient。');
+    const dependentId = location.split('/')[1];
+
+    recordAudit('dependent-create', { req, personId: person.id, entities: [`Patient/${dependentId}`] });
+    res.status(201).json({ dependentId });
+  } catch (err) {
+    sendError(res, err, 'api/dependents POST');
+  }
+});
+
+// 修改家屬資料，並同步到家屬在各組織的 Patient
+app.put('/api/dependents/:id', authenticate, async (req, res) => {
+  console.log('** [api/dependents PUT] id:', req.params.id, 'body:', req.body);
+  const input = req.body || {};
+  const invalid = validateDependentInput(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    // 家屬主 Patient、組織 Patient 與 RelatedPerson 都會以 If-Match 寫回，一律不使用快取
+    const link = await findDependentLink(req.user.id, req.params.id, { noCache: true });
+    const patient = link && await fhir.readOrNull('Patient', req.params.id, { noCache: true });
+    if (!patient) return res.status(404).json({ error: '找不到指定的家屬' });
+
+    if (input.name !== undefined) patient.name = [{ text: String(input.name).trim() }];
+    ['gender', 'birthDate'].forEach(field => {
+      if (input[field] !== undefined) patient[field] = input[field] || undefined;
+    });
+    const orgPatients = await searchDependentPatients([patient.id], undefined, { noCache: true });
+    const entry = [
+      { resource: patient, request: versionedRequest(patient) },
+      ...orgPatients.map(p => ({ resource: applyPersonDemographics({ ...p }, patient), request: versionedRequest(p) }))
+    ];
+    if (input.relationship) {
+      entry.push({ resource: { ...link, relationship: relationshipCoding(input.relationship) }, request: versionedRequest(link) });
+    }
+    await fhir.transaction({ resourceType: 'Bundle', type: 'transaction', entry });
+
+    recordAudit('dependent-update', { req, personId: req.user.id, entities: [`Patient/${patient.id}`] });
+    res.json(toDependentSummary(input.relationship ? { relationship: relationshipCoding(input.relationship) } : link, patient, orgPatients));
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '家屬資料剛被更新，請重新整理後再試' });
+    sendError(res, err, 'api/dependents PUT');
+  }
+});
+
+// 家屬加入組織：規則與本人的 POST /api/patient 相同
+app.post('/api/dependents/:id/patient', authenticate, requireVerifiedEmail, async (req, res) => {
+  console.log('** [api/dependents/:id/patient] id:', req.params.id, 'body:', req.body);
+  const { organizationId } = req.body || {};
+  if (!organizationId) return res.status(400).json({ error: '缺少參數' });
+
+  try {
+    const link = await findDependentLink(req.user.id, req.params.id);
+    const dependent = link && await fhir.readOrNull('Patient', req.params.id);
+    if (!dependent) return res.status(404).json({ error: '找不到指定的家屬' });
+
+    const organization = await fhir.readOrNull('Organization', organizationId);
+    if (!organization) return res.status(404).json({ error: '找不到指定的組織' });
+    if (!isOrganizationVisible(organization) || !organizationSettings(organizationId).selfEnrollment) {
+      return res.status(403).json({ error: '此組織不開放自行註冊' });
+    }
+
+    const existing = await searchDependentPatients([dependent.id], organizationId);
+    if (existing.length > 0) return res.status(409).json({ error: '此家屬已在此組織註冊' });
+
+    const np = await fhir.create(applyPersonDemographics({
+      resourceType: 'Patient',
+      identifier: [{ system: DEPENDENT_SYSTEM, value: dependent.id }],
+      managingOrganization: { reference: `Organization/${organizationId}` },
+      link: [{ other: { reference: `Patient/${dependent.id}` }, type: 'seealso' }]
+    }, dependent));
+    recordAudit('patient-create', {
+      req, personId: req.user.id, patientRef: `Patient/${np.id}`, organizationId,
+      entities: [`Patient/${np.id}`, `Patient/${dependent.id}`], detail: '家屬'
+    });
+    res.json({ patientId: np.id });
+  } catch (err) {
+    sendError(res, err, 'api/dependents/:id/patient');
+  }
 });
 
 // 8) List Schedules for an organization, with their slots nested inside
 // ★★★ CORRECT "SCHEDULE-FIRST" VERSION ★★★
-app.get('/api/schedules', async (req, res) => {
+// 查詢參數：
+//   from / to      只列出這段期間內有時段的排程 (planningHorizon 完全在區間外的排程直接略過)
+//   q              活動名稱 (Schedule.comment) 關鍵字
+//   hasFree=true   只列出還有空位的排程
+//   serviceType    Schedule.serviceType 代碼或文字
+//   practitioner   Practitioner 或 PractitionerRole id
+//   limit / cursor 分頁；回應的 nextCursor 帶到下一次請求的 cursor，為 null 表示沒有下一頁
+
+// 排序鍵：[planningHorizon.start, id]，沒有 planningHorizon 的排在最後
+const scheduleSortKey = sch => [sch.planningHorizon?.start || '9999', sch.id];
+const compareScheduleKeys = (a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1], undefined, { numeric: true });
+const encodeScheduleCursor = key => Buffer.from(JSON.stringify(key)).toString('base64url');
+function decodeScheduleCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(key) && key.length === 2 && key.every(k => typeof k === 'string') ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+function matchesScheduleFilters(sch, { from, to, q, serviceType, practitioner }) {
+  const horizon = sch.planningHorizon || {};
+  if (from && horizon.end && new Date(horizon.end) < new Date(from)) return false;
+  if (to && horizon.start && new Date(horizon.start) > new Date(to)) return false;
+  if (q && !(sch.comment || '').toLowerCase().includes(String(q).toLowerCase())) return false;
+  if (serviceType && !(sch.serviceType || []).some(st =>
+    st.text === serviceType || (st.coding || []).some(c => c.code === serviceType || c.display === serviceType))) return false;
+  if (practitioner && !(sch.actor || []).some(a =>
+    [`Practitioner/${practitioner}`, `PractitionerRole/${practitioner}`].includes(a.reference))) return false;
+  return true;
+}
+
+// 一次搜尋多個排程的 Slot，回傳 Map<"Schedule/id", slot[]>
+async function searchSlotsBySchedule(schedules, { from, to } = {}) {
+  const bySchedule = new Map();
+  if (!schedules.length) return bySchedule;
+  const slots = await fhir.searchAll('Slot', {
+    schedule: schedules.map(sch => `Schedule/${sch.id}`).join(','),
+    start: [from && `ge${from}`, to && `le${to}`].filter(Boolean),
+    _sort: 'start',
+    _count: 500
+  });
+  slots.forEach(slot => {
+    const ref = slot.schedule?.reference;
+    if (!bySchedule.has(ref)) bySchedule.set(ref, []);
+    bySchedule.get(ref).push({
+      id: slot.id,
+      start: slot.start,
+      end: slot.end,
+      // If the status from the server is missing (undefined), default it to 'free'.
+      // This ensures that slots without a specified status are considered available.
+      status: slot.status || 'free'
+    });
+  });
+  return bySchedule;
+}
+app.get('/api/schedules', authenticate, async (req, res) => {
   console.log('=== [api/schedules] entry (schedule-first view) ===');
   try {
     // ===================================================================
@@ -403,91 +2089,94 @@ app.get('/api/schedules', async (req, res) => {
     if (!selectedOrgId) {
       return res.status(400).json({ error: '請在請求中提供 organizationId 參數' });
     }
-    const token = req.cookies.token;
-    if (!token) return res.status(401).json({ error: '未登入' });
-    let personId;
-    try {
-      personId = jwt.verify(token, JWT_SECRET).id;
-    } catch {
-      return res.status(401).json({ error: 'Token 驗證失敗' });
-    }
-    const patientSearchUrl = `${FHIR_BASE}/Patient?identifier=http://example.org/fhir/person|${encodeURIComponent(personId)}`;
-    const patientRes = await fetch(patientSearchUrl);
-    if (!patientRes.ok) throw new Error(`Patient search failed: ${patientRes.status}`);
-    const patientBundle = await patientRes.json();
-    const userRegisteredOrgIds = (patientBundle.entry || []).map(entry => {
-      const orgRef = entry.resource?.managingOrganization?.reference;
+    const personId = req.user.id;
+    // 本人或任一家屬已加入的組織都可查看
+    const patients = await searchManagedPatients(personId);
+    const userRegisteredOrgIds = patients.map(patient => {
+      const orgRef = patient.managingOrganization?.reference;
       return orgRef ? orgRef.split('/')[1] : null;
     }).filter(id => id !== null);
 
     if (!userRegisteredOrgIds.includes(selectedOrgId)) {
-      return res.json({ schedules: [] });
+      return res.json({ schedules: [], nextCursor: null });
     }
     console.log('  → Authorization successful.');
 
     // ===================================================================
-    // Part 2: Fetch Schedules, then fetch their Slots
+    // Part 2: Filter Schedules, then fetch their Slots in batches
     // ===================================================================
-    
-    // Step A: Find all schedules for the organization.
-    const practitionerRefs = await (async () => {
-      const prUrl = `${FHIR_BASE}/PractitionerRole?organization=Organization/${selectedOrgId}`;
-      const prRes = await fetch(prUrl);
-      const prBundle = prRes.ok ? await prRes.json() : { entry: [] };
-      return (prBundle.entry || []).map(e => e.resource.practitioner?.reference).filter(Boolean);
-    })();
-    
-    const actorSearchParams = [`Organization/${selectedOrgId}`, ...practitionerRefs];
-    const scheduleSearchUrl = `${FHIR_BASE}/Schedule?actor=${actorSearchParams.join(',')}`;
-    
-    const scheduleRes = await fetch(scheduleSearchUrl);
-    const scheduleBundle = scheduleRes.ok ? await scheduleRes.json() : { entry: [] };
-    const schedules = scheduleBundle.entry?.map(e => e.resource) || [];
-
-    if (schedules.length === 0) {
-      return res.json({ schedules: [] });
-    }
-
-    // Step B: For EACH schedule, fetch its free slots and combine the data.
-    const result = await Promise.all(schedules.map(async sch => {
-      const slotUrl = `${FHIR_BASE}/Slot?schedule=Schedule/${encodeURIComponent(sch.id)}`;
-      const slotRes = await fetch(slotUrl);
-      const slotBundle = slotRes.ok ? await slotRes.json() : { entry: [] };
-      const slots = (slotBundle.entry || []).map(e => ({
-        id: e.resource.id,
-        start: e.resource.start,
-        end: e.resource.end,
-        // If the status from the server is missing (undefined), default it to 'free'.
-        // This ensures that slots without a specified status are considered available.
-        status: e.resource.status || 'free'
-      }));
-      
-      // Return the final nested structure for this schedule
-      return {
-        scheduleId: sch.id,
-        comment: sch.comment || '（無描述）', // This is the activity name
-        slots: slots // This is the list of times
-      };
-    }));
+    const { from, to, q, serviceType, practitioner } = req.query;
+    const onlyFree = req.query.hasFree === 'true';
+    const limit = Math.min(Math.max(Number(req.query.limit) || SCHEDULE_PAGE_SIZE, 1), 100);
+    if ([from, to].some(d => d && isNaN(Date.parse(d)))) {
+      return res.status(400).json({ error: '日期格式錯誤 (from / to 須為 ISO 8601 日期)' });
+    }
+    let after = null;
+    if (req.query.cursor) {
+      after = decodeScheduleCursor(req.query.cursor);
+      if (!after) return res.status(400).json({ error: 'cursor 無效' });
+    }
+
+    // Step A: Find all schedules for the organization and apply the schedule-level filters.
+    const candidates = (await searchOrganizationSchedules(selectedOrgId))
+      // 已停用 (active = false) 的排程不顯示給使用者
+      .filter(sch => sch.active !== false)
+      .filter(sch => matchesScheduleFilters(sch, { from, to, q, serviceType, practitioner }))
+      .sort((a, b) => compareScheduleKeys(scheduleSortKey(a), scheduleSortKey(b)))
+      .filter(sch => !after || compareScheduleKeys(scheduleSortKey(sch), after) > 0);
+
+    // Step B: 每批 limit 個排程用一次 Slot 搜尋 (schedule=Schedule/1,Schedule/2,...) 取回時段，
+    // 直到湊滿一頁；hasFree 與日期篩選需要看 Slot，所以在這一步判斷。
+    const result = [];
+    let hasMore = false;
+    for (let i = 0; i < candidates.length && !hasMore; i += limit) {
+      const batch = candidates.slice(i, i + limit);
+      const slotsBySchedule = await searchSlotsBySchedule(batch, { from, to });
+      for (const sch of batch) {
+        const slots = slotsBySchedule.get(`Schedule/${sch.id}`) || [];
+        const counts = {
+          total: slots.length,
+          free: slots.filter(s => s.status === 'free').length,
+          busy: slots.filter(s => s.status !== 'free').length
+        };
+        if ((from || to) && counts.total === 0) continue;
+        if (onlyFree && counts.free === 0) continue;
+        if (result.length === limit) { hasMore = true; break; }
+        result.push({
+          scheduleId: sch.id,
+          comment: sch.comment || '（無描述）', // This is the activity name
+          serviceType: (sch.serviceType || []).map(st => st.text || st.coding?.[0]?.display || st.coding?.[0]?.code).filter(Boolean),
+          planningHorizon: sch.planningHorizon || null,
+          activity: scheduleActivityRef(sch),
+          questionnaireId: scheduleQuestionnaireRef(sch)?.split('/')[1] || null,
+          counts,
+          slots: slots // This is the list of times
+        });
+      }
+    }
+
+    // Step C: 帶出各排程連結的活動 (ActivityDefinition) 詳細資料
+    const activities = await loadActivities(result.map(r => r.activity));
+    result.forEach(r => {
+      const def = activities.get(r.activity);
+      r.activity = def ? toActivitySummary(def) : null;
+    });
 
-    res.json({ schedules: result });
+    const last = result[result.length - 1];
+    const nextCursor = hasMore && last
+      ? encodeScheduleCursor(scheduleSortKey(candidates.find(sch => sch.id === last.scheduleId)))
+      : null;
+    res.json({ schedules: result, nextCursor });
 
   } catch (err) {
-    console.error('[api/schedules] error:', err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err, 'api/schedules');
   }
 });
 
 // ── 9) 取得指定 Schedule 的 Slot 列表 /api/slots ─────────────────────────────
-app.get('/api/slots', async (req, res) => {
+app.get('/api/slots', authenticate, async (req, res) => {
   console.log('** [api/slots] entry **');
   try {
-    // 驗證 JWT
-    const token = req.cookies.token;
-    if (!token) return res.status(401).json({ error: '未登入' });
-    try { jwt.verify(token, JWT_SECRET); }
-    catch { return res.status(401).json({ error: 'Token 驗證失敗' }); }
-
     // 取得 scheduleId
     const scheduleId = req.query.scheduleId;
     if (!scheduleId) {
@@ -496,106 +2185,118 @@ app.get('/api/slots', async (req, res) => {
     }
 
     // 呼叫 FHIR Slot API
-    const slotUrl = `${FHIR_BASE}/Slot?schedule=Schedule/${encodeURIComponent(scheduleId)}`;
-    console.log('  → fetch Slot →', slotUrl);
-    const slotRes = await fetch(slotUrl);
-    if (!slotRes.ok) {
-      const txt = await slotRes.text();
-      console.error('  → FHIR Slot 錯誤', slotRes.status, txt);
-      return res.status(502).json({ error: `FHIR 錯誤 ${slotRes.status}` });
-    }
-    const slotBundle = await slotRes.json();
+    console.log('  → search Slot for Schedule/', scheduleId);
+    const slotResources = await fhir.searchAll('Slot', { schedule: `Schedule/${scheduleId}` });
 
     // 轉換格式
-    const slots = (slotBundle.entry || []).map(e => ({
-      id:     e.resource.id,
-      start:  e.resource.start,
-      end:    e.resource.end,
-      status: e.resource.status,
+    const slots = slotResources.map(slot => ({
+      id:     slot.id,
+      start:  slot.start,
+      end:    slot.end,
+      status: slot.status,
     }));
 
     console.log(`  → 回傳 ${slots.length} 個 slots`);
     res.json({ slots });
   } catch (err) {
-    console.error('[api/slots] error:', err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err, 'api/slots');
+  }
+});
+
+// ── 9-1) 排程的報名問卷 /api/schedules/:id/questionnaire ────────────────────
+// 回傳 FHIR Questionnaire 供前端產生表單；排程未連結問卷時 questionnaire 為 null。回答以 answers 隨 /api/book 送出。
+app.get('/api/schedules/:id/questionnaire', authenticate, async (req, res) => {
+  console.log('** [api/schedules/:id/questionnaire] id:', req.params.id);
+  try {
+    const schedule = await fhir.readOrNull('Schedule', req.params.id);
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    res.json({ scheduleId: schedule.id, questionnaire: await loadScheduleQuestionnaire(schedule) });
+  } catch (err) {
+    sendError(res, err, 'api/schedules/:id/questionnaire');
   }
 });
 
 // === 建立/更新 Appointment (安全交易版本) /api/book ===
-app.post('/api/book', async (req, res) => {
+app.post('/api/book', authenticate, rateLimiter.limit('book', { account: req => req.user.id }), requireVerifiedEmail, async (req, res) => {
   console.log('** [api/book] body:', req.body);
-  const { slotId } = req.body;
+  // dependentId：代家屬預約時帶入 (GET /api/dependents 的 dependentId)，未帶為本人
+  // answers：報名問卷的回答 { linkId: 值 } (排程連結問卷時才需要)
+  const { slotId, serviceType, mealPreference, dependentId, answers } = req.body;
   if (!slotId) {
     return res.status(400).json({ error: '缺少 slotId' });
   }
-
-  if (bookingLocks.has(slotId)) {
-    return res.status(409).json({ error: '此時段正在處理中，請稍候' });
-  }
-  bookingLocks.set(slotId, true);
+  const invalidChoice = validateAppointmentChoices({ serviceType, mealPreference });
+  if (invalidChoice) return res.status(400).json({ error: invalidChoice });
 
   try {
-    // 1. Verify JWT and get Person ID
-    const token = req.cookies.token;
-    if (!token) return res.status(401).json({ error: '未登入' });
-    let personId;
-    try {
-      personId = jwt.verify(token, JWT_SECRET).id;
-    } catch {
-      return res.status(401).json({ error: 'Token 驗證失敗' });
-    }
+    // 1. Person ID (authenticate middleware 已驗證 JWT)
+    const personId = req.user.id;
 
     // 2. Fetch the new Slot resource
-    const newSlotUrl = `${FHIR_BASE}/Slot/${slotId}`;
-    const newSlotRes = await fetch(newSlotUrl);
-    if (!newSlotRes.ok) return res.status(404).json({ error: '找不到指定的時段 (Slot)' });
-    const newSlot = await newSlotRes.json();
+    const newSlot = await fhir.readOrNull('Slot', slotId, { noCache: true });
+    if (!newSlot) return res.status(404).json({ error: '找不到指定的時段 (Slot)' });
+    if (newSlot.status && newSlot.status !== 'free') {
+      return res.status(409).json({ error: SLOT_TAKEN_MESSAGE });
+    }
     
     // 3. Get the Schedule from the new Slot
     const scheduleRef = newSlot.schedule.reference;
-    const scheduleRes = await fetch(`${FHIR_BASE}/${scheduleRef}`);
-    if (!scheduleRes.ok) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
-    const schedule = await scheduleRes.json();
-    const actorRef = schedule.actor[0].reference; // This will be a Practitioner reference
-
-    // ======================= CORRECTED LOGIC (VERSION 3) =======================
-    // 4. Determine the Organization ID from the Practitioner
-    if (!actorRef.startsWith('Practitioner/')) {
-        throw new Error(`Schedule actor is not a Practitioner as expected: ${actorRef}`);
-    }
-    const prRoleUrl = `${FHIR_BASE}/PractitionerRole?practitioner=${encodeURIComponent(actorRef)}`;
-    console.log('  → Finding PractitionerRole:', prRoleUrl);
-    const prRoleRes = await fetch(prRoleUrl);
-    if (!prRoleRes.ok) throw new Error(`Could not fetch PractitionerRole for ${actorRef}`);
-    
-    const prRoleBundle = await prRoleRes.json();
-    if (prRoleBundle.total === 0) throw new Error(`Cannot find PractitionerRole for actor ${actorRef}`);
-    
-    const orgRef = prRoleBundle.entry[0].resource.organization?.reference;
-    if (!orgRef) throw new Error(`PractitionerRole for ${actorRef} does not have an organization reference.`);
-    
-    const organizationId = orgRef.split('/')[1];
-    console.log('  → Determined Organization ID:', organizationId);
+    const schedule = await fhir.readRefOrNull(scheduleRef);
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    const actorRef = schedule.actor[0].reference; // Practitioner 或 PractitionerRole reference
 
-    // 5. Find the correct, organization-specific Patient resource
-    const personIdentifier = `http://example.org/fhir/person|${encodeURIComponent(personId)}`;
-    const patientSearchUrl = `${FHIR_BASE}/Patient?identifier=${personIdentifier}&organization=Organization/${organizationId}`;
-    console.log('  → Fetching patient with org scope:', patientSearchUrl);
-    
-    const pSearchRes = await fetch(patientSearchUrl);
-    if (!pSearchRes.ok) throw new Error(`搜尋 Patient 時發生錯誤: ${pSearchRes.statusText}`);
-    
-    const pSearchBundle = await pSearchRes.json();
-    if (!pSearchBundle.total) return res.status(404).json({ error: '在此組織中找不到對應的 Patient 記錄' });
+    // 已停用的活動排程不再接受報名
+    if (schedule.active === false) {
+      return res.status(409).json({ error: '此活動排程已停用，無法報名' });
+    }
+
+    // 4. Determine the Organization ID from the Practitioner / PractitionerRole
+    const organizationId = await resolveActorOrganizationId(actorRef);
+    console.log('  → Determined Organization ID:', organizationId);
+
+    // 5. Find the correct, organization-specific Patient resource (本人或家屬)
+    console.log('  → Fetching patient with org scope:', organizationId, dependentId ? `dependent: ${dependentId}` : '');
+    const orgPatients = await searchBookingPatients(personId, organizationId, dependentId);
+    if (!orgPatients.length) {
+      return res.status(404).json({ error: dependentId ? '此家屬尚未加入此組織' : '在此組織中找不到對應的 Patient 記錄' });
+    }
     
-    const patientRef = `Patient/${pSearchBundle.entry[0].resource.id}`;
+    const patientRef = `Patient/${orgPatients[0].id}`;
+
+    // 5-1. 活動的參加資格 (年齡、性別) 以報名者的 Patient 檢查
+    const ineligible = await checkScheduleEligibility(schedule, orgPatients[0], newSlot.start);
+    if (ineligible) return res.status(403).json({ error: ineligible });
     
     // 6. Find if the user already has a booked appointment for this schedule
-    const existingApptUrl = `${FHIR_BASE}/Appointment?patient=${encodeURIComponent(patientRef)}&supporting-information=${encodeURIComponent(scheduleRef)}&status=booked`;
-    console.log('  → Checking for existing appointment:', existingApptUrl);
-    const existingApptRes = await fetch(existingApptUrl);
-    const existingApptBundle = await existingApptRes.json();
+    console.log('  → Checking for existing appointment:', patientRef, scheduleRef);
+    const existingAppointments = await fhir.searchAll('Appointment', {
+      patient: patientRef,
+      'supporting-information': scheduleRef,
+      status: 'booked'
+    }, { noCache: true });
+
+    // 組織的預約規則：開始前 minNoticeHours 小時內不可報名；同時有效的預約不可超過 maxActiveBookings (改約不計)
+    const rules = organizationSettings(organizationId).booking;
+    if (rules.minNoticeHours > 0 && newSlot.start
+        && (new Date(newSlot.start).getTime() - Date.now()) / 3600000 < rules.minNoticeHours) {
+      return res.status(409).json({ error: `活動開始前 ${rules.minNoticeHours} 小時內無法報名` });
+    }
+    if (rules.maxActiveBookings > 0 && existingAppointments.length === 0) {
+      const active = await fhir.searchAll('Appointment', {
+        patient: patientRef,
+        status: 'booked',
+        date: `ge${new Date().toISOString()}`
+      });
+      if (active.length >= rules.maxActiveBookings) {
+        return res.status(409).json({ error: `此組織每人最多同時報名 ${rules.maxActiveBookings} 個活動` });
+      }
+    }
+    const noShowBlock = existingAppointments.length === 0 && await checkNoShowPolicy(patientRef, organizationId);
+    if (noShowBlock) return res.status(403).json({ error: noShowBlock });
+
+    // 6-1. 報名問卷：回答與 Appointment 在同一筆交易中建立
+    const response = await prepareQuestionnaireResponse(schedule, patientRef, answers, existingAppointments[0]);
+    if (response.error) return res.status(400).json({ error: response.error });
     
     // 7. Build the FHIR Transaction Bundle
     const transactionBundle = {
@@ -604,149 +2305,1947 @@ app.post('/api/book', async (req, res) => {
       entry: []
     };
     let message = '預約成功！';
+    let previousChoices = {};
+    let promotedAppointmentId = null;
+    let replacedAppointmentId = null;
 
-    // 8. If an existing appointment is found, add operations to cancel it
-    if (existingApptBundle.total > 0) {
+    // 8. If an existing appointment is found, add operations to cancel it (保留為 cancelled，不刪除，以保存歷史)
+    if (existingAppointments.length > 0) {
       console.log('  → Found existing appointment. Will replace it.');
       message = '預約已更新！';
-      const oldAppointment = existingApptBundle.entry[0].resource;
-      const oldAppointmentRef = `Appointment/${oldAppointment.id}`;
+      const oldAppointment = existingAppointments[0];
+      replacedAppointmentId = oldAppointment.id;
+      // 改約時若未重新填寫，沿用原本的參加方式與用餐偏好
+      previousChoices = readAppointmentChoices(oldAppointment);
       const oldSlotRef = oldAppointment.slot[0].reference;
       
       if (oldSlotRef) {
-        const oldSlotRes = await fetch(`${FHIR_BASE}/${oldSlotRef}`);
-        if (oldSlotRes.ok) {
-            const oldSlot = await oldSlotRes.json();
-            transactionBundle.entry.push({
-              resource: { ...oldSlot, status: 'free' },
-              request: { method: "PUT", url: oldSlotRef }
-            });
+        const oldSlot = await fhir.readRefOrNull(oldSlotRef, { noCache: true });
+        if (oldSlot) {
+            // 舊時段若有人候補，直接遞補給第一位候補者
+            const release = await buildSlotReleaseEntries(oldSlot, { excludePatientRef: patientRef });
+            transactionBundle.entry.push(...release.entries);
+            promotedAppointmentId = release.promotedAppointmentId;
         }
       }
       transactionBundle.entry.push({
-        request: { method: "DELETE", url: oldAppointmentRef }
+        resource: { ...oldAppointment, status: 'cancelled', cancelationReason: { text: '改約' } },
+        request: versionedRequest(oldAppointment)
       });
     }
     
+    // 報名成功後，此使用者在同一排程的候補自動取消
+    const myWaitlist = (await getWaitlist(scheduleRef)).filter(a => appointmentPatientRef(a) === patientRef);
+    myWaitlist.forEach(w => transactionBundle.entry.push({
+      resource: { ...w, status: 'cancelled' },
+      request: versionedRequest(w)
+    }));
+
     // 9. Add operations for the new booking
-    transactionBundle.entry.push({
-      resource: {
+    if (response.entry) transactionBundle.entry.push(response.entry);
+    const newAppointmentIndex = transactionBundle.entry.push({
+      fullUrl: `urn:uuid:${crypto.randomUUID()}`,
+      resource: applyAppointmentChoices({
         resourceType: "Appointment",
         status: "booked",
         slot: [{ reference: `Slot/${slotId}` }],
-        supportingInformation: [{ reference: scheduleRef }],
+        supportingInformation: [{ reference: scheduleRef }, response.responseRef && { reference: response.responseRef }].filter(Boolean),
         start: newSlot.start,
         end: newSlot.end,
         participant: [
           { actor: { reference: patientRef }, status: "accepted" },
           { actor: { reference: actorRef }, status: "accepted" }
         ]
-      },
+      }, {
+        serviceType: serviceType || previousChoices.serviceType,
+        mealPreference: mealPreference || previousChoices.mealPreference
+      }),
       request: { method: "POST", url: "Appointment" }
-    });
+    }) - 1;
 
+    // 新時段的更新以讀取時的版本為條件：若期間已被他人預約，整筆交易失敗
     transactionBundle.entry.push({
       resource: { ...newSlot, status: "busy" },
-      request: { method: "PUT", url: `Slot/${slotId}` }
+      request: versionedRequest(newSlot)
     });
+    const action = replacedAppointmentId ? 'rebook' : 'book';
+    addProvenanceEntry(transactionBundle, { patientRef, personId, activity: replacedAppointmentId ? 'UPDATE' : 'CREATE', reason: AUDIT_ACTIONS[action].display });
 
     // 10. Execute the transaction
     console.log('  → Posting transaction bundle to FHIR server');
-    const txRes = await fetch(FHIR_BASE, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/fhir+json' },
-      body: JSON.stringify(transactionBundle)
+    const txResult = await fhir.transaction(transactionBundle);
+    const newAppointmentLocation = txResult.entry?.[newAppointmentIndex]?.response?.location;
+    if (!newAppointmentLocation) throw new Error('交易成功，但無法在回應中找到新建立的 Appointment。');
+    const newAppointmentId = newAppointmentLocation.split('/')[1];
+
+    res.status(201).json({ message: message, appointmentId: newAppointmentId, replacedAppointmentId, dependentId: dependentId || null });
+    recordAudit(action, {
+      req, personId, patientRef, organizationId,
+      entities: [`Appointment/${newAppointmentId}`, `Slot/${slotId}`, replacedAppointmentId && `Appointment/${replacedAppointmentId}`]
     });
 
-    if (!txRes.ok) {
-      const errorBody = await txRes.text();
-      console.error('  → FHIR Transaction Error:', errorBody);
-      throw new Error(`FHIR 交易失敗: ${txRes.statusText}`);
+    // 11. 寄出確認 / 更新通知 (背景執行)
+    notifyInBackground(existingAppointments.length > 0 ? 'rebooked' : 'booked', newAppointmentId);
+    if (promotedAppointmentId) notifyInBackground('waitlistPromoted', promotedAppointmentId);
+    publishInBackground(replacedAppointmentId ? 'rebooked' : 'booked', newAppointmentId, { replacedAppointmentId });
+    if (promotedAppointmentId) publishInBackground('booked', promotedAppointmentId, { fromWaitlist: true });
+
+  } catch (err) {
+    if (isVersionConflict(err)) {
+      console.warn('  [api/book] 版本衝突:', err.message);
+      return res.status(409).json({ error: SLOT_TAKEN_MESSAGE });
     }
+    sendError(res, err, 'api/book');
+  }
+});
+
+
+// === 10) 取得當前使用者所有 Appointment (/api/appointments) ===
+// 依 Person ID 列出本人與家屬所有 Patient 的 Appointment，並帶出 Schedule 名稱與參加者；/api/appointments 與行事曆匯出共用
+async function listPersonAppointments(personId) {
+  // 1. 用 Person ID 查對應的所有 Patient 資源 (含家屬)
+  const patients = await searchManagedPatients(personId);
+  if (!patients.length) return [];
+
+  // 1-1. 每個 Patient 是誰：本人 (dependentId 為 null) 或哪位家屬
+  const dependentIdOfPatient = p => (p.identifier || []).find(i => i.system === DEPENDENT_SYSTEM)?.value || null;
+  const dependentIds = [...new Set(patients.map(dependentIdOfPatient).filter(Boolean))];
+  const [person, dependents] = await Promise.all([
+    fhir.readOrNull('Person', personId),
+    dependentIds.length ? fhir.searchAll('Patient', { _id: dependentIds.join(',') }) : []
+  ]);
+  const dependentNames = new Map(dependents.map(d => [d.id, d.name?.[0]?.text || '']));
+  const attendees = new Map(patients.map(p => {
+    const dependentId = dependentIdOfPatient(p);
+    return [`Patient/${p.id}`, {
+      dependentId,
+      attendeeName: dependentId ? dependentNames.get(dependentId) || '' : person?.name?.[0]?.text || ''
+    }];
+  }));
+
+  // 2. 取得所有 patient ID 字串，例如 "Patient/123,Patient/456"
+  const patientRefs = patients.map(p => `Patient/${p.id}`).join(',');
+
+  // 3. 撈取所有相關的 Appointment (searchAll 會跟隨分頁，不會停在第一頁的 50 筆)
+  console.log('  → fetch appointments:', patientRefs);
+  const appointments = await fhir.searchAll('Appointment', { patient: patientRefs, _count: 50, _sort: '-date' });
+  const entries = appointments.map(resource => ({ resource }));
+  if (entries.length === 0) return [];
+
+  // 4. 取得所有相關的 Schedule 名稱
+  const scheduleIds = [...new Set(entries
+      .map(e => e.resource.supportingInformation?.[0]?.reference)
+      .filter(Boolean)
+      .map(ref => ref.split('/')[1]))
+  ].join(',');
 
-    const txResult = await txRes.json();
-    const newAppointmentEntry = txResult.entry.find(e => e.response && e.response.status.startsWith('201'));
-    if (!newAppointmentEntry) throw new Error('交易成功，但無法在回應中找到新建立的 Appointment。');
-    const newAppointmentId = newAppointmentEntry.response.location.split('/')[1];
+  const scheduleNames = new Map();
+  const scheduleActivities = new Map(); // Schedule ID → ActivityDefinition
+  if (scheduleIds) {
+      console.log(' → fetching schedule names:', scheduleIds);
+      const schedules = await fhir.searchAll('Schedule', { _id: scheduleIds });
+      schedules.forEach(sch => {
+          scheduleNames.set(sch.id, sch.comment || '（無描述）');
+      });
+      const activities = await loadActivities(schedules.map(scheduleActivityRef));
+      schedules.forEach(sch => {
+          const def = activities.get(scheduleActivityRef(sch));
+          if (def) scheduleActivities.set(sch.id, def);
+      });
+  }
+
+  // 4-1. 候補中的預約計算目前順位
+  const waitlistPositions = new Map();
+  const waitlistScheduleRefs = [...new Set(entries
+    .filter(e => e.resource.status === 'waitlist')
+    .map(e => e.resource.supportingInformation?.[0]?.reference)
+    .filter(Boolean))];
+  await Promise.all(waitlistScheduleRefs.map(async ref => {
+    (await getWaitlist(ref)).forEach((w, i) => waitlistPositions.set(w.id, i + 1));
+  }));
 
-    res.json({ message: message, appointmentId: newAppointmentId });
+  // 5. 轉換格式並回傳
+  const list = entries.map(e => {
+    const appt = e.resource;
+    const scheduleId = appt.supportingInformation?.[0]?.reference?.split('/')[1] || '';
+    return {
+      appointmentId: appt.id,
+      scheduleId,
+      scheduleName: scheduleNames.get(scheduleId) || '（無法載入名稱）',
+      activity: scheduleActivities.has(scheduleId) ? toActivitySummary(scheduleActivities.get(scheduleId)) : null,
+      start: appt.start,
+      end:   appt.end,
+      status: appt.status,
+      waitlistPosition: waitlistPositions.get(appt.id) || null,
+      patientId: appointmentPatientRef(appt)?.split('/')[1] || null,
+      ...(attendees.get(appointmentPatientRef(appt)) || { dependentId: null, attendeeName: '' }),
+      ...readAppointmentChoices(appt)
+    };
+  });
+
+  return list;
+}
 
+app.get('/api/appointments', authenticate, async (req, res) => {
+  console.log('** [api/appointments] **');
+  try {
+    res.json(await listPersonAppointments(req.user.id));
   } catch (err) {
-    console.error('[api/book] error:', err);
-    res.status(500).json({ error: err.message });
-  } finally {
-    bookingLocks.delete(slotId);
+    sendError(res, err, 'api/appointments');
   }
 });
 
+// === 10-1) 行事曆匯出 (.ics) ===
+// 每筆有時間的預約輸出一個 VEVENT；已取消的預約輸出 STATUS:CANCELLED，讓行事曆軟體把事件標示為取消。
+// 候補中的預約沒有時間，不輸出。
 
-// === 10) 取得當前使用者所有 Appointment (/api/appointments) ===
-app.get('/api/appointments', async (req, res) => {
-  console.log('** [api/appointments] **');
+// 依 RFC 5545 跳脫文字欄位
+const icsText = str => String(str).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+// FHIR instant → iCalendar UTC 時間，例如 20250805T013000Z
+const icsDate = iso => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 每行最多 75 bytes，超過時折行 (續行以空白開頭)；中文為多位元組，需以 UTF-8 長度計算
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const ICS_STATUS = { booked: 'CONFIRMED', arrived: 'CONFIRMED', fulfilled: 'CONFIRMED', cancelled: 'CANCELLED', noshow: 'CANCELLED' };
+
+function buildICalendar(list) {
+  const host = new URL(APP_BASE_URL).host;
+  const stamp = icsDate(new Date().toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//FHIR-appointment//Activity Booking//ZH-TW',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:我的報名'
+  ];
+  list.filter(a => a.start && ICS_STATUS[a.status]).forEach(a => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:appointment-${a.appointmentId}@${host}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(a.start)}`,
+      `DTEND:${icsDate(a.end || a.start)}`,
+      `SUMMARY:${icsText(a.scheduleName)}`,
+      `STATUS:${ICS_STATUS[a.status]}`
+    );
+    const details = [
+      a.dependentId && `參加者：${a.attendeeName}`,
+      a.serviceType && `參加方式：${a.serviceType}`,
+      a.mealPreference && `用餐偏好：${a.mealPreference}`
+    ].filter(Boolean);
+    if (details.length) lines.push(`DESCRIPTION:${icsText(details.join('\n'))}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function sendICalendar(res, list) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'attachment; filename="appointments.ics"');
+  res.send(buildICalendar(list));
+}
+
+// 下載自己的行事曆 (需登入)
+app.get('/api/appointments.ics', authenticate, async (req, res) => {
+  console.log('** [api/appointments.ics] **');
   try {
-    // 1. 驗證 JWT
-    const token = req.cookies.token;
-    if (!token) return res.status(401).json({ error: '未登入' });
-    let personId;
-    try { personId = jwt.verify(token, JWT_SECRET).id; }
-    catch { return res.status(401).json({ error: 'Token 驗證失敗' }); }
-
-    // 2. 用 Person ID 查對應的所有 Patient 資源
-    const pSearchRes = await fetch(`${FHIR_BASE}/Patient?identifier=http://example.org/fhir/person|${encodeURIComponent(personId)}`);
-    const pSearchBundle = await pSearchRes.json();
-    if (!pSearchBundle.total) return res.json([]);
-
-    // 3. 取得所有 patient ID 字串，例如 "Patient/123,Patient/456"
-    const patientRefs = pSearchBundle.entry.map(e => `Patient/${e.resource.id}`).join(',');
-
-    // 4. 撈取所有相關的 Appointment (REMOVED encodeURIComponent)
-    const url = `${FHIR_BASE}/Appointment?patient=${patientRefs}&_count=50&_sort=-date`;
-    console.log('  → fetch appointments:', url);
-    const aRes = await fetch(url);
-    if (!aRes.ok) throw new Error(`FHIR Appointment 取回錯誤 ${aRes.status}`);
-    const aBundle = await aRes.json();
-    const entries = aBundle.entry || [];
-    if (entries.length === 0) return res.json([]);
-
-    // 5. 取得所有相關的 Schedule 名稱
-    const scheduleIds = [...new Set(entries
-        .map(e => e.resource.supportingInformation?.[0]?.reference)
-        .filter(Boolean)
-        .map(ref => ref.split('/')[1]))
-    ].join(',');
-
-    const scheduleNames = new Map();
-    if (scheduleIds) {
-        const scheduleUrl = `${FHIR_BASE}/Schedule?_id=${scheduleIds}`;
-        console.log(' → fetching schedule names:', scheduleUrl);
-        const schRes = await fetch(scheduleUrl);
-        if (schRes.ok) {
-            const schBundle = await schRes.json();
-            (schBundle.entry || []).forEach(e => {
-                scheduleNames.set(e.resource.id, e.resource.comment || '（無描述）');
-            });
-        }
+    sendICalendar(res, await listPersonAppointments(req.user.id));
+  } catch (err) {
+    sendError(res, err, 'api/appointments.ics');
+  }
+});
+
+// 行事曆訂閱網址：行事曆軟體無法帶 cookie，改以網址中的秘密代碼識別使用者
+const calendarFeedUrl = secret => `${APP_BASE_URL}/api/calendar/${secret}.ics`;
+
+async function updateCalendarFeedSecret(personId, secret) {
+  const person = await fhir.read('Person', personId, { noCache: true });
+  person.identifier = (person.identifier || []).filter(i => i.system !== CALENDAR_FEED_SYSTEM);
+  if (secret) person.identifier.push({ system: CALENDAR_FEED_SYSTEM, value: secret });
+  await fhir.update(person);
+}
+
+// 查詢目前的訂閱網址
+app.get('/api/calendar-feed', authenticate, async (req, res) => {
+  console.log('** [api/calendar-feed GET] **');
+  try {
+    const person = await fhir.readOrNull('Person', req.user.id);
+    if (!person) return res.status(404).json({ error: '找不到對應的使用者' });
+    const secret = (person.identifier || []).find(i => i.system === CALENDAR_FEED_SYSTEM)?.value;
+    res.json({ url: secret ? calendarFeedUrl(secret) : null });
+  } catch (err) {
+    sendError(res, err, 'api/calendar-feed GET');
+  }
+});
+
+// 產生 (或重新產生) 訂閱網址，舊網址立即失效
+app.post('/api/calendar-feed', authenticate, async (req, res) => {
+  console.log('** [api/calendar-feed POST] **');
+  try {
+    const secret = crypto.randomBytes(24).toString('hex');
+    await updateCalendarFeedSecret(req.user.id, secret);
+    res.status(201).json({ url: calendarFeedUrl(secret) });
+  } catch (err) {
+    sendError(res, err, 'api/calendar-feed POST');
+  }
+});
+
+// 撤銷訂閱網址
+app.delete('/api/calendar-feed', authenticate, async (req, res) => {
+  console.log('** [api/calendar-feed DELETE] **');
+  try {
+    await updateCalendarFeedSecret(req.user.id, null);
+    res.json({ message: '行事曆訂閱網址已撤銷' });
+  } catch (err) {
+    sendError(res, err, 'api/calendar-feed DELETE');
+  }
+});
+
+// 訂閱網址本身 (不需 cookie)
+app.get('/api/calendar/:secret.ics', async (req, res) => {
+  console.log('** [api/calendar/:secret.ics] **');
+  const { secret } = req.params;
+  if (!/^[0-9a-f]{48}$/.test(secret)) return res.status(404).json({ error: '訂閱網址無效' });
+  try {
+    const searchData = await fhir.search('Person', { identifier: `${CALENDAR_FEED_SYSTEM}|${secret}` });
+    if (!searchData.entry?.length) return res.status(404).json({ error: '訂閱網址無效或已撤銷' });
+    sendICalendar(res, await listPersonAppointments(searchData.entry[0].resource.id));
+  } catch (err) {
+    sendError(res, err, 'api/calendar/:secret.ics');
+  }
+});
+
+// === 10-2) 報到碼 /api/appointments/:id/check-in-code ===
+// 報到碼為以 JWT_SECRET 簽章的權杖 (purpose = check-in)，前端轉成 QR Code 於活動當天出示，
+// 工作人員掃描後呼叫 POST /api/admin/check-in；活動結束一天後失效。
+function signCheckInCode(appointment) {
+  const expiresAt = new Date(appointment.end || appointment.start).getTime() + 86400000;
+  return jwt.sign({ appt: appointment.id, purpose: 'check-in', exp: Math.floor(expiresAt / 1000) }, JWT_SECRET);
+}
+
+app.get('/api/appointments/:id/check-in-code', authenticate, async (req, res) => {
+  console.log('** [api/appointments/:id/check-in-code] id:', req.params.id);
+  try {
+    const appointment = await fhir.readOrNull('Appointment', req.params.id);
+    if (!appointment) return res.status(404).json({ error: '找不到指定的預約 (Appointment)' });
+    const myPatientRefs = await getPersonPatientRefs(req.user.id);
+    if (!myPatientRefs.includes(appointmentPatientRef(appointment))) {
+      return res.status(403).json({ error: '無權查看此預約' });
     }
+    if (appointment.status !== 'booked' || !appointment.start) {
+      return res.status(409).json({ error: `此預約目前狀態為 ${appointment.status}，無法產生報到碼` });
+    }
+    res.json({ appointmentId: appointment.id, code: signCheckInCode(appointment) });
+  } catch (err) {
+    sendError(res, err, 'api/appointments/:id/check-in-code');
+  }
+});
 
-    // 6. 轉換格式並回傳
-    const list = entries.map(e => {
-      const appt = e.resource;
-      const scheduleId = appt.supportingInformation?.[0]?.reference?.split('/')[1] || '';
-      return {
-        appointmentId: appt.id,
-        scheduleId,
-        scheduleName: scheduleNames.get(scheduleId) || '（無法載入名稱）',
-        start: appt.start,
-        end:   appt.end,
-        status: appt.status
-      };
+// === 11) 取消預約並釋放時段 /api/appointments/:id/cancel ===
+// 依 slot.md 的設計：Appointment.status → cancelled，Slot.status → free，
+// 兩者放在同一個 FHIR transaction Bundle 中，確保不會只做一半。
+// 若此排程有人候補，釋出的 Slot 會在同一個交易中直接遞補給第一位候補者。
+// 候補中 (waitlist) 的預約也用此路由取消，等同退出候補。
+app.post('/api/appointments/:id/cancel', authenticate, async (req, res) => {
+  console.log('** [api/appointments/:id/cancel] id:', req.params.id);
+  const appointmentId = req.params.id;
+  const { reason } = req.body || {};
+
+  // 1. Person ID (authenticate middleware 已驗證 JWT)
+  const personId = req.user.id;
+
+  try {
+    // 2. 取得 Appointment
+    const appointment = await fhir.readOrNull('Appointment', appointmentId, { noCache: true });
+    if (!appointment) return res.status(404).json({ error: '找不到指定的預約 (Appointment)' });
+
+    // 3. 確認此預約屬於目前使用者的其中一個 Patient
+    const myPatientRefs = await getPersonPatientRefs(personId);
+    const isMine = (appointment.participant || [])
+      .some(p => myPatientRefs.includes(p.actor?.reference));
+    if (!isMine) return res.status(403).json({ error: '無權取消此預約' });
+
+    if (appointment.status !== 'booked' && appointment.status !== 'waitlist') {
+      return res.status(409).json({ error: `此預約目前狀態為 ${appointment.status}，無法取消` });
+    }
+
+    // 4. 檢查取消期限 (活動開始前 cancelCutoffHours 小時內不可取消；候補不受限制)
+    const organizationId = await resolveAppointmentOrganizationId(appointment);
+    const { cancelCutoffHours } = organizationId ? organizationSettings(organizationId).booking : { cancelCutoffHours: CANCEL_CUTOFF_HOURS };
+    if (cancelCutoffHours > 0 && appointment.status === 'booked' && appointment.start) {
+      const hoursLeft = (new Date(appointment.start).getTime() - Date.now()) / 3600000;
+      if (hoursLeft < cancelCutoffHours) {
+        return res.status(409).json({ error: `活動開始前 ${cancelCutoffHours} 小時內無法取消預約` });
+      }
+    }
+
+    // 5. 建立 FHIR Transaction Bundle；Appointment 與 Slot 都以讀取時的版本為條件 (versionedRequest)
+    const slotRef = appointment.slot?.[0]?.reference;
+    const cancelledAppointment = { ...appointment, status: 'cancelled' };
+    if (reason) cancelledAppointment.cancelationReason = { text: reason };
+
+    const transactionBundle = {
+      resourceType: "Bundle",
+      type: "transaction",
+      entry: [{
+        resource: cancelledAppointment,
+        request: versionedRequest(appointment)
+      }]
+    };
+
+    let promotedAppointmentId = null;
+    if (slotRef && appointment.status === 'booked') {
+      const slot = await fhir.readRefOrNull(slotRef, { noCache: true });
+      if (slot) {
+        const release = await buildSlotReleaseEntries(slot, { excludePatientRef: appointmentPatientRef(appointment) });
+        transactionBundle.entry.push(...release.entries);
+        promotedAppointmentId = release.promotedAppointmentId;
+      }
+    }
+
+    addProvenanceEntry(transactionBundle, { patientRef: appointmentPatientRef(appointment), personId, activity: 'UPDATE', reason: reason || AUDIT_ACTIONS.cancel.display });
+
+    // 6. 執行交易
+    console.log('  → Posting cancellation transaction bundle to FHIR server');
+    await fhir.transaction(transactionBundle);
+    recordAudit('cancel', {
+      req, personId, patientRef: appointmentPatientRef(appointment), organizationId,
+      entities: [`Appointment/${appointment.id}`, slotRef],
+      detail: reason
+    });
+
+    res.json({
+      message: appointment.status === 'waitlist' ? '已退出候補' : '預約已取消',
+      appointmentId: appointment.id,
+      promotedAppointmentId
+    });
+
+    // 7. 寄出取消與遞補通知 (背景執行)
+    if (appointment.status === 'booked') notifyInBackground('cancelled', appointment.id);
+    if (promotedAppointmentId) notifyInBackground('waitlistPromoted', promotedAppointmentId);
+    if (appointment.status === 'booked') publishInBackground('cancelled', appointment.id, { reason: reason || null });
+    if (promotedAppointmentId) publishInBackground('booked', promotedAppointmentId, { fromWaitlist: true });
+  } catch (err) {
+    if (isVersionConflict(err)) {
+      console.warn('  [api/appointments/:id/cancel] 版本衝突:', err.message);
+      return res.status(409).json({ error: '預約或時段剛被更新，請重新整理後再試' });
+    }
+    sendError(res, err, 'api/appointments/:id/cancel');
+  }
+});
+
+// === 11-1) 加入候補 /api/schedules/:id/waitlist ===
+// 當排程所有 Slot 都是 busy 時，建立 status = waitlist 的 Appointment (尚未佔用 Slot)，
+// 依 Appointment.created 排隊；有時段釋出時由 buildSlotReleaseEntries 自動遞補。
+app.post('/api/schedules/:id/waitlist', authenticate, requireVerifiedEmail, async (req, res) => {
+  console.log('** [api/schedules/:id/waitlist] id:', req.params.id, 'body:', req.body);
+  const { serviceType, mealPreference, dependentId, answers } = req.body || {};
+  const invalidChoice = validateAppointmentChoices({ serviceType, mealPreference });
+  if (invalidChoice) return res.status(400).json({ error: invalidChoice });
+
+  try {
+    const schedule = await fhir.readOrNull('Schedule', req.params.id);
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    const scheduleRef = `Schedule/${schedule.id}`;
+    if (schedule.active === false) {
+      return res.status(409).json({ error: '此活動排程已停用，無法報名' });
+    }
+
+    const organizationId = await resolveScheduleOrganizationId(schedule);
+    const orgPatients = await searchBookingPatients(req.user.id, organizationId, dependentId);
+    if (!orgPatients.length) {
+      return res.status(404).json({ error: dependentId ? '此家屬尚未加入此組織' : '在此組織中找不到對應的 Patient 記錄' });
+    }
+    const patientRef = `Patient/${orgPatients[0].id}`;
+    const ineligible = await checkScheduleEligibility(schedule, orgPatients[0], schedule.planningHorizon?.start);
+    if (ineligible) return res.status(403).json({ error: ineligible });
+    const noShowBlock = await checkNoShowPolicy(patientRef, organizationId);
+    if (noShowBlock) return res.status(403).json({ error: noShowBlock });
+
+    // 還有空位時不需要候補
+    const freeBundle = await fhir.search('Slot', { schedule: scheduleRef, status: 'free', _count: 1 });
+    if ((freeBundle.entry || []).length > 0) {
+      return res.status(409).json({ error: '此活動仍有空位，請直接報名' });
+    }
+
+    // 每個排程只能有一筆已報名或候補中的預約
+    const existingBundle = await fhir.search('Appointment', {
+      patient: patientRef,
+      'supporting-information': scheduleRef,
+      status: 'booked,waitlist'
     });
+    if ((existingBundle.entry || []).length > 0) {
+      return res.status(409).json({ error: '您已報名或已在候補名單中' });
+    }
+    const response = await prepareQuestionnaireResponse(schedule, patientRef, answers);
+    if (response.error) return res.status(400).json({ error: response.error });
+
+    const waitlistAppointment = applyAppointmentChoices({
+      resourceType: 'Appointment',
+      status: 'waitlist',
+      created: new Date().toISOString(),
+      supportingInformation: [{ reference: scheduleRef }, response.responseRef && { reference: response.responseRef }].filter(Boolean),
+      participant: [
+        { actor: { reference: patientRef }, status: 'accepted' },
+        { actor: { reference: schedule.actor[0].reference }, status: 'needs-action' }
+      ]
+    }, { serviceType, mealPreference });
+
+    // 有問卷回答時與候補的 Appointment 以同一筆交易建立，遞補時回答隨 Appointment 保留
+    let created;
+    if (response.entry) {
+      const txResult = await fhir.transaction({
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [response.entry, { resource: waitlistAppointment, request: { method: 'POST', url: 'Appointment' } }]
+      });
+      created = { id: txResult.entry[1].response.location.split('/')[1] };
+    } else {
+      created = await fhir.create(waitlistAppointment);
+    }
+    const position = (await getWaitlist(scheduleRef)).findIndex(w => w.id === created.id) + 1;
+    console.log(`  → 已加入候補 Appointment/${created.id}，順位 ${position}`);
+    res.status(201).json({ message: '已加入候補名單', appointmentId: created.id, waitlistPosition: position || null });
+  } catch (err) {
+    sendError(res, err, 'api/schedules/:id/waitlist');
+  }
+});
+
+// === 11-2) 修改既有預約的參加方式 / 用餐偏好 (不釋放時段) PATCH /api/appointments/:id ===
+app.patch('/api/appointments/:id', authenticate, async (req, res) => {
+  console.log('** [api/appointments/:id PATCH] id:', req.params.id, 'body:', req.body);
+  const { serviceType, mealPreference } = req.body;
+  if (serviceType === undefined && mealPreference === undefined) {
+    return res.status(400).json({ error: '請提供 serviceType 或 mealPreference' });
+  }
+  const invalidChoice = validateAppointmentChoices({ serviceType, mealPreference });
+  if (invalidChoice) return res.status(400).json({ error: invalidChoice });
+
+  try {
+    const appointment = await fhir.readOrNull('Appointment', req.params.id, { noCache: true });
+    if (!appointment) return res.status(404).json({ error: '找不到指定的預約 (Appointment)' });
+
+    const myPatientRefs = await getPersonPatientRefs(req.user.id);
+    const isMine = (appointment.participant || [])
+      .some(p => myPatientRefs.includes(p.actor?.reference));
+    if (!isMine) return res.status(403).json({ error: '無權修改此預約' });
+    if (appointment.status !== 'booked' && appointment.status !== 'waitlist') {
+      return res.status(409).json({ error: `此預約目前狀態為 ${appointment.status}，無法修改` });
+    }
+
+    // 以讀取時的版本為條件：期間若已被取消或遞補，不可把舊的狀態寫回
+    const ifMatch = ifMatchOf(appointment);
+    applyAppointmentChoices(appointment, { serviceType, mealPreference });
+    await fhir.update(appointment, { ifMatch });
+    res.json({ message: '報名資料已更新', appointmentId: appointment.id, ...readAppointmentChoices(appointment) });
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '預約剛被更新，請重新整理後再試' });
+    sendError(res, err, 'api/appointments/:id PATCH');
+  }
+});
+
+// === 11-3) 報名選項清單 /api/appointment-options ===
+app.get('/api/appointment-options', (req, res) => {
+  res.json({ serviceTypes: SERVICE_TYPES, mealPreferences: MEAL_PREFERENCES });
+});
+
+// ── 12) 管理後台：活動排程 Schedule 管理 /api/admin/schedules ──────────────
+// 依 schedule.md：管理員可新增、編輯、停用 Schedule。admin 可管理所有組織，staff 只能管理所屬組織。
+// Schedule.actor 第一筆為負責人 (Practitioner / PractitionerRole)，第二筆為主辦單位 Organization，
+// 如此 /api/schedules 以 Organization 搜尋時也找得到。
+
+// 驗證並整理 Schedule 的輸入欄位，回傳錯誤訊息字串或 null
+function validateScheduleInput({ actor, start, end }) {
+  if (actor !== undefined && !/^(Practitioner|PractitionerRole)\/[^/]+$/.test(actor)) {
+    return 'actor 必須是 Practitioner/{id} 或 PractitionerRole/{id}';
+  }
+  if (start !== undefined && isNaN(Date.parse(start))) return 'start 日期格式錯誤';
+  if (end !== undefined && isNaN(Date.parse(end))) return 'end 日期格式錯誤';
+  if (start && end && Date.parse(start) >= Date.parse(end)) return 'start 必須早於 end';
+  return null;
+}
+
+// 轉成前端使用的格式
+function toScheduleSummary(sch) {
+  return {
+    scheduleId: sch.id,
+    comment: sch.comment || '（無描述）',
+    active: sch.active !== false,
+    actor: sch.actor?.[0]?.reference || null,
+    activityId: scheduleActivityRef(sch)?.split('/')[1] || null,
+    questionnaireId: scheduleQuestionnaireRef(sch)?.split('/')[1] || null,
+    planningHorizon: sch.planningHorizon || null
+  };
+}
+
+// 把 Schedule 連到活動 (activityId 為 null 時取消連結)；活動須屬於同一組織，回傳錯誤訊息字串或 null
+async function applyScheduleActivity(schedule, activityId, organizationId) {
+  const extension = (schedule.extension || []).filter(x => x.url !== ACTIVITY_DEFINITION_EXT);
+  if (activityId) {
+    const def = await fhir.readOrNull('ActivityDefinition', activityId);
+    if (!def || activityOrganizationId(def) !== organizationId) return '找不到此組織的指定活動 (activityId)';
+    extension.push({ url: ACTIVITY_DEFINITION_EXT, valueReference: { reference: `ActivityDefinition/${def.id}` } });
+  }
+  schedule.extension = extension.length ? extension : undefined;
+  return null;
+}
+
+// 把 Schedule 連到報名問卷 (questionnaireId 為 null 時取消連結)；問卷須屬於同一組織，回傳錯誤訊息字串或 null
+async function applyScheduleQuestionnaire(schedule, questionnaireId, organizationId) {
+  const extension = (schedule.extension || []).filter(x => x.url !== QUESTIONNAIRE_EXT);
+  if (questionnaireId) {
+    const questionnaire = await fhir.readOrNull('Questionnaire', questionnaireId);
+    if (!questionnaire || questionnaireOrganizationId(questionnaire) !== organizationId) return '找不到此組織的指定問卷 (questionnaireId)';
+    extension.push({ url: QUESTIONNAIRE_EXT, valueReference: { reference: `Questionnaire/${questionnaire.id}` } });
+  }
+  schedule.extension = extension.length ? extension : undefined;
+  return null;
+}
+
+// 12-1) 列出某組織的所有 Schedule (含已停用)
+app.get('/api/admin/schedules', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/schedules GET] **');
+  const { organizationId } = req.query;
+  if (!organizationId) return res.status(400).json({ error: '請提供 organizationId' });
+  if (!canManageOrganization(req.user, organizationId)) {
+    return res.status(403).json({ error: '無權管理此組織' });
+  }
+  try {
+    const schedules = await searchOrganizationSchedules(organizationId);
+    res.json({ schedules: schedules.map(toScheduleSummary) });
+  } catch (err) {
+    sendError(res, err, 'api/admin/schedules GET');
+  }
+});
+
+// 12-2) 新增 Schedule
+app.post('/api/admin/schedules', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/schedules POST] body:', req.body);
+  const { organizationId, actor, comment, start, end, active, activityId, questionnaireId } = req.body;
+  if (!organizationId || !actor || !comment) {
+    return res.status(400).json({ error: 'organizationId、actor 和 comment 皆為必填' });
+  }
+  const invalid = validateScheduleInput({ actor, start, end });
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (!canManageOrganization(req.user, organizationId)) {
+    return res.status(403).json({ error: '無權管理此組織' });
+  }
+
+  try {
+    // 確認負責人確實屬於此組織
+    const actorOrgId = await resolveActorOrganizationId(actor).catch(() => null);
+    if (actorOrgId !== organizationId) {
+      return res.status(400).json({ error: '負責人 (actor) 不屬於此組織' });
+    }
+
+    const schedule = {
+      resourceType: 'Schedule',
+      active: active !== false,
+      actor: [
+        { reference: actor },
+        { reference: `Organization/${organizationId}` }
+      ],
+      comment
+    };
+    if (start || end) schedule.planningHorizon = { start, end };
+    const invalidActivity = await applyScheduleActivity(schedule, activityId, organizationId);
+    if (invalidActivity) return res.status(400).json({ error: invalidActivity });
+    const invalidQuestionnaire = await applyScheduleQuestionnaire(schedule, questionnaireId, organizationId);
+    if (invalidQuestionnaire) return res.status(400).json({ error: invalidQuestionnaire });
+
+    const created = await fhir.create(schedule);
+    console.log('  → 已建立 Schedule', created.id);
+    res.status(201).json(toScheduleSummary(created));
+  } catch (err) {
+    sendError(res, err, 'api/admin/schedules POST');
+  }
+});
+
+// 12-3) 修改 Schedule (名稱、負責人、planningHorizon、active、連結的活動與報名問卷)
+app.put('/api/admin/schedules/:id', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/schedules PUT] id:', req.params.id, 'body:', req.body);
+  const { actor, comment, start, end, active, activityId, questionnaireId } = req.body;
+  const invalid = validateScheduleInput({ actor, start, end });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const schedule = await fhir.readOrNull('Schedule', req.params.id, { noCache: true });
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    const organizationId = await resolveScheduleOrganizationId(schedule);
+    if (!canManageOrganization(req.user, organizationId)) {
+      return res.status(403).json({ error: '無權管理此組織' });
+    }
+
+    if (actor !== undefined) {
+      const actorOrgId = await resolveActorOrganizationId(actor).catch(() => null);
+      if (actorOrgId !== organizationId) {
+        return res.status(400).json({ error: '負責人 (actor) 不屬於此組織' });
+      }
+      schedule.actor = [
+        { reference: actor },
+        { reference: `Organization/${organizationId}` }
+      ];
+    }
+    if (comment !== undefined) schedule.comment = comment;
+    if (active !== undefined) schedule.active = Boolean(active);
+    if (activityId !== undefined) {
+      const invalidActivity = await applyScheduleActivity(schedule, activityId, organizationId);
+      if (invalidActivity) return res.status(400).json({ error: invalidActivity });
+    }
+    if (questionnaireId !== undefined) {
+      const invalidQuestionnaire = await applyScheduleQuestionnaire(schedule, questionnaireId, organizationId);
+      if (invalidQuestionnaire) return res.status(400).json({ error: invalidQuestionnaire });
+    }
+    if (start !== undefined || end !== undefined) {
+      schedule.planningHorizon = { ...schedule.planningHorizon };
+      if (start !== undefined) schedule.planningHorizon.start = start;
+      if (end !== undefined) schedule.planningHorizon.end = end;
+      const { start: s, end: e } = schedule.planningHorizon;
+      if (s && e && Date.parse(s) >= Date.parse(e)) {
+        return res.status(400).json({ error: 'start 必須早於 end' });
+      }
+    }
+
+    res.json(toScheduleSummary(await fhir.update(schedule, { ifMatch: ifMatchOf(schedule) })));
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '活動排程剛被更新，請重新整理後再試' });
+    sendError(res, err, 'api/admin/schedules PUT');
+  }
+});
+
+// 12-4) 停用 Schedule：active = false 後不再出現在 /api/schedules，也無法再透過 /api/book 報名
+app.post('/api/admin/schedules/:id/deactivate', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/schedules/:id/deactivate] id:', req.params.id);
+  try {
+    const schedule = await fhir.readOrNull('Schedule', req.params.id, { noCache: true });
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    if (!canManageOrganization(req.user, await resolveScheduleOrganizationId(schedule))) {
+      return res.status(403).json({ error: '無權管理此組織' });
+    }
+
+    const updated = await fhir.update({ ...schedule, active: false }, { ifMatch: ifMatchOf(schedule) });
+    console.log('  → 已停用 Schedule', schedule.id);
+    res.json({ message: '活動排程已停用', ...toScheduleSummary(updated) });
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '活動排程剛被更新，請重新整理後再試' });
+    sendError(res, err, 'api/admin/schedules/:id/deactivate');
+  }
+});
+
+// ── 12-5) 管理後台：活動 ActivityDefinition 管理 /api/admin/activities ─────────
+// 欄位：title、description、location (地點文字)、minAge / maxAge (歲)、gender、cost (金額，0 或 null 為免費)、
+// images ([{ url, title }])、active。活動建立後以 Schedule 的 activityId 連結。
+
+// 驗證活動輸入欄位，回傳錯誤訊息字串或 null
+function validateActivityInput({ title, minAge, maxAge, gender, cost, images }) {
+  if (title !== undefined && !String(title || '').trim()) return 'title 不可為空白';
+  for (const [field, value] of [['minAge', minAge], ['maxAge', maxAge], ['cost', cost]]) {
+    if (value != null && !(Number(value) >= 0)) return `${field} 須為非負數`;
+  }
+  if (minAge != null && maxAge != null && Number(minAge) > Number(maxAge)) return 'minAge 不可大於 maxAge';
+  if (gender && !GENDER_LABELS[gender]) return `gender 須為 ${Object.keys(GENDER_LABELS).join('、')} 之一`;
+  if (images !== undefined && (!Array.isArray(images) || images.some(img => !/^https?:\/\//.test(img?.url || '')))) {
+    return 'images 須為 [{ url, title }] 陣列，url 為 http(s) 網址';
+  }
+  return null;
+}
+
+// 把輸入欄位寫進 ActivityDefinition (未提供的欄位保持不變，null 代表清除)
+function applyActivityInput(def, { title, description, location, minAge, maxAge, gender, cost, images, active }) {
+  if (title !== undefined) def.title = String(title).trim();
+  if (description !== undefined) def.description = description || undefined;
+  if (location !== undefined) def.location = location ? { display: location } : undefined;
+  if (active !== undefined) def.status = active ? 'active' : 'retired';
+
+  const current = readEligibility(def);
+  const eligibility = {
+    minAge: minAge !== undefined ? minAge : current.minAge,
+    maxAge: maxAge !== undefined ? maxAge : current.maxAge,
+    gender: gender !== undefined ? gender : current.gender
+  };
+  const usageCode = code => ({ system: USAGE_CONTEXT_SYSTEM, code });
+  const ageQuantity = value => ({ value: Number(value), unit: 'a', system: 'http://unitsofmeasure.org', code: 'a' });
+  def.useContext = [
+    ...(def.useContext || []).filter(u => !(u.code?.system === USAGE_CONTEXT_SYSTEM && ['age', 'gender'].includes(u.code?.code))),
+    ...(eligibility.minAge != null || eligibility.maxAge != null ? [{
+      code: usageCode('age'),
+      valueRange: {
+        low: eligibility.minAge != null ? ageQuantity(eligibility.minAge) : undefined,
+        high: eligibility.maxAge != null ? ageQuantity(eligibility.maxAge) : undefined
+      }
+    }] : []),
+    ...(eligibility.gender ? [{
+      code: usageCode('gender'),
+      valueCodeableConcept: { coding: [{ system: 'http://hl7.org/fhir/administrative-gender', code: eligibility.gender }] }
+    }] : [])
+  ];
+  if (!def.useContext.length) def.useContext = undefined;
+
+  if (cost !== undefined) {
+    def.extension = [
+      ...(def.extension || []).filter(x => x.url !== ACTIVITY_COST_EXT),
+      ...(cost != null ? [{ url: ACTIVITY_COST_EXT, valueMoney: { value: Number(cost), currency: ACTIVITY_CURRENCY } }] : [])
+    ];
+  }
+  if (images !== undefined) {
+    def.relatedArtifact = [
+      ...(def.relatedArtifact || []).filter(a => !String(a.document?.contentType || '').startsWith('image/')),
+      ...images.map(img => ({
+        type: 'documentation',
+        document: { contentType: guessImageType(img.url), url: img.url, title: img.title || undefined }
+      }))
+    ];
+    if (!def.relatedArtifact.length) def.relatedArtifact = undefined;
+  }
+  return def;
+}
+
+// 依副檔名推測圖片的 contentType，無法判斷時用 image/*
+function guessImageType(url) {
+  const ext = new URL(url).pathname.split('.').pop().toLowerCase();
+  return { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml' }[ext] || 'image/*';
+}
+
+// 讀取活動並確認使用者可管理其組織；失敗時已回應，回傳 null。
+// 讀取結果會修改後寫回，因此不使用快取
+async function loadManagedActivity(req, res) {
+  const def = await fhir.readOrNull('ActivityDefinition', req.params.id, { noCache: true });
+  if (!def) {
+    res.status(404).json({ error: '找不到指定的活動' });
+    return null;
+  }
+  if (!canManageOrganization(req.user, activityOrganizationId(def))) {
+    res.status(403).json({ error: '無權管理此組織' });
+    return null;
+  }
+  return def;
+}
+
+// 12-5-1) 列出某組織的所有活動 (含已下架)
+app.get('/api/admin/activities', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/activities GET] query:', req.query);
+  const { organizationId } = req.query;
+  if (!organizationId) return res.status(400).json({ error: '請提供 organizationId' });
+  if (!canManageOrganization(req.user, organizationId)) {
+    return res.status(403).json({ error: '無權管理此組織' });
+  }
+  try {
+    const defs = await fhir.searchAll('ActivityDefinition', { identifier: `${MANAGING_ORGANIZATION_SYSTEM}|${organizationId}` });
+    res.json({ activities: defs.map(toActivitySummary) });
+  } catch (err) {
+    sendError(res, err, 'api/admin/activities GET');
+  }
+});
+
+// 12-5-2) 新增活動
+app.post('/api/admin/activities', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/activities POST] body:', req.body);
+  const input = req.body || {};
+  if (!input.organizationId || !input.title) {
+    return res.status(400).json({ error: 'organizationId 和 title 皆為必填' });
+  }
+  const invalid = validateActivityInput(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (!canManageOrganization(req.user, input.organizationId)) {
+    return res.status(403).json({ error: '無權管理此組織' });
+  }
+
+  try {
+    const organization = await fhir.readOrNull('Organization', input.organizationId);
+    if (!organization) return res.status(404).json({ error: '找不到指定的組織' });
+    const def = applyActivityInput({
+      resourceType: 'ActivityDefinition',
+      status: 'active',
+      publisher: organization.name,
+      identifier: [{ system: MANAGING_ORGANIZATION_SYSTEM, value: organization.id }]
+    }, { ...input, active: input.active !== false });
+
+    const created = await fhir.create(def);
+    console.log('  → 已建立 ActivityDefinition', created.id);
+    res.status(201).json(toActivitySummary(created));
+  } catch (err) {
+    sendError(res, err, 'api/admin/activities POST');
+  }
+});
 
-    res.json(list);
+// 12-5-3) 修改活動；active = false 下架後不再出現在目錄，連結的排程也無法報名
+app.put('/api/admin/activities/:id', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/activities PUT] id:', req.params.id, 'body:', req.body);
+  const input = req.body || {};
+  const invalid = validateActivityInput(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const def = await loadManagedActivity(req, res);
+    if (!def) return;
+    const { minAge, maxAge } = { ...readEligibility(def), ...input };
+    if (minAge != null && maxAge != null && Number(minAge) > Number(maxAge)) {
+      return res.status(400).json({ error: 'minAge 不可大於 maxAge' });
+    }
+    applyActivityInput(def, input);
+    res.json(toActivitySummary(await fhir.update(def, { ifMatch: ifMatchOf(def) })));
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '活動剛被更新，請重新整理後再試' });
+    sendError(res, err, 'api/admin/activities PUT');
+  }
+});
+
+// ── 12-6) 管理後台：報名問卷 Questionnaire 管理 /api/admin/questionnaires ─────
+// 請求內容為 { organizationId, questionnaire }，questionnaire 為 FHIR Questionnaire (支援的題型見 questionnaire.js)。
+// status 不是 active 的問卷不會出現在報名表單中。問卷建立後以 Schedule 的 questionnaireId 連結。
+
+const toQuestionnaireSummary = q => ({
+  questionnaireId: q.id,
+  organizationId: questionnaireOrganizationId(q),
+  title: q.title || q.name || '',
+  status: q.status,
+  itemCount: (q.item || []).length
+});
+
+// 讀取問卷並確認使用者可管理其組織；失敗時已回應，回傳 null。
+// 讀取結果會用於整份取代時的版本檢查，因此不使用快取
+async function loadManagedQuestionnaire(req, res) {
+  const questionnaire = await fhir.readOrNull('Questionnaire', req.params.id, { noCache: true });
+  if (!questionnaire) {
+    res.status(404).json({ error: '找不到指定的問卷' });
+    return null;
+  }
+  if (!canManageOrganization(req.user, questionnaireOrganizationId(questionnaire))) {
+    res.status(403).json({ error: '無權管理此組織' });
+    return null;
+  }
+  return questionnaire;
+}
+
+// 12-6-1) 列出某組織的所有問卷
+app.get('/api/admin/questionnaires', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/questionnaires GET] query:', req.query);
+  const { organizationId } = req.query;
+  if (!organizationId) return res.status(400).json({ error: '請提供 organizationId' });
+  if (!canManageOrganization(req.user, organizationId)) {
+    return res.status(403).json({ error: '無權管理此組織' });
+  }
+  try {
+    const questionnaires = await fhir.searchAll('Questionnaire', { identifier: `${MANAGING_ORGANIZATION_SYSTEM}|${organizationId}` });
+    res.json({ questionnaires: questionnaires.map(toQuestionnaireSummary) });
   } catch (err) {
-    console.error('[api/appointments] error:', err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err, 'api/admin/questionnaires GET');
   }
 });
-app.listen(3000, ()=>console.log('Server: http://localhost:3000'));
+
+// 12-6-2) 取得單一問卷 (完整的 Questionnaire)
+app.get('/api/admin/questionnaires/:id', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/questionnaires/:id GET] id:', req.params.id);
+  try {
+    const questionnaire = await loadManagedQuestionnaire(req, res);
+    if (questionnaire) res.json(questionnaire);
+  } catch (err) {
+    sendError(res, err, 'api/admin/questionnaires/:id GET');
+  }
+});
+
+// 12-6-3) 新增問卷
+app.post('/api/admin/questionnaires', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/questionnaires POST] body:', req.body);
+  const { organizationId, questionnaire } = req.body || {};
+  if (!organizationId) return res.status(400).json({ error: 'organizationId 為必填' });
+  const invalid = validateQuestionnaire(questionnaire);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (!canManageOrganization(req.user, organizationId)) {
+    return res.status(403).json({ error: '無權管理此組織' });
+  }
+
+  try {
+    const organization = await fhir.readOrNull('Organization', organizationId);
+    if (!organization) return res.status(404).json({ error: '找不到指定的組織' });
+    const { id, meta, ...content } = questionnaire;
+    const created = await fhir.create({
+      ...content,
+      status: content.status || 'active',
+      publisher: content.publisher || organization.name,
+      identifier: [
+        ...(content.identifier || []).filter(i => i.system !== MANAGING_ORGANIZATION_SYSTEM),
+        { system: MANAGING_ORGANIZATION_SYSTEM, value: organization.id }
+      ]
+    });
+    console.log('  → 已建立 Questionnaire', created.id);
+    res.status(201).json(created);
+  } catch (err) {
+    sendError(res, err, 'api/admin/questionnaires POST');
+  }
+});
+
+// 12-6-4) 修改問卷 (整份取代)；已送出的回答保留原本的內容
+app.put('/api/admin/questionnaires/:id', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/questionnaires PUT] id:', req.params.id, 'body:', req.body);
+  const { questionnaire: input } = req.body || {};
+  const invalid = validateQuestionnaire(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const questionnaire = await loadManagedQuestionnaire(req, res);
+    if (!questionnaire) return;
+    const { id, meta, ...content } = input;
+    const updated = {
+      ...content,
+      id: questionnaire.id,
+      meta: questionnaire.meta,
+      status: content.status || questionnaire.status,
+      identifier: [
+        ...(content.identifier || []).filter(i => i.system !== MANAGING_ORGANIZATION_SYSTEM),
+        ...(questionnaire.identifier || []).filter(i => i.system === MANAGING_ORGANIZATION_SYSTEM)
+      ]
+    };
+    res.json(await fhir.update(updated, { ifMatch: ifMatchOf(questionnaire) }));
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '問卷剛被更新，請重新整理後再試' });
+    sendError(res, err, 'api/admin/questionnaires PUT');
+  }
+});
+
+// ── 13) 管理後台：批次產生 Slot /api/admin/schedules/:id/slots/generate ────
+// 依 slot.md「30 個名額 → 產生 30 個 Slot」：
+// 在日期範圍內的每一天 (可限定星期幾)，把每個時段 window 依 slotMinutes 切開，
+// 每個時間區段產生 capacity 個 Slot，全部放在同一個 transaction Bundle 建立。
+// 每個 Slot 帶有 SLOT_KEY_SYSTEM identifier (排程|開始時間|序號)，重複執行時會略過已存在的 Slot。
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const toMinutes = hhmm => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+const toHHMM = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// 依規則計算出所有 Slot 的時間與 identifier，回傳 { slots } 或 { error }
+function planSlots(scheduleId, { from, to, daysOfWeek, windows, slotMinutes, capacity = 1 }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '')) {
+    return { error: 'from / to 必須是 YYYY-MM-DD 格式' };
+  }
+  if (from > to) return { error: 'from 不可晚於 to' };
+  if (!Array.isArray(windows) || windows.length === 0) return { error: '請提供至少一個時段 windows' };
+  const length = Number(slotMinutes);
+  if (!Number.isInteger(length) || length <= 0) return { error: 'slotMinutes 必須是正整數' };
+  if (daysOfWeek !== undefined && (!Array.isArray(daysOfWeek) || daysOfWeek.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+    return { error: 'daysOfWeek 必須是 0 (週日) 到 6 (週六) 的陣列' };
+  }
+  for (const w of windows) {
+    if (!HHMM.test(w.start || '') || !HHMM.test(w.end || '') || w.start >= w.end) {
+      return { error: `時段格式錯誤: ${JSON.stringify(w)}` };
+    }
+    const cap = Number(w.capacity ?? capacity);
+    if (!Number.isInteger(cap) || cap <= 0) return { error: `名額 capacity 必須是正整數: ${JSON.stringify(w)}` };
+  }
+
+  const slots = [];
+  for (let day = new Date(`${from}T00:00:00Z`); day <= new Date(`${to}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+    if (daysOfWeek && !daysOfWeek.includes(day.getUTCDay())) continue;
+    const date = day.toISOString().slice(0, 10);
+    for (const w of windows) {
+      const cap = Number(w.capacity ?? capacity);
+      for (let m = toMinutes(w.start); m + length <= toMinutes(w.end); m += length) {
+        const start = `${date}T${toHHMM(m)}:00${SLOT_TIMEZONE_OFFSET}`;
+        const end = `${date}T${toHHMM(m + length)}:00${SLOT_TIMEZONE_OFFSET}`;
+        for (let seat = 1; seat <= cap; seat++) {
+          slots.push({ key: `${scheduleId}|${start}|${seat}`, start, end });
+          if (slots.length > MAX_GENERATED_SLOTS) {
+            return { error: `一次最多產生 ${MAX_GENERATED_SLOTS} 個 Slot，請縮小日期範圍` };
+          }
+        }
+      }
+    }
+  }
+  return { slots };
+}
+
+app.post('/api/admin/schedules/:id/slots/generate', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/schedules/:id/slots/generate] id:', req.params.id, 'body:', req.body);
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+  try {
+    const schedule = await fhir.readOrNull('Schedule', req.params.id);
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    const scheduleRef = `Schedule/${schedule.id}`;
+    if (!canManageOrganization(req.user, await resolveScheduleOrganizationId(schedule))) {
+      return res.status(403).json({ error: '無權管理此組織' });
+    }
+
+    const plan = planSlots(schedule.id, req.body);
+    if (plan.error) return res.status(400).json({ error: plan.error });
+
+    // 找出此排程已產生過的 Slot，避免重複建立
+    const existingSlots = await fhir.searchAll('Slot', {
+      schedule: scheduleRef,
+      identifier: `${SLOT_KEY_SYSTEM}|`,
+      _elements: 'identifier',
+      _count: 500
+    });
+    const existingKeys = new Set(existingSlots.flatMap(slot =>
+      (slot.identifier || []).filter(i => i.system === SLOT_KEY_SYSTEM).map(i => i.value)));
+
+    const toCreate = plan.slots.filter(s => !existingKeys.has(s.key));
+    const skipped = plan.slots.length - toCreate.length;
+    const preview = toCreate.map(({ start, end }) => ({ start, end, status: 'free' }));
+    console.log(`  → 計畫 ${plan.slots.length} 個 Slot，新增 ${toCreate.length}，略過 ${skipped}`);
+
+    if (dryRun || toCreate.length === 0) {
+      return res.json({ dryRun, created: 0, skipped, slots: preview });
+    }
+
+    // ifNoneExist 讓 FHIR 伺服器在 identifier 已存在時不再建立，即使兩個請求同時執行也不會重複
+    const transactionBundle = {
+      resourceType: "Bundle",
+      type: "transaction",
+      entry: toCreate.map(s => ({
+        resource: {
+          resourceType: 'Slot',
+          identifier: [{ system: SLOT_KEY_SYSTEM, value: s.key }],
+          schedule: { reference: scheduleRef },
+          status: 'free',
+          start: s.start,
+          end: s.end
+        },
+        request: {
+          method: "POST",
+          url: "Slot",
+          ifNoneExist: `identifier=${encodeURIComponent(SLOT_KEY_SYSTEM)}|${encodeURIComponent(s.key)}`
+        }
+      }))
+    };
+
+    console.log('  → Posting slot generation transaction bundle to FHIR server');
+    const txResult = await fhir.transaction(transactionBundle);
+    const created = (txResult.entry || []).filter(e => e.response?.status?.startsWith('201')).length;
+
+    res.status(201).json({ dryRun: false, created, skipped: skipped + (toCreate.length - created), slots: preview });
+  } catch (err) {
+    sendError(res, err, 'api/admin/schedules/:id/slots/generate');
+  }
+});
+
+// ── 13-1) 管理後台：用餐統計 /api/admin/schedules/:id/meal-summary ───────────
+// 統計此排程所有 booked 預約的用餐偏好，供主辦單位訂餐
+app.get('/api/admin/schedules/:id/meal-summary', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/schedules/:id/meal-summary] id:', req.params.id);
+  try {
+    const schedule = await fhir.readOrNull('Schedule', req.params.id);
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    if (!canManageOrganization(req.user, await resolveScheduleOrganizationId(schedule))) {
+      return res.status(403).json({ error: '無權管理此組織' });
+    }
+
+    const booked = await fhir.searchAll('Appointment', {
+      'supporting-information': `Schedule/${schedule.id}`,
+      status: 'booked'
+    });
+
+    const meals = Object.fromEntries(MEAL_PREFERENCES.map(m => [m, 0]));
+    let unspecified = 0;
+    booked.forEach(appt => {
+      const { mealPreference } = readAppointmentChoices(appt);
+      if (mealPreference) meals[mealPreference] = (meals[mealPreference] || 0) + 1;
+      else unspecified++;
+    });
+    res.json({
+      scheduleId: schedule.id,
+      comment: schedule.comment || '（無描述）',
+      total: booked.length,
+      meals,
+      unspecified
+    });
+  } catch (err) {
+    sendError(res, err, 'api/admin/schedules/:id/meal-summary');
+  }
+});
+
+// ── 13-2) 管理後台：活動當天報到與出席統計 ───────────────────────────────
+// 報到可掃描報到碼 (code) 或由名單搜尋後以 appointmentId 報到；status 為 arrived (預設) 或 fulfilled (已完成)。
+// 已被標為 noshow 的預約仍可補報到。組織設定 attendance.createEncounter 時一併建立 / 更新 Encounter。
+const CHECK_IN_STATUSES = ['arrived', 'fulfilled'];
+const ATTENDANCE_STATUSES = ['booked', 'arrived', 'fulfilled', 'noshow', 'cancelled', 'waitlist'];
+
+app.post('/api/admin/check-in', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/check-in] body.appointmentId:', req.body?.appointmentId);
+  const { code, status = 'arrived' } = req.body || {};
+  let { appointmentId } = req.body || {};
+  if (!CHECK_IN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status 須為 ${CHECK_IN_STATUSES.join('、')} 之一` });
+  }
+  if (code) {
+    try {
+      const payload = jwt.verify(code, JWT_SECRET);
+      if (payload.purpose !== 'check-in') throw new jwt.JsonWebTokenError('權杖用途不符');
+      appointmentId = payload.appt;
+    } catch (err) {
+      return res.status(400).json({ error: '報到碼無效或已過期', detail: err.message });
+    }
+  }
+  if (!appointmentId) return res.status(400).json({ error: '請提供報到碼 (code) 或 appointmentId' });
+
+  try {
+    // Appointment 與 Encounter 都以 If-Match 寫回，不使用快取
+    const appointment = await fhir.readOrNull('Appointment', appointmentId, { noCache: true });
+    if (!appointment) return res.status(404).json({ error: '找不到指定的預約 (Appointment)' });
+    const organizationId = await resolveAppointmentOrganizationId(appointment);
+    if (!canManageOrganization(req.user, organizationId)) {
+      return res.status(403).json({ error: '無權管理此組織' });
+    }
+    if (appointment.status === status) {
+      return res.json({ message: '已完成報到', appointmentId: appointment.id, status, alreadyCheckedIn: true });
+    }
+    if (!['booked', 'arrived', 'noshow'].includes(appointment.status)) {
+      return res.status(409).json({ error: `此預約目前狀態為 ${appointment.status}，無法報到` });
+    }
+    const rules = organizationSettings(organizationId).attendance;
+    const opensAt = new Date(appointment.start).getTime() - rules.checkInOpensMinutes * 60000;
+    if (!appointment.start || Date.now() < opensAt) {
+      return res.status(409).json({ error: `活動開始前 ${rules.checkInOpensMinutes} 分鐘起才可報到` });
+    }
+
+    const now = new Date().toISOString();
+    const patientRef = appointmentPatientRef(appointment);
+    const checkedIn = { ...appointment, status };
+    if (!(appointment.extension || []).some(x => x.url === CHECKED_IN_AT_EXT)) {
+      checkedIn.extension = [...(appointment.extension || []), { url: CHECKED_IN_AT_EXT, valueDateTime: now }];
+    }
+    const transactionBundle = {
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [{ resource: checkedIn, request: versionedRequest(appointment) }]
+    };
+
+    if (rules.createEncounter) {
+      const [encounter] = await fhir.searchAll('Encounter', { appointment: `Appointment/${appointment.id}` }, { noCache: true });
+      const encounterStatus = status === 'fulfilled' ? 'finished' : 'arrived';
+      if (encounter) {
+        transactionBundle.entry.push({
+          resource: { ...encounter, status: encounterStatus, period: { ...encounter.period, end: status === 'fulfilled' ? now : undefined } },
+          request: versionedRequest(encounter)
+        });
+      } else {
+        transactionBundle.entry.push({
+          resource: {
+            resourceType: 'Encounter',
+            status: encounterStatus,
+            class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'AMB', display: 'ambulatory' },
+            subject: { reference: patientRef },
+            appointment: [{ reference: `Appointment/${appointment.id}` }],
+            serviceProvider: organizationId ? { reference: `Organization/${organizationId}` } : undefined,
+            period: { start: now, end: status === 'fulfilled' ? now : undefined }
+          },
+          request: { method: 'POST', url: 'Encounter' }
+        });
+      }
+    }
+    addProvenanceEntry(transactionBundle, { patientRef, personId: req.user.id, activity: 'UPDATE', reason: AUDIT_ACTIONS['check-in'].display });
+
+    await fhir.transaction(transactionBundle);
+    recordAudit('check-in', {
+      req, personId: req.user.id, organizationId,
+      entities: [`Appointment/${appointment.id}`, patientRef],
+      detail: `${appointment.status} → ${status}${code ? ' (報到碼)' : ''}`
+    });
+    const patient = patientRef ? await fhir.readRefOrNull(patientRef) : null;
+    res.json({ message: '報到成功', appointmentId: appointment.id, status, name: patient?.name?.[0]?.text || '', start: appointment.start });
+    publishInBackground('checked-in', appointment.id);
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '預約剛被更新，請重新整理後再試' });
+    sendError(res, err, 'api/admin/check-in');
+  }
+});
+
+// 依排程列出報到名單，q 可依姓名篩選；供無法掃描報到碼時人工報到
+app.get('/api/admin/schedules/:id/participants', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/schedules/:id/participants] id:', req.params.id, 'query:', req.query);
+  try {
+    const schedule = await fhir.readOrNull('Schedule', req.params.id);
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    if (!canManageOrganization(req.user, await resolveScheduleOrganizationId(schedule))) {
+      return res.status(403).json({ error: '無權管理此組織' });
+    }
+
+    const appointments = await fhir.searchAll('Appointment', {
+      'supporting-information': `Schedule/${schedule.id}`,
+      status: 'booked,arrived,fulfilled,noshow'
+    });
+    const patientIds = [...new Set(appointments.map(appointmentPatientRef).filter(Boolean).map(ref => ref.split('/')[1]))];
+    const names = new Map();
+    if (patientIds.length) {
+      (await fhir.searchAll('Patient', { _id: patientIds.join(',') }))
+        .forEach(p => names.set(`Patient/${p.id}`, p.name?.[0]?.text || ''));
+    }
+    const q = String(req.query.q || '').trim().toLowerCase();
+    res.json(appointments
+      .map(appt => ({
+        appointmentId: appt.id,
+        patientId: appointmentPatientRef(appt)?.split('/')[1] || null,
+        name: names.get(appointmentPatientRef(appt)) || '',
+        start: appt.start,
+        end: appt.end,
+        status: appt.status,
+        checkedInAt: (appt.extension || []).find(x => x.url === CHECKED_IN_AT_EXT)?.valueDateTime || null
+      }))
+      .filter(p => !q || p.name.toLowerCase().includes(q))
+      .sort((a, b) => (a.start || '').localeCompare(b.start || '') || a.name.localeCompare(b.name)));
+  } catch (err) {
+    sendError(res, err, 'api/admin/schedules/:id/participants');
+  }
+});
+
+// 出席統計；attendanceRate = (arrived + fulfilled) / (arrived + fulfilled + noshow)，尚無結果時為 null
+app.get('/api/admin/schedules/:id/attendance', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/schedules/:id/attendance] id:', req.params.id);
+  try {
+    const schedule = await fhir.readOrNull('Schedule', req.params.id);
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    if (!canManageOrganization(req.user, await resolveScheduleOrganizationId(schedule))) {
+      return res.status(403).json({ error: '無權管理此組織' });
+    }
+
+    const appointments = await fhir.searchAll('Appointment', { 'supporting-information': `Schedule/${schedule.id}` });
+    const counts = Object.fromEntries(ATTENDANCE_STATUSES.map(st => [st, 0]));
+    appointments.forEach(appt => { counts[appt.status] = (counts[appt.status] || 0) + 1; });
+    const attended = counts.arrived + counts.fulfilled;
+    res.json({
+      scheduleId: schedule.id,
+      comment: schedule.comment || '（無描述）',
+      counts,
+      attendanceRate: attended + counts.noshow > 0 ? Math.round(attended / (attended + counts.noshow) * 1000) / 1000 : null
+    });
+  } catch (err) {
+    sendError(res, err, 'api/admin/schedules/:id/attendance');
+  }
+});
+
+// 活動結束後立即結算：已過寬限時間仍為 booked 的預約改為 noshow (平常由背景定期執行)
+app.post('/api/admin/schedules/:id/attendance/close', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/schedules/:id/attendance/close] id:', req.params.id);
+  try {
+    const schedule = await fhir.readOrNull('Schedule', req.params.id);
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    if (!canManageOrganization(req.user, await resolveScheduleOrganizationId(schedule))) {
+      return res.status(403).json({ error: '無權管理此組織' });
+    }
+    const booked = await fhir.searchAll('Appointment', {
+      'supporting-information': `Schedule/${schedule.id}`, status: 'booked'
+    }, { noCache: true });
+    const marked = await markNoShows(booked);
+    res.json({ message: `已將 ${marked.length} 筆未報到的預約標為未出席`, appointmentIds: marked });
+  } catch (err) {
+    sendError(res, err, 'api/admin/schedules/:id/attendance/close');
+  }
+});
+
+// ── 13-3) 管理後台：報名名單匯出 /api/admin/schedules/:id/roster ───────────
+// Schedule → Appointment (含時段) → Patient，輸出 CSV 或 XLSX；家屬另以 RelatedPerson 找出代為報名的使用者。
+// 逐頁讀取 Appointment 並立即寫出，大型活動也不會一次載入全部資料。
+// ?format=csv (預設) | xlsx；?status=booked,arrived (預設為已報名、已報到、已完成、未出席)；?from / ?to 依時段開始時間篩選
+const ROSTER_COLUMNS = [
+  { header: '活動', key: 'activity', width: 20 },
+  { header: '姓名', key: 'name', width: 16 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: '代為報名者', key: 'registrant', width: 16 },
+  { header: '開始時間', key: 'start', width: 20 },
+  { header: '結束時間', key: 'end', width: 20 },
+  { header: '狀態', key: 'status', width: 10 },
+  { header: '參加方式', key: 'serviceType', width: 12 },
+  { header: '用餐偏好', key: 'mealPreference', width: 12 }
+];
+const ROSTER_STATUS_LABELS = { booked: '已報名', arrived: '已報到', fulfilled: '已完成', noshow: '未出席', cancelled: '已取消', waitlist: '候補中' };
+const ROSTER_DEFAULT_STATUSES = ['booked', 'arrived', 'fulfilled', 'noshow'];
+
+// 例如 2026-10-19 14:30
+const formatExportTime = iso => iso
+  ? new Date(iso).toLocaleString('sv-SE', { timeZone: EXPORT_TIMEZONE, dateStyle: 'short', timeStyle: 'short' })
+  : '';
+
+// 逐頁產出名單列；每頁的 Patient 與家屬的代為報名者以批次查詢取得 (同 listPersonAppointments)
+async function* rosterRows(schedule, { statuses, from, to }) {
+  const pages = fhir.searchPages('Appointment', {
+    'supporting-information': `Schedule/${schedule.id}`,
+    status: statuses.join(','),
+    date: [from && `ge${from}`, to && `le${to}`].filter(Boolean),
+    _sort: 'date',
+    _count: 100
+  });
+  const activity = schedule.comment || '（無描述）';
+  const identifierOf = (resource, system) => (resource.identifier || []).find(i => i.system === system)?.value;
+
+  for await (const { resources: appointments } of pages) {
+    // 1. 這一頁預約的 Patient
+    const patientIds = [...new Set(appointments.map(appointmentPatientRef).filter(Boolean).map(ref => ref.split('/')[1]))];
+    const patients = new Map(patientIds.length
+      ? (await fhir.searchAll('Patient', { _id: patientIds.join(',') })).map(p => [`Patient/${p.id}`, p])
+      : []);
+
+    // 2. 家屬的 Patient：由 RelatedPerson 找出代為報名的使用者 (Person)
+    const dependentIds = [...new Set([...patients.values()].map(p => identifierOf(p, DEPENDENT_SYSTEM)).filter(Boolean))];
+    const links = dependentIds.length
+      ? await fhir.searchAll('RelatedPerson', { patient: dependentIds.map(id => `Patient/${id}`).join(',') })
+      : [];
+    const registrantIds = [...new Set(links.map(link => identifierOf(link, PERSON_SYSTEM)).filter(Boolean))];
+    const registrants = new Map(registrantIds.length
+      ? (await fhir.searchAll('Person', { _id: registrantIds.join(',') })).map(p => [p.id, p])
+      : []);
+    const registrantOf = new Map(links.map(link => [dependentIdOf(link), registrants.get(identifierOf(link, PERSON_SYSTEM))]));
+
+    // 3. 轉成名單列；本人的 Email 取自 Patient (由 Person 同步)，家屬則為代為報名者的 Email
+    for (const appt of appointments) {
+      const patient = patients.get(appointmentPatientRef(appt));
+      const dependentId = patient && identifierOf(patient, DEPENDENT_SYSTEM);
+      const registrant = dependentId ? registrantOf.get(dependentId) : null;
+      const { serviceType, mealPreference } = readAppointmentChoices(appt);
+      yield {
+        activity,
+        name: patient?.name?.[0]?.text || '',
+        email: (registrant ? personEmail(registrant) : patient && identifierOf(patient, EMAIL_SYSTEM)) || '',
+        registrant: registrant?.name?.[0]?.text || '',
+        start: formatExportTime(appt.start),
+        end: formatExportTime(appt.end),
+        status: ROSTER_STATUS_LABELS[appt.status] || appt.status,
+        serviceType: serviceType || '',
+        mealPreference: mealPreference || ''
+      };
+    }
+  }
+}
+
+// CSV 欄位含逗號、引號或換行時以雙引號包住；開頭為 = + - @ 的值前面加 ' 避免被試算表當成公式
+function csvField(value) {
+  let str = String(value ?? '');
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// 寫入 response，緩衝區滿時等待 drain
+function writeChunk(res, chunk) {
+  return res.write(chunk) ? Promise.resolve() : new Promise(resolve => res.once('drain', resolve));
+}
+
+async function streamRosterCsv(res, rows) {
+  // 加上 BOM，Excel 直接開啟時中文才不會變成亂碼
+  await writeChunk(res, '\uFEFF' + ROSTER_COLUMNS.map(c => csvField(c.header)).join(',') + '\r\n');
+  for await (const row of rows) {
+    await writeChunk(res, ROSTER_COLUMNS.map(c => csvField(row[c.key])).join(',') + '\r\n');
+  }
+  res.end();
+}
+
+// exceljs 為選用套件，只在匯出 xlsx 時才載入；未安裝時回傳 null，只有 xlsx 匯出無法使用
+function loadExcelJS() {
+  try {
+    return require('exceljs');
+  } catch (err) {
+    console.warn('  [roster] 無法載入 exceljs:', err.message);
+    return null;
+  }
+}
+
+async function streamRosterXlsx(res, rows, ExcelJS) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('報名名單');
+  sheet.columns = ROSTER_COLUMNS;
+  for await (const row of rows) sheet.addRow(row).commit();
+  sheet.commit();
+  await workbook.commit();
+}
+
+app.get('/api/admin/schedules/:id/roster', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/schedules/:id/roster] id:', req.params.id, 'query:', req.query);
+  const format = req.query.format || 'csv';
+  if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ error: 'format 須為 csv 或 xlsx' });
+  const ExcelJS = format === 'xlsx' ? loadExcelJS() : null;
+  if (format === 'xlsx' && !ExcelJS) {
+    return res.status(501).json({ error: '伺服器未安裝 exceljs，無法匯出 xlsx，請改用 csv' });
+  }
+  const statuses = req.query.status ? String(req.query.status).split(',').map(st => st.trim()) : ROSTER_DEFAULT_STATUSES;
+  if (statuses.some(st => !ATTENDANCE_STATUSES.includes(st))) {
+    return res.status(400).json({ error: `status 須為 ${ATTENDANCE_STATUSES.join('、')} 的組合` });
+  }
+  const { from, to } = req.query;
+  if ([from, to].some(d => d && isNaN(Date.parse(d)))) {
+    return res.status(400).json({ error: '日期格式錯誤 (from / to 須為 ISO 8601 日期)' });
+  }
+
+  let schedule;
+  try {
+    schedule = await fhir.readOrNull('Schedule', req.params.id);
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    if (!canManageOrganization(req.user, await resolveScheduleOrganizationId(schedule))) {
+      return res.status(403).json({ error: '無權管理此組織' });
+    }
+  } catch (err) {
+    return sendError(res, err, 'api/admin/schedules/:id/roster');
+  }
+
+  const filename = `roster-${schedule.id}.${format}`;
+  res.set('Content-Type', format === 'csv'
+    ? 'text/csv; charset=utf-8'
+    : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const rows = rosterRows(schedule, { statuses, from, to });
+    await (format === 'csv' ? streamRosterCsv(res, rows) : streamRosterXlsx(res, rows, ExcelJS));
+    recordAudit('roster-export', {
+      req, personId: req.user.id,
+      entities: [`Schedule/${schedule.id}`],
+      detail: `${format} ${statuses.join(',')}`
+    });
+  } catch (err) {
+    // 已開始輸出時無法再回傳 JSON 錯誤，只能中斷連線讓下載失敗
+    console.error('  [api/admin/schedules/:id/roster] 匯出中斷:', err.message);
+    if (res.headersSent) res.destroy(err);
+    else sendError(res, err, 'api/admin/schedules/:id/roster');
+  }
+});
+
+// ── 13-4) 管理後台：報名問卷回答 /api/admin/schedules/:id/responses ─────────
+// 列出排程中 (含候補) 每筆預約的問卷回答；answers 為 { linkId: 值 }，選擇題取 display。
+// questions 為目前問卷的題目順序，供前端排列欄位 (問卷修改前的回答可能有已刪除的 linkId)。
+app.get('/api/admin/schedules/:id/responses', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/schedules/:id/responses] id:', req.params.id);
+  try {
+    const schedule = await fhir.readOrNull('Schedule', req.params.id);
+    if (!schedule) return res.status(404).json({ error: '找不到活動排程 (Schedule)' });
+    if (!canManageOrganization(req.user, await resolveScheduleOrganizationId(schedule))) {
+      return res.status(403).json({ error: '無權管理此組織' });
+    }
+
+    const questionnaireRef = scheduleQuestionnaireRef(schedule);
+    const questionnaire = questionnaireRef ? await fhir.readRefOrNull(questionnaireRef) : null;
+    const appointments = (await fhir.searchAll('Appointment', {
+      'supporting-information': `Schedule/${schedule.id}`,
+      status: 'booked,arrived,fulfilled,noshow,waitlist'
+    })).filter(appointmentResponseRef);
+
+    const idsOf = refs => [...new Set(refs.filter(Boolean).map(ref => ref.split('/')[1]))];
+    const responseIds = idsOf(appointments.map(appointmentResponseRef));
+    const patientIds = idsOf(appointments.map(appointmentPatientRef));
+    const responses = new Map();
+    const names = new Map();
+    if (responseIds.length) {
+      (await fhir.searchAll('QuestionnaireResponse', { _id: responseIds.join(',') }))
+        .forEach(r => responses.set(`QuestionnaireResponse/${r.id}`, r));
+    }
+    if (patientIds.length) {
+      (await fhir.searchAll('Patient', { _id: patientIds.join(',') }))
+        .forEach(p => names.set(`Patient/${p.id}`, p.name?.[0]?.text || ''));
+    }
+
+    res.json({
+      scheduleId: schedule.id,
+      questionnaireId: questionnaire?.id || null,
+      questions: questionnaire ? listQuestions(questionnaire) : [],
+      responses: appointments
+        .map(appt => {
+          const response = responses.get(appointmentResponseRef(appt));
+          return {
+            appointmentId: appt.id,
+            patientId: appointmentPatientRef(appt)?.split('/')[1] || null,
+            name: names.get(appointmentPatientRef(appt)) || '',
+            status: appt.status,
+            questionnaireId: response?.questionnaire?.split('/')[1] || null,
+            authored: response?.authored || null,
+            answers: response ? readResponseAnswers(response) : {}
+          };
+        })
+        .sort((a, b) => (a.authored || '').localeCompare(b.authored || ''))
+    });
+  } catch (err) {
+    sendError(res, err, 'api/admin/schedules/:id/responses');
+  }
+});
+
+// ── 14) 管理後台：設定使用者角色 /api/admin/persons/:id/roles ──────────────
+// 只有 admin 可指派角色；staff 需同時指定所屬組織。admin、staffOrganizationIds 未提供時維持原設定。
+// 角色記錄在登入權杖中；登入權杖每 15 分鐘 (ACCESS_TOKEN_MINUTES) 經由 /api/refresh 換發時會重新讀取角色，
+// 所以變更最慢在 15 分鐘內生效，不必重新登入。ADMIN_PERSON_IDS 中的使用者無法以此取消 admin 角色。
+app.put('/api/admin/persons/:id/roles', authenticate, requireRole('admin'), async (req, res) => {
+  console.log('** [api/admin/persons/:id/roles] id:', req.params.id, 'body:', req.body);
+  const { admin, staffOrganizationIds } = req.body;
+  if (admin === undefined && staffOrganizationIds === undefined) {
+    return res.status(400).json({ error: '請提供 admin 或 staffOrganizationIds' });
+  }
+  if (admin !== undefined && typeof admin !== 'boolean') {
+    return res.status(400).json({ error: 'admin 必須是 true 或 false' });
+  }
+  if (staffOrganizationIds !== undefined
+    && (!Array.isArray(staffOrganizationIds) || staffOrganizationIds.some(id => typeof id !== 'string' || !id))) {
+    return res.status(400).json({ error: 'staffOrganizationIds 必須是組織 ID 陣列' });
+  }
+  try {
+    const person = await fhir.readOrNull('Person', req.params.id, { noCache: true });
+    if (!person) return res.status(404).json({ error: '找不到對應的使用者' });
+
+    // 未提供的欄位沿用目前存放的角色，再移除舊的角色 entry、依結果重新加入
+    const roleIds = (person.identifier || []).filter(i => i.system === ROLE_SYSTEM);
+    const grantAdmin = admin ?? roleIds.some(i => i.value === 'admin');
+    const staffOrgIds = staffOrganizationIds ?? rolesFromPerson(person).orgs;
+    person.identifier = (person.identifier || []).filter(i => i.system !== ROLE_SYSTEM);
+    if (grantAdmin) person.identifier.push({ system: ROLE_SYSTEM, value: 'admin' });
+    [...new Set(staffOrgIds)].forEach(orgId => person.identifier.push({
+      system: ROLE_SYSTEM,
+      value: 'staff',
+      assigner: { reference: `Organization/${orgId}` }
+    }));
+
+    await fhir.update(person, { ifMatch: ifMatchOf(person) });
+    const { roles, orgs } = rolesFromPerson(person);
+    recordAudit('role-change', {
+      req, personId: req.user.id,
+      entities: [`Person/${person.id}`],
+      detail: `roles=${roles.join(',')} staffOrganizations=${orgs.join(',')}`
+    });
+    res.json({ personId: person.id, roles, orgs });
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '帳號資料剛被更新，請重新整理後再試' });
+    sendError(res, err, 'api/admin/persons/:id/roles');
+  }
+});
+
+// ── 14-1) 管理後台：查詢與覆寫 Email 驗證狀態 /api/admin/persons/:id/verification ──
+app.get('/api/admin/persons/:id/verification', authenticate, requireRole('admin'), async (req, res) => {
+  console.log('** [api/admin/persons/:id/verification] id:', req.params.id);
+  try {
+    const person = await fhir.readOrNull('Person', req.params.id);
+    if (!person) return res.status(404).json({ error: '找不到對應的使用者' });
+    res.json({ personId: person.id, email: personEmail(person) || null, emailVerified: isEmailVerified(person) });
+  } catch (err) {
+    sendError(res, err, 'api/admin/persons/:id/verification');
+  }
+});
+
+app.put('/api/admin/persons/:id/verification', authenticate, requireRole('admin'), async (req, res) => {
+  console.log('** [api/admin/persons/:id/verification PUT] id:', req.params.id, 'body:', req.body);
+  const { verified } = req.body || {};
+  if (typeof verified !== 'boolean') return res.status(400).json({ error: 'verified 須為 true 或 false' });
+  try {
+    const person = await fhir.readOrNull('Person', req.params.id, { noCache: true });
+    if (!person) return res.status(404).json({ error: '找不到對應的使用者' });
+    if (verified && !personEmail(person)) return res.status(409).json({ error: '此使用者沒有 Email' });
+    setEmailVerified(person, verified);
+    await fhir.update(person, { ifMatch: ifMatchOf(person) });
+    recordAudit('email-verify', {
+      req, personId: req.user.id, entities: [`Person/${person.id}`],
+      detail: `管理者設定為${verified ? '已驗證' : '未驗證'}`
+    });
+    res.json({ personId: person.id, email: personEmail(person) || null, emailVerified: isEmailVerified(person) });
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: '帳號資料剛被更新，請重新整理後再試' });
+    sendError(res, err, 'api/admin/persons/:id/verification PUT');
+  }
+});
+
+// ── 15) 管理後台：稽核紀錄查詢 /api/admin/audit-events ──────────────────────
+// 可依 personId、organizationId、action 與日期區間 (from / to) 篩選，新到舊排序。
+// staff 只能查詢自己所屬組織的紀錄 (必須指定 organizationId)。
+app.get('/api/admin/audit-events', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/audit-events] query:', req.query);
+  const { personId, organizationId, action, from, to } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+
+  if (!req.user.roles.includes('admin') && !organizationId) {
+    return res.status(400).json({ error: '請提供 organizationId' });
+  }
+  if (organizationId && !canManageOrganization(req.user, organizationId)) {
+    return res.status(403).json({ error: '無權查詢此組織的稽核紀錄' });
+  }
+  if (action && !AUDIT_ACTIONS[action]) {
+    return res.status(400).json({ error: `action 須為 ${Object.keys(AUDIT_ACTIONS).join('、')} 之一` });
+  }
+  if ([from, to].some(d => d && isNaN(Date.parse(d)))) {
+    return res.status(400).json({ error: '日期格式錯誤 (from / to 須為 ISO 8601 日期)' });
+  }
+
+  try {
+    const bundle = await fhir.search('AuditEvent', {
+      altid: personId,
+      entity: organizationId ? `Organization/${organizationId}` : undefined,
+      subtype: action ? `${AUDIT_ACTION_SYSTEM}|${action}` : undefined,
+      date: [from && `ge${from}`, to && `le${to}`].filter(Boolean),
+      _sort: '-date',
+      _count: limit
+    });
+    const events = (bundle.entry || []).map(({ resource: e }) => ({
+      id: e.id,
+      recorded: e.recorded,
+      action: e.subtype?.find(c => c.system === AUDIT_ACTION_SYSTEM)?.code || null,
+      success: e.outcome === '0',
+      detail: e.outcomeDesc || null,
+      personId: e.agent?.[0]?.altId || null,
+      email: e.agent?.[0]?.name || null,
+      patientRef: e.agent?.[0]?.who?.reference || null,
+      address: e.agent?.[0]?.network?.address || null,
+      entities: (e.entity || []).map(en => en.what?.reference).filter(Boolean)
+    }));
+    res.json({ events, total: bundle.total ?? events.length });
+  } catch (err) {
+    sendError(res, err, 'api/admin/audit-events');
+  }
+});
+
+// ── 16) 管理後台：FHIR 查詢快取統計 /api/admin/cache-stats ────────────────
+app.get('/api/admin/cache-stats', authenticate, requireRole('admin'), (req, res) => {
+  console.log('** [api/admin/cache-stats] **');
+  res.json(fhir.cacheStats());
+});
+
+// ── 17) 管理後台：組織的 Webhook 設定與投遞紀錄 ─────────────────────────
+// secret 只在建立與重新產生時回傳一次；接收端以此驗證 X-Webhook-Signature (見 webhooks.js)。
+const newWebhookSecret = () => crypto.randomBytes(32).toString('hex');
+
+function validateWebhookInput({ url, events }, { partial = false } = {}) {
+  if (url !== undefined || !partial) {
+    let parsed;
+    try { parsed = new URL(url); } catch { return 'url 格式錯誤'; }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'url 須為 http 或 https';
+    if (!WEBHOOK_ALLOW_PRIVATE_NETWORKS && isPrivateHost(url)) return 'url 不可指向 localhost 或內部網路位址';
+  }
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || !events.length || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+      return `events 須為 ${WEBHOOK_EVENTS.join('、')} 的非空陣列`;
+    }
+  }
+  return null;
+}
+
+const webhookPayloadTypes = events => events.map(code => ({ coding: [{ system: WEBHOOK_EVENT_SYSTEM, code }] }));
+
+function toWebhookSummary(endpoint) {
+  return {
+    webhookId: endpoint.id,
+    organizationId: endpoint.managingOrganization?.reference?.split('/')[1] || null,
+    url: endpoint.address,
+    events: webhookEventsOf(endpoint),
+    description: endpoint.name || '',
+    active: endpoint.status === 'active'
+  };
+}
+
+// 讀取 Webhook 並確認使用者可管理其組織；失敗時已回應，回傳 null。
+// 讀取結果會用於修改與刪除，因此不使用快取
+async function loadManagedWebhook(req, res) {
+  const endpoint = await fhir.readOrNull('Endpoint', req.params.id, { noCache: true });
+  if (!endpoint || endpoint.connectionType?.code !== WEBHOOK_CONNECTION_TYPE.code) {
+    res.status(404).json({ error: '找不到指定的 Webhook' });
+    return null;
+  }
+  if (!canManageOrganization(req.user, endpoint.managingOrganization?.reference?.split('/')[1])) {
+    res.status(403).json({ error: '無權管理此組織' });
+    return null;
+  }
+  return endpoint;
+}
+
+app.get('/api/admin/organizations/:id/webhooks', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/organizations/:id/webhooks] id:', req.params.id);
+  if (!canManageOrganization(req.user, req.params.id)) return res.status(403).json({ error: '無權管理此組織' });
+  try {
+    const endpoints = await fhir.searchAll('Endpoint', { organization: `Organization/${req.params.id}` });
+    res.json(endpoints.filter(e => e.connectionType?.code === WEBHOOK_CONNECTION_TYPE.code).map(toWebhookSummary));
+  } catch (err) {
+    sendError(res, err, 'api/admin/organizations/:id/webhooks');
+  }
+});
+
+app.post('/api/admin/organizations/:id/webhooks', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/organizations/:id/webhooks POST] id:', req.params.id, 'body:', req.body);
+  if (!canManageOrganization(req.user, req.params.id)) return res.status(403).json({ error: '無權管理此組織' });
+  const { url, events, description } = req.body || {};
+  const invalid = validateWebhookInput({ url, events });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const organization = await fhir.readOrNull('Organization', req.params.id);
+    if (!organization) return res.status(404).json({ error: '找不到指定的組織' });
+    const secret = newWebhookSecret();
+    const created = await fhir.create({
+      resourceType: 'Endpoint',
+      status: 'active',
+      connectionType: WEBHOOK_CONNECTION_TYPE,
+      name: description || undefined,
+      managingOrganization: { reference: `Organization/${organization.id}` },
+      payloadType: webhookPayloadTypes(events),
+      payloadMimeType: ['application/json'],
+      address: url,
+      identifier: [{ system: WEBHOOK_SECRET_SYSTEM, value: secret }]
+    });
+    recordAudit('webhook-create', {
+      req, personId: req.user.id, organizationId: organization.id,
+      entities: [`Endpoint/${created.id}`],
+      detail: `${url} ${events.join(',')}`
+    });
+    res.status(201).json({ ...toWebhookSummary(created), secret });
+  } catch (err) {
+    sendError(res, err, 'api/admin/organizations/:id/webhooks POST');
+  }
+});
+
+// 修改網址、訂閱事件、說明或啟用狀態；rotateSecret = true 時重新產生 secret
+app.put('/api/admin/webhooks/:id', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/webhooks/:id PUT] id:', req.params.id, 'body:', req.body);
+  const { url, events, description, active, rotateSecret } = req.body || {};
+  const invalid = validateWebhookInput({ url, events }, { partial: true });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const endpoint = await loadManagedWebhook(req, res);
+    if (!endpoint) return;
+    if (url !== undefined) endpoint.address = url;
+    if (events !== undefined) endpoint.payloadType = webhookPayloadTypes(events);
+    if (description !== undefined) endpoint.name = description || undefined;
+    if (active !== undefined) endpoint.status = active ? 'active' : 'off';
+    const secret = rotateSecret ? newWebhookSecret() : undefined;
+    if (secret) {
+      endpoint.identifier = [
+        ...(endpoint.identifier || []).filter(i => i.system !== WEBHOOK_SECRET_SYSTEM),
+        { system: WEBHOOK_SECRET_SYSTEM, value: secret }
+      ];
+    }
+    await fhir.update(endpoint, { ifMatch: ifMatchOf(endpoint) });
+    // secret 本身不寫入稽核紀錄，只記錄有重新產生
+    recordAudit('webhook-update', {
+      req, personId: req.user.id, organizationId: toWebhookSummary(endpoint).organizationId,
+      entities: [`Endpoint/${endpoint.id}`],
+      detail: [
+        url !== undefined && `url=${url}`,
+        events !== undefined && `events=${events.join(',')}`,
+        description !== undefined && 'description',
+        active !== undefined && `active=${Boolean(active)}`,
+        secret && 'rotateSecret'
+      ].filter(Boolean).join(' ')
+    });
+    res.json({ ...toWebhookSummary(endpoint), ...(secret && { secret }) });
+  } catch (err) {
+    if (isVersionConflict(err)) return res.status(409).json({ error: 'Webhook 設定剛被更新，請重新整理後再試' });
+    sendError(res, err, 'api/admin/webhooks/:id PUT');
+  }
+});
+
+app.delete('/api/admin/webhooks/:id', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/webhooks/:id DELETE] id:', req.params.id);
+  try {
+    const endpoint = await loadManagedWebhook(req, res);
+    if (!endpoint) return;
+    await fhir.delete('Endpoint', endpoint.id);
+    recordAudit('webhook-delete', {
+      req, personId: req.user.id, organizationId: toWebhookSummary(endpoint).organizationId,
+      entities: [`Endpoint/${endpoint.id}`],
+      detail: endpoint.address
+    });
+    res.json({ message: 'Webhook 已刪除' });
+  } catch (err) {
+    sendError(res, err, 'api/admin/webhooks/:id DELETE');
+  }
+});
+
+// 投遞紀錄；?status=dead 為 dead-letter 清單 (另有 pending、delivered)
+app.get('/api/admin/organizations/:id/webhook-deliveries', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/organizations/:id/webhook-deliveries] id:', req.params.id, 'query:', req.query);
+  if (!canManageOrganization(req.user, req.params.id)) return res.status(403).json({ error: '無權管理此組織' });
+  const { status } = req.query;
+  if (status && !['pending', 'delivered', 'dead'].includes(status)) {
+    return res.status(400).json({ error: 'status 須為 pending、delivered 或 dead' });
+  }
+  try {
+    const deliveries = await webhooks.list({ organizationId: req.params.id, status });
+    res.json(deliveries.slice(0, 200).map(d => ({
+      deliveryId: d.id,
+      webhookId: d.endpointId,
+      url: d.url,
+      event: d.event,
+      status: d.status,
+      attempts: d.attempts,
+      lastError: d.lastError || null,
+      createdAt: new Date(d.createdAt).toISOString(),
+      nextAttemptAt: d.status === 'pending' ? new Date(d.nextAttemptAt).toISOString() : null,
+      payload: d.payload
+    })));
+  } catch (err) {
+    sendError(res, err, 'api/admin/organizations/:id/webhook-deliveries');
+  }
+});
+
+// 重送 (通常用於 dead-letter)：重設重試次數並立即投遞
+app.post('/api/admin/webhook-deliveries/:id/replay', authenticate, requireRole('admin', 'staff'), async (req, res) => {
+  console.log('** [api/admin/webhook-deliveries/:id/replay] id:', req.params.id);
+  try {
+    const delivery = await webhooks.get(req.params.id);
+    if (!delivery) return res.status(404).json({ error: '找不到指定的投遞紀錄' });
+    if (!canManageOrganization(req.user, delivery.organizationId)) return res.status(403).json({ error: '無權管理此組織' });
+    await webhooks.replay(delivery.id);
+    await webhooks.processDue();
+    const updated = await webhooks.get(delivery.id);
+    res.json({ deliveryId: updated.id, status: updated.status, attempts: updated.attempts, lastError: updated.lastError || null });
+  } catch (err) {
+    sendError(res, err, 'api/admin/webhook-deliveries/:id/replay');
+  }
+});
+
+// ── 18) FHIR Subscription (rest-hook) 通知 /api/fhir-subscription ─────────
+// 可選：在 FHIR 伺服器建立 Subscription (例如 criteria 為 Appointment?status=booked,cancelled,arrived,fulfilled 與 Slot?status=free)，
+// channel.type = rest-hook、endpoint = <APP_BASE_URL>/api/fhir-subscription、header = ["Authorization: Bearer <FHIR_SUBSCRIPTION_TOKEN>"]。
+// 如此直接在 FHIR 上做的異動也會清除本程式的快取，Appointment 狀態變更一樣送出 Webhook。
+// R4 rest-hook 的 payload 可能為空 (只通知有異動)、單一資源或 Bundle。
+const SUBSCRIPTION_EVENTS = { booked: 'booked', cancelled: 'cancelled', arrived: 'checked-in', fulfilled: 'checked-in' };
+
+app.post('/api/fhir-subscription', async (req, res) => {
+  console.log('** [api/fhir-subscription] resourceType:', req.body?.resourceType);
+  if (!FHIR_SUBSCRIPTION_TOKEN) return res.status(404).json({ error: '未啟用 FHIR Subscription 通知' });
+  const given = Buffer.from(String(req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(FHIR_SUBSCRIPTION_TOKEN);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Subscription 驗證失敗' });
+  }
+
+  const body = req.body || {};
+  const resources = body.resourceType === 'Bundle'
+    ? (body.entry || []).map(e => e.resource).filter(Boolean)
+    : (body.resourceType ? [body] : []);
+  try {
+    // 沒有 payload 時不知道是哪一筆異動，Slot 與 Appointment 的快取都清除
+    await fhir.invalidate(resources.length ? resources.map(r => r.resourceType) : ['Slot', 'Appointment']);
+  } catch (err) {
+    console.warn('  [api/fhir-subscription] 清除快取失敗:', err.message);
+  }
+  resources
+    .filter(r => r.resourceType === 'Appointment' && r.id && SUBSCRIPTION_EVENTS[r.status])
+    .forEach(r => publishInBackground(SUBSCRIPTION_EVENTS[r.status], r.id, { source: 'fhir' }));
+  res.status(200).end();
+});
+
+// --- 背景工作 ---
+// 定期寄出到期的活動提醒、把已結束且未報到的預約標為 noshow，並重試到期的 Webhook 投遞。
+// 只在直接執行時啟動；測試經由 app.locals.jobs 自行觸發，不會在載入時跑計時器。
+const processWebhooks = () => webhooks.processDue();
+function startBackgroundJobs() {
+  setInterval(processDueReminders, REMINDER_POLL_MS).unref();
+  processDueReminders();
+  setInterval(processNoShows, NOSHOW_POLL_MS).unref();
+  processNoShows();
+  setInterval(processWebhooks, WEBHOOK_POLL_MS).unref();
+}
+app.locals.jobs = { processDueReminders, processNoShows, processWebhooks };
+
+// 直接執行時才啟動伺服器；測試以 require('./app.js') 取得 app 自行 listen
+if (require.main === module) {
+  startBackgroundJobs();
+  app.listen(PORT, ()=>console.log(`Server: http://localhost:${PORT}`));
+}
+
+module.exports = app;
 
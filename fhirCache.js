@@ -0,0 +1,57 @@
+// --- FHIR 查詢快取 ---
+// fhirClient 透過 cache 選項使用的儲存介面，所有方法皆為 async，值一律是字串 (序列化後的 JSON)：
+//   get(key)                 → string | null (不存在或已過期)
+//   set(key, value, ttlMs)
+//   delete(key)
+//   deletePrefix(prefix)     刪除所有以 prefix 開頭的 key (寫入後依資源類型失效用)
+// 預設使用記憶體實作；多台 Node 共用快取時可用 Redis 等實作同一介面
+// (例如 GET / SET PX / DEL / SCAN MATCH prefix* + UNLINK) 後傳入 createFhirClient。
+
+/**
+ * 記憶體快取，超過 maxEntries 時先淘汰最久未使用的項目
+ * @param {{ maxEntries?: number }} [options]
+ */
+function createMemoryCache({ maxEntries = 5000 } = {}) {
+  const entries = new Map(); // key → { value, expiresAt }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      // 重新插入，讓 Map 的順序維持「最近使用的在最後」
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async deletePrefix(prefix) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    }
+  };
+}
+
+// 解析 "Organization=300,Schedule=60" 形式的 TTL 設定 (秒)
+function parseCacheTtls(spec = '') {
+  return Object.fromEntries(spec.split(',')
+    .map(pair => pair.split('=').map(s => s.trim()))
+    .filter(([type, seconds]) => type && Number(seconds) > 0)
+    .map(([type, seconds]) => [type, Number(seconds)]));
+}
+
+module.exports = { createMemoryCache, parseCacheTtls };
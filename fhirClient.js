@@ -0,0 +1,295 @@
+// --- FHIR 用戶端 ---
+// 所有對 FHIR 伺服器的呼叫都經過這裡，統一處理：
+//  - 逾時 (AbortController)
+//  - 冪等請求 (GET / PUT / DELETE) 在網路錯誤或 429/502/503/504 時以指數退避重試；
+//    帶 If-Match 的條件式寫入不重試：第一次其實已寫入時，重試會因版本已變而誤報衝突
+//  - searchAll 自動跟隨 Bundle link[rel=next] 分頁；searchPages 逐頁取回，由呼叫端決定取幾頁
+//  - 將 OperationOutcome 解析成 FhirError，方便各路由回傳一致的錯誤格式
+//  - 受保護的 FHIR 伺服器可設定 Authorization 標頭
+//  - 可選的查詢快取 (見 fhirCache.js)：依資源類型設定 TTL，本程式寫入某類型時清除該類型的快取，並統計命中率。
+//    讀取後要以 versionId 作為 If-Match 寫回時，請加上 { noCache: true } 直接向伺服器讀取最新版本
+// node-fetch v3 是 ESM 模組，需要使用動態 import
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+const FHIR_JSON = 'application/fhir+json';
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+const RETRYABLE_STATUS = [429, 502, 503, 504];
+
+class FhirError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number, issues?: object[], method?: string, url?: string, cause?: Error }} details
+   *   status 為 FHIR 伺服器回應的 HTTP 狀態碼；網路錯誤或逾時時為 undefined
+   */
+  constructor(message, { status, issues = [], method, url, cause } = {}) {
+    super(message);
+    this.name = 'FhirError';
+    this.status = status;
+    this.issues = issues;
+    this.method = method;
+    this.url = url;
+    this.cause = cause;
+  }
+
+  // 對應到本系統 API 應回傳的狀態碼
+  get apiStatus() {
+    if (this.status === undefined) return this.cause?.name === 'AbortError' ? 504 : 502;
+    if (this.status === 404 || this.status === 410) return 404;
+    if (this.status === 409 || this.status === 412) return 409;
+    return 502;
+  }
+}
+
+// 從 OperationOutcome 取出 issue 清單 (severity、code、diagnostics)
+function parseOperationOutcome(body) {
+  if (!body || body.resourceType !== 'OperationOutcome') return [];
+  return (body.issue || []).map(i => ({
+    severity: i.severity,
+    code: i.code,
+    diagnostics: i.diagnostics || i.details?.text || ''
+  }));
+}
+
+// 組合查詢字串；FHIR 的 , | / 是語法的一部分，保留不編碼。值為陣列時重複該參數 (例如 date=ge..&date=le..)
+function toQueryString(params = {}) {
+  const encode = v => encodeURIComponent(v).replace(/%2C/gi, ',').replace(/%7C/gi, '|').replace(/%2F/gi, '/');
+  return Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .flatMap(([k, v]) => (Array.isArray(v) ? v : [v]).map(item => `${encode(k)}=${encode(item)}`))
+    .join('&');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 建立 FHIR 用戶端
+ * @param {object} options
+ * @param {string} options.baseUrl FHIR 伺服器根網址
+ * @param {number} [options.timeoutMs=10000] 單次請求逾時
+ * @param {number} [options.retries=2] 冪等請求的重試次數
+ * @param {number} [options.retryDelayMs=200] 第一次重試前的等待時間，之後每次加倍
+ * @param {string} [options.authorization] 例如 'Bearer xxx'，會放在每個請求的 Authorization 標頭
+ * @param {number} [options.maxPages=20] searchAll 最多跟隨的頁數
+ * @param {object} [options.cache] 快取儲存 (介面見 fhirCache.js)；未提供時不快取
+ * @param {Object<string, number>} [options.cacheTtls] 各資源類型的快取秒數，例如 { Organization: 300 }；未列出的類型不快取
+ */
+function createFhirClient({ baseUrl, timeoutMs = 10000, retries = 2, retryDelayMs = 200, authorization, maxPages = 20, cache, cacheTtls = {} }) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  // ── 快取 ──
+  // key 為 "<資源類型>|<完整網址>"，寫入時以 "<資源類型>|" 為前綴整批清除
+  const cacheStats = {};
+  const countCache = (type, field) => {
+    const stats = (cacheStats[type] ||= { hits: 0, misses: 0, invalidations: 0 });
+    stats[field]++;
+  };
+
+  // 由網址取出資源類型，例如 .../Slot?schedule=... → Slot；分頁網址 (base?_getpages=...) 取不到類型，不快取
+  const resourceTypeOf = url => (url.startsWith(base) ? url.slice(base.length) : url)
+    .replace(/^\/+/, '').match(/^([A-Z][A-Za-z]+)(?=[/?]|$)/)?.[1];
+
+  // 快取失效不應影響主要流程：快取儲存出錯時只記錄 log
+  async function cacheOp(fn, fallback = null) {
+    try {
+      return await fn();
+    } catch (err) {
+      console.warn('  [fhir] 快取存取失敗:', err.message);
+      return fallback;
+    }
+  }
+
+  async function invalidate(types) {
+    if (!cache) return;
+    for (const type of new Set(types.filter(Boolean))) {
+      if (!cacheTtls[type]) continue;
+      await cacheOp(() => cache.deletePrefix(`${type}|`));
+      countCache(type, 'invalidations');
+    }
+  }
+
+  async function request(method, path, { body, headers = {}, noCache = false } = {}) {
+    const url = /^https?:\/\//.test(path) ? path : [base, path.replace(/^\/+/, '')].filter(Boolean).join('/');
+    const conditional = Object.keys(headers).some(h => h.toLowerCase() === 'if-match');
+    const attempts = IDEMPOTENT_METHODS.includes(method) && !conditional ? retries + 1 : 1;
+
+    const cacheType = cache && method === 'GET' ? resourceTypeOf(url) : undefined;
+    const ttl = cacheTtls[cacheType];
+    const cacheKey = `${cacheType}|${url}`;
+    // noCache 略過快取讀取，但取回的結果仍會寫入快取
+    if (ttl && !noCache) {
+      const cached = await cacheOp(() => cache.get(cacheKey));
+      if (cached != null) {
+        countCache(cacheType, 'hits');
+        return { status: 200, headers: null, body: JSON.parse(cached), cached: true };
+      }
+      countCache(cacheType, 'misses');
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      let res;
+      try {
+        res = await fetch(url, {
+          method,
+          signal: controller.signal,
+          headers: {
+            Accept: FHIR_JSON,
+            ...(body !== undefined && { 'Content-Type': FHIR_JSON }),
+            ...(authorization && { Authorization: authorization }),
+            ...headers
+          },
+          body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+      } catch (err) {
+        clearTimeout(timer);
+        if (attempt < attempts) {
+          await sleep(retryDelayMs * 2 ** (attempt - 1));
+          continue;
+        }
+        const reason = err.name === 'AbortError' ? `逾時 (${timeoutMs}ms)` : err.message;
+        throw new FhirError(`FHIR 伺服器無法連線: ${reason}`, { method, url, cause: err });
+      }
+      clearTimeout(timer);
+
+      if (RETRYABLE_STATUS.includes(res.status) && attempt < attempts) {
+        await sleep(retryDelayMs * 2 ** (attempt - 1));
+        continue;
+      }
+
+      const text = await res.text();
+      let json = null;
+      try { json = text ? JSON.parse(text) : null; } catch { /* 非 JSON 回應 */ }
+
+      if (!res.ok) {
+        const issues = parseOperationOutcome(json);
+        const detail = issues.map(i => i.diagnostics).filter(Boolean).join('; ') || text.slice(0, 200);
+        throw new FhirError(`FHIR 錯誤 ${res.status} (${method} ${url})${detail ? `: ${detail}` : ''}`,
+          { status: res.status, issues, method, url });
+      }
+      if (ttl && json) await cacheOp(() => cache.set(cacheKey, text, ttl * 1000));
+      return { status: res.status, headers: res.headers, body: json };
+    }
+  }
+
+  const searchPath = (type, params) => {
+    const query = toQueryString(params);
+    return query ? `${type}?${query}` : type;
+  };
+
+  return {
+    request,
+
+    // 快取命中統計：各資源類型的 hits / misses / invalidations 與整體命中率
+    cacheStats() {
+      const totals = Object.values(cacheStats).reduce(
+        (sum, st) => ({ hits: sum.hits + st.hits, misses: sum.misses + st.misses }), { hits: 0, misses: 0 });
+      const lookups = totals.hits + totals.misses;
+      return {
+        enabled: Boolean(cache),
+        ttls: cacheTtls,
+        types: cacheStats,
+        ...totals,
+        hitRate: lookups ? totals.hits / lookups : null
+      };
+    },
+
+    // 手動清除某些資源類型的快取 (例如得知 FHIR 伺服器上的資料被直接修改)
+    invalidate,
+
+    // 讀取單一資源，找不到時丟出 FhirError (status 404)。
+    // 以下讀取與搜尋方法的 options.noCache 為 true 時不使用快取
+    async read(type, id, { noCache } = {}) {
+      return (await request('GET', `${type}/${encodeURIComponent(id)}`, { noCache })).body;
+    },
+
+    // 以 "Type/id" reference 讀取
+    async readRef(reference, options) {
+      const [type, id] = reference.split('/');
+      return this.read(type, id, options);
+    },
+
+    // 讀取單一資源，找不到 (404 / 410) 時回傳 null
+    async readOrNull(type, id, options) {
+      try {
+        return await this.read(type, id, options);
+      } catch (err) {
+        if (err instanceof FhirError && (err.status === 404 || err.status === 410)) return null;
+        throw err;
+      }
+    },
+
+    async readRefOrNull(reference, options) {
+      const [type, id] = reference.split('/');
+      return this.readOrNull(type, id, options);
+    },
+
+    // 搜尋，回傳第一頁的 Bundle
+    async search(type, params, { noCache } = {}) {
+      return (await request('GET', searchPath(type, params), { noCache })).body;
+    },
+
+    // 搜尋並跟隨 link[rel=next] 取回所有頁，回傳 resource 陣列
+    async searchAll(type, params, { noCache } = {}) {
+      const resources = [];
+      let next = searchPath(type, params);
+      for (let page = 0; next && page < maxPages; page++) {
+        const bundle = (await request('GET', next, { noCache })).body;
+        (bundle.entry || []).forEach(e => e.resource && resources.push(e.resource));
+        next = (bundle.link || []).find(l => l.relation === 'next')?.url;
+      }
+      if (next) console.warn(`  [fhir] ${type} 搜尋超過 ${maxPages} 頁，其餘結果未取回`);
+      return resources;
+    },
+
+    // 逐頁搜尋 (async generator)，每次產出一頁的 { resources, total }；不受 maxPages 限制，呼叫端可隨時停止
+    async *searchPages(type, params) {
+      let next = searchPath(type, params);
+      while (next) {
+        const bundle = (await request('GET', next)).body;
+        next = (bundle.link || []).find(l => l.relation === 'next')?.url;
+        yield { resources: (bundle.entry || []).map(e => e.resource).filter(Boolean), total: bundle.total };
+      }
+    },
+
+    // 新增資源；ifNoneExist 為條件式新增的查詢條件
+    async create(resource, { ifNoneExist } = {}) {
+      const headers = ifNoneExist ? { 'If-None-Exist': ifNoneExist } : {};
+      try {
+        return (await request('POST', resource.resourceType, { body: resource, headers })).body;
+      } finally {
+        await invalidate([resource.resourceType]);
+      }
+    },
+
+    // 更新資源 (PUT)；ifMatch 為版本條件，例如 W/"3"
+    async update(resource, { ifMatch } = {}) {
+      const headers = ifMatch ? { 'If-Match': ifMatch } : {};
+      try {
+        return (await request('PUT', `${resource.resourceType}/${encodeURIComponent(resource.id)}`, { body: resource, headers })).body;
+      } finally {
+        await invalidate([resource.resourceType]);
+      }
+    },
+
+    async delete(type, id) {
+      try {
+        await request('DELETE', `${type}/${encodeURIComponent(id)}`);
+      } finally {
+        await invalidate([type]);
+      }
+    },
+
+    // 執行 transaction Bundle，回傳 transaction-response Bundle。
+    // 不論成功與否都清除涉及類型的快取：失敗 (例如版本衝突) 通常代表快取中的資料已過時
+    async transaction(bundle) {
+      try {
+        return (await request('POST', '', { body: bundle })).body;
+      } finally {
+        await invalidate((bundle.entry || []).map(e => e.resource?.resourceType || e.request?.url?.split(/[/?]/)[0]));
+      }
+    }
+  };
+}
+
+module.exports = { createFhirClient, FhirError, toQueryString };
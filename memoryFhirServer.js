@@ -0,0 +1,403 @@
+// --- 記憶體 FHIR 伺服器 (本機開發與端對端測試用) ---
+// 模擬 app.js 用到的 FHIR R4 REST 功能，讓整個報名流程可以在沒有網路的情況下執行：
+//  - read / create (If-None-Exist) / update (If-Match) / delete，資源帶 meta.versionId 與 ETag
+//  - 搜尋參數見 SEARCH_PARAMS (token 參數可加 :not)，以及 _sort、_count、_elements、_summary=count 與 link[rel=next] 分頁
+//  - transaction Bundle：依 FHIR 規定的順序處理，任一 entry 失敗時整筆回復 (rollback)；
+//    fullUrl 為 urn:uuid 的參照會換成實際 id
+// 資料只存在記憶體中，重新啟動即清空。
+//
+// 用法：
+//   node memoryFhirServer.js                                # 於 FHIR_STANDIN_PORT (預設 8080) 啟動
+//   FHIR_STANDIN_SEED=seed.json node memoryFhirServer.js    # 啟動時先以 transaction 匯入種子資料
+//   FHIR_SERVER_BASE=http://localhost:8080/fhir node app.js
+//   npm test                                                # 測試會在隨機埠自行啟動兩者
+//
+// 測試可透過 app.locals 直接讀寫資料，並由 app.locals.transactions 檢查 app.js 送出的交易內容；
+// app.locals.hooks.beforeWrite(type, id) 在每次寫入前呼叫，可用來模擬其他人剛好先更新了同一筆資源。
+const fs = require('fs');
+const express = require('express');
+
+const FHIR_JSON = 'application/fhir+json';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 1000;
+
+class OutcomeError extends Error {
+  constructor(status, code, diagnostics) {
+    super(diagnostics);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const operationOutcome = (code, diagnostics) => ({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity: 'error', code, diagnostics }]
+});
+
+const refs = list => (list || []).map(r => r?.reference).filter(Boolean);
+const tokens = (system, value) => (value ? [`${system || ''}|${value}`] : []);
+
+// 每個搜尋參數取出資源中可比對的值；依參數型別 (reference / token / string / date) 比對
+const SEARCH_PARAMS = {
+  _id: { type: 'token', values: r => [`|${r.id}`] },
+  identifier: { type: 'token', values: r => (r.identifier || []).flatMap(i => tokens(i.system, i.value)) },
+  status: { type: 'token', values: r => tokens('', r.status) },
+  active: { type: 'token', values: r => (typeof r.active === 'boolean' ? tokens('', String(r.active)) : []) },
+  category: { type: 'token', values: r => (r.category || []).flatMap(c => (c.coding || []).flatMap(cd => tokens(cd.system, cd.code))) },
+  name: { type: 'string', values: r => (typeof r.name === 'string' ? [r.name] : (r.name || []).map(n => n.text || [n.family, ...(n.given || [])].join(' '))) },
+  address: {
+    type: 'string',
+    values: r => (r.address || []).flatMap(a => [a.text, ...(a.line || []), a.city, a.district, a.state, a.postalCode, a.country]).filter(Boolean)
+  },
+  'address-city': { type: 'string', values: r => (r.address || []).map(a => a.city).filter(Boolean) },
+  type: { type: 'token', values: r => (r.type || []).flatMap(t => (t.coding || []).flatMap(c => tokens(c.system, c.code))) },
+  organization: { type: 'reference', values: r => refs([r.managingOrganization, r.organization]) },
+  practitioner: { type: 'reference', values: r => refs([r.practitioner]) },
+  actor: { type: 'reference', values: r => refs(r.actor) },
+  schedule: { type: 'reference', values: r => refs([r.schedule]) },
+  patient: {
+    type: 'reference',
+    values: r => refs([r.patient, r.subject, ...(r.participant || []).map(p => p.actor)]).filter(ref => ref.startsWith('Patient/'))
+  },
+  'supporting-information': { type: 'reference', values: r => refs(r.supportingInformation) },
+  appointment: { type: 'reference', values: r => refs(r.appointment) },
+  agent: { type: 'reference', values: r => refs((r.agent || []).map(a => a.who)) },
+  altid: { type: 'token', values: r => (r.agent || []).flatMap(a => tokens('', a.altId)) },
+  entity: { type: 'reference', values: r => refs((r.entity || []).map(e => e.what)) },
+  subtype: { type: 'token', values: r => (r.subtype || []).flatMap(c => tokens(c.system, c.code)) },
+  target: { type: 'reference', values: r => refs(r.target) },
+  date: { type: 'date', values: r => [r.start || r.date || r.recorded].filter(Boolean) },
+  start: { type: 'date', values: r => [r.start].filter(Boolean) },
+  occurrence: { type: 'date', values: r => [r.occurrenceDateTime].filter(Boolean) },
+  _lastUpdated: { type: 'date', values: r => [r.meta?.lastUpdated].filter(Boolean) }
+};
+
+// token：system|value、system| (只比對 system)、value (只比對值)；值本身可以含有 |，只以第一個 | 分隔
+const splitToken = token => [token.slice(0, token.indexOf('|')), token.slice(token.indexOf('|') + 1)];
+
+function matchToken(actual, query) {
+  const [system, value] = splitToken(actual);
+  if (!query.includes('|')) return value === query;
+  const [qSystem, qValue] = splitToken(query);
+  return (qSystem === '' || qSystem === system) && (qValue === '' || qValue === value);
+}
+
+// reference：接受 Type/id 或單獨的 id
+const matchReference = (actual, query) => actual === query || (!query.includes('/') && actual.endsWith(`/${query}`));
+
+const matchString = (actual, query) => actual.toLowerCase().startsWith(query.toLowerCase());
+
+function matchDate(actual, query) {
+  const [, prefix = 'eq', value] = query.match(/^(eq|ne|lt|le|gt|ge|sa|eb)?(.+)$/);
+  const a = new Date(actual).getTime();
+  const q = new Date(value).getTime();
+  switch (prefix) {
+    case 'ne': return a !== q;
+    case 'lt': case 'eb': return a < q;
+    case 'le': return a <= q;
+    case 'gt': case 'sa': return a > q;
+    case 'ge': return a >= q;
+    default: return a === q;
+  }
+}
+
+const MATCHERS = { token: matchToken, reference: matchReference, string: matchString, date: matchDate };
+
+// 單一搜尋參數：逗號分隔為 OR；同一參數出現多次 (陣列) 為 AND。
+// token:not 排除符合的資源，沒有此欄位的資源也算不符合 (與 FHIR 規格相同)
+function matchesParam(resource, key, rawValues) {
+  const [name, modifier] = key.split(':');
+  const param = SEARCH_PARAMS[name];
+  if (!param) throw new OutcomeError(400, 'not-supported', `不支援的搜尋參數: ${name}`);
+  if (modifier && !(modifier === 'not' && param.type === 'token')) {
+    throw new OutcomeError(400, 'not-supported', `不支援的搜尋修飾詞: ${key}`);
+  }
+  const actual = param.values(resource);
+  const match = MATCHERS[param.type];
+  return [].concat(rawValues).every(raw =>
+    raw.split(',').some(q => actual.some(a => match(a, q))) !== (modifier === 'not'));
+}
+
+function sortKey(resource, name) {
+  const param = SEARCH_PARAMS[name];
+  if (!param) throw new OutcomeError(400, 'not-supported', `不支援的排序參數: ${name}`);
+  return param.values(resource)[0] || '';
+}
+
+function createMemoryFhirServer() {
+  // db[type][id] = { versionId, resource, deleted }
+  let db = {};
+  let nextId = 1;
+  const transactions = [];
+  const hooks = { beforeWrite: null };
+
+  const table = type => (db[type] ||= {});
+
+  function stamp(resource, type, id, versionId) {
+    return {
+      ...resource,
+      resourceType: type,
+      id,
+      meta: { ...resource.meta, versionId: String(versionId), lastUpdated: new Date().toISOString() }
+    };
+  }
+
+  function checkIfMatch(record, ifMatch) {
+    if (!ifMatch) return;
+    const expected = String(ifMatch).replace(/^W\//, '').replace(/"/g, '');
+    if (!record || record.deleted || String(record.versionId) !== expected) {
+      throw new OutcomeError(412, 'conflict', `版本不符：目前為 ${record?.versionId ?? '(不存在)'}，If-Match 為 ${expected}`);
+    }
+  }
+
+  function read(type, id) {
+    const record = table(type)[id];
+    if (!record) throw new OutcomeError(404, 'not-found', `找不到 ${type}/${id}`);
+    if (record.deleted) throw new OutcomeError(410, 'deleted', `${type}/${id} 已刪除`);
+    return record.resource;
+  }
+
+  function search(type, query = {}) {
+    const params = { ...query };
+    const sort = params._sort;
+    const elements = params._elements;
+    ['_sort', '_count', '_elements', '_summary', '_getpagesoffset', '_format'].forEach(k => delete params[k]);
+
+    let results = Object.values(table(type))
+      .filter(record => !record.deleted)
+      .map(record => record.resource)
+      .filter(resource => Object.entries(params).every(([name, values]) => matchesParam(resource, name, values)));
+
+    if (sort) {
+      const keys = String(sort).split(',');
+      results.sort((a, b) => {
+        for (const key of keys) {
+          const desc = key.startsWith('-');
+          const name = desc ? key.slice(1) : key;
+          const cmp = sortKey(a, name).localeCompare(sortKey(b, name));
+          if (cmp) return desc ? -cmp : cmp;
+        }
+        return 0;
+      });
+    }
+    if (elements) {
+      const keep = ['resourceType', 'id', 'meta', ...String(elements).split(',')];
+      results = results.map(r => Object.fromEntries(Object.entries(r).filter(([k]) => keep.includes(k))));
+    }
+    return results;
+  }
+
+  function findExisting(type, ifNoneExist) {
+    if (!ifNoneExist) return null;
+    const existing = search(type, Object.fromEntries(new URLSearchParams(ifNoneExist)));
+    if (existing.length > 1) throw new OutcomeError(412, 'duplicate', `If-None-Exist 條件符合多筆 ${type}`);
+    return existing[0] || null;
+  }
+
+  // presetId：transaction 中預先配置給 urn:uuid 的 id
+  function create(type, resource, ifNoneExist, presetId) {
+    const existing = findExisting(type, ifNoneExist);
+    if (existing) return { status: 200, resource: existing };
+    const id = presetId || String(nextId++);
+    const stored = stamp(resource, type, id, 1);
+    table(type)[id] = { versionId: 1, resource: stored, deleted: false };
+    return { status: 201, resource: stored };
+  }
+
+  function update(type, id, resource, ifMatch) {
+    if (resource.resourceType && resource.resourceType !== type) {
+      throw new OutcomeError(400, 'invalid', `資源類型 ${resource.resourceType} 與網址 ${type} 不符`);
+    }
+    if (resource.id && resource.id !== id) throw new OutcomeError(400, 'invalid', `資源 id ${resource.id} 與網址 ${id} 不符`);
+    hooks.beforeWrite?.(type, id);
+    const record = table(type)[id];
+    checkIfMatch(record, ifMatch);
+    const versionId = (record?.versionId || 0) + 1;
+    const stored = stamp(resource, type, id, versionId);
+    table(type)[id] = { versionId, resource: stored, deleted: false };
+    return { status: record && !record.deleted ? 200 : 201, resource: stored };
+  }
+
+  function remove(type, id, ifMatch) {
+    hooks.beforeWrite?.(type, id);
+    const record = table(type)[id];
+    if (!record || record.deleted) return { status: 204 };
+    checkIfMatch(record, ifMatch);
+    table(type)[id] = { versionId: record.versionId + 1, resource: record.resource, deleted: true };
+    return { status: 204 };
+  }
+
+  const STATUS_TEXT = { 200: '200 OK', 201: '201 Created', 204: '204 No Content' };
+
+  // FHIR 規定的處理順序：DELETE → POST → PUT → GET；回應依原本 entry 順序排列
+  const METHOD_ORDER = { DELETE: 0, POST: 1, PUT: 2, GET: 3 };
+
+  function transaction(bundle) {
+    if (bundle?.resourceType !== 'Bundle' || bundle.type !== 'transaction') {
+      throw new OutcomeError(400, 'invalid', '只接受 type 為 transaction 的 Bundle');
+    }
+    const snapshot = structuredClone({ db, nextId });
+    try {
+      // 先為帶 urn:uuid fullUrl 的 POST 配置 id，再把整個 Bundle 中對它們的參照換成 Type/id
+      const presetIds = {};
+      const uuidRefs = {};
+      (bundle.entry || []).forEach((entry, index) => {
+        if (entry.request?.method !== 'POST' || !entry.fullUrl?.startsWith('urn:uuid:')) return;
+        const type = (entry.request.url || '').split('?')[0];
+        const id = findExisting(type, entry.request.ifNoneExist)?.id || String(nextId++);
+        presetIds[index] = id;
+        uuidRefs[entry.fullUrl] = `${type}/${id}`;
+      });
+      const entries = Object.keys(uuidRefs).length
+        ? JSON.parse(JSON.stringify(bundle.entry), (key, value) => (key === 'reference' && uuidRefs[value]) || value)
+        : bundle.entry || [];
+
+      const responses = new Array(entries.length);
+      entries
+        .map((entry, index) => ({ entry, index }))
+        .sort((a, b) => METHOD_ORDER[a.entry.request?.method] - METHOD_ORDER[b.entry.request?.method])
+        .forEach(({ entry, index }) => {
+          const { method, url = '', ifMatch, ifNoneExist } = entry.request || {};
+          if (!(method in METHOD_ORDER)) throw new OutcomeError(400, 'invalid', `entry ${index} 的 request.method 無效`);
+          const [path, queryString] = url.split('?');
+          const [type, id] = path.split('/');
+          let result;
+          if (method === 'GET') {
+            result = id
+              ? { status: 200, resource: read(type, id) }
+              : { status: 200, resource: searchBundle(type, Object.fromEntries(new URLSearchParams(queryString))) };
+          } else if (method === 'POST') {
+            result = create(type, entry.resource, ifNoneExist, presetIds[index]);
+          } else if (method === 'PUT') {
+            result = update(type, id, entry.resource, ifMatch);
+          } else {
+            result = remove(type, id, ifMatch);
+          }
+          const saved = result.resource;
+          responses[index] = {
+            ...(method === 'GET' && { resource: saved }),
+            response: {
+              status: STATUS_TEXT[result.status],
+              ...(saved?.id && method !== 'GET' && {
+                location: `${type}/${saved.id}/_history/${saved.meta.versionId}`,
+                etag: `W/"${saved.meta.versionId}"`
+              })
+            }
+          };
+        });
+      return { resourceType: 'Bundle', type: 'transaction-response', entry: responses };
+    } catch (err) {
+      ({ db, nextId } = snapshot);
+      throw err;
+    }
+  }
+
+  function searchBundle(type, query, pageUrl) {
+    const all = search(type, query);
+    if (query._summary === 'count') return { resourceType: 'Bundle', type: 'searchset', total: all.length };
+    const count = Math.min(Number(query._count) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Number(query._getpagesoffset) || 0;
+    const page = all.slice(offset, offset + count);
+    const link = [];
+    if (pageUrl && offset + count < all.length) {
+      const next = new URLSearchParams(query);
+      next.set('_getpagesoffset', String(offset + count));
+      next.set('_count', String(count));
+      link.push({ relation: 'next', url: `${pageUrl}?${next}` });
+    }
+    return {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total: all.length,
+      link,
+      entry: page.map(resource => ({ resource }))
+    };
+  }
+
+  // ── HTTP ──
+  const app = express();
+  // 同名參數重複出現時 (date=ge..&date=le..) 要得到陣列，不要 qs 的巢狀解析
+  app.set('query parser', 'simple');
+  app.use(express.json({ type: ['application/json', FHIR_JSON], limit: '10mb' }));
+
+  const send = (res, status, body, resource) => {
+    if (resource?.meta?.versionId) res.set('ETag', `W/"${resource.meta.versionId}"`);
+    res.status(status).type(FHIR_JSON);
+    return body === undefined ? res.end() : res.send(JSON.stringify(body));
+  };
+
+  const route = handler => (req, res) => {
+    try {
+      handler(req, res);
+    } catch (err) {
+      if (!(err instanceof OutcomeError)) console.error('  [memory-fhir] error:', err);
+      send(res, err.status || 500, operationOutcome(err.code || 'exception', err.message));
+    }
+  };
+
+  const baseUrl = req => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+  app.get('/metadata', (req, res) => send(res, 200, {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    kind: 'instance',
+    fhirVersion: '4.0.1',
+    format: ['json']
+  }));
+
+  app.post('/', route((req, res) => {
+    // 只保留最近的交易內容，長時間執行時不會無限增長
+    transactions.push(req.body);
+    if (transactions.length > 100) transactions.shift();
+    send(res, 200, transaction(req.body));
+  }));
+
+  app.get('/:type', route((req, res) => {
+    send(res, 200, searchBundle(req.params.type, req.query, `${baseUrl(req)}/${req.params.type}`));
+  }));
+
+  app.get('/:type/:id', route((req, res) => {
+    const resource = read(req.params.type, req.params.id);
+    send(res, 200, resource, resource);
+  }));
+
+  app.post('/:type', route((req, res) => {
+    const { status, resource } = create(req.params.type, req.body, req.get('If-None-Exist'));
+    res.set('Location', `${baseUrl(req)}/${req.params.type}/${resource.id}/_history/${resource.meta.versionId}`);
+    send(res, status, resource, resource);
+  }));
+
+  app.put('/:type/:id', route((req, res) => {
+    const { status, resource } = update(req.params.type, req.params.id, req.body, req.get('If-Match'));
+    send(res, status, resource, resource);
+  }));
+
+  app.delete('/:type/:id', route((req, res) => {
+    send(res, remove(req.params.type, req.params.id, req.get('If-Match')).status);
+  }));
+
+  // 測試直接存取資料：匯入種子資料、讀取與搜尋、檢查 app.js 送出的 transaction、清空資料
+  app.locals.transaction = transaction;
+  app.locals.read = read;
+  app.locals.search = search;
+  app.locals.update = (type, id, resource) => update(type, id, resource).resource;
+  app.locals.transactions = transactions;
+  app.locals.hooks = hooks;
+  app.locals.reset = () => { db = {}; nextId = 1; transactions.length = 0; };
+  return app;
+}
+
+module.exports = { createMemoryFhirServer };
+
+if (require.main === module) {
+  const port = Number(process.env.FHIR_STANDIN_PORT || 8080);
+  const server = express();
+  const fhirApp = createMemoryFhirServer();
+  if (process.env.FHIR_STANDIN_SEED) {
+    const seed = JSON.parse(fs.readFileSync(process.env.FHIR_STANDIN_SEED, 'utf8'));
+    fhirApp.locals.transaction(seed);
+    console.log(`  [memory-fhir] 已匯入種子資料 ${(seed.entry || []).length} 筆`);
+  }
+  server.use('/fhir', fhirApp);
+  server.listen(port, () => console.log(`Memory FHIR server: http://localhost:${port}/fhir`));
+}
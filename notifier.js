@@ -0,0 +1,117 @@
+// --- 通知模組 ---
+// 依事件類型套用 locales/mail.<語系>.json 的模板，再經由設定的 transport 寄出。
+// MAIL_TRANSPORT：smtp、file (寫入 MAIL_OUTBOX_FILE，供本機開發使用)、console (只印在終端機，需明確指定)。
+// 未設定時，非正式環境預設為 file；正式環境 (NODE_ENV=production) 必須設定，且不可使用 console，
+// 否則郵件只會出現在伺服器日誌中，使用者收不到。
+// 寄件匣含收件者地址與預約內容，未設定 MAIL_OUTBOX_FILE 時寫在系統暫存目錄，不放在程式碼目錄中。
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = process.env.MAIL_DEFAULT_LOCALE || 'zh-TW';
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@example.org';
+const MAIL_TIMEZONE = process.env.MAIL_TIMEZONE || 'Asia/Taipei';
+const MAIL_OUTBOX_FILE = process.env.MAIL_OUTBOX_FILE || path.join(os.tmpdir(), 'mail-outbox.jsonl');
+
+// ── Transports ──────────────────────────────────────────────
+// 每個 transport 都是 async (message) => void，message 為 { from, to, subject, text }
+
+const consoleTransport = async message => {
+  console.log('  [notifier] (console) 模擬寄出郵件:');
+  console.log(`    To: ${message.to}\n    Subject: ${message.subject}\n${message.text.replace(/^/gm, '    ')}`);
+};
+
+const fileTransport = (file = MAIL_OUTBOX_FILE) =>
+  async message => {
+    await fs.promises.appendFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }) + '\n');
+  };
+
+const smtpTransport = () => {
+  // nodemailer 只在使用 SMTP 時才載入
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return async message => { await transporter.sendMail(message); };
+};
+
+function createTransport(name = process.env.MAIL_TRANSPORT) {
+  const production = process.env.NODE_ENV === 'production';
+  if (production && (!name || name === 'console')) {
+    throw new Error('正式環境必須設定 MAIL_TRANSPORT (smtp 或 file)，不可使用 console');
+  }
+  if (!name) {
+    name = 'file';
+    console.warn('  [notifier] 未設定 MAIL_TRANSPORT，預設使用 file');
+  }
+  if (name === 'file') {
+    console.warn(`  [notifier] 郵件只寫入寄件匣 ${MAIL_OUTBOX_FILE}，不會實際寄出`);
+  }
+  switch (name) {
+    case 'console': return consoleTransport;
+    case 'file': return fileTransport();
+    case 'smtp': return smtpTransport();
+    default: throw new Error(`未知的 MAIL_TRANSPORT: ${name}`);
+  }
+}
+
+let transport = createTransport();
+
+// 測試或其他部署方式可替換 transport
+function setTransport(fn) {
+  transport = fn;
+}
+
+// ── 模板 ──────────────────────────────────────────────────
+const templateCache = new Map();
+
+function loadTemplates(locale) {
+  if (!templateCache.has(locale)) {
+    const file = path.join(LOCALES_DIR, `mail.${locale}.json`);
+    templateCache.set(locale, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+  }
+  return templateCache.get(locale);
+}
+
+// 找不到指定語系 (例如 en-US) 時依序退回主語系 (en) 與預設語系
+function resolveTemplate(type, locale) {
+  const candidates = [locale, locale && locale.split('-')[0], DEFAULT_LOCALE].filter(Boolean);
+  for (const candidate of candidates) {
+    const templates = loadTemplates(candidate);
+    if (templates && templates[type]) return { locale: candidate, template: templates[type] };
+  }
+  throw new Error(`找不到郵件模板: ${type}`);
+}
+
+const render = (str, data) => str.replace(/\{\{(\w+)\}\}/g, (_, key) => data[key] ?? '');
+
+const formatDateTime = (iso, locale) => iso
+  ? new Date(iso).toLocaleString(locale, { timeZone: MAIL_TIMEZONE, dateStyle: 'medium', timeStyle: 'short' })
+  : '';
+
+/**
+ * 寄出一封通知
+ * @param {string} type 模板名稱，例如 booked、rebooked、cancelled、reminder、waitlistPromoted
+ * @param {{ to: string, locale?: string, data?: object }} options data 中的 start / end 會依語系格式化
+ */
+async function sendNotification(type, { to, locale, data = {} }) {
+  const resolved = resolveTemplate(type, locale);
+  const vars = {
+    ...data,
+    start: formatDateTime(data.start, resolved.locale),
+    end: formatDateTime(data.end, resolved.locale)
+  };
+  await transport({
+    from: MAIL_FROM,
+    to,
+    subject: render(resolved.template.subject, vars),
+    text: render(resolved.template.text, vars)
+  });
+  console.log(`  [notifier] 已寄出 ${type} 通知給 ${to}`);
+}
+
+module.exports = { sendNotification, createTransport, setTransport };
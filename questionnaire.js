@@ -0,0 +1,202 @@
+// --- 報名問卷 (Questionnaire / QuestionnaireResponse) ---
+// 檢查主辦單位上傳的 Questionnaire、依 required / type / enableWhen 驗證報名者的回答，並轉成 QuestionnaireResponse.item。
+// 前端送出的回答為 { linkId: 值 }，repeats 的題目可為陣列；選擇題的值為 answerOption 的 code (或 valueString / valueInteger)。
+// enableWhen 只參考排在前面的題目 (依題目順序判斷)，未啟用的題目其回答會被忽略。
+
+const ANSWER_TYPES = ['boolean', 'decimal', 'integer', 'date', 'dateTime', 'time', 'string', 'text', 'url', 'choice', 'open-choice'];
+const ITEM_TYPES = ['group', 'display', ...ANSWER_TYPES];
+const ENABLE_WHEN_OPERATORS = ['exists', '=', '!=', '>', '<', '>=', '<='];
+const STATUSES = ['draft', 'active', 'retired'];
+
+const label = item => `「${item.text || item.linkId}」`;
+
+function* walkItems(items = [], parent = null) {
+  for (const item of items) {
+    yield { item, parent };
+    yield* walkItems(item.item, item);
+  }
+}
+
+// answerOption 的值：valueCoding 取 code，其餘取原值
+const optionValue = option => option.valueCoding?.code ?? option.valueString ?? option.valueInteger ?? option.valueDate ?? option.valueTime;
+
+/**
+ * 檢查 Questionnaire 是否為本程式支援的格式，回傳錯誤訊息字串或 null
+ * @param {object} questionnaire
+ */
+function validateQuestionnaire(questionnaire) {
+  if (questionnaire?.resourceType !== 'Questionnaire') return 'resourceType 須為 Questionnaire';
+  if (questionnaire.status !== undefined && !STATUSES.includes(questionnaire.status)) {
+    return `status 須為 ${STATUSES.join('、')} 其中之一`;
+  }
+  if (!Array.isArray(questionnaire.item) || !questionnaire.item.length) return 'Questionnaire 至少需要一個題目 (item)';
+
+  const linkIds = new Set();
+  for (const { item } of walkItems(questionnaire.item)) {
+    if (!item.linkId) return '每個題目都需要 linkId';
+    if (linkIds.has(item.linkId)) return `linkId 重複: ${item.linkId}`;
+    linkIds.add(item.linkId);
+    if (!ITEM_TYPES.includes(item.type)) {
+      return `${label(item)} 的題型 ${item.type} 不支援，可用 ${ITEM_TYPES.join('、')}`;
+    }
+    if (item.type === 'choice' && !(item.answerOption || []).length) return `${label(item)} 為選擇題，需要 answerOption`;
+    if (item.type === 'group' && !(item.item || []).length) return `${label(item)} 為群組，需要子題目`;
+  }
+  for (const { item } of walkItems(questionnaire.item)) {
+    for (const condition of item.enableWhen || []) {
+      if (!linkIds.has(condition.question)) return `${label(item)} 的 enableWhen 參照了不存在的題目 ${condition.question}`;
+      if (!ENABLE_WHEN_OPERATORS.includes(condition.operator)) return `${label(item)} 的 enableWhen operator 不支援: ${condition.operator}`;
+    }
+  }
+  return null;
+}
+
+// enableWhen 的比較值，例如 answerCoding → code
+function conditionValue(condition) {
+  if (condition.answerCoding) return condition.answerCoding.code;
+  const key = Object.keys(condition).find(k => k.startsWith('answer'));
+  return key ? condition[key] : undefined;
+}
+
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case '=': return actual === expected;
+    case '!=': return actual !== expected;
+    case '>': return actual > expected;
+    case '<': return actual < expected;
+    case '>=': return actual >= expected;
+    case '<=': return actual <= expected;
+    default: return false;
+  }
+}
+
+// answers 為目前已接受的回答 (linkId → 值陣列)
+function isEnabled(item, answers) {
+  const conditions = item.enableWhen || [];
+  if (!conditions.length) return true;
+  const results = conditions.map(condition => {
+    const values = answers.get(condition.question) || [];
+    if (condition.operator === 'exists') return (values.length > 0) === (condition.answerBoolean !== false);
+    const expected = conditionValue(condition);
+    return values.some(v => compare(v, condition.operator, expected));
+  });
+  return item.enableBehavior === 'all' ? results.every(Boolean) : results.some(Boolean);
+}
+
+// 檢查單一值並轉成 answer；回傳 { answer } 或 { error }
+function toAnswer(item, value) {
+  const invalid = message => ({ error: `${label(item)} ${message}` });
+  switch (item.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? { answer: { valueBoolean: value } } : invalid('須為是 / 否');
+    case 'decimal':
+      return typeof value === 'number' && Number.isFinite(value) ? { answer: { valueDecimal: value } } : invalid('須為數字');
+    case 'integer':
+      return Number.isInteger(value) ? { answer: { valueInteger: value } } : invalid('須為整數');
+    case 'date':
+      return /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value) ? { answer: { valueDate: value } } : invalid('須為日期 (YYYY-MM-DD)');
+    case 'dateTime':
+      return /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value)) ? { answer: { valueDateTime: value } } : invalid('須為日期時間 (ISO 8601)');
+    case 'time':
+      return /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value) ? { answer: { valueTime: value.length === 5 ? `${value}:00` : value } } : invalid('須為時間 (HH:mm)');
+    case 'string':
+    case 'text':
+      if (typeof value !== 'string') return invalid('須為文字');
+      if (item.maxLength && value.length > item.maxLength) return invalid(`最多 ${item.maxLength} 個字`);
+      return { answer: { valueString: value } };
+    case 'url':
+      return /^https?:\/\/\S+$/.test(value) ? { answer: { valueUri: value } } : invalid('須為 http(s) 網址');
+    case 'choice':
+    case 'open-choice': {
+      const option = (item.answerOption || []).find(o => optionValue(o) === value);
+      if (option) {
+        const { valueCoding, valueString, valueInteger, valueDate, valueTime } = option;
+        return { answer: valueCoding ? { valueCoding } : { valueString, valueInteger, valueDate, valueTime } };
+      }
+      if (item.type === 'open-choice' && typeof value === 'string') return { answer: { valueString: value } };
+      return invalid(`須為 ${(item.answerOption || []).map(optionValue).join('、')} 其中之一`);
+    }
+    default:
+      return invalid('不接受回答');
+  }
+}
+
+const isBlank = value => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+/**
+ * 依 Questionnaire 驗證回答並轉成 QuestionnaireResponse.item
+ * @param {object} questionnaire
+ * @param {Object<string, *>} [answers] linkId → 值 (repeats 的題目可為陣列)
+ * @returns {{ error: string } | { items: object[] }}
+ */
+function validateAnswers(questionnaire, answers = {}) {
+  if (typeof answers !== 'object' || Array.isArray(answers)) return { error: 'answers 須為 { linkId: 值 } 物件' };
+  const known = new Set([...walkItems(questionnaire.item)].map(({ item }) => item.linkId));
+  const unknown = Object.keys(answers).find(linkId => !known.has(linkId));
+  if (unknown) return { error: `問卷中沒有此題目: ${unknown}` };
+
+  const accepted = new Map(); // linkId → 已接受的值陣列 (供 enableWhen 判斷)
+  let error = null;
+
+  function build(items, parentEnabled) {
+    const result = [];
+    for (const item of items) {
+      if (error) break;
+      const enabled = parentEnabled && isEnabled(item, accepted);
+      if (!enabled || item.type === 'display') continue;
+
+      if (item.type === 'group') {
+        const children = build(item.item || [], true);
+        if (children.length) result.push({ linkId: item.linkId, text: item.text, item: children });
+        continue;
+      }
+
+      const values = [].concat(answers[item.linkId]).filter(v => !isBlank(v));
+      if (!values.length) {
+        if (item.required) error = `${label(item)} 為必填`;
+        continue;
+      }
+      if (values.length > 1 && !item.repeats) {
+        error = `${label(item)} 只能有一個回答`;
+        continue;
+      }
+      const converted = values.map(v => toAnswer(item, v));
+      const failed = converted.find(c => c.error);
+      if (failed) {
+        error = failed.error;
+        continue;
+      }
+      accepted.set(item.linkId, values);
+      result.push({ linkId: item.linkId, text: item.text, answer: converted.map(c => c.answer) });
+    }
+    return result;
+  }
+
+  const items = build(questionnaire.item, true);
+  return error ? { error } : { items };
+}
+
+// 依順序列出需要回答的題目 (不含 group 與 display) → [{ linkId, text }]
+const listQuestions = questionnaire => [...walkItems(questionnaire.item)]
+  .filter(({ item }) => ANSWER_TYPES.includes(item.type))
+  .map(({ item }) => ({ linkId: item.linkId, text: item.text || '' }));
+
+/**
+ * 把 QuestionnaireResponse 攤平成 { linkId: 值 }，供主辦單位查看；選擇題取 display (沒有時取 code)，多個回答為陣列
+ * @param {object} response QuestionnaireResponse
+ */
+function readResponseAnswers(response) {
+  const answers = {};
+  for (const { item } of walkItems(response.item)) {
+    if (!item.answer?.length) continue;
+    const values = item.answer.map(a => {
+      if (a.valueCoding) return a.valueCoding.display || a.valueCoding.code;
+      const key = Object.keys(a).find(k => k.startsWith('value'));
+      return key ? a[key] : null;
+    });
+    answers[item.linkId] = values.length === 1 ? values[0] : values;
+  }
+  return answers;
+}
+
+module.exports = { validateQuestionnaire, validateAnswers, listQuestions, readResponseAnswers };
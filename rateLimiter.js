@@ -0,0 +1,139 @@
+// --- 請求頻率限制與登入鎖定 ---
+// 計數存放在 store 中，所有方法皆為 async；預設為記憶體實作，多台 Node 時可用 Redis 等實作同一介面：
+//   get(key)               → { count, expiresAt } | null
+//   incr(key, ttlMs)       → { count, expiresAt }；key 不存在時由 1 開始並設定到期時間 (INCR + PEXPIRE NX)
+//   set(key, count, ttlMs)
+//   del(key)
+
+function createMemoryRateLimitStore() {
+  const counters = new Map(); // key → { count, expiresAt }
+
+  const live = key => {
+    const entry = counters.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // 順便清掉過期的計數 (最多每分鐘一次)，避免大量不同 IP 讓記憶體無限成長；不另外開計時器
+  let lastPrune = Date.now();
+  function prune() {
+    const now = Date.now();
+    if (now - lastPrune < 60000) return;
+    lastPrune = now;
+    for (const [key, entry] of counters) {
+      if (entry.expiresAt <= now) counters.delete(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async incr(key, ttlMs) {
+      prune();
+      const entry = live(key) || { count: 0, expiresAt: Date.now() + ttlMs };
+      entry.count++;
+      counters.set(key, entry);
+      return { ...entry };
+    },
+
+    async set(key, count, ttlMs) {
+      counters.set(key, { count, expiresAt: Date.now() + ttlMs });
+    },
+
+    async del(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+const retryAfterSeconds = expiresAt => Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 1);
+
+function sendTooManyRequests(res, expiresAt, error) {
+  const retryAfter = retryAfterSeconds(expiresAt);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+/**
+ * 以固定時間窗計算每個 IP 與每個帳號的請求數
+ * @param {object} options
+ * @param {object} options.store
+ * @param {Object<string, { windowMs: number, perIp?: number, perAccount?: number }>} options.rules 各路由的限制；0 或未設定表示不限制
+ */
+function createRateLimiter({ store, rules }) {
+  /**
+   * @param {string} name rules 中的路由名稱
+   * @param {{ account?: (req) => string | undefined }} [options] 取出帳號 (例如 Email 或 Person ID) 的函式
+   */
+  function limit(name, { account } = {}) {
+    const rule = rules[name];
+    if (!rule) throw new Error(`未設定的頻率限制: ${name}`);
+
+    return async (req, res, next) => {
+      try {
+        const checks = [
+          rule.perIp && { key: `rl:${name}:ip:${req.ip}`, max: rule.perIp },
+          rule.perAccount && account && account(req) && {
+            key: `rl:${name}:account:${String(account(req)).toLowerCase()}`,
+            max: rule.perAccount
+          }
+        ].filter(Boolean);
+
+        for (const { key, max } of checks) {
+          const { count, expiresAt } = await store.incr(key, rule.windowMs);
+          if (count > max) {
+            console.warn(`  [rate-limit] ${name} 超過限制 (${key})`);
+            return sendTooManyRequests(res, expiresAt, '請求過於頻繁，請稍後再試');
+          }
+        }
+      } catch (err) {
+        // 計數儲存無法使用時不擋請求，只記錄 log
+        console.error(`  [rate-limit] ${name} 計數失敗:`, err.message);
+      }
+      next();
+    };
+  }
+
+  return { limit };
+}
+
+/**
+ * 登入失敗的漸進式鎖定：windowMs 內每累積 threshold 次失敗就鎖定一次，
+ * 鎖定時間由 baseLockMs 開始每次加倍，最長 maxLockMs
+ */
+function createLoginLockout({ store, threshold = 5, windowMs = 3600000, baseLockMs = 60000, maxLockMs = 3600000 }) {
+  const failKey = account => `lockout:fail:${String(account).toLowerCase()}`;
+  const lockKey = account => `lockout:lock:${String(account).toLowerCase()}`;
+
+  return {
+    // → { locked: boolean, expiresAt? }
+    async check(account) {
+      const lock = await store.get(lockKey(account));
+      return lock ? { locked: true, expiresAt: lock.expiresAt } : { locked: false };
+    },
+
+    // 記錄一次失敗；達到門檻時鎖定 → { lockedNow: boolean, lockMs?, expiresAt? }
+    async recordFailure(account) {
+      const { count } = await store.incr(failKey(account), windowMs);
+      if (count % threshold !== 0) return { lockedNow: false };
+      const level = count / threshold;
+      const lockMs = Math.min(baseLockMs * 2 ** (level - 1), maxLockMs);
+      await store.set(lockKey(account), level, lockMs);
+      return { lockedNow: true, lockMs, expiresAt: Date.now() + lockMs };
+    },
+
+    // 登入成功或透過 Email 解鎖時清除
+    async reset(account) {
+      await store.del(failKey(account));
+      await store.del(lockKey(account));
+    }
+  };
+}
+
+module.exports = { createMemoryRateLimitStore, createRateLimiter, createLoginLockout, sendTooManyRequests };
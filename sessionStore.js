@@ -0,0 +1,76 @@
+// --- 登入工作階段儲存 ---
+// 記錄每次登入的 session (含 refresh token 雜湊) 以及已使用過的一次性權杖 jti。
+// 所有方法皆為 async；預設為記憶體實作，多台 Node 時可用 Redis 等實作同一介面：
+//   create(session)                      session 為 { id, personId, refreshHash, createdAt, lastUsedAt, expiresAt, userAgent, ip }
+//   get(id)                              → session | null (已撤銷或過期也會回傳，由呼叫端判斷)
+//   update(id, changes)
+//   listByPerson(personId)               → 尚未撤銷且未過期的 session 陣列
+//   revoke(id)
+//   revokeAllForPerson(personId)         → 撤銷的數量
+//   consumeOnce(key, ttlMs)              → 第一次呼叫回傳 true，之後 (ttlMs 內) 回傳 false
+
+const isActive = session => session && !session.revokedAt && session.expiresAt > Date.now();
+
+function createMemorySessionStore() {
+  const sessions = new Map();
+  const consumed = new Map(); // key → 到期時間
+
+  // 順便清掉過期的資料，避免記憶體無限成長
+  function prune() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(id);
+    }
+    for (const [key, expiresAt] of consumed) {
+      if (expiresAt <= now) consumed.delete(key);
+    }
+  }
+
+  return {
+    async create(session) {
+      prune();
+      sessions.set(session.id, { ...session });
+    },
+
+    async get(id) {
+      const session = sessions.get(id);
+      return session ? { ...session } : null;
+    },
+
+    async update(id, changes) {
+      const session = sessions.get(id);
+      if (session) Object.assign(session, changes);
+    },
+
+    async listByPerson(personId) {
+      return [...sessions.values()]
+        .filter(s => s.personId === personId && isActive(s))
+        .map(s => ({ ...s }));
+    },
+
+    async revoke(id) {
+      const session = sessions.get(id);
+      if (session && !session.revokedAt) session.revokedAt = Date.now();
+    },
+
+    async revokeAllForPerson(personId) {
+      let count = 0;
+      for (const session of sessions.values()) {
+        if (session.personId === personId && !session.revokedAt) {
+          session.revokedAt = Date.now();
+          count++;
+        }
+      }
+      return count;
+    },
+
+    async consumeOnce(key, ttlMs) {
+      prune();
+      if (consumed.has(key)) return false;
+      consumed.set(key, Date.now() + ttlMs);
+      return true;
+    }
+  };
+}
+
+module.exports = { createMemorySessionStore, isActive };
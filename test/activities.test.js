@@ -0,0 +1,141 @@
+// --- 活動目錄 ActivityDefinition：管理、跨組織瀏覽與搜尋、連結排程與報名資格 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, seedSchedule, seedPerson, signUp } = require('./support/harness.js');
+
+const PASSWORD = 'correct horse battery staple';
+const MANAGING_ORGANIZATION_SYSTEM = 'http://example.org/fhir/managing-organization';
+let stack, north, south, admin, staff, alice, bob, pottery, yoga;
+
+before(async () => {
+  stack = await startServers({ ADMIN_PERSON_IDS: 'admin-1' });
+  north = seedSchedule(stack.fhir, { organizationName: '北區中心', comment: '週六班' });
+  south = seedSchedule(stack.fhir, { organizationName: '南區中心', comment: '晨間班' });
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  // 只負責南區中心的 staff
+  stack.fhir.update('Person', 'staff-1', {
+    ...seedPerson(stack.fhir, { id: 'staff-1', name: '志工', email: 'staff@example.org' }),
+    identifier: [
+      ...stack.fhir.read('Person', 'staff-1').identifier,
+      { system: 'http://example.org/fhir/role', value: 'staff', assigner: { reference: `Organization/${south.organizationId}` } }
+    ]
+  });
+  [admin, staff, alice, bob] = [0, 1, 2, 3].map(() => createClient(stack.appBase));
+  await admin('POST', '/api/login', { email: 'admin@example.org', password: PASSWORD });
+  await staff('POST', '/api/login', { email: 'staff@example.org', password: PASSWORD });
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: north.organizationId });
+  await signUp(bob, { name: 'Bob', email: 'bob@example.org', organizationId: north.organizationId });
+  await alice('PUT', '/api/me', { gender: 'female', birthDate: '1990-05-01' });
+  await bob('PUT', '/api/me', { gender: 'male', birthDate: '2015-05-01' });
+});
+
+after(() => stack.close());
+
+test('新增活動：輸入錯誤回傳 400，無權管理的組織回傳 403', async () => {
+  const base = { organizationId: north.organizationId, title: '陶藝體驗' };
+  for (const body of [{ organizationId: north.organizationId }, { ...base, minAge: -1 }, { ...base, minAge: 20, maxAge: 10 },
+    { ...base, gender: 'x' }, { ...base, images: [{ url: 'javascript:alert(1)' }] }]) {
+    assert.equal((await admin('POST', '/api/admin/activities', body)).status, 400, JSON.stringify(body));
+  }
+  assert.equal((await staff('POST', '/api/admin/activities', base)).status, 403);
+  assert.equal((await alice('POST', '/api/admin/activities', base)).status, 403);
+});
+
+test('新增活動後以 identifier 記錄主辦組織，並連結到排程', async () => {
+  const created = await admin('POST', '/api/admin/activities', {
+    organizationId: north.organizationId, title: '陶藝體驗', description: '親手捏製陶杯', location: '北區中心 2 樓',
+    minAge: 18, cost: 300, images: [{ url: 'https://example.org/pottery.jpg', title: '作品' }]
+  });
+  assert.equal(created.status, 201);
+  pottery = created.body;
+  assert.deepEqual(
+    [pottery.organizationId, pottery.location, pottery.eligibility, pottery.cost, pottery.images],
+    [north.organizationId, '北區中心 2 樓', { minAge: 18, maxAge: null, gender: null }, { amount: 300, currency: 'TWD' },
+      [{ url: 'https://example.org/pottery.jpg', title: '作品' }]]
+  );
+  assert.deepEqual(stack.fhir.read('ActivityDefinition', pottery.activityId).identifier,
+    [{ system: MANAGING_ORGANIZATION_SYSTEM, value: north.organizationId }]);
+
+  yoga = (await staff('POST', '/api/admin/activities', { organizationId: south.organizationId, title: '女性瑜珈', gender: 'female' })).body;
+  assert.deepEqual((await admin('GET', `/api/admin/activities?organizationId=${south.organizationId}`)).body.activities.map(a => a.title), ['女性瑜珈']);
+  assert.equal((await staff('GET', `/api/admin/activities?organizationId=${north.organizationId}`)).status, 403);
+
+  // 排程只能連到同一組織的活動
+  assert.equal((await admin('PUT', `/api/admin/schedules/${north.scheduleId}`, { activityId: yoga.activityId })).status, 400);
+  const linked = await admin('PUT', `/api/admin/schedules/${north.scheduleId}`, { activityId: pottery.activityId });
+  assert.equal(linked.status, 200);
+  assert.equal(linked.body.activityId, pottery.activityId);
+  assert.equal((await staff('PUT', `/api/admin/schedules/${south.scheduleId}`, { activityId: yoga.activityId })).status, 200);
+});
+
+test('跨組織瀏覽活動目錄，可依關鍵字、組織、年齡與性別篩選', async () => {
+  const all = await alice('GET', '/api/activities');
+  assert.equal(all.headers.get('x-total-count'), '2');
+  assert.deepEqual(all.body.map(a => [a.title, a.organizationName]), [['女性瑜珈', '南區中心'], ['陶藝體驗', '北區中心']]);
+
+  const titles = async query => (await alice('GET', `/api/activities?${query}`)).body.map(a => a.title);
+  assert.deepEqual(await titles('q=陶杯'), ['陶藝體驗']);
+  assert.deepEqual(await titles(`organizationId=${south.organizationId}`), ['女性瑜珈']);
+  assert.deepEqual(await titles('age=10'), ['女性瑜珈']);
+  assert.deepEqual(await titles('gender=male'), ['陶藝體驗']);
+  assert.equal((await alice('GET', '/api/activities?age=old')).status, 400);
+
+  const detail = await alice('GET', `/api/activities/${pottery.activityId}`);
+  assert.deepEqual(detail.body.schedules.map(s => [s.scheduleId, s.comment]), [[north.scheduleId, '週六班']]);
+  assert.equal((await alice('GET', '/api/activities/nope')).status, 404);
+});
+
+test('/api/schedules 與 /api/appointments 帶出活動的詳細資料', async () => {
+  const { schedules } = (await alice('GET', `/api/schedules?organizationId=${north.organizationId}`)).body;
+  assert.deepEqual([schedules[0].activity.activityId, schedules[0].activity.title], [pottery.activityId, '陶藝體驗']);
+
+  const booked = await alice('POST', '/api/book', { slotId: north.slotIds[0] });
+  assert.equal(booked.status, 201);
+  const [appointment] = (await alice('GET', '/api/appointments')).body;
+  assert.deepEqual([appointment.activity.title, appointment.activity.location], ['陶藝體驗', '北區中心 2 樓']);
+});
+
+test('不符年齡或性別限制時拒絕報名與候補；未填寫生日時提示填寫', async () => {
+  const tooYoung = await bob('POST', '/api/book', { slotId: north.slotIds[1] });
+  assert.equal(tooYoung.status, 403);
+  assert.equal(tooYoung.body.error, '此活動限 18 歲以上參加');
+  assert.equal((await bob('POST', `/api/schedules/${north.scheduleId}/waitlist`)).status, 403);
+  assert.equal(stack.fhir.read('Slot', north.slotIds[1]).status, 'free');
+
+  await bob('POST', '/api/patient', { organizationId: south.organizationId });
+  const wrongGender = await bob('POST', '/api/book', { slotId: south.slotIds[0] });
+  assert.deepEqual([wrongGender.status, wrongGender.body.error], [403, '此活動僅限女性參加']);
+
+  await bob('PUT', '/api/me', { birthDate: null });
+  assert.equal((await bob('POST', '/api/book', { slotId: north.slotIds[1] })).body.error, '此活動有年齡限制，請先於個人資料填寫生日');
+});
+
+test('修改活動時以最新版本寫入，快取中的舊版本不影響；並行修改回傳 409', async () => {
+  // 先讓活動進入快取，再直接在 FHIR 伺服器上修改
+  await alice('GET', `/api/activities/${pottery.activityId}`);
+  const stored = stack.fhir.read('ActivityDefinition', pottery.activityId);
+  stack.fhir.update('ActivityDefinition', pottery.activityId, { ...stored, publisher: '北區中心 (已更名)' });
+
+  const updated = await admin('PUT', `/api/admin/activities/${pottery.activityId}`, { minAge: 10 });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.eligibility.minAge, 10);
+  assert.equal(stack.fhir.read('ActivityDefinition', pottery.activityId).publisher, '北區中心 (已更名)');
+  assert.equal((await admin('PUT', `/api/admin/activities/${pottery.activityId}`, { maxAge: 5 })).status, 400);
+  assert.equal((await staff('PUT', `/api/admin/activities/${pottery.activityId}`, { title: '別人的活動' })).status, 403);
+
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update(type, id, { ...stack.fhir.read(type, id), description: '其他人剛修改' });
+  };
+  assert.equal((await admin('PUT', `/api/admin/activities/${pottery.activityId}`, { title: '不該寫入' })).status, 409);
+  assert.equal(stack.fhir.read('ActivityDefinition', pottery.activityId).title, '陶藝體驗');
+});
+
+test('下架的活動不再出現在目錄，連結的排程也無法報名', async () => {
+  assert.equal((await admin('PUT', `/api/admin/activities/${pottery.activityId}`, { active: false })).body.active, false);
+  assert.deepEqual((await alice('GET', '/api/activities')).body.map(a => a.title), ['女性瑜珈']);
+  assert.equal((await alice('GET', `/api/activities/${pottery.activityId}`)).status, 404);
+
+  const res = await alice('POST', '/api/book', { slotId: north.slotIds[2] });
+  assert.deepEqual([res.status, res.body.error], [403, '此活動已停止報名']);
+});
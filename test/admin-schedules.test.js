@@ -0,0 +1,104 @@
+// --- 管理後台：活動排程 /api/admin/schedules ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, seedSchedule, seedPerson, signUp } = require('./support/harness.js');
+
+let stack, admin, alice, seed;
+
+before(async () => {
+  stack = await startServers({ ADMIN_PERSON_IDS: 'admin-1' });
+  seed = seedSchedule(stack.fhir);
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  admin = createClient(stack.appBase);
+  alice = createClient(stack.appBase);
+  await admin('POST', '/api/login', { email: 'admin@example.org', password: 'correct horse battery staple' });
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+});
+
+after(() => stack.close());
+
+test('非管理員不可使用管理 API', async () => {
+  assert.equal((await createClient(stack.appBase)('GET', `/api/admin/schedules?organizationId=${seed.organizationId}`)).status, 401);
+  assert.equal((await alice('GET', `/api/admin/schedules?organizationId=${seed.organizationId}`)).status, 403);
+  assert.equal((await alice('POST', '/api/admin/schedules', {})).status, 403);
+});
+
+test('新增、列出與修改活動排程', async () => {
+  const invalid = await admin('POST', '/api/admin/schedules', {
+    organizationId: seed.organizationId, actor: 'Patient/1', comment: '書法班'
+  });
+  assert.equal(invalid.status, 400);
+
+  const created = await admin('POST', '/api/admin/schedules', {
+    organizationId: seed.organizationId,
+    actor: `Practitioner/${seed.practitionerId}`,
+    comment: '書法班',
+    start: '2030-01-01T00:00:00Z',
+    end: '2030-06-30T00:00:00Z'
+  });
+  assert.equal(created.status, 201);
+  const { scheduleId } = created.body;
+  assert.deepEqual(stack.fhir.read('Schedule', scheduleId).actor.map(a => a.reference),
+    [`Practitioner/${seed.practitionerId}`, `Organization/${seed.organizationId}`]);
+
+  const list = await admin('GET', `/api/admin/schedules?organizationId=${seed.organizationId}`);
+  assert.deepEqual(list.body.schedules.map(s => s.comment).sort(), ['書法班', '陶藝體驗課']);
+
+  const updated = await admin('PUT', `/api/admin/schedules/${scheduleId}`, { comment: '書法進階班', end: '2030-12-31T00:00:00Z' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.comment, '書法進階班');
+  assert.equal(stack.fhir.read('Schedule', scheduleId).planningHorizon.end, '2030-12-31T00:00:00Z');
+
+  const badRange = await admin('PUT', `/api/admin/schedules/${scheduleId}`, { start: '2031-01-01T00:00:00Z' });
+  assert.equal(badRange.status, 400);
+});
+
+test('讀取後排程被其他人修改時回傳 409，不覆蓋對方的變更', async () => {
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update(type, id, { ...stack.fhir.read(type, id), comment: '其他管理員改的名稱' });
+  };
+  const res = await admin('PUT', `/api/admin/schedules/${seed.scheduleId}`, { comment: '我改的名稱' });
+  assert.equal(res.status, 409);
+  assert.equal(stack.fhir.read('Schedule', seed.scheduleId).comment, '其他管理員改的名稱');
+});
+
+test('停用的排程不再顯示，也不接受報名', async () => {
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update(type, id, { ...stack.fhir.read(type, id), comment: '陶藝體驗課' });
+  };
+  const conflict = await admin('POST', `/api/admin/schedules/${seed.scheduleId}/deactivate`);
+  assert.equal(conflict.status, 409);
+  assert.notEqual(stack.fhir.read('Schedule', seed.scheduleId).active, false);
+
+  const res = await admin('POST', `/api/admin/schedules/${seed.scheduleId}/deactivate`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.active, false);
+
+  const visible = await alice('GET', `/api/schedules?organizationId=${seed.organizationId}`);
+  assert.ok(!visible.body.schedules.some(s => s.scheduleId === seed.scheduleId));
+  const booked = await alice('POST', '/api/book', { slotId: seed.slotIds[0] });
+  assert.equal(booked.status, 409);
+});
+
+test('快取中的排程已過時，修改時仍以 FHIR 伺服器上的最新版本為 If-Match', async () => {
+  const { scheduleId } = (await admin('POST', '/api/admin/schedules', {
+    organizationId: seed.organizationId, actor: `Practitioner/${seed.practitionerId}`, comment: '插花班'
+  })).body;
+  // 候補 API 讀取排程後留在快取；之後排程在 FHIR 伺服器上被直接修改，快取並不知道
+  await alice('POST', `/api/schedules/${scheduleId}/waitlist`);
+  stack.fhir.update('Schedule', scheduleId, { ...stack.fhir.read('Schedule', scheduleId), comment: '插花初級班' });
+
+  const res = await admin('PUT', `/api/admin/schedules/${scheduleId}`, { comment: '插花進階班' });
+  assert.equal(res.status, 200);
+  assert.equal(stack.fhir.read('Schedule', scheduleId).comment, '插花進階班');
+});
+
+test('管理員可查看快取命中統計', async () => {
+  const res = await admin('GET', '/api/admin/cache-stats');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.enabled, true);
+  assert.ok(res.body.types.Schedule.hits + res.body.types.Schedule.misses > 0);
+  assert.equal((await alice('GET', '/api/admin/cache-stats')).status, 403);
+});
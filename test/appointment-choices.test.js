@@ -0,0 +1,74 @@
+// --- 報名時的參加方式與用餐偏好：/api/book、PATCH /api/appointments/:id、用餐統計 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, seedSchedule, seedPerson, signUp } = require('./support/harness.js');
+
+let stack, admin, alice, bob, seed, aliceAppointmentId;
+
+before(async () => {
+  stack = await startServers({ ADMIN_PERSON_IDS: 'admin-1' });
+  seed = seedSchedule(stack.fhir);
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  admin = createClient(stack.appBase);
+  alice = createClient(stack.appBase);
+  bob = createClient(stack.appBase);
+  await admin('POST', '/api/login', { email: 'admin@example.org', password: 'correct horse battery staple' });
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+  await signUp(bob, { name: 'Bob', email: 'bob@example.org', organizationId: seed.organizationId });
+});
+
+after(() => stack.close());
+
+test('報名選項清單可不登入取得', async () => {
+  const res = await createClient(stack.appBase)('GET', '/api/appointment-options');
+  assert.deepEqual(res.body, { serviceTypes: ['in-person', 'online'], mealPreferences: ['葷食', '素食', '不用餐'] });
+});
+
+test('報名時記錄參加方式與用餐偏好，不在清單中的值回傳 400', async () => {
+  const invalid = await alice('POST', '/api/book', { slotId: seed.slotIds[0], mealPreference: '全餐' });
+  assert.equal(invalid.status, 400);
+
+  const booked = await alice('POST', '/api/book', { slotId: seed.slotIds[0], serviceType: 'online', mealPreference: '素食' });
+  assert.equal(booked.status, 201);
+
+  // 改約到同一排程的其他時段時，未重新填寫的選項沿用原本的設定
+  const moved = await alice('POST', '/api/book', { slotId: seed.slotIds[1] });
+  aliceAppointmentId = moved.body.appointmentId;
+  const [appointment] = (await alice('GET', '/api/appointments')).body;
+  assert.equal(appointment.appointmentId, aliceAppointmentId);
+  assert.equal(appointment.serviceType, 'online');
+  assert.equal(appointment.mealPreference, '素食');
+});
+
+test('修改既有預約的選項，不可修改別人的預約', async () => {
+  assert.equal((await alice('PATCH', `/api/appointments/${aliceAppointmentId}`, {})).status, 400);
+  assert.equal((await bob('PATCH', `/api/appointments/${aliceAppointmentId}`, { mealPreference: '葷食' })).status, 403);
+
+  const res = await alice('PATCH', `/api/appointments/${aliceAppointmentId}`, { mealPreference: '葷食' });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.serviceType, res.body.mealPreference], ['online', '葷食']);
+  assert.equal(stack.fhir.read('Appointment', aliceAppointmentId).slot[0].reference, `Slot/${seed.slotIds[1]}`);
+});
+
+test('讀取後預約被取消時，修改回傳 409 且不會把 booked 狀態寫回', async () => {
+  const booked = await bob('POST', '/api/book', { slotId: seed.slotIds[2] });
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update(type, id, { ...stack.fhir.read(type, id), status: 'cancelled' });
+  };
+  const res = await bob('PATCH', `/api/appointments/${booked.body.appointmentId}`, { serviceType: 'online' });
+  assert.equal(res.status, 409);
+  assert.equal(stack.fhir.read('Appointment', booked.body.appointmentId).status, 'cancelled');
+
+  const again = await bob('PATCH', `/api/appointments/${booked.body.appointmentId}`, { serviceType: 'online' });
+  assert.equal(again.status, 409);
+});
+
+test('用餐統計只計入 booked 預約，且僅限管理者', async () => {
+  assert.equal((await alice('GET', `/api/admin/schedules/${seed.scheduleId}/meal-summary`)).status, 403);
+  const res = await admin('GET', `/api/admin/schedules/${seed.scheduleId}/meal-summary`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 1);
+  assert.deepEqual(res.body.meals, { 葷食: 1, 素食: 0, 不用餐: 0 });
+  assert.equal(res.body.unspecified, 0);
+});
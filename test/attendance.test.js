@@ -0,0 +1,150 @@
+// --- 報到與出席：簽章報到碼、工作人員報到、名單與統計、未出席自動標記與報名限制 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { startServers, createClient, seedSchedule, seedPerson, signUp } = require('./support/harness.js');
+
+// org-auto 開啟自動標記未出席、報到時建立 Encounter，且一次未出席就暫停報名；其他組織沿用預設 (不自動標記)
+const configFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-config-')), 'organizations.json');
+fs.writeFileSync(configFile, JSON.stringify({
+  default: { visible: true, selfEnrollment: true },
+  organizations: { 'org-auto': { attendance: { autoNoShow: true, maxNoShows: 1, createEncounter: true } } }
+}));
+
+const hoursFromNow = hours => {
+  const start = new Date(Date.now() + hours * 3600000);
+  return { start: start.toISOString(), end: new Date(start.getTime() + 3600000).toISOString() };
+};
+
+const PASSWORD = 'correct horse battery staple';
+let stack, auto, plain, admin, staff, alice, bob, carol, dave, aliceAppointmentId;
+
+before(async () => {
+  stack = await startServers({ ADMIN_PERSON_IDS: 'admin-1', ORGANIZATION_CONFIG_FILE: configFile });
+  auto = seedSchedule(stack.fhir, { organizationId: 'org-auto', slots: [1, 72, 2, 4, 5].map(hoursFromNow) });
+  plain = seedSchedule(stack.fhir, { organizationName: '一般中心', slots: [hoursFromNow(2)] });
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  // 只負責一般中心的 staff
+  stack.fhir.update('Person', 'staff-1', {
+    ...seedPerson(stack.fhir, { id: 'staff-1', name: '志工', email: 'staff@example.org' }),
+    identifier: [
+      ...stack.fhir.read('Person', 'staff-1').identifier,
+      { system: 'http://example.org/fhir/role', value: 'staff', assigner: { reference: `Organization/${plain.organizationId}` } }
+    ]
+  });
+  [admin, staff, alice, bob, carol, dave] = [0, 1, 2, 3, 4, 5].map(() => createClient(stack.appBase));
+  await admin('POST', '/api/login', { email: 'admin@example.org', password: PASSWORD });
+  await staff('POST', '/api/login', { email: 'staff@example.org', password: PASSWORD });
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: 'org-auto' });
+  await signUp(bob, { name: 'Bob', email: 'bob@example.org', organizationId: 'org-auto' });
+  await signUp(carol, { name: 'Carol', email: 'carol@example.org', organizationId: 'org-auto' });
+  await signUp(dave, { name: 'Dave', email: 'dave@example.org', organizationId: plain.organizationId });
+  aliceAppointmentId = (await alice('POST', '/api/book', { slotId: auto.slotIds[0] })).body.appointmentId;
+});
+
+after(() => stack.close());
+
+// 把預約 (與時段) 直接改到過去：活動在 hoursAgo 小時前結束
+function moveToPast(appointmentId, hoursAgo) {
+  const appointment = stack.fhir.read('Appointment', appointmentId);
+  const end = new Date(Date.now() - hoursAgo * 3600000);
+  stack.fhir.update('Appointment', appointmentId, {
+    ...appointment, start: new Date(end.getTime() - 3600000).toISOString(), end: end.toISOString()
+  });
+}
+
+test('報到碼只有預約本人可以取得', async () => {
+  const res = await alice('GET', `/api/appointments/${aliceAppointmentId}/check-in-code`);
+  assert.equal(res.status, 200);
+  assert.equal(jwt.verify(res.body.code, 'test-secret').appt, aliceAppointmentId);
+  assert.equal((await bob('GET', `/api/appointments/${aliceAppointmentId}/check-in-code`)).status, 403);
+  assert.equal((await createClient(stack.appBase)('GET', `/api/appointments/${aliceAppointmentId}/check-in-code`)).status, 401);
+});
+
+test('竄改、其他金鑰簽章、用途不符或過期的報到碼都回傳 400', async () => {
+  const { code } = (await alice('GET', `/api/appointments/${aliceAppointmentId}/check-in-code`)).body;
+  const [header, , signature] = code.split('.');
+  const forgedPayload = Buffer.from(JSON.stringify({ appt: aliceAppointmentId, purpose: 'check-in', exp: 4102444800 })).toString('base64url');
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+  const codes = [
+    `${header}.${forgedPayload}.${signature}`,
+    jwt.sign({ appt: aliceAppointmentId, purpose: 'check-in', exp }, 'someone-elses-secret'),
+    jwt.sign({ appt: aliceAppointmentId, purpose: 'unlock', exp }, 'test-secret'),
+    jwt.sign({ appt: aliceAppointmentId, purpose: 'check-in', exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret')
+  ];
+  for (const bad of codes) {
+    const res = await admin('POST', '/api/admin/check-in', { code: bad });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, '報到碼無效或已過期');
+  }
+  assert.equal(stack.fhir.read('Appointment', aliceAppointmentId).status, 'booked');
+});
+
+test('掃描報到碼報到並建立 Encounter；重複報到不會再寫入', async () => {
+  const { code } = (await alice('GET', `/api/appointments/${aliceAppointmentId}/check-in-code`)).body;
+  assert.equal((await staff('POST', '/api/admin/check-in', { code })).status, 403);
+
+  const res = await admin('POST', '/api/admin/check-in', { code });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.status, res.body.name], ['arrived', 'Alice']);
+  assert.equal(stack.fhir.read('Appointment', aliceAppointmentId).status, 'arrived');
+  const [encounter] = stack.fhir.search('Encounter', { appointment: `Appointment/${aliceAppointmentId}` });
+  assert.equal(encounter.status, 'arrived');
+
+  assert.equal((await admin('POST', '/api/admin/check-in', { code })).body.alreadyCheckedIn, true);
+  const finished = await admin('POST', '/api/admin/check-in', { appointmentId: aliceAppointmentId, status: 'fulfilled' });
+  assert.equal(finished.status, 200);
+  assert.equal(stack.fhir.read('Encounter', encounter.id).status, 'finished');
+  assert.equal(stack.fhir.search('Encounter', { appointment: `Appointment/${aliceAppointmentId}` }).length, 1);
+});
+
+test('開始前 checkInOpensMinutes 分鐘以前不可報到', async () => {
+  const booked = await carol('POST', '/api/book', { slotId: auto.slotIds[1] });
+  const res = await admin('POST', '/api/admin/check-in', { appointmentId: booked.body.appointmentId });
+  assert.equal(res.status, 409);
+  await carol('POST', `/api/appointments/${booked.body.appointmentId}/cancel`);
+});
+
+test('未出席背景工作只標記開啟 autoNoShow 且在回溯時間內的預約', async () => {
+  const bobAppt = (await bob('POST', '/api/book', { slotId: auto.slotIds[2] })).body.appointmentId;
+  const carolAppt = (await carol('POST', '/api/book', { slotId: auto.slotIds[3] })).body.appointmentId;
+  const daveAppt = (await dave('POST', '/api/book', { slotId: plain.slotIds[0] })).body.appointmentId;
+  moveToPast(bobAppt, 2);
+  moveToPast(carolAppt, 72);
+  moveToPast(daveAppt, 2);
+
+  await stack.app.locals.jobs.processNoShows();
+  assert.equal(stack.fhir.read('Appointment', bobAppt).status, 'noshow');
+  assert.equal(stack.fhir.read('Appointment', carolAppt).status, 'booked');
+  assert.equal(stack.fhir.read('Appointment', daveAppt).status, 'booked');
+
+  // 未開啟自動標記的組織由 staff 手動結算
+  const closed = await staff('POST', `/api/admin/schedules/${plain.scheduleId}/attendance/close`);
+  assert.deepEqual(closed.body.appointmentIds, [daveAppt]);
+  assert.equal(stack.fhir.read('Appointment', daveAppt).status, 'noshow');
+});
+
+test('未出席達 maxNoShows 次後暫停報名與候補', async () => {
+  const res = await bob('POST', '/api/book', { slotId: auto.slotIds[4] });
+  assert.equal(res.status, 403);
+  assert.match(res.body.error, /未出席/);
+  assert.equal((await bob('POST', `/api/schedules/${auto.scheduleId}/waitlist`)).status, 403);
+  assert.equal((await carol('POST', '/api/book', { slotId: auto.slotIds[4] })).status, 201);
+});
+
+test('報到名單可依姓名篩選，出席統計計算出席率', async () => {
+  const list = await admin('GET', `/api/admin/schedules/${auto.scheduleId}/participants`);
+  assert.deepEqual(list.body.map(p => [p.name, p.status]).sort(),
+    [['Alice', 'fulfilled'], ['Bob', 'noshow'], ['Carol', 'booked']].sort());
+  assert.ok(list.body.find(p => p.name === 'Alice').checkedInAt);
+  const filtered = await admin('GET', `/api/admin/schedules/${auto.scheduleId}/participants?q=bo`);
+  assert.deepEqual(filtered.body.map(p => p.name), ['Bob']);
+  assert.equal((await staff('GET', `/api/admin/schedules/${auto.scheduleId}/participants`)).status, 403);
+
+  const stats = await admin('GET', `/api/admin/schedules/${auto.scheduleId}/attendance`);
+  assert.deepEqual([stats.body.counts.fulfilled, stats.body.counts.noshow, stats.body.counts.booked], [1, 1, 1]);
+  assert.equal(stats.body.attendanceRate, 0.5);
+});
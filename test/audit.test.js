@@ -0,0 +1,102 @@
+// --- 稽核紀錄：AuditEvent / Provenance 與 /api/admin/audit-events ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, waitFor, seedSchedule, seedPerson, signUp } = require('./support/harness.js');
+
+const AUDIT_ACTION_SYSTEM = 'http://example.org/fhir/audit-action';
+const PASSWORD = 'correct horse battery staple';
+
+let stack, admin, alice, seed, alicePersonId;
+
+// 指定動作的 AuditEvent (依寫入順序)
+const auditEvents = action => stack.fhir.search('AuditEvent', { subtype: `${AUDIT_ACTION_SYSTEM}|${action}` });
+
+before(async () => {
+  stack = await startServers({ ADMIN_PERSON_IDS: 'admin-1' });
+  seed = seedSchedule(stack.fhir);
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  admin = createClient(stack.appBase);
+  alice = createClient(stack.appBase);
+  await admin('POST', '/api/login', { email: 'admin@example.org', password: PASSWORD });
+  ({ personId: alicePersonId } = await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId }));
+});
+
+after(() => stack.close());
+
+test('註冊、登入成功 / 失敗與建立 Patient 都寫入 AuditEvent', async () => {
+  await createClient(stack.appBase)('POST', '/api/login', { email: 'alice@example.org', password: 'wrong' });
+  await waitFor(() => auditEvents('login').some(e => e.outcome === '4'));
+
+  const [registered] = auditEvents('register');
+  assert.equal(registered.agent[0].altId, alicePersonId);
+  assert.deepEqual(registered.entity.map(e => e.what.reference), [`Person/${alicePersonId}`]);
+
+  const failed = auditEvents('login').find(e => e.outcome === '4');
+  assert.deepEqual([failed.agent[0].altId, failed.outcomeDesc], [alicePersonId, '密碼錯誤']);
+  assert.ok(auditEvents('login').some(e => e.outcome === '0' && e.agent[0].altId === alicePersonId));
+
+  const [patientCreated] = auditEvents('patient-create');
+  assert.ok(patientCreated.entity.some(e => e.what.reference === `Organization/${seed.organizationId}`));
+});
+
+test('改約時舊預約保留為 cancelled，交易中附帶 Provenance', async () => {
+  const first = await alice('POST', '/api/book', { slotId: seed.slotIds[0] });
+  const second = await alice('POST', '/api/book', { slotId: seed.slotIds[1] });
+  assert.equal(second.status, 201);
+  assert.equal(second.body.replacedAppointmentId, first.body.appointmentId);
+
+  const replaced = stack.fhir.read('Appointment', first.body.appointmentId);
+  assert.deepEqual([replaced.status, replaced.cancelationReason.text], ['cancelled', '改約']);
+
+  const tx = stack.fhir.transactions.at(-1);
+  const provenance = tx.entry.find(e => e.resource?.resourceType === 'Provenance').resource;
+  assert.equal(provenance.activity.coding[0].code, 'UPDATE');
+  const targets = stack.fhir.search('Provenance', { target: `Appointment/${second.body.appointmentId}` });
+  assert.equal(targets.length, 1);
+  assert.ok(targets[0].target.some(t => t.reference === `Appointment/${first.body.appointmentId}`));
+  assert.ok(targets[0].target.some(t => t.reference === `Slot/${seed.slotIds[0]}`));
+
+  await waitFor(() => auditEvents('rebook').length === 1);
+  assert.ok(auditEvents('rebook')[0].entity.some(e => e.what.reference === `Appointment/${first.body.appointmentId}`));
+});
+
+test('取消預約寫入 Provenance 與 AuditEvent', async () => {
+  const [current] = stack.fhir.search('Appointment', { status: 'booked' });
+  await alice('POST', `/api/appointments/${current.id}/cancel`, { reason: '臨時有事' });
+  const provenance = stack.fhir.search('Provenance', { target: `Appointment/${current.id}` }).at(-1);
+  assert.equal(provenance.reason[0].text, '臨時有事');
+  await waitFor(() => auditEvents('cancel').length === 1);
+});
+
+test('變更角色時記錄執行者與新的角色', async () => {
+  await admin('PUT', `/api/admin/persons/${alicePersonId}/roles`, { staffOrganizationIds: [seed.organizationId] });
+  await waitFor(() => auditEvents('role-change').length === 1);
+  const [event] = auditEvents('role-change');
+  assert.equal(event.agent[0].altId, 'admin-1');
+  assert.deepEqual(event.entity.map(e => e.what.reference), [`Person/${alicePersonId}`]);
+  assert.equal(event.outcomeDesc, `roles=patient,staff staffOrganizations=${seed.organizationId}`);
+});
+
+test('管理員可依使用者、組織、動作與日期篩選稽核紀錄', async () => {
+  const byPerson = await admin('GET', `/api/admin/audit-events?personId=${alicePersonId}&action=login`);
+  assert.equal(byPerson.status, 200);
+  assert.ok(byPerson.body.events.length >= 2);
+  assert.ok(byPerson.body.events.every(e => e.personId === alicePersonId && e.action === 'login'));
+
+  const byOrg = await admin('GET', `/api/admin/audit-events?organizationId=${seed.organizationId}`);
+  assert.deepEqual(new Set(byOrg.body.events.map(e => e.action)), new Set(['patient-create', 'book', 'rebook', 'cancel']));
+
+  const future = await admin('GET', '/api/admin/audit-events?from=2999-01-01');
+  assert.equal(future.body.events.length, 0);
+
+  assert.equal((await admin('GET', '/api/admin/audit-events?from=yesterday')).status, 400);
+  assert.equal((await admin('GET', '/api/admin/audit-events?action=unknown')).status, 400);
+});
+
+test('staff 只能查詢所屬組織的稽核紀錄', async () => {
+  await alice('POST', '/api/login', { email: 'alice@example.org', password: PASSWORD });
+  assert.equal((await alice('GET', '/api/admin/audit-events')).status, 400);
+  assert.equal((await alice('GET', '/api/admin/audit-events?organizationId=other')).status, 403);
+  assert.equal((await alice('GET', `/api/admin/audit-events?organizationId=${seed.organizationId}`)).status, 200);
+  assert.equal((await createClient(stack.appBase)('GET', '/api/admin/audit-events')).status, 401);
+});
@@ -0,0 +1,68 @@
+// --- 以 Slot versionId / If-Match 做的樂觀鎖：/api/book 與取消 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, futureSlotTime, seedSchedule, signUp } = require('./support/harness.js');
+
+let stack, alice, bob, seed;
+
+before(async () => {
+  stack = await startServers();
+  seed = seedSchedule(stack.fhir, { slots: [7, 8, 9, 10].map(d => futureSlotTime(d)) });
+  alice = createClient(stack.appBase);
+  bob = createClient(stack.appBase);
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+  await signUp(bob, { name: 'Bob', email: 'bob@example.org', organizationId: seed.organizationId });
+});
+
+after(() => stack.close());
+
+const bookings = slotId => stack.fhir.search('Appointment', { status: 'booked' })
+  .filter(a => a.slot[0].reference === `Slot/${slotId}`);
+
+test('交易中的 Slot 更新帶上讀取時的版本', async () => {
+  const slotId = seed.slotIds[0];
+  const version = stack.fhir.read('Slot', slotId).meta.versionId;
+  const booked = await alice('POST', '/api/book', { slotId });
+  assert.equal(booked.status, 201);
+  const slotEntry = stack.fhir.transactions.at(-1).entry.find(e => e.request.url === `Slot/${slotId}`);
+  assert.equal(slotEntry.request.ifMatch, `W/"${version}"`);
+});
+
+test('已被預約的時段直接回傳 409', async () => {
+  const res = await bob('POST', '/api/book', { slotId: seed.slotIds[0] });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, '此時段剛被其他人預約，請重新選擇時段');
+});
+
+test('讀取後 Slot 被其他人更新時，整筆交易失敗並回傳 409', async () => {
+  const slotId = seed.slotIds[1];
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    if (type !== 'Slot') return;
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update('Slot', id, { ...stack.fhir.read('Slot', id), status: 'busy' });
+  };
+  const res = await bob('POST', '/api/book', { slotId });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, '此時段剛被其他人預約，請重新選擇時段');
+  assert.equal(bookings(slotId).length, 0);
+});
+
+test('取消時預約或時段剛被更新，回傳 409 且不做任何變更', async () => {
+  const slotId = seed.slotIds[0];
+  const [mine] = bookings(slotId);
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update(type, id, { ...stack.fhir.read(type, id) });
+  };
+  const res = await alice('POST', `/api/appointments/${mine.id}/cancel`);
+  assert.equal(res.status, 409);
+  assert.equal(stack.fhir.read('Appointment', mine.id).status, 'booked');
+  assert.equal(stack.fhir.read('Slot', slotId).status, 'busy');
+});
+
+test('兩人同時預約同一時段，只有一人成功', async () => {
+  const slotId = seed.slotIds[2];
+  const results = await Promise.all([alice('POST', '/api/book', { slotId }), bob('POST', '/api/book', { slotId })]);
+  assert.deepEqual(results.map(r => r.status).sort(), [201, 409]);
+  assert.equal(bookings(slotId).length, 1);
+});
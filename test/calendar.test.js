@@ -0,0 +1,79 @@
+// --- 行事曆匯出 /api/appointments.ics 與可撤銷的訂閱網址 /api/calendar-feed ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, futureSlotTime, seedSchedule, signUp } = require('./support/harness.js');
+
+const COMMENT = '陶藝體驗課, 進階班; 第二期：從拉坯、修坯到上釉與燒窯的完整流程，適合已完成入門課程的學員';
+
+let stack, alice, seed, slot, appointmentId;
+
+before(async () => {
+  stack = await startServers({ APP_BASE_URL: 'https://booking.example.org' });
+  slot = futureSlotTime(7);
+  seed = seedSchedule(stack.fhir, { comment: COMMENT, slots: [slot, futureSlotTime(8)] });
+  alice = createClient(stack.appBase);
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+  appointmentId = (await alice('POST', '/api/book', { slotId: seed.slotIds[0], mealPreference: '素食' })).body.appointmentId;
+});
+
+after(() => stack.close());
+
+// 把折行接回後，依屬性名稱取出各行
+const unfold = ics => ics.replace(/\r\n /g, '').split('\r\n');
+const icsDate = iso => iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+// 訂閱網址以 APP_BASE_URL 組成，測試時改連本機的 app
+const feedPath = url => new URL(url).pathname;
+
+test('匯出的 .ics 每筆預約一個 VEVENT，文字依 RFC 5545 跳脫並折行', async () => {
+  assert.equal((await createClient(stack.appBase)('GET', '/api/appointments.ics')).status, 401);
+
+  const res = await alice('GET', '/api/appointments.ics');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/calendar/);
+  assert.ok(res.body.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(res.body.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+
+  const lines = unfold(res.body);
+  assert.equal(lines.filter(l => l === 'BEGIN:VEVENT').length, 1);
+  assert.ok(lines.includes(`UID:appointment-${appointmentId}@booking.example.org`));
+  assert.ok(lines.includes(`DTSTART:${icsDate(slot.start)}`));
+  assert.ok(lines.includes(`DTEND:${icsDate(slot.end)}`));
+  assert.ok(lines.includes('SUMMARY:陶藝體驗課\\, 進階班\\; 第二期：從拉坯、修坯到上釉與燒窯的完整流程，適合已完成入門課程的學員'));
+  assert.ok(lines.includes('STATUS:CONFIRMED'));
+  assert.ok(lines.includes('DESCRIPTION:用餐偏好：素食'));
+});
+
+test('已取消的預約輸出 STATUS:CANCELLED', async () => {
+  await alice('POST', `/api/appointments/${appointmentId}/cancel`);
+  const lines = unfold((await alice('GET', '/api/appointments.ics')).body);
+  assert.ok(lines.includes(`UID:appointment-${appointmentId}@booking.example.org`));
+  assert.ok(lines.includes('STATUS:CANCELLED'));
+});
+
+test('訂閱網址不需登入即可讀取，重新產生或撤銷後舊網址失效', async () => {
+  const anonymous = createClient(stack.appBase);
+  assert.equal((await alice('GET', '/api/calendar-feed')).body.url, null);
+
+  const created = await alice('POST', '/api/calendar-feed');
+  assert.equal(created.status, 201);
+  assert.match(created.body.url, /^https:\/\/booking\.example\.org\/api\/calendar\/[0-9a-f]{48}\.ics$/);
+  assert.equal((await alice('GET', '/api/calendar-feed')).body.url, created.body.url);
+
+  const feed = await anonymous('GET', feedPath(created.body.url));
+  assert.equal(feed.status, 200);
+  assert.ok(unfold(feed.body).includes(`UID:appointment-${appointmentId}@booking.example.org`));
+
+  const regenerated = await alice('POST', '/api/calendar-feed');
+  assert.notEqual(regenerated.body.url, created.body.url);
+  assert.equal((await anonymous('GET', feedPath(created.body.url))).status, 404);
+  assert.equal((await anonymous('GET', feedPath(regenerated.body.url))).status, 200);
+
+  assert.equal((await alice('DELETE', '/api/calendar-feed')).status, 200);
+  assert.equal((await anonymous('GET', feedPath(regenerated.body.url))).status, 404);
+  assert.equal((await alice('GET', '/api/calendar-feed')).body.url, null);
+});
+
+test('格式不符的訂閱代碼直接回傳 404', async () => {
+  const res = await createClient(stack.appBase)('GET', '/api/calendar/not-a-secret.ics');
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,70 @@
+// --- 取消預約 /api/appointments/:id/cancel ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, futureSlotTime, seedSchedule, signUp } = require('./support/harness.js');
+
+let stack, alice, bob, seed;
+
+before(async () => {
+  stack = await startServers({ CANCEL_CUTOFF_HOURS: '2' });
+  const soon = new Date(Date.now() + 3600000);
+  seed = seedSchedule(stack.fhir, {
+    slots: [futureSlotTime(7), futureSlotTime(8), { start: soon.toISOString(), end: new Date(soon.getTime() + 3600000).toISOString() }]
+  });
+  alice = createClient(stack.appBase);
+  bob = createClient(stack.appBase);
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+  await signUp(bob, { name: 'Bob', email: 'bob@example.org', organizationId: seed.organizationId });
+});
+
+after(() => stack.close());
+
+test('未登入時回傳 401', async () => {
+  const res = await createClient(stack.appBase)('POST', '/api/appointments/1/cancel');
+  assert.equal(res.status, 401);
+});
+
+test('取消預約時 Appointment 改為 cancelled，並在同一筆交易中釋放 Slot', async () => {
+  const [slotId] = seed.slotIds;
+  const booked = await alice('POST', '/api/book', { slotId });
+  assert.equal(booked.status, 201);
+  assert.equal(stack.fhir.read('Slot', slotId).status, 'busy');
+
+  const cancelled = await alice('POST', `/api/appointments/${booked.body.appointmentId}/cancel`, { reason: '臨時有事' });
+  assert.equal(cancelled.status, 200);
+
+  const appointment = stack.fhir.read('Appointment', booked.body.appointmentId);
+  assert.equal(appointment.status, 'cancelled');
+  assert.equal(appointment.cancelationReason.text, '臨時有事');
+  assert.equal(stack.fhir.read('Slot', slotId).status, 'free');
+
+  const tx = stack.fhir.transactions.at(-1);
+  assert.deepEqual(tx.entry.map(e => `${e.request.method} ${e.request.url}`),
+    [`PUT Appointment/${appointment.id}`, `PUT Slot/${slotId}`, 'POST Provenance']);
+  assert.equal(tx.entry[1].resource.status, 'free');
+
+  const again = await alice('POST', `/api/appointments/${appointment.id}/cancel`);
+  assert.equal(again.status, 409);
+});
+
+test('不可取消別人的預約', async () => {
+  const booked = await alice('POST', '/api/book', { slotId: seed.slotIds[1] });
+  assert.equal(booked.status, 201);
+  const res = await bob('POST', `/api/appointments/${booked.body.appointmentId}/cancel`);
+  assert.equal(res.status, 403);
+  assert.equal(stack.fhir.read('Appointment', booked.body.appointmentId).status, 'booked');
+});
+
+test('活動開始前 CANCEL_CUTOFF_HOURS 小時內不可取消', async () => {
+  const slotId = seed.slotIds[2];
+  const booked = await bob('POST', '/api/book', { slotId });
+  assert.equal(booked.status, 201);
+  const res = await bob('POST', `/api/appointments/${booked.body.appointmentId}/cancel`);
+  assert.equal(res.status, 409);
+  assert.equal(stack.fhir.read('Slot', slotId).status, 'busy');
+});
+
+test('找不到預約時回傳 404', async () => {
+  const res = await alice('POST', '/api/appointments/does-not-exist/cancel');
+  assert.equal(res.status, 404);
+});
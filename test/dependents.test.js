@@ -0,0 +1,120 @@
+// --- 家屬 /api/dependents：新增、加入組織、代為預約 / 改約 / 取消與通知 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, waitFor, futureSlotTime, seedSchedule, signUp } = require('./support/harness.js');
+
+const DEPENDENT_SYSTEM = 'http://example.org/fhir/dependent';
+let stack, seed, sent, alice, bob, kidId, kidPatientId;
+
+before(async () => {
+  stack = await startServers();
+  sent = [];
+  require('../notifier.js').setTransport(async message => { sent.push(message); });
+  seed = seedSchedule(stack.fhir, { slots: [2, 3, 4].map(d => futureSlotTime(d)) });
+  alice = createClient(stack.appBase);
+  bob = createClient(stack.appBase);
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+  await signUp(bob, { name: 'Bob', email: 'bob@example.org', organizationId: seed.organizationId });
+});
+
+after(() => stack.close());
+
+test('新增家屬的輸入錯誤回傳 400', async () => {
+  assert.equal((await alice('POST', '/api/dependents', { name: '小明' })).status, 400);
+  assert.equal((await alice('POST', '/api/dependents', { name: '小明', relationship: 'BOSS' })).status, 400);
+  assert.equal((await alice('POST', '/api/dependents', { name: '小明', relationship: 'CHILD', birthDate: '2999-01-01' })).status, 400);
+  assert.equal((await createClient(stack.appBase)('POST', '/api/dependents', { name: '小明', relationship: 'CHILD' })).status, 401);
+});
+
+test('新增家屬後以 RelatedPerson 連到使用者，並列在 GET /api/dependents', async () => {
+  const created = await alice('POST', '/api/dependents', { name: '小明', relationship: 'CHILD', gender: 'male', birthDate: '2015-04-01' });
+  assert.equal(created.status, 201);
+  kidId = created.body.dependentId;
+
+  const [link] = stack.fhir.search('RelatedPerson', { patient: `Patient/${kidId}` });
+  assert.equal(link.relationship[0].coding[0].code, 'CHILD');
+
+  const list = await alice('GET', '/api/dependents');
+  assert.deepEqual(list.body, [{ dependentId: kidId, name: '小明', gender: 'male', birthDate: '2015-04-01', relationship: 'CHILD', organizations: [] }]);
+  assert.deepEqual((await bob('GET', '/api/dependents')).body, []);
+});
+
+test('家屬加入組織後才能代為預約；別人不可替他人的家屬操作', async () => {
+  const early = await alice('POST', '/api/book', { slotId: seed.slotIds[0], dependentId: kidId });
+  assert.equal(early.status, 404);
+  assert.equal(early.body.error, '此家屬尚未加入此組織');
+
+  assert.equal((await bob('POST', `/api/dependents/${kidId}/patient`, { organizationId: seed.organizationId })).status, 404);
+  const joined = await alice('POST', `/api/dependents/${kidId}/patient`, { organizationId: seed.organizationId });
+  assert.equal(joined.status, 200);
+  kidPatientId = joined.body.patientId;
+  const kidPatient = stack.fhir.read('Patient', kidPatientId);
+  assert.deepEqual(kidPatient.identifier, [{ system: DEPENDENT_SYSTEM, value: kidId }]);
+  assert.deepEqual([kidPatient.name[0].text, kidPatient.birthDate], ['小明', '2015-04-01']);
+  assert.equal((await alice('POST', `/api/dependents/${kidId}/patient`, { organizationId: seed.organizationId })).status, 409);
+
+  assert.equal((await bob('POST', '/api/book', { slotId: seed.slotIds[0], dependentId: kidId })).status, 404);
+});
+
+test('代家屬預約、改約與取消；本人的預約互不影響', async () => {
+  sent.length = 0;
+  const booked = await alice('POST', '/api/book', { slotId: seed.slotIds[0], dependentId: kidId });
+  assert.equal(booked.status, 201);
+  assert.equal(booked.body.dependentId, kidId);
+  const appointment = stack.fhir.read('Appointment', booked.body.appointmentId);
+  assert.ok(appointment.participant.some(p => p.actor?.reference === `Patient/${kidPatientId}`));
+
+  // 確認信寄給代為管理的使用者，活動名稱後註明參加者
+  await waitFor(() => sent.some(m => m.to === 'alice@example.org'));
+  assert.match(sent.find(m => m.to === 'alice@example.org').subject, /陶藝體驗課 \(小明\)/);
+
+  // 本人預約同一排程不會取代家屬的預約
+  const own = await alice('POST', '/api/book', { slotId: seed.slotIds[1] });
+  assert.equal(own.status, 201);
+  assert.equal(own.body.replacedAppointmentId, null);
+
+  const list = (await alice('GET', '/api/appointments')).body;
+  assert.deepEqual(
+    list.map(a => [a.appointmentId, a.dependentId, a.attendeeName]).sort(),
+    [[booked.body.appointmentId, kidId, '小明'], [own.body.appointmentId, null, 'Alice']].sort()
+  );
+
+  // 家屬改約：取代家屬自己原本的預約
+  const moved = await alice('POST', '/api/book', { slotId: seed.slotIds[2], dependentId: kidId });
+  assert.equal(moved.status, 201);
+  assert.equal(moved.body.replacedAppointmentId, booked.body.appointmentId);
+  assert.equal(stack.fhir.read('Slot', seed.slotIds[0]).status, 'free');
+
+  assert.equal((await bob('POST', `/api/appointments/${moved.body.appointmentId}/cancel`)).status, 403);
+  assert.equal((await alice('POST', `/api/appointments/${moved.body.appointmentId}/cancel`)).status, 200);
+  assert.equal(stack.fhir.read('Slot', seed.slotIds[2]).status, 'free');
+  assert.equal(stack.fhir.read('Appointment', own.body.appointmentId).status, 'booked');
+});
+
+test('修改家屬資料後同步到組織的 Patient；快取中的 Patient 過時也不影響', async () => {
+  // 先讓家屬的組織 Patient 進入快取，再直接在 FHIR 伺服器上修改
+  await alice('GET', '/api/dependents');
+  stack.fhir.update('Patient', kidPatientId, { ...stack.fhir.read('Patient', kidPatientId), address: [{ city: '花蓮市' }] });
+
+  assert.equal((await alice('PUT', `/api/dependents/${kidId}`, { relationship: 'BOSS' })).status, 400);
+  assert.equal((await bob('PUT', `/api/dependents/${kidId}`, { name: '別人的小孩' })).status, 404);
+
+  const updated = await alice('PUT', `/api/dependents/${kidId}`, { name: '王小明', relationship: 'FAMMEMB' });
+  assert.equal(updated.status, 200);
+  assert.deepEqual([updated.body.name, updated.body.relationship], ['王小明', 'FAMMEMB']);
+  assert.deepEqual(updated.body.organizations, [{ organizationId: seed.organizationId, patientId: kidPatientId }]);
+
+  const kidPatient = stack.fhir.read('Patient', kidPatientId);
+  assert.deepEqual([kidPatient.name[0].text, kidPatient.address], ['王小明', [{ city: '花蓮市' }]]);
+  assert.equal(stack.fhir.search('RelatedPerson', { patient: `Patient/${kidId}` })[0].relationship[0].coding[0].code, 'FAMMEMB');
+});
+
+test('讀取後家屬資料被其他人修改時回傳 409', async () => {
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update(type, id, { ...stack.fhir.read(type, id), gender: 'other' });
+  };
+  const res = await alice('PUT', `/api/dependents/${kidId}`, { name: '不該寫入' });
+  assert.equal(res.status, 409);
+  assert.equal(stack.fhir.read('Patient', kidId).name[0].text, '王小明');
+});
@@ -0,0 +1,328 @@
+// --- 端對端測試 ---
+// 記憶體 FHIR 伺服器與 app.js 各自在隨機埠啟動，以多位使用者透過 HTTP 走完主要流程：
+// 註冊 → 登入 → Email 驗證 → 加入組織 → 查詢排程與時段 → 預約 / 修改 / 改約 → 同時搶同一時段 → 候補與遞補 →
+// 行事曆匯出 → 管理員排程管理 → 報到與出席 → 匯出名單 → Webhook → 活動目錄 → 代家屬預約 → 報名問卷 → 忘記密碼 → 個人資料 → 換發權杖與登出。除了建立種子資料，只透過 app.js 的 API 操作。
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { signPayload } = require('../webhooks.js');
+const { startServers, createClient, waitFor, seedSchedule, seedPerson } = require('./support/harness.js');
+
+const PASSWORD = 'correct horse battery staple';
+
+let stack, seed, soon, sent, receiver;
+const received = [];
+let admin, alice, bob, carol;
+let raceScheduleId, raceSlotId;
+
+before(async () => {
+  // Webhook 接收端在本機，因此允許投遞到內部網路位址
+  stack = await startServers({ ADMIN_PERSON_IDS: 'e2e-admin', WEBHOOK_ALLOW_PRIVATE_NETWORKS: 'true' });
+  const receiverApp = express().post('/hook', express.text({ type: '*/*' }), (req, res) => {
+    received.push({ headers: req.headers, body: req.body });
+    res.status(204).end();
+  });
+  receiver = await new Promise(resolve => { const server = receiverApp.listen(0, '127.0.0.1', () => resolve(server)); });
+  sent = [];
+  require('../notifier.js').setTransport(async message => { sent.push(message); });
+  seed = seedSchedule(stack.fhir);
+  // 一小時後開始的活動，供當天報到
+  const start = new Date(Date.now() + 3600000);
+  soon = seedSchedule(stack.fhir, {
+    organizationId: seed.organizationId, comment: '晨間太極',
+    slots: [{ start: start.toISOString(), end: new Date(start.getTime() + 3600000).toISOString() }]
+  });
+  seedPerson(stack.fhir, { id: 'e2e-admin', name: '管理員', email: 'admin@example.org' });
+  [admin, alice, bob, carol] = [0, 1, 2, 3].map(() => createClient(stack.appBase));
+});
+
+after(async () => {
+  receiver.closeAllConnections();
+  await new Promise(resolve => receiver.close(resolve));
+  await stack.close();
+});
+
+// 10 天後的日期 (YYYY-MM-DD)，供批次產生 Slot
+const dateInDays = days => new Date(Date.now() + days * 24 * 3600000).toISOString().slice(0, 10);
+
+async function register(request, name, email) {
+  const registered = await request('POST', '/api/register', { name, email, password: PASSWORD });
+  assert.equal(registered.status, 201);
+  assert.equal((await request('POST', '/api/login', { postRegistrationToken: registered.body.postRegistrationToken })).status, 200);
+
+  // 驗證 Email 之前不可加入組織；點選驗證信中的連結後才可以
+  const unverified = await request('POST', '/api/patient', { organizationId: seed.organizationId, email });
+  assert.equal(unverified.status, 403);
+  assert.equal(unverified.body.code, 'EMAIL_NOT_VERIFIED');
+  await waitFor(() => sent.some(m => m.to === email));
+  const link = new URL(sent.find(m => m.to === email).text.match(/https?:\/\/\S+/)[0]);
+  const verified = await request('GET', link.pathname + link.search);
+  assert.equal(verified.headers.get('location'), '/login.html?verified=ok');
+
+  const joined = await request('POST', '/api/patient', { organizationId: seed.organizationId, email });
+  assert.equal(joined.status, 200);
+  return registered.body.personId;
+}
+
+test('訪客查詢組織、註冊、登入、驗證 Email 並加入組織', async () => {
+  const orgs = await alice('GET', '/api/organizations');
+  assert.ok(orgs.body.some(o => o.id === seed.organizationId));
+
+  await register(alice, 'Alice', 'alice@example.org');
+  assert.equal((await createClient(stack.appBase)('POST', '/api/register', { name: 'A', email: 'alice@example.org', password: PASSWORD })).status, 409);
+  assert.equal((await createClient(stack.appBase)('POST', '/api/login', { email: 'alice@example.org', password: 'wrong' })).status, 401);
+  assert.equal((await alice('POST', '/api/login', { email: 'alice@example.org', password: PASSWORD })).status, 200);
+
+  const patient = await alice('GET', `/api/patient?organizationId=${seed.organizationId}`);
+  assert.equal(patient.status, 200);
+  assert.equal(patient.body.orgRef, `Organization/${seed.organizationId}`);
+  assert.equal((await alice('POST', '/api/patient', { organizationId: seed.organizationId, email: 'alice@example.org' })).status, 409);
+
+  await register(bob, 'Bob', 'bob@example.org');
+  await register(carol, 'Carol', 'carol@example.org');
+});
+
+test('查詢排程與時段', async () => {
+  const { body } = await alice('GET', `/api/schedules?organizationId=${seed.organizationId}`);
+  const schedule = body.schedules.find(s => s.scheduleId === seed.scheduleId);
+  assert.equal(schedule.comment, '陶藝體驗課');
+  assert.deepEqual(schedule.slots.map(s => s.status), ['free', 'free', 'free']);
+
+  const slots = await alice('GET', `/api/slots?scheduleId=${seed.scheduleId}`);
+  assert.deepEqual(slots.body.slots.map(s => s.id).sort(), [...seed.slotIds].sort());
+  assert.equal((await createClient(stack.appBase)('GET', `/api/slots?scheduleId=${seed.scheduleId}`)).status, 401);
+});
+
+test('預約、查詢、修改選項與改約', async () => {
+  const options = (await alice('GET', '/api/appointment-options')).body;
+  const booked = await alice('POST', '/api/book', { slotId: seed.slotIds[0], serviceType: options.serviceTypes[0] });
+  assert.equal(booked.status, 201);
+
+  const patched = await alice('PATCH', `/api/appointments/${booked.body.appointmentId}`, { mealPreference: options.mealPreferences[1] });
+  assert.equal(patched.status, 200);
+
+  const moved = await alice('POST', '/api/book', { slotId: seed.slotIds[1] });
+  assert.equal(moved.status, 201);
+  assert.equal(moved.body.message, '預約已更新！');
+
+  // 被取代的預約保留為 cancelled，選項沿用到新預約
+  const list = (await alice('GET', '/api/appointments')).body;
+  assert.deepEqual(list.map(a => [a.appointmentId, a.status]).sort(),
+    [[booked.body.appointmentId, 'cancelled'], [moved.body.appointmentId, 'booked']].sort());
+  const current = list.find(a => a.status === 'booked');
+  assert.deepEqual(
+    [current.scheduleName, current.serviceType, current.mealPreference],
+    ['陶藝體驗課', options.serviceTypes[0], options.mealPreferences[1]]
+  );
+  const slots = (await alice('GET', `/api/slots?scheduleId=${seed.scheduleId}`)).body.slots;
+  assert.equal(slots.find(s => s.id === seed.slotIds[0]).status, 'free');
+  assert.equal(slots.find(s => s.id === seed.slotIds[1]).status, 'busy');
+
+  // 驗證信之後，再收到報名成功與改約兩封通知
+  await waitFor(() => sent.filter(m => m.to === 'alice@example.org').length === 3);
+});
+
+test('管理員建立排程並產生一個名額的時段', async () => {
+  assert.deepEqual((await admin('POST', '/api/login', { email: 'admin@example.org', password: PASSWORD })).body.roles, ['patient', 'admin']);
+  const created = await admin('POST', '/api/admin/schedules', {
+    organizationId: seed.organizationId,
+    actor: `Practitioner/${seed.practitionerId}`,
+    comment: '限量茶道課'
+  });
+  assert.equal(created.status, 201);
+  raceScheduleId = created.body.scheduleId;
+
+  const day = dateInDays(10);
+  const generated = await admin('POST', `/api/admin/schedules/${raceScheduleId}/slots/generate`, {
+    from: day, to: day, windows: [{ start: '09:00', end: '10:00' }], slotMinutes: 60, capacity: 1
+  });
+  assert.equal(generated.body.created, 1);
+  raceSlotId = (await alice('GET', `/api/slots?scheduleId=${raceScheduleId}`)).body.slots[0].id;
+});
+
+test('兩位使用者同時預約同一時段：一筆 201、一筆 409', async () => {
+  const results = await Promise.all([
+    alice('POST', '/api/book', { slotId: raceSlotId }),
+    bob('POST', '/api/book', { slotId: raceSlotId })
+  ]);
+  assert.deepEqual(results.map(r => r.status).sort(), [201, 409]);
+
+  const booked = stack.fhir.search('Appointment', { status: 'booked' })
+    .filter(a => a.slot?.[0]?.reference === `Slot/${raceSlotId}`);
+  assert.equal(booked.length, 1);
+  assert.equal(booked[0].id, results.find(r => r.status === 201).body.appointmentId);
+});
+
+test('額滿後加入候補，取消時第一位候補者自動遞補', async () => {
+  const winner = (await alice('GET', '/api/appointments')).body.some(a => a.scheduleId === raceScheduleId) ? alice : bob;
+  const loser = winner === alice ? bob : alice;
+
+  const first = await loser('POST', `/api/schedules/${raceScheduleId}/waitlist`);
+  assert.equal(first.status, 201);
+  const second = await carol('POST', `/api/schedules/${raceScheduleId}/waitlist`);
+  assert.equal(second.body.waitlistPosition, 2);
+
+  const mine = (await winner('GET', '/api/appointments')).body.find(a => a.scheduleId === raceScheduleId);
+  const cancelled = await winner('POST', `/api/appointments/${mine.appointmentId}/cancel`, { reason: '臨時有事' });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.promotedAppointmentId, first.body.appointmentId);
+
+  const promoted = (await loser('GET', '/api/appointments')).body.find(a => a.appointmentId === first.body.appointmentId);
+  assert.equal(promoted.status, 'booked');
+  const waiting = (await carol('GET', '/api/appointments')).body.find(a => a.scheduleId === raceScheduleId);
+  assert.deepEqual([waiting.status, waiting.waitlistPosition], ['waitlist', 1]);
+});
+
+test('行事曆匯出與訂閱網址', async () => {
+  const ics = await alice('GET', '/api/appointments.ics');
+  assert.equal(ics.status, 200);
+  assert.match(ics.body, /SUMMARY:陶藝體驗課/);
+
+  const feed = await alice('POST', '/api/calendar-feed');
+  const path = new URL(feed.body.url).pathname;
+  assert.equal((await createClient(stack.appBase)('GET', path)).status, 200);
+  await alice('DELETE', '/api/calendar-feed');
+  assert.equal((await createClient(stack.appBase)('GET', path)).status, 404);
+});
+
+test('管理員查看用餐統計、停用排程並指派 staff', async () => {
+  const summary = await admin('GET', `/api/admin/schedules/${seed.scheduleId}/meal-summary`);
+  assert.equal(summary.body.total, 1);
+
+  const deactivated = await admin('POST', `/api/admin/schedules/${raceScheduleId}/deactivate`);
+  assert.equal(deactivated.body.active, false);
+  const visible = (await carol('GET', `/api/schedules?organizationId=${seed.organizationId}`)).body.schedules;
+  assert.ok(!visible.some(s => s.scheduleId === raceScheduleId));
+  assert.equal((await carol('POST', `/api/schedules/${raceScheduleId}/waitlist`)).status, 409);
+
+  const bobId = stack.fhir.search('Person', { identifier: 'http://example.org/fhir/email|bob@example.org' })[0].id;
+  const roles = await admin('PUT', `/api/admin/persons/${bobId}/roles`, { staffOrganizationIds: [seed.organizationId] });
+  assert.deepEqual(roles.body.roles, ['patient', 'staff']);
+  await bob('POST', '/api/login', { email: 'bob@example.org', password: PASSWORD });
+  assert.equal((await bob('GET', `/api/admin/schedules?organizationId=${seed.organizationId}`)).status, 200);
+});
+
+test('出示報到碼，由 staff 報到並查看名單與出席統計', async () => {
+  const booked = await carol('POST', '/api/book', { slotId: soon.slotIds[0] });
+  assert.equal(booked.status, 201);
+  const { code } = (await carol('GET', `/api/appointments/${booked.body.appointmentId}/check-in-code`)).body;
+  assert.equal((await alice('GET', `/api/appointments/${booked.body.appointmentId}/check-in-code`)).status, 403);
+
+  const checkedIn = await bob('POST', '/api/admin/check-in', { code });
+  assert.deepEqual([checkedIn.status, checkedIn.body.status, checkedIn.body.name], [200, 'arrived', 'Carol']);
+
+  const participants = (await bob('GET', `/api/admin/schedules/${soon.scheduleId}/participants?q=car`)).body;
+  assert.deepEqual(participants.map(p => [p.name, p.status]), [['Carol', 'arrived']]);
+  const attendance = (await bob('GET', `/api/admin/schedules/${soon.scheduleId}/attendance`)).body;
+  assert.equal(attendance.attendanceRate, 1);
+});
+
+test('staff 匯出報名名單 (CSV)', async () => {
+  const res = await bob('GET', `/api/admin/schedules/${seed.scheduleId}/roster`);
+  assert.equal(res.status, 200);
+  const rows = res.body.split('\r\n').filter(Boolean).map(line => line.split(','));
+  assert.deepEqual(rows[0].slice(0, 3), ['活動', '姓名', 'Email']);
+  assert.deepEqual(rows.slice(1).map(r => [r[1], r[2], r[6]]), [['Alice', 'alice@example.org', '已報名']]);
+});
+
+test('staff 設定 Webhook，預約與取消時接收端收到簽章事件', async () => {
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  const created = await bob('POST', `/api/admin/organizations/${seed.organizationId}/webhooks`, { url, events: ['booked', 'cancelled'] });
+  assert.equal(created.status, 201);
+  const { webhookId, secret } = created.body;
+
+  const booked = await carol('POST', '/api/book', { slotId: seed.slotIds[2] });
+  await carol('POST', `/api/appointments/${booked.body.appointmentId}/cancel`);
+  await waitFor(() => received.length === 2);
+  for (const { headers, body } of received) {
+    assert.equal(headers['x-webhook-signature'], `sha256=${signPayload(secret, headers['x-webhook-timestamp'], body)}`);
+  }
+  assert.deepEqual(received.map(r => [JSON.parse(r.body).event, JSON.parse(r.body).data.appointmentId]).sort(),
+    [['booked', booked.body.appointmentId], ['cancelled', booked.body.appointmentId]]);
+
+  const deliveries = (await bob('GET', `/api/admin/organizations/${seed.organizationId}/webhook-deliveries`)).body;
+  assert.deepEqual(deliveries.map(d => d.status), ['delivered', 'delivered']);
+  assert.equal((await bob('DELETE', `/api/admin/webhooks/${webhookId}`)).status, 200);
+});
+
+test('staff 建立活動並連結排程，使用者瀏覽活動目錄', async () => {
+  const created = await bob('POST', '/api/admin/activities', {
+    organizationId: seed.organizationId, title: '陶藝體驗', description: '親手捏製陶杯', location: '2 樓教室', cost: 0
+  });
+  assert.equal(created.status, 201);
+  const { activityId } = created.body;
+  assert.equal((await bob('PUT', `/api/admin/schedules/${seed.scheduleId}`, { activityId })).status, 200);
+
+  const catalog = (await alice('GET', '/api/activities?q=陶杯')).body;
+  assert.deepEqual(catalog.map(a => [a.activityId, a.location]), [[activityId, '2 樓教室']]);
+  const detail = (await alice('GET', `/api/activities/${activityId}`)).body;
+  assert.deepEqual(detail.schedules.map(s => s.scheduleId), [seed.scheduleId]);
+  const mine = (await alice('GET', '/api/appointments')).body.find(a => a.scheduleId === seed.scheduleId);
+  assert.equal(mine.activity.title, '陶藝體驗');
+});
+
+test('新增家屬、加入組織並代為預約與取消', async () => {
+  const created = await carol('POST', '/api/dependents', { name: '小華', relationship: 'CHILD', birthDate: '2016-09-01' });
+  assert.equal(created.status, 201);
+  const { dependentId } = created.body;
+  assert.equal((await carol('POST', `/api/dependents/${dependentId}/patient`, { organizationId: seed.organizationId })).status, 200);
+
+  const booked = await carol('POST', '/api/book', { slotId: seed.slotIds[2], dependentId });
+  assert.equal(booked.status, 201);
+  const mine = (await carol('GET', '/api/appointments')).body.find(a => a.appointmentId === booked.body.appointmentId);
+  assert.deepEqual([mine.dependentId, mine.attendeeName], [dependentId, '小華']);
+
+  assert.equal((await bob('POST', `/api/appointments/${booked.body.appointmentId}/cancel`)).status, 403);
+  assert.equal((await carol('POST', `/api/appointments/${booked.body.appointmentId}/cancel`)).status, 200);
+});
+
+test('staff 設定報名問卷，報名時填寫並查看回答', async () => {
+  const created = await bob('POST', '/api/admin/questionnaires', {
+    organizationId: seed.organizationId,
+    questionnaire: {
+      resourceType: 'Questionnaire',
+      title: '報名表',
+      item: [{ linkId: 'shirt', text: '衣服尺寸', type: 'choice', required: true, answerOption: ['S', 'M', 'L'].map(valueString => ({ valueString })) }]
+    }
+  });
+  assert.equal(created.status, 201);
+  assert.equal((await bob('PUT', `/api/admin/schedules/${seed.scheduleId}`, { questionnaireId: created.body.id })).status, 200);
+
+  const { questionnaire } = (await carol('GET', `/api/schedules/${seed.scheduleId}/questionnaire`)).body;
+  assert.deepEqual(questionnaire.item.map(i => i.linkId), ['shirt']);
+  assert.equal((await carol('POST', '/api/book', { slotId: seed.slotIds[2] })).status, 400);
+  const booked = await carol('POST', '/api/book', { slotId: seed.slotIds[2], answers: { shirt: 'M' } });
+  assert.equal(booked.status, 201);
+
+  const { responses } = (await bob('GET', `/api/admin/schedules/${seed.scheduleId}/responses`)).body;
+  assert.deepEqual(responses.map(r => [r.appointmentId, r.name, r.answers]), [[booked.body.appointmentId, 'Carol', { shirt: 'M' }]]);
+});
+
+test('忘記密碼：寄出重設連結，以新密碼登入', async () => {
+  sent.length = 0;
+  await createClient(stack.appBase)('POST', '/api/request-reset', { email: 'carol@example.org' });
+  const token = new URL(sent.find(m => m.to === 'carol@example.org').text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+  const reset = await createClient(stack.appBase)('POST', '/api/reset-password', { token, password: 'a brand new passphrase' });
+  assert.equal(reset.status, 200);
+  assert.equal((await carol('POST', '/api/login', { email: 'carol@example.org', password: PASSWORD })).status, 401);
+  assert.equal((await carol('POST', '/api/login', { email: 'carol@example.org', password: 'a brand new passphrase' })).status, 200);
+});
+
+test('查詢與修改個人資料', async () => {
+  const me = await alice('GET', '/api/me');
+  assert.deepEqual([me.body.email, me.body.emailVerified, me.body.organizations], ['alice@example.org', true, [seed.organizationId]]);
+
+  assert.equal((await alice('PUT', '/api/me', { name: 'Alice Chen', phone: '0912345678', language: 'en' })).status, 200);
+  const updated = (await alice('GET', '/api/me')).body;
+  assert.deepEqual([updated.name, updated.phone, updated.language], ['Alice Chen', '0912345678', 'en']);
+});
+
+test('換發登入權杖後登出，之後的請求需要重新登入', async () => {
+  const refreshed = await alice('POST', '/api/refresh');
+  assert.equal(refreshed.status, 200);
+  assert.equal((await alice('GET', '/api/appointments')).status, 200);
+  assert.equal((await alice('POST', '/api/logout')).status, 200);
+  assert.equal((await alice('GET', '/api/appointments')).status, 401);
+  assert.equal((await alice('POST', '/api/refresh')).status, 401);
+});
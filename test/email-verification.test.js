@@ -0,0 +1,121 @@
+// --- Email 驗證：requireVerifiedEmail、/api/verify-email、/api/resend-verification 與管理者覆寫 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, waitFor, seedSchedule, seedPerson, verifyEmailPath, signUp } = require('./support/harness.js');
+
+const PASSWORD = 'correct horse battery staple';
+let stack, seed, sent, admin, alice, aliceId, eve, eveId;
+
+before(async () => {
+  stack = await startServers({ ADMIN_PERSON_IDS: 'admin-1', RATE_LIMITS: JSON.stringify({ resendVerification: { perAccount: 2 } }) });
+  sent = [];
+  require('../notifier.js').setTransport(async message => { sent.push(message); });
+  seed = seedSchedule(stack.fhir);
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  admin = createClient(stack.appBase);
+  await admin('POST', '/api/login', { email: 'admin@example.org', password: PASSWORD });
+  alice = createClient(stack.appBase);
+  ({ personId: aliceId } = await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId }));
+
+  // Eve 只註冊並登入，尚未點選驗證連結
+  eve = createClient(stack.appBase);
+  const registered = await eve('POST', '/api/register', { name: 'Eve', email: 'eve@example.org', password: PASSWORD });
+  assert.equal(registered.body.emailVerified, false);
+  eveId = registered.body.personId;
+  await eve('POST', '/api/login', { postRegistrationToken: registered.body.postRegistrationToken });
+});
+
+after(() => stack.close());
+
+const mailsTo = email => sent.filter(m => m.to === email);
+const linkIn = message => {
+  const link = new URL(message.text.match(/https?:\/\/\S+/)[0]);
+  return link.pathname + link.search;
+};
+
+test('註冊後寄出驗證信；未驗證前不可加入組織', async () => {
+  await waitFor(() => mailsTo('eve@example.org').length === 1);
+  assert.match(linkIn(mailsTo('eve@example.org')[0]), /^\/api\/verify-email\?token=/);
+
+  const res = await eve('POST', '/api/patient', { organizationId: seed.organizationId, email: 'eve@example.org' });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+  assert.equal((await eve('GET', `/api/patient?organizationId=${seed.organizationId}`)).status, 404);
+});
+
+test('管理者取消驗證後，預約與候補都回傳 EMAIL_NOT_VERIFIED', async () => {
+  const revoked = await admin('PUT', `/api/admin/persons/${aliceId}/verification`, { verified: false });
+  assert.deepEqual(revoked.body, { personId: aliceId, email: 'alice@example.org', emailVerified: false });
+
+  const booked = await alice('POST', '/api/book', { slotId: seed.slotIds[0] });
+  assert.equal(booked.status, 403);
+  assert.equal(booked.body.code, 'EMAIL_NOT_VERIFIED');
+  assert.equal(stack.fhir.read('Slot', seed.slotIds[0]).status, 'free');
+  const waitlisted = await alice('POST', `/api/schedules/${seed.scheduleId}/waitlist`);
+  assert.equal(waitlisted.body.code, 'EMAIL_NOT_VERIFIED');
+
+  await admin('PUT', `/api/admin/persons/${aliceId}/verification`, { verified: true });
+  assert.equal((await admin('GET', `/api/admin/persons/${aliceId}/verification`)).body.emailVerified, true);
+  assert.equal((await alice('POST', '/api/book', { slotId: seed.slotIds[0] })).status, 201);
+});
+
+test('管理者覆寫的輸入錯誤回傳 400，非管理員回傳 403，找不到使用者回傳 404', async () => {
+  assert.equal((await admin('PUT', `/api/admin/persons/${aliceId}/verification`, { verified: 'yes' })).status, 400);
+  assert.equal((await alice('PUT', `/api/admin/persons/${aliceId}/verification`, { verified: true })).status, 403);
+  assert.equal((await alice('GET', `/api/admin/persons/${aliceId}/verification`)).status, 403);
+  assert.equal((await admin('GET', '/api/admin/persons/nobody/verification')).status, 404);
+});
+
+test('重寄驗證信有帳號上限；已驗證的帳號回傳 409', async () => {
+  assert.equal((await eve('POST', '/api/resend-verification')).status, 200);
+  assert.equal((await eve('POST', '/api/resend-verification')).status, 200);
+  const limited = await eve('POST', '/api/resend-verification');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+  await waitFor(() => mailsTo('eve@example.org').length === 3);
+
+  assert.equal((await alice('POST', '/api/resend-verification')).status, 409);
+  assert.equal((await createClient(stack.appBase)('POST', '/api/resend-verification')).status, 401);
+});
+
+test('驗證連結可重複點選；Email 變更後舊連結失效', async () => {
+  assert.equal((await eve('GET', '/api/verify-email?token=bogus')).headers.get('location'), '/login.html?verified=invalid');
+
+  const path = linkIn(mailsTo('eve@example.org')[0]);
+  assert.equal((await createClient(stack.appBase)('GET', path)).headers.get('location'), '/login.html?verified=ok');
+  assert.equal((await createClient(stack.appBase)('GET', path)).headers.get('location'), '/login.html?verified=ok');
+  assert.equal((await eve('POST', '/api/patient', { organizationId: seed.organizationId, email: 'eve@example.org' })).status, 200);
+  assert.equal((await eve('POST', '/api/login', { email: 'eve@example.org', password: PASSWORD })).body.emailVerified, true);
+
+  // 改過 Email 後，已驗證的是舊地址，因此視為未驗證；舊連結也不能用來驗證新地址
+  const person = stack.fhir.read('Person', eveId);
+  stack.fhir.update('Person', eveId, {
+    ...person,
+    identifier: person.identifier.map(i => (i.system === 'http://example.org/fhir/email' ? { ...i, value: 'eve@new.example.org' } : i))
+  });
+  assert.equal((await admin('GET', `/api/admin/persons/${eveId}/verification`)).body.emailVerified, false);
+  assert.equal((await createClient(stack.appBase)('GET', path)).headers.get('location'), '/login.html?verified=invalid');
+});
+
+test('驗證時帳號剛被其他操作更新，請使用者重新點選且不覆蓋對方的變更', async () => {
+  const path = verifyEmailPath(eveId, 'eve@new.example.org');
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update(type, id, { ...stack.fhir.read(type, id), name: [{ text: 'Eve (其他人剛更新)' }] });
+  };
+  assert.equal((await createClient(stack.appBase)('GET', path)).headers.get('location'), '/login.html?verified=retry');
+  assert.equal(stack.fhir.read('Person', eveId).name[0].text, 'Eve (其他人剛更新)');
+
+  assert.equal((await createClient(stack.appBase)('GET', path)).headers.get('location'), '/login.html?verified=ok');
+  assert.equal((await admin('GET', `/api/admin/persons/${eveId}/verification`)).body.emailVerified, true);
+});
+
+test('以重設密碼連結設定新密碼時，同時完成 Email 驗證', async () => {
+  seedPerson(stack.fhir, { id: 'person-frank', name: 'Frank', email: 'frank@example.org', emailVerified: false });
+  await createClient(stack.appBase)('POST', '/api/request-reset', { email: 'frank@example.org' });
+  await waitFor(() => mailsTo('frank@example.org').length === 1);
+  const token = new URL(mailsTo('frank@example.org')[0].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+  assert.equal((await createClient(stack.appBase)('POST', '/api/reset-password', { token, password: 'a brand new passphrase' })).status, 200);
+  assert.equal((await admin('GET', '/api/admin/persons/person-frank/verification')).body.emailVerified, true);
+});
@@ -0,0 +1,103 @@
+// --- fhirCache.js 與 fhirClient 的查詢快取：TTL、寫入後失效、noCache 與命中統計 ---
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createMemoryCache, parseCacheTtls } = require('../fhirCache.js');
+const { createFhirClient } = require('../fhirClient.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 每個 GET 都回傳帶有請求序號的資源，以此判斷結果是否來自快取
+let server, base, requests;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(`${req.method} ${req.url}`);
+      res.writeHead(200, { 'Content-Type': 'application/fhir+json' });
+      res.end(JSON.stringify(req.method === 'GET'
+        ? { resourceType: 'Schedule', id: '1', meta: { versionId: String(requests.length) } }
+        : body || '{}'));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}/fhir`;
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const client = (cacheTtls = { Schedule: 60 }) =>
+  createFhirClient({ baseUrl: base, retryDelayMs: 1, cache: createMemoryCache(), cacheTtls });
+
+test('parseCacheTtls 解析 "類型=秒"，忽略格式錯誤與 0 秒', () => {
+  assert.deepEqual(parseCacheTtls('Organization=300, Schedule=60,Slot=0,bad,=5'), { Organization: 300, Schedule: 60 });
+  assert.deepEqual(parseCacheTtls(''), {});
+});
+
+test('記憶體快取：過期後取不到，超過上限時淘汰最久未使用的項目', async () => {
+  const cache = createMemoryCache({ maxEntries: 2 });
+  await cache.set('Schedule|a', 'A', 20);
+  assert.equal(await cache.get('Schedule|a'), 'A');
+  await sleep(30);
+  assert.equal(await cache.get('Schedule|a'), null);
+
+  await cache.set('Schedule|1', '1', 1000);
+  await cache.set('Schedule|2', '2', 1000);
+  await cache.get('Schedule|1');
+  await cache.set('Patient|3', '3', 1000);
+  assert.deepEqual([await cache.get('Schedule|1'), await cache.get('Schedule|2'), await cache.get('Patient|3')], ['1', null, '3']);
+
+  await cache.deletePrefix('Schedule|');
+  assert.deepEqual([await cache.get('Schedule|1'), await cache.get('Patient|3')], [null, '3']);
+});
+
+test('設定 TTL 的類型第二次讀取命中快取，未設定的類型每次都向伺服器讀取', async () => {
+  const fhir = client();
+  const first = await fhir.read('Schedule', '1');
+  const second = await fhir.read('Schedule', '1');
+  assert.deepEqual(second, first);
+  await fhir.read('Slot', '1');
+  await fhir.read('Slot', '1');
+  assert.deepEqual(requests, ['GET /fhir/Schedule/1', 'GET /fhir/Slot/1', 'GET /fhir/Slot/1']);
+
+  const stats = fhir.cacheStats();
+  assert.deepEqual(stats.types.Schedule, { hits: 1, misses: 1, invalidations: 0 });
+  assert.equal(stats.types.Slot, undefined);
+  assert.deepEqual([stats.enabled, stats.hits, stats.misses, stats.hitRate], [true, 1, 1, 0.5]);
+});
+
+test('寫入 (update / transaction) 後清除該類型的快取', async () => {
+  const fhir = client();
+  await fhir.search('Schedule', { actor: 'Practitioner/1' });
+  await fhir.update({ resourceType: 'Schedule', id: '1' });
+  await fhir.search('Schedule', { actor: 'Practitioner/1' });
+  await fhir.transaction({ resourceType: 'Bundle', type: 'transaction', entry: [{ request: { method: 'PUT', url: 'Schedule/1' } }] });
+  await fhir.search('Schedule', { actor: 'Practitioner/1' });
+  assert.equal(requests.filter(r => r.startsWith('GET')).length, 3);
+  assert.equal(fhir.cacheStats().types.Schedule.invalidations, 2);
+});
+
+test('noCache 直接向伺服器讀取最新版本，並更新快取', async () => {
+  const fhir = client();
+  const cached = await fhir.read('Schedule', '1');
+  const fresh = await fhir.readOrNull('Schedule', '1', { noCache: true });
+  assert.notEqual(fresh.meta.versionId, cached.meta.versionId);
+  assert.deepEqual(await fhir.read('Schedule', '1'), fresh);
+  assert.equal(requests.length, 2);
+});
+
+test('快取儲存出錯時改為直接讀取，不影響請求', async () => {
+  const broken = { get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); }, deletePrefix: async () => {} };
+  const fhir = createFhirClient({ baseUrl: base, cache: broken, cacheTtls: { Schedule: 60 } });
+  assert.equal((await fhir.read('Schedule', '1')).id, '1');
+  assert.equal(requests.length, 1);
+});
@@ -0,0 +1,141 @@
+// --- fhirClient.js：重試、逾時、分頁與錯誤對應 ---
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createFhirClient, FhirError, toQueryString } = require('../fhirClient.js');
+
+// 依序回應 responses 中的設定；每個請求記錄在 requests
+let server, base, responses, requests;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const next = responses.shift() || { status: 200, body: {} };
+      if (next.hang) return;
+      if (next.destroy) return req.socket.destroy();
+      res.writeHead(next.status, { 'Content-Type': 'application/fhir+json' });
+      res.end(JSON.stringify(next.body(base)));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}/fhir`;
+});
+
+beforeEach(() => {
+  responses = [];
+  requests = [];
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const reply = (status, body = {}) => ({ status, body: typeof body === 'function' ? body : () => body });
+const client = options => createFhirClient({ baseUrl: base, retryDelayMs: 1, ...options });
+const outcome = diagnostics => ({ resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'processing', diagnostics }] });
+
+test('GET 遇到 503 時重試，成功後回傳結果並帶上 Authorization', async () => {
+  responses = [reply(503), reply(503), reply(200, { resourceType: 'Patient', id: '1' })];
+  const patient = await client({ authorization: 'Bearer abc' }).read('Patient', '1');
+  assert.equal(patient.id, '1');
+  assert.equal(requests.length, 3);
+  assert.equal(requests[0].headers.authorization, 'Bearer abc');
+});
+
+test('重試次數用完後丟出 FhirError，apiStatus 為 502', async () => {
+  responses = [reply(503), reply(503), reply(503)];
+  const err = await client().read('Patient', '1').catch(e => e);
+  assert.ok(err instanceof FhirError);
+  assert.equal(err.status, 503);
+  assert.equal(err.apiStatus, 502);
+  assert.equal(requests.length, 3);
+});
+
+test('POST 不是冪等請求，不重試', async () => {
+  responses = [reply(503)];
+  await assert.rejects(client().create({ resourceType: 'Patient' }), FhirError);
+  assert.equal(requests.length, 1);
+});
+
+test('帶 If-Match 的 PUT 在 5xx 或網路錯誤時都不重試', async () => {
+  responses = [reply(503)];
+  await assert.rejects(client().update({ resourceType: 'Slot', id: '1' }, { ifMatch: 'W/"2"' }), FhirError);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].headers['if-match'], 'W/"2"');
+
+  requests = [];
+  responses = [{ destroy: true }];
+  const err = await client().update({ resourceType: 'Slot', id: '1' }, { ifMatch: 'W/"2"' }).catch(e => e);
+  assert.equal(err.status, undefined);
+  assert.equal(err.apiStatus, 502);
+  assert.equal(requests.length, 1);
+
+  // 沒有 If-Match 的 PUT 仍會重試
+  requests = [];
+  responses = [reply(503), reply(200, { resourceType: 'Slot', id: '1' })];
+  await client().update({ resourceType: 'Slot', id: '1' });
+  assert.equal(requests.length, 2);
+});
+
+test('逾時時中止請求，apiStatus 為 504', async () => {
+  responses = [{ hang: true }];
+  const err = await client({ timeoutMs: 50, retries: 0 }).read('Patient', '1').catch(e => e);
+  assert.ok(err instanceof FhirError);
+  assert.equal(err.status, undefined);
+  assert.equal(err.apiStatus, 504);
+  assert.match(err.message, /逾時/);
+});
+
+test('OperationOutcome 轉成 issues，狀態碼對應到 API 狀態碼', async () => {
+  responses = [reply(412, outcome('版本不符'))];
+  const conflict = await client().update({ resourceType: 'Slot', id: '1' }, { ifMatch: 'W/"1"' }).catch(e => e);
+  assert.equal(conflict.apiStatus, 409);
+  assert.deepEqual(conflict.issues, [{ severity: 'error', code: 'processing', diagnostics: '版本不符' }]);
+  assert.match(conflict.message, /版本不符/);
+
+  responses = [reply(404, outcome('找不到')), reply(410, outcome('已刪除')), reply(400, outcome('參數錯誤'))];
+  assert.equal(await client().readOrNull('Patient', 'x'), null);
+  assert.equal(await client().readRefOrNull('Patient/y'), null);
+  assert.equal((await client().search('Patient', { bad: 1 }).catch(e => e)).apiStatus, 502);
+});
+
+test('searchAll 跟隨 link[rel=next] 取回所有頁；searchPages 逐頁產出', async () => {
+  const page = (ids, next, total = 3) => reply(200, b => ({
+    resourceType: 'Bundle',
+    total,
+    entry: ids.map(id => ({ resource: { resourceType: 'Patient', id } })),
+    link: next ? [{ relation: 'next', url: `${b}?${next}` }] : []
+  }));
+
+  responses = [page(['1', '2'], '_getpages=x&page=2'), page(['3'])];
+  const all = await client().searchAll('Patient', { name: '王' });
+  assert.deepEqual(all.map(p => p.id), ['1', '2', '3']);
+  assert.deepEqual(requests.map(r => r.url), ['/fhir/Patient?name=%E7%8E%8B', '/fhir?_getpages=x&page=2']);
+
+  responses = [page(['1', '2'], 'page=2'), page(['3'], 'page=3')];
+  requests = [];
+  const pages = [];
+  for await (const { resources, total } of client().searchPages('Patient', { _count: 2 })) {
+    pages.push({ ids: resources.map(p => p.id), total });
+    if (pages.length === 2) break;
+  }
+  assert.deepEqual(pages, [{ ids: ['1', '2'], total: 3 }, { ids: ['3'], total: 3 }]);
+  assert.equal(requests.length, 2);
+
+  // searchAll 最多跟隨 maxPages 頁
+  responses = [page(['1'], 'page=2'), page(['2'], 'page=3')];
+  requests = [];
+  assert.deepEqual((await client({ maxPages: 1 }).searchAll('Patient')).map(p => p.id), ['1']);
+  assert.equal(requests.length, 1);
+});
+
+test('toQueryString 保留 FHIR 語法字元，陣列值重複參數並略過空值', () => {
+  assert.equal(
+    toQueryString({ identifier: 'http://example.org/fhir/person|1', date: ['ge2030-01-01', 'le2030-02-01'], status: 'booked,waitlist', name: '', organization: undefined }),
+    'identifier=http%3A//example.org/fhir/person|1&date=ge2030-01-01&date=le2030-02-01&status=booked,waitlist'
+  );
+});
@@ -0,0 +1,103 @@
+// --- 預約通知與持久化的活動前提醒 (CommunicationRequest) ---
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, waitFor, futureSlotTime, seedSchedule, seedPerson, signUp } = require('./support/harness.js');
+
+const REMINDER_CATEGORY = 'http://example.org/fhir/notification-category|appointment-reminder';
+
+let stack, alice, seed, sent, appointmentId;
+
+before(async () => {
+  stack = await startServers({ REMINDER_HOURS_BEFORE: '24' });
+  require('../notifier.js').setTransport(async message => { sent.push(message); });
+  seed = seedSchedule(stack.fhir, { slots: [futureSlotTime(7), futureSlotTime(8)] });
+  alice = createClient(stack.appBase);
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+});
+
+beforeEach(() => { sent = []; });
+
+after(() => stack.close());
+
+const reminders = () => stack.fhir.search('CommunicationRequest', { category: REMINDER_CATEGORY });
+// 把提醒時間改到過去，模擬提醒已到期
+const makeDue = reminder => stack.fhir.update('CommunicationRequest', reminder.id, {
+  ...reminder, occurrenceDateTime: new Date(Date.now() - 60000).toISOString()
+});
+
+test('報名後寄出確認信，並在 FHIR 伺服器上排定活動前提醒', async () => {
+  const booked = await alice('POST', '/api/book', { slotId: seed.slotIds[0] });
+  appointmentId = booked.body.appointmentId;
+  await waitFor(() => sent.length === 1 && reminders().length === 1);
+
+  assert.equal(sent[0].to, 'alice@example.org');
+  assert.equal(sent[0].subject, '報名成功：陶藝體驗課');
+  assert.match(sent[0].text, /^Alice 您好/);
+
+  const [reminder] = reminders();
+  assert.equal(reminder.status, 'active');
+  assert.equal(reminder.about[0].reference, `Appointment/${appointmentId}`);
+  const start = stack.fhir.read('Appointment', appointmentId).start;
+  assert.equal(new Date(reminder.occurrenceDateTime).getTime(), new Date(start).getTime() - 24 * 3600000);
+});
+
+test('尚未到期的提醒不寄出；到期後寄出並標示為 completed', async () => {
+  await stack.app.locals.jobs.processDueReminders();
+  assert.equal(sent.length, 0);
+
+  makeDue(reminders()[0]);
+  await stack.app.locals.jobs.processDueReminders();
+  assert.deepEqual(sent.map(m => m.subject), ['活動提醒：陶藝體驗課']);
+  assert.equal(reminders()[0].status, 'completed');
+
+  // 已寄出的提醒不會重複寄送
+  await stack.app.locals.jobs.processDueReminders();
+  assert.equal(sent.length, 1);
+});
+
+const reminderFor = id => reminders().find(r => r.about[0].reference === `Appointment/${id}`);
+
+test('改約後原本預約的提醒到期時改為 revoked 而不寄出', async () => {
+  const moved = await alice('POST', '/api/book', { slotId: seed.slotIds[1] });
+  await waitFor(() => sent.length === 1 && reminderFor(moved.body.appointmentId));
+  assert.equal(sent[0].subject, '報名時段已更新：陶藝體驗課');
+
+  const oldReminder = reminderFor(appointmentId);
+  stack.fhir.update('CommunicationRequest', oldReminder.id, { ...oldReminder, status: 'active' });
+  makeDue(stack.fhir.read('CommunicationRequest', oldReminder.id));
+  await stack.app.locals.jobs.processDueReminders();
+  assert.equal(reminderFor(appointmentId).status, 'revoked');
+  assert.equal(sent.length, 1);
+  appointmentId = moved.body.appointmentId;
+});
+
+test('寄送失敗時提醒維持 active，下一輪再試', async () => {
+  const notifier = require('../notifier.js');
+  makeDue(reminderFor(appointmentId));
+  notifier.setTransport(async () => { throw new Error('SMTP 無法連線'); });
+  await stack.app.locals.jobs.processDueReminders();
+  assert.equal(reminderFor(appointmentId).status, 'active');
+
+  notifier.setTransport(async message => { sent.push(message); });
+  await stack.app.locals.jobs.processDueReminders();
+  assert.equal(reminderFor(appointmentId).status, 'completed');
+  assert.deepEqual(sent.map(m => m.subject), ['活動提醒：陶藝體驗課']);
+});
+
+test('取消預約時寄出取消通知', async () => {
+  await alice('POST', `/api/appointments/${appointmentId}/cancel`);
+  await waitFor(() => sent.length === 1);
+  assert.equal(sent[0].subject, '報名已取消：陶藝體驗課');
+});
+
+test('重設密碼連結經由通知模組寄出，依使用者語系套用模板', async () => {
+  const person = seedPerson(stack.fhir, { id: 'bob', name: 'Bob', email: 'bob@example.org' });
+  stack.fhir.update('Person', 'bob', { ...person, language: 'en' });
+
+  const res = await createClient(stack.appBase)('POST', '/api/request-reset', { email: 'bob@example.org' });
+  assert.equal(res.status, 200);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'bob@example.org');
+  assert.equal(sent[0].subject, 'Reset your password');
+  assert.match(sent[0].text, /reset\.html\?token=\S+/);
+});
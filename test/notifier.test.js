@@ -0,0 +1,45 @@
+// --- notifier.js：transport 選擇與模板套用 ---
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outbox = path.join(os.tmpdir(), `mail-outbox-${process.pid}.jsonl`);
+process.env.MAIL_OUTBOX_FILE = outbox;
+delete process.env.MAIL_TRANSPORT;
+const { createTransport, sendNotification, setTransport } = require('../notifier.js');
+
+afterEach(() => {
+  delete process.env.NODE_ENV;
+  fs.rmSync(outbox, { force: true });
+});
+
+test('未設定 MAIL_TRANSPORT 時，非正式環境改寫入系統暫存目錄的寄件匣', async () => {
+  setTransport(createTransport());
+  await sendNotification('booked', { to: 'alice@example.org', data: { name: 'Alice', activity: '陶藝體驗課' } });
+  const [message] = fs.readFileSync(outbox, 'utf8').trim().split('\n').map(JSON.parse);
+  assert.equal(message.to, 'alice@example.org');
+  assert.equal(message.subject, '報名成功：陶藝體驗課');
+});
+
+test('正式環境必須設定 MAIL_TRANSPORT，且不可使用 console', () => {
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => createTransport(undefined), /MAIL_TRANSPORT/);
+  assert.throws(() => createTransport('console'), /console/);
+  assert.equal(typeof createTransport('file'), 'function');
+});
+
+test('console 需明確指定；未知的 transport 直接失敗', () => {
+  assert.equal(typeof createTransport('console'), 'function');
+  assert.throws(() => createTransport('carrier-pigeon'), /未知的 MAIL_TRANSPORT/);
+});
+
+test('找不到指定語系時退回主語系，再退回預設語系', async () => {
+  const sent = [];
+  setTransport(async message => { sent.push(message); });
+  await sendNotification('reminder', { to: 'a@example.org', locale: 'en-GB', data: { activity: 'Pottery' } });
+  await sendNotification('reminder', { to: 'a@example.org', locale: 'fr', data: { activity: '陶藝' } });
+  assert.deepEqual(sent.map(m => m.subject), ['Reminder: Pottery', '活動提醒：陶藝']);
+  await assert.rejects(sendNotification('no-such-template', { to: 'a@example.org' }), /找不到郵件模板/);
+});
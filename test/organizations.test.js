@@ -0,0 +1,113 @@
+// --- 多組織：/api/organizations 搜尋與分頁、organizations.json 的公開 / 自行註冊 / 預約規則 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServers, createClient, futureSlotTime, seedSchedule, signUp } = require('./support/harness.js');
+
+const configFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'org-config-')), 'organizations.json');
+fs.writeFileSync(configFile, JSON.stringify({
+  default: { visible: true, selfEnrollment: true },
+  organizations: {
+    'org-hidden': { visible: false },
+    'org-closed': { selfEnrollment: false },
+    'org-strict': { booking: { minNoticeHours: 24, maxActiveBookings: 1, cancelCutoffHours: 48 } }
+  }
+}));
+
+const hoursFromNow = hours => {
+  const start = new Date(Date.now() + hours * 3600000);
+  return { start: start.toISOString(), end: new Date(start.getTime() + 3600000).toISOString() };
+};
+
+let stack, alice, strict, strictOther;
+
+before(async () => {
+  stack = await startServers({ ORGANIZATION_CONFIG_FILE: configFile });
+  const hospital = (id, name, city) => stack.fhir.update('Organization', id, {
+    resourceType: 'Organization',
+    active: true,
+    name,
+    type: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/organization-type', code: 'prov' }] }],
+    address: [{ city, line: ['中央路 1 號'] }]
+  });
+  hospital('org-hualien', '花蓮慈濟醫院', '花蓮市');
+  hospital('org-taipei', '台北慈濟醫院', '新北市');
+  stack.fhir.update('Organization', 'org-hidden', { resourceType: 'Organization', active: true, name: '內部訓練中心' });
+  stack.fhir.update('Organization', 'org-closed', { resourceType: 'Organization', active: true, name: '封閉式研習中心' });
+  stack.fhir.update('Organization', 'org-inactive', { resourceType: 'Organization', active: false, name: '已停業中心' });
+  strict = seedSchedule(stack.fhir, {
+    organizationId: 'org-strict', organizationName: '嚴格規則中心',
+    slots: [hoursFromNow(3), hoursFromNow(36), futureSlotTime(7)]
+  });
+  strictOther = seedSchedule(stack.fhir, { organizationId: 'org-strict', organizationName: '嚴格規則中心', comment: '書法班' });
+  alice = createClient(stack.appBase);
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: 'org-strict' });
+});
+
+after(() => stack.close());
+
+const listNames = async query => {
+  const res = await alice('GET', `/api/organizations${query}`);
+  assert.equal(res.status, 200);
+  return res.body.map(o => o.name);
+};
+
+test('只列出公開且 active 的組織，可依名稱、城市、地址與類型搜尋', async () => {
+  const all = await listNames('');
+  assert.deepEqual(all.slice().sort(), ['台北慈濟醫院', '嚴格規則中心', '封閉式研習中心', '花蓮慈濟醫院'].sort());
+
+  assert.deepEqual(await listNames(`?name=${encodeURIComponent('花蓮')}`), ['花蓮慈濟醫院']);
+  assert.deepEqual(await listNames(`?city=${encodeURIComponent('新北')}`), ['台北慈濟醫院']);
+  assert.deepEqual((await listNames(`?address=${encodeURIComponent('中央路')}`)).sort(), ['台北慈濟醫院', '花蓮慈濟醫院'].sort());
+  assert.deepEqual((await listNames('?type=prov')).sort(), ['台北慈濟醫院', '花蓮慈濟醫院'].sort());
+
+  const [hualien] = (await alice('GET', `/api/organizations?name=${encodeURIComponent('花蓮')}`)).body;
+  assert.deepEqual([hualien.id, hualien.city, hualien.address, hualien.selfEnrollment], ['org-hualien', '花蓮市', '花蓮市中央路 1 號', true]);
+});
+
+test('分頁：X-Total-Count 扣除不公開的組織，Link 指向下一頁', async () => {
+  const first = await alice('GET', '/api/organizations?limit=3');
+  assert.equal(first.headers.get('x-total-count'), '4');
+  assert.equal(first.body.length, 3);
+  const next = first.headers.get('link').match(/<([^>]+)>; rel="next"/)[1];
+  assert.match(next, /offset=3/);
+
+  const second = await alice('GET', next);
+  assert.equal(second.headers.get('x-total-count'), '4');
+  assert.equal(second.body.length, 1);
+  assert.equal(second.headers.get('link'), null);
+  assert.equal(new Set([...first.body, ...second.body].map(o => o.id)).size, 4);
+});
+
+test('不公開、不開放自行註冊或不存在的組織不可加入', async () => {
+  const join = organizationId => alice('POST', '/api/patient', { organizationId, email: 'alice@example.org' });
+  assert.equal((await join('org-closed')).status, 403);
+  assert.equal((await join('org-hidden')).status, 403);
+  assert.equal((await join('org-inactive')).status, 403);
+  assert.equal((await join('org-missing')).status, 404);
+  assert.equal((await join('org-hualien')).status, 200);
+});
+
+test('組織的預約規則：報名期限、同時預約上限與取消期限', async () => {
+  const tooSoon = await alice('POST', '/api/book', { slotId: strict.slotIds[0] });
+  assert.equal(tooSoon.status, 409);
+  assert.equal(tooSoon.body.error, '活動開始前 24 小時內無法報名');
+
+  const booked = await alice('POST', '/api/book', { slotId: strict.slotIds[1] });
+  assert.equal(booked.status, 201);
+
+  const second = await alice('POST', '/api/book', { slotId: strictOther.slotIds[0] });
+  assert.equal(second.status, 409);
+  assert.equal(second.body.error, '此組織每人最多同時報名 1 個活動');
+
+  const cancel = await alice('POST', `/api/appointments/${booked.body.appointmentId}/cancel`);
+  assert.equal(cancel.status, 409);
+  assert.equal(cancel.body.error, '活動開始前 48 小時內無法取消預約');
+
+  // 同一排程內改約不受同時預約上限限制
+  const moved = await alice('POST', '/api/book', { slotId: strict.slotIds[2] });
+  assert.equal(moved.status, 201);
+  assert.equal(moved.body.replacedAppointmentId, booked.body.appointmentId);
+});
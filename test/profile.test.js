@@ -0,0 +1,119 @@
+// --- 個人資料 /api/me：查詢與修改、同步到 Patient、變更密碼與 Email ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, waitFor, seedSchedule, signUp } = require('./support/harness.js');
+
+const PASSWORD = 'correct horse battery staple';
+let stack, north, south, sent, alice, aliceId;
+
+before(async () => {
+  stack = await startServers();
+  sent = [];
+  require('../notifier.js').setTransport(async message => { sent.push(message); });
+  north = seedSchedule(stack.fhir, { organizationName: '北區中心' });
+  south = seedSchedule(stack.fhir, { organizationName: '南區中心' });
+  alice = createClient(stack.appBase);
+  ({ personId: aliceId } = await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: north.organizationId }));
+  await alice('POST', '/api/patient', { organizationId: south.organizationId });
+  await signUp(createClient(stack.appBase), { name: 'Bob', email: 'bob@example.org', organizationId: north.organizationId });
+});
+
+after(() => stack.close());
+
+const alicePatients = () => stack.fhir.search('Patient', { identifier: `http://example.org/fhir/person|${aliceId}` });
+
+test('未登入時回傳 401', async () => {
+  assert.equal((await createClient(stack.appBase)('GET', '/api/me')).status, 401);
+  assert.equal((await createClient(stack.appBase)('PUT', '/api/me', { name: 'X' })).status, 401);
+});
+
+test('GET /api/me 回傳個人資料、角色與已加入的組織', async () => {
+  const res = await alice('GET', '/api/me');
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    { ...res.body, organizations: res.body.organizations.sort() },
+    {
+      personId: aliceId, name: 'Alice', email: 'alice@example.org', emailVerified: true,
+      phone: null, language: null, gender: null, birthDate: null,
+      roles: ['patient'], organizations: [north.organizationId, south.organizationId].sort()
+    }
+  );
+});
+
+test('修改個人資料的輸入錯誤回傳 400', async () => {
+  for (const body of [{ name: ' ' }, { phone: 'abc' }, { language: 'zh_TW' }, { gender: 'x' }, { birthDate: '2000/01/01' }, { birthDate: '2999-01-01' }]) {
+    assert.equal((await alice('PUT', '/api/me', body)).status, 400, JSON.stringify(body));
+  }
+});
+
+test('修改個人資料後同步到各組織的 Patient；快取中的 Patient 過時也不影響', async () => {
+  // 先讓 Patient 的查詢結果進入快取，再直接在 FHIR 伺服器上修改其中一筆
+  await alice('GET', '/api/me');
+  const [stale] = alicePatients();
+  stack.fhir.update('Patient', stale.id, { ...stale, address: [{ city: '花蓮市' }] });
+
+  const res = await alice('PUT', '/api/me', { name: 'Alice Wang', phone: '0912-345-678', language: 'en', gender: 'female', birthDate: '1990-05-01' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.name, 'Alice Wang');
+
+  const patients = alicePatients();
+  assert.equal(patients.length, 2);
+  for (const patient of patients) {
+    assert.deepEqual([patient.name[0].text, patient.gender, patient.birthDate], ['Alice Wang', 'female', '1990-05-01']);
+    assert.ok(patient.telecom.some(t => t.system === 'phone' && t.value === '0912-345-678'));
+  }
+  assert.deepEqual(stack.fhir.read('Patient', stale.id).address, [{ city: '花蓮市' }]);
+
+  // 未提供的欄位不變，null 代表清除
+  const cleared = await alice('PUT', '/api/me', { phone: null });
+  assert.deepEqual([cleared.body.phone, cleared.body.language], [null, 'en']);
+  assert.ok(alicePatients().every(p => !p.telecom.some(t => t.system === 'phone')));
+});
+
+test('讀取後個人資料被其他人修改時回傳 409，不覆蓋對方的變更', async () => {
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update(type, id, { ...stack.fhir.read(type, id), language: 'zh-TW' });
+  };
+  const res = await alice('PUT', '/api/me', { name: '不該寫入' });
+  assert.equal(res.status, 409);
+  assert.equal(stack.fhir.read('Person', aliceId).name[0].text, 'Alice Wang');
+});
+
+test('變更密碼需要目前密碼，完成後其他裝置需重新登入', async () => {
+  const otherDevice = createClient(stack.appBase);
+  await otherDevice('POST', '/api/login', { email: 'alice@example.org', password: PASSWORD });
+
+  assert.equal((await alice('POST', '/api/me/password', { currentPassword: 'wrong', newPassword: 'new passphrase' })).status, 401);
+  assert.equal((await alice('POST', '/api/me/password', { currentPassword: PASSWORD })).status, 400);
+  const changed = await alice('POST', '/api/me/password', { currentPassword: PASSWORD, newPassword: 'a brand new passphrase' });
+  assert.equal(changed.status, 200);
+
+  assert.equal((await alice('GET', '/api/me')).status, 200);
+  assert.equal((await otherDevice('POST', '/api/refresh')).status, 401);
+  assert.equal((await createClient(stack.appBase)('POST', '/api/login', { email: 'alice@example.org', password: PASSWORD })).status, 401);
+  assert.equal((await createClient(stack.appBase)('POST', '/api/login', { email: 'alice@example.org', password: 'a brand new passphrase' })).status, 200);
+});
+
+test('變更 Email 後需重新驗證，並同步到 Patient', async () => {
+  const currentPassword = 'a brand new passphrase';
+  assert.equal((await alice('POST', '/api/me/email', { newEmail: 'not-an-email', currentPassword })).status, 400);
+  assert.equal((await alice('POST', '/api/me/email', { newEmail: 'alice@new.example.org', currentPassword: 'wrong' })).status, 401);
+  assert.equal((await alice('POST', '/api/me/email', { newEmail: 'bob@example.org', currentPassword })).status, 409);
+  assert.equal((await alice('POST', '/api/me/email', { newEmail: 'alice@example.org', currentPassword })).status, 409);
+
+  const changed = await alice('POST', '/api/me/email', { newEmail: 'alice@new.example.org', currentPassword });
+  assert.equal(changed.status, 200);
+  assert.deepEqual([changed.body.email, changed.body.emailVerified], ['alice@new.example.org', false]);
+  assert.ok(alicePatients().every(p => p.identifier.some(i => i.system === 'http://example.org/fhir/email' && i.value === 'alice@new.example.org')));
+
+  // 新地址驗證前不可預約
+  const booked = await alice('POST', '/api/book', { slotId: north.slotIds[0] });
+  assert.equal(booked.body.code, 'EMAIL_NOT_VERIFIED');
+
+  await waitFor(() => sent.some(m => m.to === 'alice@new.example.org'));
+  const link = new URL(sent.find(m => m.to === 'alice@new.example.org').text.match(/https?:\/\/\S+/)[0]);
+  await alice('GET', link.pathname + link.search);
+  assert.equal((await alice('POST', '/api/book', { slotId: north.slotIds[0] })).status, 201);
+  assert.equal((await createClient(stack.appBase)('POST', '/api/login', { email: 'alice@new.example.org', password: currentPassword })).status, 200);
+});
@@ -0,0 +1,110 @@
+// --- questionnaire.js：問卷格式檢查、回答驗證與轉換、enableWhen 條件 ---
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateQuestionnaire, validateAnswers, listQuestions, readResponseAnswers } = require('../questionnaire.js');
+
+const questionnaire = (...item) => ({ resourceType: 'Questionnaire', status: 'active', item });
+
+// 常用題目：飲食 (選擇題)、過敏說明 (飲食為 allergy 時才需要)、人數、聯絡資料群組
+const diet = {
+  linkId: 'diet', text: '飲食', type: 'choice', required: true,
+  answerOption: [{ valueCoding: { code: 'regular', display: '葷食' } }, { valueCoding: { code: 'allergy', display: '有過敏' } }]
+};
+const allergy = {
+  linkId: 'allergy', text: '過敏說明', type: 'string', required: true, maxLength: 10,
+  enableWhen: [{ question: 'diet', operator: '=', answerCoding: { code: 'allergy' } }]
+};
+const form = questionnaire(diet, allergy);
+
+test('validateQuestionnaire：接受支援的格式', () => {
+  assert.equal(validateQuestionnaire(form), null);
+  assert.equal(validateQuestionnaire(questionnaire({ linkId: 'g', type: 'group', item: [{ linkId: 'g.1', type: 'integer' }] })), null);
+});
+
+test('validateQuestionnaire：拒絕格式錯誤的問卷', () => {
+  const cases = [
+    [{ resourceType: 'Patient' }, /resourceType/],
+    [{ ...form, status: 'published' }, /status/],
+    [questionnaire(), /至少需要一個題目/],
+    [questionnaire({ type: 'string' }), /linkId/],
+    [questionnaire({ linkId: 'a', type: 'string' }, { linkId: 'g', type: 'group', item: [{ linkId: 'a', type: 'string' }] }), /linkId 重複: a/],
+    [questionnaire({ linkId: 'a', type: 'attachment' }), /題型 attachment 不支援/],
+    [questionnaire({ linkId: 'a', text: '飲食', type: 'choice' }), /「飲食」 為選擇題/],
+    [questionnaire({ linkId: 'g', type: 'group' }), /為群組，需要子題目/],
+    [questionnaire({ linkId: 'a', type: 'string', enableWhen: [{ question: 'nope', operator: 'exists', answerBoolean: true }] }), /不存在的題目 nope/],
+    [questionnaire(diet, { ...allergy, enableWhen: [{ question: 'diet', operator: '~', answerString: 'x' }] }), /operator 不支援/]
+  ];
+  for (const [input, message] of cases) assert.match(validateQuestionnaire(input), message);
+});
+
+test('validateAnswers：必填、未知題目與回答格式', () => {
+  assert.equal(validateAnswers(form, {}).error, '「飲食」 為必填');
+  assert.equal(validateAnswers(form, { diet: '  ' }).error, '「飲食」 為必填');
+  assert.equal(validateAnswers(form, { diet: 'regular', extra: 1 }).error, '問卷中沒有此題目: extra');
+  assert.equal(validateAnswers(form, ['regular']).error, 'answers 須為 { linkId: 值 } 物件');
+  assert.match(validateAnswers(form, { diet: 'vegan' }).error, /須為 regular、allergy 其中之一/);
+  assert.equal(validateAnswers(form, { diet: ['regular', 'allergy'] }).error, '「飲食」 只能有一個回答');
+
+  const typed = questionnaire(
+    { linkId: 'n', type: 'integer' }, { linkId: 'd', type: 'date' }, { linkId: 't', type: 'time' },
+    { linkId: 'b', type: 'boolean' }, { linkId: 'u', type: 'url' }
+  );
+  assert.match(validateAnswers(typed, { n: 1.5 }).error, /須為整數/);
+  assert.match(validateAnswers(typed, { d: '2024/01/01' }).error, /須為日期/);
+  assert.match(validateAnswers(typed, { t: '25:00' }).error, /須為時間/);
+  assert.match(validateAnswers(typed, { b: 'yes' }).error, /須為是 \/ 否/);
+  assert.match(validateAnswers(typed, { u: 'ftp://example.org' }).error, /須為 http\(s\) 網址/);
+});
+
+test('validateAnswers：轉成 QuestionnaireResponse.item', () => {
+  const repeated = questionnaire(
+    { linkId: 'days', text: '可參加日', type: 'open-choice', repeats: true, answerOption: [{ valueString: '週六' }] },
+    { linkId: 'g', text: '聯絡人', type: 'group', item: [{ linkId: 'g.phone', text: '電話', type: 'string' }, { linkId: 'g.note', type: 'text' }] },
+    { linkId: 'at', type: 'time' },
+    { linkId: 'info', type: 'display', text: '說明文字' }
+  );
+  const { items } = validateAnswers(repeated, { days: ['週六', '週日'], 'g.phone': '0912', at: '09:30' });
+  // 以 JSON 比對，與寫入 FHIR 伺服器的內容相同 (未定義的欄位不會送出)
+  assert.deepEqual(JSON.parse(JSON.stringify(items)), [
+    { linkId: 'days', text: '可參加日', answer: [{ valueString: '週六' }, { valueString: '週日' }] },
+    { linkId: 'g', text: '聯絡人', item: [{ linkId: 'g.phone', text: '電話', answer: [{ valueString: '0912' }] }] },
+    { linkId: 'at', answer: [{ valueTime: '09:30:00' }] }
+  ]);
+  assert.deepEqual(validateAnswers(form, { diet: 'regular' }).items[0].answer, [{ valueCoding: diet.answerOption[0].valueCoding }]);
+});
+
+test('enableWhen：未啟用的題目不需回答且忽略其回答，啟用後依規則驗證', () => {
+  assert.deepEqual(validateAnswers(form, { diet: 'regular', allergy: '花生' }).items.map(i => i.linkId), ['diet']);
+  assert.equal(validateAnswers(form, { diet: 'allergy' }).error, '「過敏說明」 為必填');
+  assert.equal(validateAnswers(form, { diet: 'allergy', allergy: '花生、蝦蟹、奶蛋、小麥類' }).error, '「過敏說明」 最多 10 個字');
+  assert.deepEqual(validateAnswers(form, { diet: 'allergy', allergy: '花生' }).items[1].answer, [{ valueString: '花生' }]);
+});
+
+test('enableWhen：exists、數值比較與 enableBehavior', () => {
+  const count = { linkId: 'count', type: 'integer' };
+  const note = (conditions, enableBehavior) => questionnaire(count, { linkId: 'note', type: 'string', required: true, enableWhen: conditions, enableBehavior });
+  const required = (q, answers) => validateAnswers(q, answers).error === '「note」 為必填';
+
+  const exists = note([{ question: 'count', operator: 'exists', answerBoolean: true }]);
+  assert.equal(required(exists, {}), false);
+  assert.equal(required(exists, { count: 1 }), true);
+  const missing = note([{ question: 'count', operator: 'exists', answerBoolean: false }]);
+  assert.equal(required(missing, {}), true);
+
+  const atLeastThree = note([{ question: 'count', operator: '>=', answerInteger: 3 }]);
+  assert.equal(required(atLeastThree, { count: 2 }), false);
+  assert.equal(required(atLeastThree, { count: 3 }), true);
+
+  const range = [{ question: 'count', operator: '>', answerInteger: 1 }, { question: 'count', operator: '<', answerInteger: 5 }];
+  assert.equal(required(note(range, 'all'), { count: 8 }), false);
+  assert.equal(required(note(range, 'any'), { count: 8 }), true);
+  assert.equal(required(note(range, 'all'), { count: 3 }), true);
+});
+
+test('listQuestions 與 readResponseAnswers', () => {
+  const withGroup = questionnaire(diet, { linkId: 'g', type: 'group', item: [{ linkId: 'g.phone', text: '電話', type: 'string' }] });
+  assert.deepEqual(listQuestions(withGroup), [{ linkId: 'diet', text: '飲食' }, { linkId: 'g.phone', text: '電話' }]);
+
+  const { items } = validateAnswers(questionnaire(diet, { linkId: 'days', type: 'string', repeats: true }), { diet: 'allergy', days: ['週六', '週日'] });
+  assert.deepEqual(readResponseAnswers({ resourceType: 'QuestionnaireResponse', item: items }), { diet: '有過敏', days: ['週六', '週日'] });
+});
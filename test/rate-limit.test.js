@@ -0,0 +1,90 @@
+// --- 頻率限制與登入鎖定：429 + Retry-After、漸進式鎖定與 Email 解鎖 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, waitFor, seedSchedule, seedPerson, signUp } = require('./support/harness.js');
+const { createMemoryRateLimitStore, createRateLimiter, createLoginLockout } = require('../rateLimiter.js');
+
+const PASSWORD = 'correct horse battery staple';
+let stack, seed, sent;
+
+before(async () => {
+  stack = await startServers({
+    RATE_LIMITS: JSON.stringify({ register: { perAccount: 2 }, requestReset: { perAccount: 1 }, book: { perAccount: 2 } }),
+    LOGIN_LOCK_THRESHOLD: '3'
+  });
+  seed = seedSchedule(stack.fhir);
+  seedPerson(stack.fhir, { id: 'person-bob', name: 'Bob', email: 'bob@example.org' });
+  sent = [];
+  require('../notifier.js').setTransport(async message => { sent.push(message); });
+});
+
+after(() => stack.close());
+
+const login = (password, email = 'bob@example.org') => createClient(stack.appBase)('POST', '/api/login', { email, password });
+
+test('超過路由的帳號上限時回傳 429 與 Retry-After', async () => {
+  const register = () => createClient(stack.appBase)('POST', '/api/register', { name: 'Eve', email: 'eve@example.org', password: PASSWORD });
+  assert.equal((await register()).status, 201);
+  assert.equal((await register()).status, 409);
+  const limited = await register();
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal(limited.body.retryAfter, Number(limited.headers.get('retry-after')));
+});
+
+test('重設密碼請求同一帳號只寄出一次', async () => {
+  const request = () => createClient(stack.appBase)('POST', '/api/request-reset', { email: 'bob@example.org' });
+  assert.equal((await request()).status, 200);
+  assert.equal((await request()).status, 429);
+  await waitFor(() => sent.some(m => m.to === 'bob@example.org'));
+  assert.equal(sent.filter(m => m.to === 'bob@example.org').length, 1);
+});
+
+test('/api/book 也有每個帳號的上限', async () => {
+  const alice = createClient(stack.appBase);
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+  assert.equal((await alice('POST', '/api/book', { slotId: seed.slotIds[0] })).status, 201);
+  assert.equal((await alice('POST', '/api/book', { slotId: seed.slotIds[1] })).status, 201);
+  assert.equal((await alice('POST', '/api/book', { slotId: seed.slotIds[2] })).status, 429);
+  assert.equal(stack.fhir.read('Slot', seed.slotIds[2]).status, 'free');
+});
+
+test('連續登入失敗後鎖定帳號，正確密碼也回傳 429；Email 解鎖連結只能使用一次', async () => {
+  sent.length = 0;
+  for (let i = 0; i < 3; i++) assert.equal((await login('wrong')).status, 401);
+  const locked = await login(PASSWORD);
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) >= 1);
+
+  await waitFor(() => sent.some(m => m.to === 'bob@example.org'));
+  const unlockLink = new URL(sent.find(m => m.to === 'bob@example.org').text.match(/https?:\/\/\S+/)[0]);
+  const client = createClient(stack.appBase);
+  const unlocked = await client('GET', unlockLink.pathname + unlockLink.search);
+  assert.equal(unlocked.status, 302);
+  assert.equal(unlocked.headers.get('location'), '/login.html?unlock=ok');
+  assert.equal((await login(PASSWORD)).status, 200);
+
+  const replay = await client('GET', unlockLink.pathname + unlockLink.search);
+  assert.equal(replay.headers.get('location'), '/login.html?unlock=invalid');
+});
+
+test('鎖定時間每次加倍，且不超過上限', async () => {
+  const lockout = createLoginLockout({ store: createMemoryRateLimitStore(), threshold: 2, baseLockMs: 1000, maxLockMs: 3000 });
+  const lockTimes = [];
+  for (let i = 0; i < 8; i++) {
+    const result = await lockout.recordFailure('Bob@Example.org');
+    if (result.lockedNow) lockTimes.push(result.lockMs);
+  }
+  assert.deepEqual(lockTimes, [1000, 2000, 3000, 3000]);
+  assert.equal((await lockout.check('bob@example.org')).locked, true);
+  await lockout.reset('bob@example.org');
+  assert.equal((await lockout.check('bob@example.org')).locked, false);
+});
+
+test('計數儲存無法使用時不阻擋請求', async () => {
+  const broken = { incr: async () => { throw new Error('down'); } };
+  const middleware = createRateLimiter({ store: broken, rules: { login: { windowMs: 1000, perIp: 1 } } }).limit('login');
+  let passed = false;
+  await middleware({ ip: '127.0.0.1' }, {}, () => { passed = true; });
+  assert.equal(passed, true);
+});
@@ -0,0 +1,144 @@
+// --- 報名問卷：管理 Questionnaire、連結排程、報名 / 改約 / 候補時驗證並儲存 QuestionnaireResponse、查看回答 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, futureSlotTime, seedSchedule, seedPerson, signUp } = require('./support/harness.js');
+
+const PASSWORD = 'correct horse battery staple';
+const MANAGING_ORGANIZATION_SYSTEM = 'http://example.org/fhir/managing-organization';
+let stack, seed, full, other, admin, staff, alice, bob, form;
+
+const QUESTIONNAIRE = {
+  resourceType: 'Questionnaire',
+  title: '陶藝課報名表',
+  item: [
+    {
+      linkId: 'diet', text: '飲食', type: 'choice', required: true,
+      answerOption: [{ valueCoding: { code: 'regular', display: '葷食' } }, { valueCoding: { code: 'allergy', display: '有過敏' } }]
+    },
+    {
+      linkId: 'allergy', text: '過敏說明', type: 'string', required: true,
+      enableWhen: [{ question: 'diet', operator: '=', answerCoding: { code: 'allergy' } }]
+    }
+  ]
+};
+
+before(async () => {
+  stack = await startServers({ ADMIN_PERSON_IDS: 'admin-1' });
+  seed = seedSchedule(stack.fhir);
+  // 只有一個名額的排程，供候補使用
+  full = seedSchedule(stack.fhir, { organizationId: seed.organizationId, comment: '額滿班', slots: [futureSlotTime(10)] });
+  other = seedSchedule(stack.fhir, { organizationName: '其他中心' });
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  stack.fhir.update('Person', 'staff-1', {
+    ...seedPerson(stack.fhir, { id: 'staff-1', name: '志工', email: 'staff@example.org' }),
+    identifier: [
+      ...stack.fhir.read('Person', 'staff-1').identifier,
+      { system: 'http://example.org/fhir/role', value: 'staff', assigner: { reference: `Organization/${other.organizationId}` } }
+    ]
+  });
+  [admin, staff, alice, bob] = [0, 1, 2, 3].map(() => createClient(stack.appBase));
+  await admin('POST', '/api/login', { email: 'admin@example.org', password: PASSWORD });
+  await staff('POST', '/api/login', { email: 'staff@example.org', password: PASSWORD });
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+  await signUp(bob, { name: 'Bob', email: 'bob@example.org', organizationId: seed.organizationId });
+});
+
+after(() => stack.close());
+
+const responseOf = appointmentId => {
+  const ref = stack.fhir.read('Appointment', appointmentId).supportingInformation
+    .map(s => s.reference).find(r => r.startsWith('QuestionnaireResponse/'));
+  return ref ? stack.fhir.read('QuestionnaireResponse', ref.split('/')[1]) : null;
+};
+
+test('新增問卷：格式錯誤回傳 400，無權管理的組織回傳 403', async () => {
+  assert.equal((await admin('POST', '/api/admin/questionnaires', { organizationId: seed.organizationId, questionnaire: { ...QUESTIONNAIRE, item: [] } })).status, 400);
+  assert.equal((await admin('POST', '/api/admin/questionnaires', { questionnaire: QUESTIONNAIRE })).status, 400);
+  assert.equal((await staff('POST', '/api/admin/questionnaires', { organizationId: seed.organizationId, questionnaire: QUESTIONNAIRE })).status, 403);
+
+  const created = await admin('POST', '/api/admin/questionnaires', { organizationId: seed.organizationId, questionnaire: QUESTIONNAIRE });
+  assert.equal(created.status, 201);
+  form = created.body;
+  assert.equal(form.status, 'active');
+  assert.deepEqual(form.identifier, [{ system: MANAGING_ORGANIZATION_SYSTEM, value: seed.organizationId }]);
+
+  await staff('POST', '/api/admin/questionnaires', { organizationId: other.organizationId, questionnaire: { ...QUESTIONNAIRE, title: '其他中心報名表' } });
+  const list = await admin('GET', `/api/admin/questionnaires?organizationId=${seed.organizationId}`);
+  assert.deepEqual(list.body.questionnaires.map(q => [q.questionnaireId, q.title, q.itemCount]), [[form.id, '陶藝課報名表', 2]]);
+  assert.equal((await staff('GET', `/api/admin/questionnaires/${form.id}`)).status, 403);
+});
+
+test('排程連結同一組織的問卷後，報名表單可取得問卷', async () => {
+  const otherForm = (await staff('GET', `/api/admin/questionnaires?organizationId=${other.organizationId}`)).body.questionnaires[0];
+  assert.equal((await admin('PUT', `/api/admin/schedules/${seed.scheduleId}`, { questionnaireId: otherForm.questionnaireId })).status, 400);
+  for (const scheduleId of [seed.scheduleId, full.scheduleId]) {
+    assert.equal((await admin('PUT', `/api/admin/schedules/${scheduleId}`, { questionnaireId: form.id })).body.questionnaireId, form.id);
+  }
+
+  const res = await alice('GET', `/api/schedules/${seed.scheduleId}/questionnaire`);
+  assert.deepEqual([res.body.scheduleId, res.body.questionnaire.id], [seed.scheduleId, form.id]);
+  const { schedules } = (await alice('GET', `/api/schedules?organizationId=${seed.organizationId}`)).body;
+  assert.ok(schedules.every(s => s.questionnaireId === form.id));
+});
+
+test('報名時驗證回答，與 Appointment 在同一筆交易中存為 QuestionnaireResponse', async () => {
+  const missing = await alice('POST', '/api/book', { slotId: seed.slotIds[0] });
+  assert.deepEqual([missing.status, missing.body.error], [400, '「飲食」 為必填']);
+  const noAllergy = await alice('POST', '/api/book', { slotId: seed.slotIds[0], answers: { diet: 'allergy' } });
+  assert.equal(noAllergy.body.error, '「過敏說明」 為必填');
+  assert.equal(stack.fhir.read('Slot', seed.slotIds[0]).status, 'free');
+  assert.equal(stack.fhir.search('QuestionnaireResponse', {}).length, 0);
+
+  const booked = await alice('POST', '/api/book', { slotId: seed.slotIds[0], answers: { diet: 'allergy', allergy: '花生' } });
+  assert.equal(booked.status, 201);
+  const response = responseOf(booked.body.appointmentId);
+  assert.deepEqual([response.questionnaire, response.status], [`Questionnaire/${form.id}`, 'completed']);
+  assert.deepEqual(response.item.map(i => [i.linkId, i.answer[0]]), [
+    ['diet', { valueCoding: { code: 'allergy', display: '有過敏' } }], ['allergy', { valueString: '花生' }]
+  ]);
+
+  // 改約未帶 answers 時沿用原本的回答；帶 answers 時重新填寫
+  const moved = await alice('POST', '/api/book', { slotId: seed.slotIds[1] });
+  assert.equal(moved.status, 201);
+  assert.equal(responseOf(moved.body.appointmentId).id, response.id);
+  const refilled = await alice('POST', '/api/book', { slotId: seed.slotIds[2], answers: { diet: 'regular' } });
+  assert.notEqual(responseOf(refilled.body.appointmentId).id, response.id);
+});
+
+test('候補時也需填寫問卷，回答隨候補的 Appointment 保留', async () => {
+  assert.equal((await bob('POST', '/api/book', { slotId: full.slotIds[0], answers: { diet: 'regular' } })).status, 201);
+  assert.equal((await alice('POST', `/api/schedules/${full.scheduleId}/waitlist`, {})).status, 400);
+  const waitlisted = await alice('POST', `/api/schedules/${full.scheduleId}/waitlist`, { answers: { diet: 'regular' } });
+  assert.equal(waitlisted.status, 201);
+  assert.deepEqual(responseOf(waitlisted.body.appointmentId).item.map(i => i.linkId), ['diet']);
+});
+
+test('主辦單位查看排程的問卷回答', async () => {
+  const res = await admin('GET', `/api/admin/schedules/${full.scheduleId}/responses`);
+  assert.deepEqual(res.body.questions, [{ linkId: 'diet', text: '飲食' }, { linkId: 'allergy', text: '過敏說明' }]);
+  assert.deepEqual(res.body.responses.map(r => [r.name, r.status, r.answers]), [
+    ['Bob', 'booked', { diet: '葷食' }], ['Alice', 'waitlist', { diet: '葷食' }]
+  ]);
+  assert.equal((await staff('GET', `/api/admin/schedules/${full.scheduleId}/responses`)).status, 403);
+});
+
+test('修改問卷時以最新版本檢查，快取中的舊版本不影響；並行修改回傳 409', async () => {
+  // 先讓問卷進入快取，再直接在 FHIR 伺服器上修改
+  await alice('GET', `/api/schedules/${seed.scheduleId}/questionnaire`);
+  stack.fhir.update('Questionnaire', form.id, { ...stack.fhir.read('Questionnaire', form.id), publisher: '其他人剛修改' });
+
+  const updated = await admin('PUT', `/api/admin/questionnaires/${form.id}`, { questionnaire: { ...QUESTIONNAIRE, title: '陶藝課報名表 (新版)' } });
+  assert.equal(updated.status, 200);
+  assert.deepEqual([updated.body.title, updated.body.identifier], ['陶藝課報名表 (新版)', form.identifier]);
+
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update(type, id, { ...stack.fhir.read(type, id), publisher: '其他人剛修改' });
+  };
+  assert.equal((await admin('PUT', `/api/admin/questionnaires/${form.id}`, { questionnaire: { ...QUESTIONNAIRE, title: '不該寫入' } })).status, 409);
+  assert.equal(stack.fhir.read('Questionnaire', form.id).title, '陶藝課報名表 (新版)');
+
+  // 停用後報名不再需要問卷
+  await admin('PUT', `/api/admin/questionnaires/${form.id}`, { questionnaire: { ...QUESTIONNAIRE, status: 'retired' } });
+  assert.equal((await alice('GET', `/api/schedules/${seed.scheduleId}/questionnaire`)).body.questionnaire, null);
+});
@@ -0,0 +1,95 @@
+// --- 角色與權限：authenticate / requireRole / canManageOrganization 與 /api/admin/persons/:id/roles ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, seedSchedule, seedPerson, signUp } = require('./support/harness.js');
+
+const PASSWORD = 'correct horse battery staple';
+let stack, admin, alice, bob, north, south, bobId;
+
+before(async () => {
+  stack = await startServers({ ADMIN_PERSON_IDS: 'admin-1' });
+  north = seedSchedule(stack.fhir, { organizationName: '北區中心' });
+  south = seedSchedule(stack.fhir, { organizationName: '南區中心' });
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  admin = createClient(stack.appBase);
+  alice = createClient(stack.appBase);
+  bob = createClient(stack.appBase);
+  const login = await admin('POST', '/api/login', { email: 'admin@example.org', password: PASSWORD });
+  assert.deepEqual(login.body.roles, ['patient', 'admin']);
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: north.organizationId });
+  ({ personId: bobId } = await signUp(bob, { name: 'Bob', email: 'bob@example.org', organizationId: north.organizationId }));
+});
+
+after(() => stack.close());
+
+const storedRoles = personId => stack.fhir.read('Person', personId).identifier
+  .filter(i => i.system === 'http://example.org/fhir/role')
+  .map(i => (i.assigner ? `${i.value}:${i.assigner.reference}` : i.value))
+  .sort();
+
+test('一般使用者 (patient) 呼叫管理 API 時 requireRole 回傳 403', async () => {
+  const res = await alice('GET', `/api/admin/schedules?organizationId=${north.organizationId}`);
+  assert.equal(res.status, 403);
+  assert.equal((await alice('PUT', `/api/admin/persons/${bobId}/roles`, { admin: true })).status, 403);
+});
+
+test('註冊後權杖不可當作登入 cookie 使用', async () => {
+  const registered = await createClient(stack.appBase)('POST', '/api/register', { name: 'Eve', email: 'eve@example.org', password: PASSWORD });
+  const res = await fetch(`${stack.appBase}/api/appointments`, { headers: { Cookie: `token=${registered.body.postRegistrationToken}` } });
+  assert.equal(res.status, 401);
+});
+
+test('admin 指派 staff 後，staff 只能管理所屬組織 (canManageOrganization)', async () => {
+  const assigned = await admin('PUT', `/api/admin/persons/${bobId}/roles`, { staffOrganizationIds: [north.organizationId] });
+  assert.equal(assigned.status, 200);
+  assert.deepEqual(assigned.body.roles, ['patient', 'staff']);
+  assert.deepEqual(storedRoles(bobId), [`staff:Organization/${north.organizationId}`]);
+
+  // 角色寫在登入權杖中，重新登入後生效
+  assert.equal((await bob('GET', `/api/admin/schedules?organizationId=${north.organizationId}`)).status, 403);
+  await bob('POST', '/api/login', { email: 'bob@example.org', password: PASSWORD });
+  assert.equal((await bob('GET', `/api/admin/schedules?organizationId=${north.organizationId}`)).status, 200);
+
+  const other = await bob('GET', `/api/admin/schedules?organizationId=${south.organizationId}`);
+  assert.equal(other.status, 403);
+  assert.equal(other.body.error, '無權管理此組織');
+  const otherSchedule = await bob('PUT', `/api/admin/schedules/${south.scheduleId}`, { comment: '改別人的排程' });
+  assert.equal(otherSchedule.status, 403);
+
+  // staff 不可指派角色
+  assert.equal((await bob('PUT', `/api/admin/persons/${bobId}/roles`, { admin: true })).status, 403);
+});
+
+test('只送其中一個欄位時，另一個角色維持不變', async () => {
+  await admin('PUT', `/api/admin/persons/${bobId}/roles`, { admin: true });
+  assert.deepEqual(storedRoles(bobId), ['admin', `staff:Organization/${north.organizationId}`]);
+
+  await admin('PUT', `/api/admin/persons/${bobId}/roles`, { staffOrganizationIds: [north.organizationId, south.organizationId] });
+  assert.deepEqual(storedRoles(bobId), ['admin', `staff:Organization/${north.organizationId}`, `staff:Organization/${south.organizationId}`]);
+
+  await admin('PUT', `/api/admin/persons/${bobId}/roles`, { admin: false, staffOrganizationIds: [] });
+  assert.deepEqual(storedRoles(bobId), []);
+});
+
+test('角色設定的輸入錯誤回傳 400，找不到使用者回傳 404', async () => {
+  assert.equal((await admin('PUT', `/api/admin/persons/${bobId}/roles`, {})).status, 400);
+  assert.equal((await admin('PUT', `/api/admin/persons/${bobId}/roles`, { admin: 'yes' })).status, 400);
+  assert.equal((await admin('PUT', `/api/admin/persons/${bobId}/roles`, { staffOrganizationIds: 'x' })).status, 400);
+  assert.equal((await admin('PUT', '/api/admin/persons/nobody/roles', { admin: true })).status, 404);
+});
+
+test('兩個角色變更同時發生時，後寫入的回傳 409', async () => {
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update(type, id, { ...stack.fhir.read(type, id), name: [{ text: 'Bob (其他人剛更新)' }] });
+  };
+  const res = await admin('PUT', `/api/admin/persons/${bobId}/roles`, { admin: true });
+  assert.equal(res.status, 409);
+  assert.deepEqual(storedRoles(bobId), []);
+});
+
+test('ADMIN_PERSON_IDS 中的使用者一律具有 admin 角色', async () => {
+  await admin('PUT', '/api/admin/persons/admin-1/roles', { admin: false });
+  const login = await admin('POST', '/api/login', { email: 'admin@example.org', password: PASSWORD });
+  assert.deepEqual(login.body.roles, ['patient', 'admin']);
+});
@@ -0,0 +1,110 @@
+// --- 管理後台：報名名單匯出 /api/admin/schedules/:id/roster (CSV / XLSX) ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { startServers, createClient, futureSlotTime, seedSchedule, seedPerson, signUp } = require('./support/harness.js');
+
+const PASSWORD = 'correct horse battery staple';
+const HEADER = '活動,姓名,Email,代為報名者,開始時間,結束時間,狀態,參加方式,用餐偏好';
+let stack, seed, other, admin, staff, alice, eve, options;
+
+// 時段固定在 UTC 02:00，以 Asia/Taipei 顯示為當天 10:00
+const taipeiTime = (iso, hour) => `${new Date(new Date(iso).getTime() + 8 * 3600000).toISOString().slice(0, 10)} ${hour}`;
+
+before(async () => {
+  stack = await startServers({ ADMIN_PERSON_IDS: 'admin-1' });
+  seed = seedSchedule(stack.fhir, { comment: '陶藝體驗課' });
+  other = seedSchedule(stack.fhir, { organizationName: '其他中心' });
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  stack.fhir.update('Person', 'staff-1', {
+    ...seedPerson(stack.fhir, { id: 'staff-1', name: '志工', email: 'staff@example.org' }),
+    identifier: [
+      ...stack.fhir.read('Person', 'staff-1').identifier,
+      { system: 'http://example.org/fhir/role', value: 'staff', assigner: { reference: `Organization/${other.organizationId}` } }
+    ]
+  });
+  [admin, staff, alice, eve] = [0, 1, 2, 3].map(() => createClient(stack.appBase));
+  await admin('POST', '/api/login', { email: 'admin@example.org', password: PASSWORD });
+  await staff('POST', '/api/login', { email: 'staff@example.org', password: PASSWORD });
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+  await signUp(eve, { name: '=Eve, "the tester"', email: 'eve@example.org', organizationId: seed.organizationId });
+  options = (await alice('GET', '/api/appointment-options')).body;
+
+  await alice('POST', '/api/book', { slotId: seed.slotIds[0], serviceType: options.serviceTypes[0], mealPreference: options.mealPreferences[0] });
+  const kid = (await alice('POST', '/api/dependents', { name: '小明', relationship: 'CHILD' })).body.dependentId;
+  await alice('POST', `/api/dependents/${kid}/patient`, { organizationId: seed.organizationId });
+  await alice('POST', '/api/book', { slotId: seed.slotIds[1], dependentId: kid });
+  const eveBooking = await eve('POST', '/api/book', { slotId: seed.slotIds[2] });
+  await eve('POST', `/api/appointments/${eveBooking.body.appointmentId}/cancel`);
+});
+
+after(() => stack.close());
+
+const roster = (query = '') => admin('GET', `/api/admin/schedules/${seed.scheduleId}/roster${query}`);
+const csvLines = body => body.split('\r\n').filter(Boolean);
+
+// 以 fetch 直接下載，取得未經文字解碼的內容 (BOM、xlsx)
+async function download(query) {
+  const login = await fetch(`${stack.appBase}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'admin@example.org', password: PASSWORD })
+  });
+  const cookie = login.headers.getSetCookie().map(c => c.split(';')[0]).join('; ');
+  const res = await fetch(`${stack.appBase}/api/admin/schedules/${seed.scheduleId}/roster${query}`, { headers: { Cookie: cookie } });
+  return { res, body: Buffer.from(await res.arrayBuffer()) };
+}
+
+test('CSV 名單的欄位、本人與家屬的聯絡資料', async () => {
+  const res = await roster();
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/csv/);
+  assert.equal(res.headers.get('content-disposition'), `attachment; filename="roster-${seed.scheduleId}.csv"`);
+  // 開頭有 UTF-8 BOM，Excel 直接開啟時中文才不會變成亂碼
+  assert.deepEqual([...(await download('')).body.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+
+  const [slot0, slot1] = [futureSlotTime(7), futureSlotTime(8)];
+  assert.deepEqual(csvLines(res.body), [
+    HEADER,
+    ['陶藝體驗課', 'Alice', 'alice@example.org', '', taipeiTime(slot0.start, '10:00'), taipeiTime(slot0.end, '11:00'), '已報名',
+      options.serviceTypes[0], options.mealPreferences[0]].join(','),
+    ['陶藝體驗課', '小明', 'alice@example.org', 'Alice', taipeiTime(slot1.start, '10:00'), taipeiTime(slot1.end, '11:00'), '已報名', '', ''].join(',')
+  ]);
+});
+
+test('依狀態與日期篩選；值開頭為公式字元時加上單引號並正確跳脫', async () => {
+  const cancelled = csvLines((await roster('?status=cancelled')).body);
+  assert.equal(cancelled.length, 2);
+  assert.match(cancelled[1], /^陶藝體驗課,"'=Eve, ""the tester""",eve@example.org,,.*,已取消,,$/);
+
+  const from = futureSlotTime(8).start;
+  const lines = csvLines((await roster(`?from=${encodeURIComponent(from)}`)).body);
+  assert.deepEqual(lines.slice(1).map(line => line.split(',')[1]), ['小明']);
+});
+
+test('輸入錯誤回傳 400，無權管理的組織回傳 403', async () => {
+  assert.equal((await roster('?format=pdf')).status, 400);
+  assert.equal((await roster('?status=booked,unknown')).status, 400);
+  assert.equal((await roster('?from=yesterday')).status, 400);
+  assert.equal((await admin('GET', '/api/admin/schedules/nope/roster')).status, 404);
+  assert.equal((await staff('GET', `/api/admin/schedules/${seed.scheduleId}/roster`)).status, 403);
+  assert.equal((await alice('GET', `/api/admin/schedules/${seed.scheduleId}/roster`)).status, 403);
+});
+
+test('XLSX 名單與 CSV 欄位相同', async () => {
+  const { res, body } = await download('?format=xlsx');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(body);
+  const sheet = workbook.getWorksheet('報名名單');
+  assert.deepEqual(sheet.getRow(1).values.slice(1), HEADER.split(','));
+  assert.deepEqual([2, 3].map(n => sheet.getRow(n).getCell(2).value), ['Alice', '小明']);
+  assert.equal(sheet.getRow(3).getCell(4).value, 'Alice');
+});
+
+test('匯出會留下稽核紀錄', async () => {
+  const events = stack.fhir.search('AuditEvent', { entity: `Schedule/${seed.scheduleId}` });
+  assert.ok(events.some(e => e.subtype?.some(c => c.code === 'roster-export')));
+});
@@ -0,0 +1,88 @@
+// --- 活動排程查詢 /api/schedules：篩選、游標分頁與空位統計 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, futureSlotTime, seedSchedule, signUp } = require('./support/harness.js');
+
+let stack, alice, pottery, calligraphy, tea, yoga;
+
+const dayFromNow = days => futureSlotTime(days, 0).start;
+
+// 建立同一組織的排程，並補上 planningHorizon 與 serviceType
+function seed(comment, slotDays, { serviceType } = {}) {
+  const seeded = seedSchedule(stack.fhir, {
+    organizationId: 'org-1', comment, slots: slotDays.map(d => futureSlotTime(d))
+  });
+  const schedule = stack.fhir.read('Schedule', seeded.scheduleId);
+  stack.fhir.update('Schedule', schedule.id, {
+    ...schedule,
+    ...(slotDays.length && { planningHorizon: { start: dayFromNow(slotDays[0]), end: dayFromNow(slotDays.at(-1) + 1) } }),
+    ...(serviceType && { serviceType: [{ text: serviceType }] })
+  });
+  return seeded;
+}
+
+before(async () => {
+  stack = await startServers();
+  pottery = seed('陶藝體驗課', [7, 8, 9], { serviceType: '工作坊' });
+  calligraphy = seed('書法班', [20, 21]);
+  tea = seed('茶道課', [3]);
+  yoga = seed('瑜伽', []);
+  alice = createClient(stack.appBase);
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: 'org-1' });
+});
+
+after(() => stack.close());
+
+const list = async query => {
+  const res = await alice('GET', `/api/schedules?organizationId=org-1${query}`);
+  assert.equal(res.status, 200);
+  return res.body;
+};
+const names = body => body.schedules.map(s => s.comment);
+
+test('依 planningHorizon 排序，並附上每個排程的空位統計', async () => {
+  const body = await list('');
+  assert.deepEqual(names(body), ['茶道課', '陶藝體驗課', '書法班', '瑜伽']);
+  assert.equal(body.nextCursor, null);
+  const potteryRow = body.schedules.find(s => s.scheduleId === pottery.scheduleId);
+  assert.deepEqual(potteryRow.counts, { total: 3, free: 3, busy: 0 });
+  assert.deepEqual(potteryRow.serviceType, ['工作坊']);
+  assert.deepEqual(potteryRow.slots.map(s => s.id), pottery.slotIds);
+});
+
+test('依名稱、服務類型、負責人與日期區間篩選', async () => {
+  assert.deepEqual(names(await list(`&q=${encodeURIComponent('書法')}`)), ['書法班']);
+  assert.deepEqual(names(await list(`&serviceType=${encodeURIComponent('工作坊')}`)), ['陶藝體驗課']);
+  assert.deepEqual(names(await list(`&practitioner=${calligraphy.practitionerId}`)), ['書法班']);
+
+  // 有日期區間時只列出區間內有時段的排程，時段也只回傳區間內的
+  const ranged = await list(`&from=${dayFromNow(8)}&to=${dayFromNow(15)}`);
+  assert.deepEqual(names(ranged), ['陶藝體驗課']);
+  assert.deepEqual(ranged.schedules[0].slots.map(s => s.id), pottery.slotIds.slice(1));
+
+  assert.equal((await alice('GET', '/api/schedules?organizationId=org-1&from=next-week')).status, 400);
+});
+
+test('hasFree=true 只列出還有空位的排程', async () => {
+  assert.equal((await alice('POST', '/api/book', { slotId: tea.slotIds[0] })).status, 201);
+  const all = await list('');
+  assert.deepEqual(all.schedules.find(s => s.scheduleId === tea.scheduleId).counts, { total: 1, free: 0, busy: 1 });
+  assert.deepEqual(names(await list('&hasFree=true')), ['陶藝體驗課', '書法班']);
+});
+
+test('以 cursor 分頁，最後一頁的 nextCursor 為 null', async () => {
+  const first = await list('&limit=3');
+  assert.deepEqual(names(first), ['茶道課', '陶藝體驗課', '書法班']);
+  assert.ok(first.nextCursor);
+
+  const second = await list(`&limit=3&cursor=${first.nextCursor}`);
+  assert.deepEqual(second.schedules.map(s => s.scheduleId), [yoga.scheduleId]);
+  assert.equal(second.nextCursor, null);
+
+  assert.equal((await alice('GET', '/api/schedules?organizationId=org-1&cursor=not-a-cursor')).status, 400);
+});
+
+test('未加入該組織時回傳空清單', async () => {
+  const body = (await alice('GET', '/api/schedules?organizationId=org-other')).body;
+  assert.deepEqual(body, { schedules: [], nextCursor: null });
+});
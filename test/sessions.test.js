@@ -0,0 +1,110 @@
+// --- 登入工作階段：refresh token 輪替、登出、session 列表與撤銷、一次性 jti 權杖 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, waitFor, seedSchedule, seedPerson } = require('./support/harness.js');
+
+const PASSWORD = 'correct horse battery staple';
+let stack, seed, sent;
+
+before(async () => {
+  stack = await startServers({ ADMIN_PERSON_IDS: 'admin-1' });
+  seed = seedSchedule(stack.fhir);
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  seedPerson(stack.fhir, { id: 'person-bob', name: 'Bob', email: 'bob@example.org' });
+  sent = [];
+  require('../notifier.js').setTransport(async message => { sent.push(message); });
+});
+
+after(() => stack.close());
+
+// 從回應的 Set-Cookie 取出指定 cookie 的值
+const cookieOf = (res, name) => res.headers.getSetCookie()
+  .map(c => c.split(';')[0]).find(c => c.startsWith(`${name}=`))?.slice(name.length + 1);
+
+// 只帶指定 cookie 的單次請求，用來重放舊的權杖
+const withCookies = (method, url, cookies) => fetch(stack.appBase + url, {
+  method,
+  headers: { Cookie: Object.entries(cookies).map(([k, v]) => `${k}=${v}`).join('; ') }
+});
+
+async function login(email = 'bob@example.org') {
+  const client = createClient(stack.appBase);
+  const res = await client('POST', '/api/login', { email, password: PASSWORD });
+  assert.equal(res.status, 200);
+  return { client, token: cookieOf(res, 'token'), refreshToken: cookieOf(res, 'refreshToken') };
+}
+
+test('註冊後權杖只能使用一次', async () => {
+  const registered = await createClient(stack.appBase)('POST', '/api/register', { name: 'Alice', email: 'alice@example.org', password: PASSWORD });
+  const { postRegistrationToken } = registered.body;
+  assert.equal((await createClient(stack.appBase)('POST', '/api/login', { postRegistrationToken })).status, 200);
+  const replay = await createClient(stack.appBase)('POST', '/api/login', { postRegistrationToken });
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.error, '註冊後權杖已使用過');
+});
+
+test('refresh 換發新的權杖，舊的 refresh token 重複使用時撤銷整個 session', async () => {
+  const { client, refreshToken } = await login();
+  const refreshed = await client('POST', '/api/refresh');
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(cookieOf(refreshed, 'refreshToken'), refreshToken);
+  assert.equal((await client('GET', '/api/sessions')).status, 200);
+
+  const reused = await withCookies('POST', '/api/refresh', { refreshToken });
+  assert.equal(reused.status, 401);
+  // 換發後的權杖也隨 session 一起失效
+  assert.equal((await client('GET', '/api/sessions')).status, 401);
+  assert.equal((await client('POST', '/api/refresh')).status, 401);
+});
+
+test('登出撤銷 session，尚未過期的權杖也不能再使用', async () => {
+  const { client, token } = await login();
+  assert.equal((await client('POST', '/api/logout')).status, 200);
+  assert.equal((await withCookies('GET', '/api/sessions', { token })).status, 401);
+  assert.equal((await client('POST', '/api/refresh')).status, 401);
+});
+
+test('列出自己的 session，並可撤銷其他裝置的登入', async () => {
+  const phone = await login();
+  const laptop = await login();
+  const { sessions } = (await laptop.client('GET', '/api/sessions')).body;
+  assert.equal(sessions.length, 2);
+  const current = sessions.find(s => s.current);
+  const other = sessions.find(s => !s.current);
+  assert.ok(current && other);
+
+  const admin = await login('admin@example.org');
+  assert.equal((await admin.client('DELETE', `/api/sessions/${other.id}`)).status, 404);
+
+  assert.equal((await laptop.client('DELETE', `/api/sessions/${other.id}`)).status, 200);
+  assert.equal((await phone.client('GET', '/api/sessions')).status, 401);
+  assert.equal((await laptop.client('GET', '/api/sessions')).body.sessions.length, 1);
+});
+
+test('重設密碼連結只能使用一次，且密碼變更後撤銷所有 session', async () => {
+  const { client } = await login();
+  await createClient(stack.appBase)('POST', '/api/request-reset', { email: 'bob@example.org' });
+  await waitFor(() => sent.some(m => m.to === 'bob@example.org'));
+  const mail = sent.find(m => m.to === 'bob@example.org');
+  assert.match(mail.text, /只能使用一次/);
+  const token = new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+  const reset = await createClient(stack.appBase)('POST', '/api/reset-password', { token, password: PASSWORD });
+  assert.equal(reset.status, 200);
+  assert.equal((await client('GET', '/api/sessions')).status, 401);
+
+  const replay = await createClient(stack.appBase)('POST', '/api/reset-password', { token, password: 'attacker password' });
+  assert.equal(replay.status, 401);
+  assert.equal((await createClient(stack.appBase)('POST', '/api/login', { email: 'bob@example.org', password: PASSWORD })).status, 200);
+});
+
+test('角色變更在下次 refresh 時生效，不必重新登入', async () => {
+  const bob = await login();
+  const admin = await login('admin@example.org');
+  await admin.client('PUT', '/api/admin/persons/person-bob/roles', { staffOrganizationIds: [seed.organizationId] });
+  assert.equal((await bob.client('GET', `/api/admin/schedules?organizationId=${seed.organizationId}`)).status, 403);
+
+  const refreshed = await bob.client('POST', '/api/refresh');
+  assert.deepEqual(refreshed.body.roles, ['patient', 'staff']);
+  assert.equal((await bob.client('GET', `/api/admin/schedules?organizationId=${seed.organizationId}`)).status, 200);
+});
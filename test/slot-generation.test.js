@@ -0,0 +1,72 @@
+// --- 管理後台：批次產生 Slot /api/admin/schedules/:id/slots/generate ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, seedSchedule, seedPerson } = require('./support/harness.js');
+
+const SLOT_KEY_SYSTEM = 'http://example.org/fhir/slot-key';
+
+let stack, admin, seed;
+
+const generatedSlots = () => stack.fhir.search('Slot', { identifier: `${SLOT_KEY_SYSTEM}|` });
+
+// 兩天、每天 09:00–11:00 切成兩個一小時時段，每個時段 2 個名額 → 8 個 Slot
+const rules = { from: '2030-03-04', to: '2030-03-05', windows: [{ start: '09:00', end: '11:00' }], slotMinutes: 60, capacity: 2 };
+
+before(async () => {
+  stack = await startServers({ ADMIN_PERSON_IDS: 'admin-1', SLOT_TIMEZONE_OFFSET: '+08:00' });
+  seed = seedSchedule(stack.fhir, { slots: [] });
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  admin = createClient(stack.appBase);
+  await admin('POST', '/api/login', { email: 'admin@example.org', password: 'correct horse battery staple' });
+});
+
+after(() => stack.close());
+
+const generate = body => admin('POST', `/api/admin/schedules/${seed.scheduleId}/slots/generate`, body);
+
+test('規則錯誤時回傳 400', async () => {
+  assert.equal((await generate({ ...rules, from: '2030/03/04' })).status, 400);
+  assert.equal((await generate({ ...rules, windows: [{ start: '11:00', end: '09:00' }] })).status, 400);
+  assert.equal((await generate({ ...rules, slotMinutes: 0 })).status, 400);
+  assert.equal((await generate({ ...rules, daysOfWeek: [7] })).status, 400);
+});
+
+test('dryRun 只回傳預覽，不建立 Slot', async () => {
+  const res = await generate({ ...rules, dryRun: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.dryRun, true);
+  assert.equal(res.body.created, 0);
+  assert.equal(res.body.slots.length, 8);
+  assert.deepEqual(res.body.slots[0], { start: '2030-03-04T09:00:00+08:00', end: '2030-03-04T10:00:00+08:00', status: 'free' });
+  assert.equal(generatedSlots().length, 0);
+});
+
+test('依名額與時段建立 Slot，重複執行不會重複建立', async () => {
+  const first = await generate(rules);
+  assert.equal(first.status, 201);
+  assert.equal(first.body.created, 8);
+  assert.equal(generatedSlots().length, 8);
+  assert.ok(generatedSlots().every(slot => slot.schedule.reference === `Schedule/${seed.scheduleId}` && slot.status === 'free'));
+
+  const again = await generate(rules);
+  assert.equal(again.status, 200);
+  assert.deepEqual([again.body.created, again.body.skipped], [0, 8]);
+
+  // 擴大日期範圍時只補上新的一天；daysOfWeek 排除的日子不產生
+  const extended = await generate({ ...rules, to: '2030-03-07', daysOfWeek: [1, 2, 3] });
+  assert.deepEqual([extended.body.created, extended.body.skipped], [4, 8]);
+  assert.equal(generatedSlots().length, 12);
+});
+
+test('同時送出兩個相同的產生請求也不會重複建立', async () => {
+  const concurrent = { ...rules, from: '2030-04-01', to: '2030-04-01' };
+  const results = await Promise.all([generate(concurrent), generate(concurrent)]);
+  assert.equal(results.reduce((sum, r) => sum + r.body.created, 0), 4);
+  const keys = generatedSlots().flatMap(slot => slot.identifier.map(i => i.value));
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+test('非管理員不可產生 Slot', async () => {
+  const res = await createClient(stack.appBase)('POST', `/api/admin/schedules/${seed.scheduleId}/slots/generate`, rules);
+  assert.equal(res.status, 401);
+});
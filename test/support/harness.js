@@ -0,0 +1,148 @@
+// --- 測試共用工具 ---
+// 在隨機埠啟動記憶體 FHIR 伺服器與 app.js，提供保存 cookie 的用戶端、種子資料與註冊流程。
+// app.js 在載入時讀取環境變數，每個測試檔 (各自一個行程) 只呼叫一次 startServers。
+const path = require('path');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { createMemoryFhirServer } = require('../../memoryFhirServer.js');
+
+const listen = server => new Promise((resolve, reject) => {
+  const listening = server.listen(0, '127.0.0.1', () => resolve(listening)).on('error', reject);
+});
+
+function close(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+async function startServers(env = {}) {
+  const fhirApp = createMemoryFhirServer();
+  const fhirServer = await listen(express().use('/fhir', fhirApp));
+  const fhirBase = `http://127.0.0.1:${fhirServer.address().port}/fhir`;
+  // 郵件預設只印在終端機，不寫入共用的寄件匣檔案；需要檢查郵件的測試以 notifier.setTransport 攔截
+  Object.assign(process.env, { JWT_SECRET: 'test-secret', FHIR_SERVER_BASE: fhirBase, MAIL_TRANSPORT: 'console', ...env });
+  const app = require(path.join(__dirname, '..', '..', 'app.js'));
+  const appServer = await listen(app);
+  return {
+    app,
+    fhir: fhirApp.locals,
+    fhirBase,
+    appBase: `http://127.0.0.1:${appServer.address().port}`,
+    close: () => Promise.all([close(appServer), close(fhirServer)])
+  };
+}
+
+// 每位使用者一個用戶端，保存登入後的 cookie；回傳 { status, headers, body }
+function createClient(appBase) {
+  const cookies = new Map();
+  return async function request(method, url, body) {
+    const res = await fetch(appBase + url, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        Cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; ')
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    for (const header of res.headers.getSetCookie()) {
+      const [pair] = header.split(';');
+      const index = pair.indexOf('=');
+      const value = pair.slice(index + 1);
+      if (value) cookies.set(pair.slice(0, index), value);
+      else cookies.delete(pair.slice(0, index));
+    }
+    const text = await res.text();
+    const json = (res.headers.get('content-type') || '').includes('json');
+    return { status: res.status, headers: res.headers, body: json && text ? JSON.parse(text) : text };
+  };
+}
+
+// 等待背景工作 (例如寄出通知) 完成；逾時則失敗
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await predicate())) {
+    if (Date.now() > deadline) throw new Error('等待逾時');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// 未來第 n 天 (UTC) 的一小時時段
+function futureSlotTime(days, hour = 2) {
+  const start = new Date(Date.now() + days * 24 * 3600000);
+  start.setUTCHours(hour, 0, 0, 0);
+  return { start: start.toISOString(), end: new Date(start.getTime() + 3600000).toISOString() };
+}
+
+// 一個組織、負責人 (Practitioner + PractitionerRole) 與一個排程；slots 為各時段的 { start, end }。
+// 指定 organizationId 時以該 id 建立 (或覆寫) 組織，供需要固定 id 的組織設定檔使用
+function seedSchedule(fhir, {
+  organizationName = '慈濟大學', organizationId, comment = '陶藝體驗課', slots = [7, 8, 9].map(d => futureSlotTime(d))
+} = {}) {
+  const post = (fullUrl, resource) => ({ fullUrl, resource, request: { method: 'POST', url: resource.resourceType } });
+  const organization = { resourceType: 'Organization', active: true, name: organizationName };
+  const orgRef = organizationId ? `Organization/${organizationId}` : 'urn:uuid:org';
+  const result = fhir.transaction({
+    resourceType: 'Bundle',
+    type: 'transaction',
+    entry: [
+      organizationId
+        ? { resource: { ...organization, id: organizationId }, request: { method: 'PUT', url: orgRef } }
+        : post(orgRef, organization),
+      post('urn:uuid:practitioner', { resourceType: 'Practitioner', name: [{ text: '王老師' }] }),
+      post('urn:uuid:role', {
+        resourceType: 'PractitionerRole',
+        practitioner: { reference: 'urn:uuid:practitioner' },
+        organization: { reference: orgRef }
+      }),
+      post('urn:uuid:schedule', {
+        resourceType: 'Schedule',
+        active: true,
+        actor: [{ reference: 'urn:uuid:practitioner' }],
+        comment
+      }),
+      ...slots.map((time, n) => post(`urn:uuid:slot-${n}`, {
+        resourceType: 'Slot',
+        schedule: { reference: 'urn:uuid:schedule' },
+        status: 'free',
+        ...time
+      }))
+    ]
+  });
+  const ids = result.entry.map(e => e.response.location.split('/')[1]);
+  return { organizationId: ids[0], practitionerId: ids[1], scheduleId: ids[3], slotIds: ids.slice(4) };
+}
+
+// 直接在 FHIR 伺服器建立指定 id 的 Person (例如 ADMIN_PERSON_IDS 中的管理員)，之後以 Email 與密碼登入；
+// 預設已完成 Email 驗證
+function seedPerson(fhir, { id, name, email, password = 'correct horse battery staple', emailVerified = true }) {
+  return fhir.update('Person', id, {
+    resourceType: 'Person',
+    name: [{ text: name }],
+    identifier: [
+      { system: 'http://example.org/fhir/email', value: email },
+      { system: 'http://example.org/fhir/password', value: bcrypt.hashSync(password, 4) },
+      ...(emailVerified ? [{ system: 'http://example.org/fhir/email-verified', value: email }] : [])
+    ],
+    telecom: [{ system: 'email', value: email }]
+  });
+}
+
+// 與驗證信中相同的 Email 驗證連結 (路徑部分)；測試不必等待或攔截郵件
+const verifyEmailPath = (personId, email) =>
+  `/api/verify-email?token=${jwt.sign({ id: personId, email, purpose: 'email-verify' }, process.env.JWT_SECRET)}`;
+
+// 註冊 → 以註冊後權杖登入 → 點選 Email 驗證連結 → 加入組織 (建立 Patient)
+async function signUp(request, { name, email, password = 'correct horse battery staple', organizationId }) {
+  const registered = await request('POST', '/api/register', { name, email, password });
+  if (registered.status !== 201) throw new Error(`註冊失敗: ${registered.status} ${JSON.stringify(registered.body)}`);
+  const { personId, postRegistrationToken } = registered.body;
+  await request('POST', '/api/login', { postRegistrationToken });
+  const verified = await request('GET', verifyEmailPath(personId, email));
+  if (verified.headers.get('location') !== '/login.html?verified=ok') throw new Error('Email 驗證失敗');
+  const joined = await request('POST', '/api/patient', { organizationId, email });
+  return { personId, patientId: joined.body.patientId };
+}
+
+module.exports = { startServers, createClient, waitFor, futureSlotTime, seedSchedule, seedPerson, verifyEmailPath, signUp };
@@ -0,0 +1,86 @@
+// --- 候補名單：/api/schedules/:id/waitlist 與時段釋出時的自動遞補 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, createClient, futureSlotTime, seedSchedule, signUp } = require('./support/harness.js');
+
+let stack, alice, bob, carol, seed, aliceAppointmentId, bobWaitlistId, carolWaitlistId;
+
+before(async () => {
+  stack = await startServers();
+  seed = seedSchedule(stack.fhir, { slots: [futureSlotTime(7)] });
+  alice = createClient(stack.appBase);
+  bob = createClient(stack.appBase);
+  carol = createClient(stack.appBase);
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+  await signUp(bob, { name: 'Bob', email: 'bob@example.org', organizationId: seed.organizationId });
+  await signUp(carol, { name: 'Carol', email: 'carol@example.org', organizationId: seed.organizationId });
+});
+
+after(() => stack.close());
+
+const joinWaitlist = (request, body) => request('POST', `/api/schedules/${seed.scheduleId}/waitlist`, body);
+
+test('還有空位時不能候補', async () => {
+  const res = await joinWaitlist(bob);
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, '此活動仍有空位，請直接報名');
+});
+
+test('額滿後依加入順序排入候補，同一人不可重複候補', async () => {
+  aliceAppointmentId = (await alice('POST', '/api/book', { slotId: seed.slotIds[0] })).body.appointmentId;
+
+  const first = await joinWaitlist(bob, { mealPreference: '素食' });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.waitlistPosition, 1);
+  bobWaitlistId = first.body.appointmentId;
+  assert.equal(stack.fhir.read('Appointment', bobWaitlistId).status, 'waitlist');
+  assert.equal(stack.fhir.read('Appointment', bobWaitlistId).slot, undefined);
+
+  const second = await joinWaitlist(carol);
+  assert.equal(second.body.waitlistPosition, 2);
+  carolWaitlistId = second.body.appointmentId;
+
+  assert.equal((await joinWaitlist(bob)).status, 409);
+  assert.equal((await joinWaitlist(alice)).status, 409);
+
+  const [mine] = (await carol('GET', '/api/appointments')).body;
+  assert.deepEqual([mine.status, mine.waitlistPosition], ['waitlist', 2]);
+});
+
+test('取消預約時，第一位候補者在同一筆交易中遞補並取得該時段', async () => {
+  const res = await alice('POST', `/api/appointments/${aliceAppointmentId}/cancel`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.promotedAppointmentId, bobWaitlistId);
+
+  const tx = stack.fhir.transactions.at(-1);
+  // 交易最後附帶的 Provenance 見 audit.test.js
+  const changes = tx.entry.filter(e => e.resource.resourceType !== 'Provenance');
+  assert.deepEqual(changes.map(e => `${e.request.method} ${e.request.url} ${e.resource.status}`), [
+    `PUT Appointment/${aliceAppointmentId} cancelled`,
+    `PUT Appointment/${bobWaitlistId} booked`,
+    `PUT Slot/${seed.slotIds[0]} busy`
+  ]);
+
+  const promoted = stack.fhir.read('Appointment', bobWaitlistId);
+  assert.equal(promoted.status, 'booked');
+  assert.equal(promoted.slot[0].reference, `Slot/${seed.slotIds[0]}`);
+  assert.equal(stack.fhir.read('Slot', seed.slotIds[0]).status, 'busy');
+
+  const [mine] = (await carol('GET', '/api/appointments')).body;
+  assert.equal(mine.waitlistPosition, 1);
+});
+
+test('候補中的預約可退出候補，時段不受影響', async () => {
+  const res = await carol('POST', `/api/appointments/${carolWaitlistId}/cancel`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, '已退出候補');
+  assert.equal(res.body.promotedAppointmentId, null);
+  assert.equal(stack.fhir.read('Appointment', carolWaitlistId).status, 'cancelled');
+  assert.equal(stack.fhir.read('Slot', seed.slotIds[0]).status, 'busy');
+});
+
+test('沒有人候補時，取消後時段改回 free', async () => {
+  const res = await bob('POST', `/api/appointments/${bobWaitlistId}/cancel`);
+  assert.equal(res.body.promotedAppointmentId, null);
+  assert.equal(stack.fhir.read('Slot', seed.slotIds[0]).status, 'free');
+});
@@ -0,0 +1,198 @@
+// --- 對外 Webhook：組織的網址設定、HMAC 簽章、重試與 dead-letter、重送、內部網路限制與 FHIR Subscription 通知 ---
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { createMemoryWebhookStore, createWebhookDispatcher, signPayload, isPrivateHost } = require('../webhooks.js');
+const { startServers, createClient, waitFor, seedSchedule, seedPerson, signUp } = require('./support/harness.js');
+
+const PASSWORD = 'correct horse battery staple';
+let stack, seed, other, receiver, receiverUrl, admin, staff, alice, webhook;
+
+// 本機接收端：保留原始內容以驗證簽章，replyStatus 控制回應的狀態碼
+const received = [];
+let replyStatus = 200;
+
+before(async () => {
+  const app = express().post('/hook', express.text({ type: '*/*' }), (req, res) => {
+    received.push({ headers: req.headers, body: req.body });
+    res.status(replyStatus).end();
+  });
+  receiver = await new Promise(resolve => { const server = app.listen(0, '127.0.0.1', () => resolve(server)); });
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+  // 接收端在本機，因此允許內部網路；重試不等待，第二次失敗即進入 dead-letter
+  stack = await startServers({
+    ADMIN_PERSON_IDS: 'admin-1',
+    WEBHOOK_ALLOW_PRIVATE_NETWORKS: 'true',
+    WEBHOOK_MAX_ATTEMPTS: '2',
+    WEBHOOK_RETRY_BASE_SECONDS: '0',
+    FHIR_SUBSCRIPTION_TOKEN: 'subscription-token'
+  });
+  seed = seedSchedule(stack.fhir);
+  other = seedSchedule(stack.fhir, { organizationName: '其他中心' });
+  seedPerson(stack.fhir, { id: 'admin-1', name: '管理員', email: 'admin@example.org' });
+  stack.fhir.update('Person', 'staff-1', {
+    ...seedPerson(stack.fhir, { id: 'staff-1', name: '志工', email: 'staff@example.org' }),
+    identifier: [
+      ...stack.fhir.read('Person', 'staff-1').identifier,
+      { system: 'http://example.org/fhir/role', value: 'staff', assigner: { reference: `Organization/${other.organizationId}` } }
+    ]
+  });
+  [admin, staff, alice] = [0, 1, 2].map(() => createClient(stack.appBase));
+  await admin('POST', '/api/login', { email: 'admin@example.org', password: PASSWORD });
+  await staff('POST', '/api/login', { email: 'staff@example.org', password: PASSWORD });
+  await signUp(alice, { name: 'Alice', email: 'alice@example.org', organizationId: seed.organizationId });
+});
+
+after(async () => {
+  receiver.closeAllConnections();
+  await new Promise(resolve => receiver.close(resolve));
+  await stack.close();
+});
+
+const auditsOf = endpointId => stack.fhir.search('AuditEvent', { entity: `Endpoint/${endpointId}` })
+  .flatMap(e => e.subtype.map(c => c.code));
+
+test('建立 Webhook：輸入錯誤回傳 400，無權管理的組織回傳 403；secret 只回傳一次', async () => {
+  const path = `/api/admin/organizations/${seed.organizationId}/webhooks`;
+  assert.equal((await admin('POST', path, { url: 'ftp://example.org/hook', events: ['booked'] })).status, 400);
+  assert.equal((await admin('POST', path, { url: receiverUrl, events: ['deleted'] })).status, 400);
+  assert.equal((await staff('POST', path, { url: receiverUrl, events: ['booked'] })).status, 403);
+  assert.equal((await alice('POST', path, { url: receiverUrl, events: ['booked'] })).status, 403);
+
+  const created = await admin('POST', path, { url: receiverUrl, events: ['booked', 'cancelled'], description: '報名系統' });
+  assert.equal(created.status, 201);
+  assert.match(created.body.secret, /^[0-9a-f]{64}$/);
+  webhook = created.body;
+
+  const list = await admin('GET', path);
+  assert.deepEqual(list.body.map(w => [w.webhookId, w.url, w.events, w.active]), [[webhook.webhookId, receiverUrl, ['booked', 'cancelled'], true]]);
+  assert.equal(list.body[0].secret, undefined);
+  assert.deepEqual(auditsOf(webhook.webhookId), ['webhook-create']);
+});
+
+test('預約時送出帶 HMAC 簽章的事件，接收端以 secret 驗證', async () => {
+  const booked = await alice('POST', '/api/book', { slotId: seed.slotIds[0] });
+  await waitFor(() => received.length === 1);
+
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-webhook-event'], 'booked');
+  const expected = `sha256=${signPayload(webhook.secret, headers['x-webhook-timestamp'], body)}`;
+  assert.ok(crypto.timingSafeEqual(Buffer.from(headers['x-webhook-signature']), Buffer.from(expected)));
+  assert.notEqual(headers['x-webhook-signature'], `sha256=${signPayload('other-secret', headers['x-webhook-timestamp'], body)}`);
+
+  const payload = JSON.parse(body);
+  assert.deepEqual([payload.id, payload.event, payload.organizationId], [headers['x-webhook-id'], 'booked', seed.organizationId]);
+  assert.deepEqual([payload.data.appointmentId, payload.data.slotId], [booked.body.appointmentId, seed.slotIds[0]]);
+});
+
+test('投遞失敗會重試，超過次數進入 dead-letter，修復後可重送', async () => {
+  received.length = 0;
+  replyStatus = 500;
+  const booked = (await alice('GET', '/api/appointments')).body[0];
+  await alice('POST', `/api/appointments/${booked.appointmentId}/cancel`);
+  await waitFor(() => received.length === 1);
+  // 第一次投遞可能仍在寫入結果，重複觸發背景工作直到重試送出
+  await waitFor(async () => { await stack.app.locals.jobs.processWebhooks(); return received.length === 2; });
+
+  const dead = (await admin('GET', `/api/admin/organizations/${seed.organizationId}/webhook-deliveries?status=dead`)).body;
+  assert.equal(dead.length, 1);
+  assert.deepEqual([dead[0].event, dead[0].attempts, dead[0].lastError], ['cancelled', 2, 'HTTP 500']);
+  // dead-letter 不再自動重試
+  await stack.app.locals.jobs.processWebhooks();
+  assert.equal(received.length, 2);
+
+  assert.equal((await staff('POST', `/api/admin/webhook-deliveries/${dead[0].deliveryId}/replay`)).status, 403);
+  replyStatus = 200;
+  const replayed = await admin('POST', `/api/admin/webhook-deliveries/${dead[0].deliveryId}/replay`);
+  assert.deepEqual([replayed.body.status, replayed.body.attempts], ['delivered', 1]);
+  // 重送沿用同一個事件 ID，接收端可據此去除重複
+  assert.equal(received[2].headers['x-webhook-id'], dead[0].deliveryId);
+});
+
+test('修改與停用 Webhook 並重新產生 secret；刪除後不再投遞，皆留下稽核紀錄', async () => {
+  const path = `/api/admin/webhooks/${webhook.webhookId}`;
+  assert.equal((await staff('PUT', path, { active: false })).status, 403);
+  assert.equal((await admin('PUT', path, { events: [] })).status, 400);
+
+  const rotated = await admin('PUT', path, { rotateSecret: true, events: ['booked'] });
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.secret, webhook.secret);
+  assert.deepEqual(rotated.body.events, ['booked']);
+
+  // 讀取後被其他人修改時回傳 409
+  stack.fhir.hooks.beforeWrite = (type, id) => {
+    stack.fhir.hooks.beforeWrite = null;
+    stack.fhir.update(type, id, { ...stack.fhir.read(type, id), name: '其他人剛修改' });
+  };
+  assert.equal((await admin('PUT', path, { active: false })).status, 409);
+  assert.equal(stack.fhir.read('Endpoint', webhook.webhookId).status, 'active');
+
+  assert.equal((await admin('DELETE', path)).status, 200);
+  assert.equal((await admin('GET', `/api/admin/organizations/${seed.organizationId}/webhooks`)).body.length, 0);
+  received.length = 0;
+  await alice('POST', '/api/book', { slotId: seed.slotIds[1] });
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(received.length, 0);
+  assert.deepEqual(auditsOf(webhook.webhookId).sort(), ['webhook-create', 'webhook-delete', 'webhook-update']);
+});
+
+test('FHIR Subscription 通知：驗證 token，直接在 FHIR 上的異動一樣送出 Webhook', async () => {
+  const hook = (await admin('POST', `/api/admin/organizations/${seed.organizationId}/webhooks`, { url: receiverUrl, events: ['cancelled'] })).body;
+  const notify = (token, body) => fetch(`${stack.appBase}/api/fhir-subscription`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/fhir+json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  assert.equal((await notify('wrong-token', {})).status, 401);
+
+  const [appointment] = stack.fhir.search('Appointment', { status: 'booked' });
+  const cancelled = stack.fhir.update('Appointment', appointment.id, { ...appointment, status: 'cancelled' });
+  received.length = 0;
+  const bundle = { resourceType: 'Bundle', type: 'history', entry: [{ resource: cancelled }] };
+  assert.equal((await notify('subscription-token', bundle)).status, 200);
+  await waitFor(() => received.length === 1);
+  const payload = JSON.parse(received[0].body);
+  assert.deepEqual([payload.event, payload.data.appointmentId, payload.data.source], ['cancelled', appointment.id, 'fhir']);
+
+  // 同一版本重複通知只送一次
+  await notify('subscription-token', bundle);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(received.length, 1);
+  await admin('DELETE', `/api/admin/webhooks/${hook.webhookId}`);
+});
+
+test('判斷 localhost、私有、link-local 與 IPv4-mapped 位址', () => {
+  for (const url of ['http://localhost/', 'http://api.localhost/', 'http://127.0.0.1:8080/', 'http://10.1.2.3/', 'http://172.16.0.1/',
+    'http://192.168.1.1/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[fe80::1]/', 'http://[::ffff:127.0.0.1]/']) {
+    assert.equal(isPrivateHost(url), true, url);
+  }
+  for (const url of ['https://example.org/hook', 'http://8.8.8.8/', 'http://[2001:4860:4860::8888]/']) {
+    assert.equal(isPrivateHost(url), false, url);
+  }
+});
+
+test('預設拒絕投遞到內部網路位址，也不跟隨轉址', async () => {
+  const endpoints = [{ id: 'ep-1', url: receiverUrl, secret: 'secret' }];
+  const dispatcher = createWebhookDispatcher({
+    store: createMemoryWebhookStore(), resolveEndpoints: async () => endpoints, maxAttempts: 1
+  });
+  received.length = 0;
+  const [id] = await dispatcher.enqueue('org-1', 'booked', {});
+  await dispatcher.processDue();
+  const refused = await dispatcher.get(id);
+  assert.deepEqual([refused.status, refused.lastError], ['dead', '不允許投遞到內部網路位址']);
+  assert.equal(received.length, 0);
+
+  // 允許內部網路時，接收端回應轉址視為失敗
+  replyStatus = 302;
+  const local = createWebhookDispatcher({
+    store: createMemoryWebhookStore(), resolveEndpoints: async () => endpoints, maxAttempts: 1, allowPrivateNetworks: true
+  });
+  const [redirected] = await local.enqueue('org-1', 'booked', {});
+  await local.processDue();
+  assert.equal((await local.get(redirected)).lastError, 'HTTP 302');
+  assert.equal(received.length, 1);
+  replyStatus = 200;
+});
@@ -0,0 +1,234 @@
+// --- 對外 Webhook 投遞 ---
+// 預約事件 (booked、rebooked、cancelled、checked-in) 以 POST JSON 送到各組織登記的網址，
+// 每次投遞以該網址的 secret 做 HMAC-SHA256 簽章，失敗時以指數退避重試，超過次數即進入 dead-letter，可手動重送。
+//
+// 簽章：X-Webhook-Signature: sha256=<hex>，內容為 "<X-Webhook-Timestamp>.<request body>"；
+// 接收端應以相同方式計算並比對，且拒絕時間差過大的請求以防重放。
+//
+// 網址由各組織的 staff 登記，為避免被拿來探測內部網路 (SSRF)，預設拒絕投遞到 loopback、私有與 link-local 等位址；
+// 檢查在每次連線 DNS 解析後進行 (避免 DNS rebinding)，也不跟隨轉址。本機開發可設定 allowPrivateNetworks。
+//
+// 投遞紀錄存放在 store 中，所有方法皆為 async；預設為記憶體實作，多台 Node 時可用 Redis 等實作同一介面：
+//   create(delivery)                     delivery 為 { id, organizationId, endpointId, url, event, payload, status, attempts, nextAttemptAt, ... }
+//   get(id)                              → delivery | null
+//   update(id, changes)
+//   listDue(now, limit)                  → status 為 pending 且 nextAttemptAt <= now 的 delivery
+//   list({ organizationId, status })     → 依建立時間新到舊
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// node-fetch v3 是 ESM 模組，需要使用動態 import
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+// 不允許投遞的網段：本機、私有網路、CGNAT、link-local (含雲端 metadata 169.254.169.254)、多播與保留位址
+const blockedNetworks = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([address, prefix]) => blockedNetworks.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => blockedNetworks.addSubnet(address, prefix, 'ipv6'));
+
+// 是否為內部網路位址；IPv4-mapped IPv6 (::ffff:a.b.c.d) 以 IPv4 判斷
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return blockedNetworks.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  if (!family) return false;
+  return blockedNetworks.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// 網址的主機是否明顯指向內部網路 (localhost 或內部 IP)；網域名稱要到投遞時解析後才能判斷
+function isPrivateHost(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname);
+}
+
+// DNS 解析後檢查位址，任何一個位址為內部網路即拒絕連線
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(new Error(`不允許投遞到內部網路位址 ${blocked.address}`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function createMemoryWebhookStore({ maxEntries = 10000 } = {}) {
+  const deliveries = new Map();
+
+  return {
+    async create(delivery) {
+      deliveries.set(delivery.id, { ...delivery });
+      // 超過上限時先淘汰最舊的已送達紀錄，pending 與 dead 保留
+      for (const [id, d] of deliveries) {
+        if (deliveries.size <= maxEntries) break;
+        if (d.status === 'delivered') deliveries.delete(id);
+      }
+    },
+
+    async get(id) {
+      const delivery = deliveries.get(id);
+      return delivery ? { ...delivery } : null;
+    },
+
+    async update(id, changes) {
+      const delivery = deliveries.get(id);
+      if (delivery) Object.assign(delivery, changes);
+    },
+
+    async listDue(now, limit = 50) {
+      return [...deliveries.values()]
+        .filter(d => d.status === 'pending' && d.nextAttemptAt <= now)
+        .slice(0, limit)
+        .map(d => ({ ...d }));
+    },
+
+    async list({ organizationId, status } = {}) {
+      return [...deliveries.values()]
+        .filter(d => (!organizationId || d.organizationId === organizationId) && (!status || d.status === status))
+        .reverse()
+        .map(d => ({ ...d }));
+    }
+  };
+}
+
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * @param {object} options
+ * @param {object} options.store 投遞紀錄儲存
+ * @param {(organizationId: string, event: string) => Promise<{ id: string, url: string, secret: string }[]>} options.resolveEndpoints
+ *   找出組織中訂閱此事件且啟用中的網址
+ * @param {number} [options.maxAttempts=8] 超過即進入 dead-letter
+ * @param {number} [options.baseDelayMs=30000] 第一次重試前的等待時間，之後每次加倍
+ * @param {number} [options.maxDelayMs=21600000] 重試間隔上限
+ * @param {number} [options.timeoutMs=10000] 單次投遞逾時
+ * @param {boolean} [options.allowPrivateNetworks=false] 允許投遞到內部網路位址 (僅限本機開發)
+ */
+function createWebhookDispatcher({
+  store, resolveEndpoints, maxAttempts = 8, baseDelayMs = 30000, maxDelayMs = 21600000, timeoutMs = 10000, allowPrivateNetworks = false
+}) {
+  let running = false;
+  const agentOptions = allowPrivateNetworks ? {} : { lookup: guardedLookup };
+  const agents = { 'http:': new http.Agent(agentOptions), 'https:': new https.Agent(agentOptions) };
+
+  // 單次投遞；2xx 視為成功，其餘 (含逾時、網路錯誤) 丟出錯誤
+  async function post(delivery, secret) {
+    // IP 位址不經過 DNS 解析，需另外檢查
+    if (!allowPrivateNetworks && isPrivateHost(delivery.url)) throw new Error('不允許投遞到內部網路位址');
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetch(delivery.url, {
+        method: 'POST',
+        signal: controller.signal,
+        agent: url => agents[url.protocol],
+        redirect: 'manual',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'appointment-portal-webhook',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+        },
+        body
+      });
+      // 轉址 (3xx) 不跟隨，視為失敗
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.status;
+    } catch (err) {
+      throw err.name === 'AbortError' ? new Error(`逾時 (${timeoutMs}ms)`) : err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function attempt(delivery) {
+    const endpoint = (await resolveEndpoints(delivery.organizationId, delivery.event))
+      .find(e => e.id === delivery.endpointId);
+    // 網址已停用、刪除或不再訂閱此事件：不再投遞
+    if (!endpoint) {
+      await store.update(delivery.id, { status: 'dead', lastError: 'Webhook 已停用或不再訂閱此事件' });
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    try {
+      const status = await post({ ...delivery, url: endpoint.url }, endpoint.secret);
+      await store.update(delivery.id, { status: 'delivered', attempts, deliveredAt: Date.now(), lastStatus: status, lastError: null });
+    } catch (err) {
+      const dead = attempts >= maxAttempts;
+      await store.update(delivery.id, {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        lastError: err.message,
+        nextAttemptAt: Date.now() + Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs)
+      });
+      console.warn(`  [webhook] ${delivery.event} → ${endpoint.url} 第 ${attempts} 次投遞失敗${dead ? '，移入 dead-letter' : ''}:`, err.message);
+    }
+  }
+
+  return {
+    /**
+     * 為組織中訂閱此事件的每個網址建立一筆投遞，回傳建立的 delivery ID
+     * @param {string} organizationId
+     * @param {string} event
+     * @param {object} data 事件內容，放在 payload.data
+     */
+    async enqueue(organizationId, event, data) {
+      const endpoints = await resolveEndpoints(organizationId, event);
+      const ids = [];
+      for (const endpoint of endpoints) {
+        const id = crypto.randomUUID();
+        await store.create({
+          id,
+          organizationId,
+          endpointId: endpoint.id,
+          url: endpoint.url,
+          event,
+          payload: { id, event, occurredAt: new Date().toISOString(), organizationId, data },
+          status: 'pending',
+          attempts: 0,
+          createdAt: Date.now(),
+          nextAttemptAt: Date.now()
+        });
+        ids.push(id);
+      }
+      return ids;
+    },
+
+    // 投遞所有到期的紀錄 (由背景定期呼叫，enqueue 後也可立即呼叫)
+    async processDue() {
+      if (running) return;
+      running = true;
+      try {
+        for (const delivery of await store.listDue(Date.now())) await attempt(delivery);
+      } catch (err) {
+        console.error('  [webhook] 處理投遞時發生錯誤:', err.message);
+      } finally {
+        running = false;
+      }
+    },
+
+    // 重送 dead-letter (或任何) 紀錄：重設次數並排入下一輪投遞；回傳是否找到
+    async replay(id) {
+      const delivery = await store.get(id);
+      if (!delivery) return false;
+      await store.update(id, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+      return true;
+    },
+
+    get: id => store.get(id),
+    list: filters => store.list(filters)
+  };
+}
+
+module.exports = { createMemoryWebhookStore, createWebhookDispatcher, signPayload, isPrivateHost };